@@ -43,6 +43,20 @@ class Vector2 {
     return this.x * other.x + this.y * other.y;
   }
 
+  cross(other) {
+    return this.x * other.y - this.y * other.x;
+  }
+
+  perpendicular() {
+    return new Vector2(-this.y, this.x);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return new Vector2(this.x * cos - this.y * sin, this.x * sin + this.y * cos);
+  }
+
   static zero() {
     return new Vector2(0, 0);
   }
@@ -52,6 +66,77 @@ class Vector2 {
   }
 }
 
+// CSS colours as [r, g, b, a] arrays in the 0-1 range. Hex and rgb()
+// strings are parsed directly; named colours and other CSS syntaxes go
+// through a canvas when one is available.
+class Color {
+  static cache = new Map();
+  static resolver = null;
+
+  static parse(css) {
+    if (Array.isArray(css)) return css;
+    if (Color.cache.has(css)) return Color.cache.get(css);
+
+    const color = Color.parseHex(css) || Color.parseRgb(css) || Color.resolve(css);
+    Color.cache.set(css, color);
+    return color;
+  }
+
+  static parseHex(css) {
+    const match = /^#([0-9a-f]{3,8})$/i.exec(css.trim());
+    if (!match) return null;
+
+    let hex = match[1];
+    if (hex.length === 3 || hex.length === 4) {
+      hex = [...hex].map((digit) => digit + digit).join("");
+    }
+    if (hex.length !== 6 && hex.length !== 8) return null;
+
+    const channel = (i) => parseInt(hex.slice(i, i + 2), 16) / 255;
+    return [channel(0), channel(2), channel(4), hex.length === 8 ? channel(6) : 1];
+  }
+
+  static parseRgb(css) {
+    const match = /^rgba?\(([^)]*)\)$/i.exec(css.trim());
+    if (!match) return null;
+
+    const parts = match[1].split(/[\s,\/]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+
+    // Percentages are fractions; plain numbers are 0-255, except alpha
+    const value = (part, max) =>
+      part.endsWith("%") ? parseFloat(part) / 100 : parseFloat(part) / max;
+    const alpha = parts[3] === undefined ? 1 : value(parts[3], 1);
+    return [value(parts[0], 255), value(parts[1], 255), value(parts[2], 255), alpha];
+  }
+
+  // Lets the browser normalise anything else to hex or rgba()
+  static resolve(css) {
+    if (typeof document === "undefined") {
+      Debug.warn(`Cannot parse colour "${css}"`);
+      return [1, 1, 1, 1];
+    }
+    if (!Color.resolver) {
+      Color.resolver = document.createElement("canvas").getContext("2d");
+    }
+    Color.resolver.fillStyle = "#000000";
+    Color.resolver.fillStyle = css;
+    const normalised = Color.resolver.fillStyle;
+    return Color.parseHex(normalised) || Color.parseRgb(normalised) || [0, 0, 0, 1];
+  }
+
+  static multiply(a, b) {
+    const colorA = Color.parse(a);
+    const colorB = Color.parse(b);
+    return colorA.map((channel, i) => channel * colorB[i]);
+  }
+
+  static toCss(color) {
+    const [r, g, b, a] = Color.parse(color);
+    return `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${a})`;
+  }
+}
+
 class EventBus {
   constructor() {
     this.listeners = new Map();
@@ -103,6 +188,7 @@ class Debug {
   static showStats = true;
   static showProfiler = true;
   static showQuadtree = false;
+  static showBroadphase = false;
   static showPerformance = true;
   
   // Performance tracking
@@ -114,6 +200,10 @@ class Debug {
   static renderTimes = [];
   static collisionChecks = 0;
   static activeObjects = 0;
+  static awakeBodies = 0;
+  static sleepingBodies = 0;
+  static islands = 0;
+  static broadphaseStats = null;
   static memoryUsage = 0;
   
   // Profiling
@@ -210,6 +300,10 @@ class Debug {
       avgRenderTime: this.getAverageRenderTime(),
       collisionChecks: this.collisionChecks,
       activeObjects: this.activeObjects,
+      awakeBodies: this.awakeBodies,
+      sleepingBodies: this.sleepingBodies,
+      islands: this.islands,
+      broadphase: this.broadphaseStats,
       memoryUsage: this.memoryUsage
     };
   }
@@ -220,6 +314,10 @@ class Debug {
     this.renderTimes = [];
     this.collisionChecks = 0;
     this.activeObjects = 0;
+    this.awakeBodies = 0;
+    this.sleepingBodies = 0;
+    this.islands = 0;
+    this.broadphaseStats = null;
     this.memoryUsage = 0;
   }
   
@@ -268,6 +366,13 @@ class Debug {
       y += lineHeight;
       ctx.fillText(`Collision Checks: ${this.collisionChecks}`, 20, y);
       y += lineHeight;
+      ctx.fillText(`Bodies: ${this.awakeBodies} awake, ${this.sleepingBodies} sleeping`, 20, y);
+      y += lineHeight;
+      if (this.broadphaseStats) {
+        const stats = this.broadphaseStats;
+        ctx.fillText(`Broadphase: ${stats.type}, ${stats.objects} objects, ${stats.reinserts} moved`, 20, y);
+        y += lineHeight;
+      }
       ctx.fillText(`Memory: ${this.memoryUsage}MB`, 20, y);
       y += lineHeight;
     }
@@ -288,7 +393,7 @@ class Debug {
     if (scene) {
       ctx.fillText(`Scene: ${scene.name}`, 20, y);
       y += lineHeight;
-      ctx.fillText(`Camera: (${scene.camera.transform.position.x.toFixed(1)}, ${scene.camera.transform.position.y.toFixed(1)})`, 20, y);
+      ctx.fillText(`Camera: (${scene.camera.position.x.toFixed(1)}, ${scene.camera.position.y.toFixed(1)}), ${scene.cameras.length} total`, 20, y);
     }
     
     ctx.restore();
@@ -311,16 +416,18 @@ class Debug {
     if (!node) return;
     
     // Convert world coordinates to screen coordinates
+    const { width, height } = ctx.canvas;
+    const topLeft = camera.worldToScreenPoint(new Vector2(node.bounds.x, node.bounds.y), width, height);
     const screenBounds = {
-      x: node.bounds.x - camera.transform.position.x + camera.width / 2,
-      y: node.bounds.y - camera.transform.position.y + camera.height / 2,
-      width: node.bounds.width,
-      height: node.bounds.height
+      x: topLeft.x,
+      y: topLeft.y,
+      width: node.bounds.width * camera.zoom,
+      height: node.bounds.height * camera.zoom
     };
     
     // Only draw if visible on screen
-    if (screenBounds.x + screenBounds.width > 0 && screenBounds.x < camera.width &&
-        screenBounds.y + screenBounds.height > 0 && screenBounds.y < camera.height) {
+    if (screenBounds.x + screenBounds.width > 0 && screenBounds.x < width &&
+        screenBounds.y + screenBounds.height > 0 && screenBounds.y < height) {
       
       ctx.strokeRect(screenBounds.x, screenBounds.y, screenBounds.width, screenBounds.height);
       
@@ -362,6 +469,10 @@ class Debug {
   static toggleQuadtree() {
     this.showQuadtree = !this.showQuadtree;
   }
+
+  static toggleBroadphase() {
+    this.showBroadphase = !this.showBroadphase;
+  }
   
   // Reset stats
   static resetStats() {
@@ -370,6 +481,10 @@ class Debug {
     this.renderTimes = [];
     this.collisionChecks = 0;
     this.activeObjects = 0;
+    this.awakeBodies = 0;
+    this.sleepingBodies = 0;
+    this.islands = 0;
+    this.broadphaseStats = null;
     this.memoryUsage = 0;
     this.profilerData.clear();
   }
@@ -458,6 +573,412 @@ class TimerManager {
   }
 }
 
+// ==================== TWEEN SYSTEM ====================
+
+// Easing curves mapping progress 0..1 to eased progress
+class Easing {
+  static linear = (t) => t;
+
+  static easeInQuad = (t) => t * t;
+  static easeOutQuad = (t) => 1 - (1 - t) * (1 - t);
+  static easeInOutQuad = (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2);
+
+  static easeInCubic = (t) => t * t * t;
+  static easeOutCubic = (t) => 1 - Math.pow(1 - t, 3);
+  static easeInOutCubic = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+  static easeInQuart = (t) => t * t * t * t;
+  static easeOutQuart = (t) => 1 - Math.pow(1 - t, 4);
+  static easeInOutQuart = (t) => (t < 0.5 ? 8 * t * t * t * t : 1 - Math.pow(-2 * t + 2, 4) / 2);
+
+  static easeInQuint = (t) => t * t * t * t * t;
+  static easeOutQuint = (t) => 1 - Math.pow(1 - t, 5);
+  static easeInOutQuint = (t) => (t < 0.5 ? 16 * t * t * t * t * t : 1 - Math.pow(-2 * t + 2, 5) / 2);
+
+  static easeInSine = (t) => 1 - Math.cos((t * Math.PI) / 2);
+  static easeOutSine = (t) => Math.sin((t * Math.PI) / 2);
+  static easeInOutSine = (t) => -(Math.cos(Math.PI * t) - 1) / 2;
+
+  static easeInExpo = (t) => (t === 0 ? 0 : Math.pow(2, 10 * t - 10));
+  static easeOutExpo = (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t));
+  static easeInOutExpo = (t) => {
+    if (t === 0 || t === 1) return t;
+    return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+  };
+
+  static easeInCirc = (t) => 1 - Math.sqrt(1 - t * t);
+  static easeOutCirc = (t) => Math.sqrt(1 - Math.pow(t - 1, 2));
+  static easeInOutCirc = (t) =>
+    t < 0.5 ? (1 - Math.sqrt(1 - Math.pow(2 * t, 2))) / 2 : (Math.sqrt(1 - Math.pow(-2 * t + 2, 2)) + 1) / 2;
+
+  // Overshoots by about 10%
+  static easeInBack = (t) => 2.70158 * t * t * t - 1.70158 * t * t;
+  static easeOutBack = (t) => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2);
+  static easeInOutBack = (t) => {
+    const c = 1.70158 * 1.525;
+    return t < 0.5
+      ? (Math.pow(2 * t, 2) * ((c + 1) * 2 * t - c)) / 2
+      : (Math.pow(2 * t - 2, 2) * ((c + 1) * (t * 2 - 2) + c) + 2) / 2;
+  };
+
+  static easeInElastic = (t) => {
+    if (t === 0 || t === 1) return t;
+    return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * ((2 * Math.PI) / 3));
+  };
+  static easeOutElastic = (t) => {
+    if (t === 0 || t === 1) return t;
+    return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * ((2 * Math.PI) / 3)) + 1;
+  };
+  static easeInOutElastic = (t) => {
+    if (t === 0 || t === 1) return t;
+    const c = (2 * Math.PI) / 4.5;
+    return t < 0.5
+      ? -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * c)) / 2
+      : (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * c)) / 2 + 1;
+  };
+
+  static easeOutBounce = (t) => {
+    const n = 7.5625;
+    const d = 2.75;
+    if (t < 1 / d) return n * t * t;
+    if (t < 2 / d) return n * (t -= 1.5 / d) * t + 0.75;
+    if (t < 2.5 / d) return n * (t -= 2.25 / d) * t + 0.9375;
+    return n * (t -= 2.625 / d) * t + 0.984375;
+  };
+  static easeInBounce = (t) => 1 - Easing.easeOutBounce(1 - t);
+  static easeInOutBounce = (t) =>
+    t < 0.5 ? (1 - Easing.easeOutBounce(1 - 2 * t)) / 2 : (1 + Easing.easeOutBounce(2 * t - 1)) / 2;
+
+  // Takes a curve or its name, e.g. "easeOutBack"
+  static get(easing) {
+    if (typeof easing === "function") return easing;
+    if (typeof easing === "string" && typeof Easing[easing] === "function" && easing !== "get") {
+      return Easing[easing];
+    }
+    if (easing !== undefined && easing !== null) {
+      Debug.warn(`Unknown easing "${easing}", using linear`);
+    }
+    return Easing.linear;
+  }
+}
+
+// Animates numeric properties of a target. Playback is a timeline:
+// seek(time) shows the tween at any point, counting delay, repeats and
+// yoyo, which lets sequences and parallel groups drive their children.
+// Tweens are thenable and resolve true when they finish, false if stopped.
+// Keys can be paths like "position.x", looked up on the target every frame.
+// path does the same for the whole tween: new Tween(transform, "position")
+// animates whatever vector the transform holds at the time.
+class Tween {
+  constructor(target = null, path = null) {
+    this.target = target;
+    this.path = path;
+    this.toValues = {};
+    this.fromValues = {};
+    this.startValues = null; // Captured from the target when the tween first shows
+    this.duration = 0;
+    this.easing = Easing.linear;
+    this.delayTime = 0;
+    this.repeatCount = 0;
+    this.yoyoEnabled = false;
+
+    this.time = 0;
+    this.lastIteration = null; // null until the tween has started
+    this.paused = false;
+    this.state = "running"; // "running", "finished" or "stopped"
+    this.manager = null;
+    this.callbacks = { start: [], update: [], repeat: [], complete: [] };
+    this.promise = new Promise((resolve) => (this.resolve = resolve));
+  }
+
+  to(values, duration = this.duration, easing = null) {
+    Object.assign(this.toValues, values);
+    this.duration = duration;
+    if (easing !== null) this.ease(easing);
+    return this;
+  }
+
+  // Start values; by default they are read from the target when the tween starts
+  from(values) {
+    Object.assign(this.fromValues, values);
+    return this;
+  }
+
+  ease(easing) {
+    this.easing = Easing.get(easing);
+    return this;
+  }
+
+  delay(seconds) {
+    this.delayTime = seconds;
+    return this;
+  }
+
+  // Extra plays after the first; Infinity repeats forever
+  repeat(count = Infinity) {
+    this.repeatCount = count;
+    return this;
+  }
+
+  // Every other play runs backwards
+  yoyo(enabled = true) {
+    this.yoyoEnabled = enabled;
+    return this;
+  }
+
+  onStart(callback) {
+    this.callbacks.start.push(callback);
+    return this;
+  }
+
+  onUpdate(callback) {
+    this.callbacks.update.push(callback);
+    return this;
+  }
+
+  onRepeat(callback) {
+    this.callbacks.repeat.push(callback);
+    return this;
+  }
+
+  onComplete(callback) {
+    this.callbacks.complete.push(callback);
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.promise.then(onFulfilled, onRejected);
+  }
+
+  // Length of one play
+  getDuration() {
+    return this.duration;
+  }
+
+  getTotalDuration() {
+    return this.delayTime + this.getDuration() * (this.repeatCount + 1);
+  }
+
+  isPlaying() {
+    return this.state === "running" && !this.paused;
+  }
+
+  update(deltaTime) {
+    if (this.state !== "running") return true;
+    if (this.paused) return false;
+
+    this.time = Math.min(this.time + deltaTime, this.getTotalDuration());
+    this.seek(this.time);
+    return this.state !== "running";
+  }
+
+  seek(time) {
+    const total = this.getTotalDuration();
+    time = Math.min(time, total);
+    const local = time - this.delayTime;
+    // Waiting out the delay
+    if (local < 0 && this.lastIteration === null) return;
+
+    const duration = this.getDuration();
+    let iteration = this.repeatCount;
+    let position = duration;
+    if (duration > 0 && time < total) {
+      iteration = Math.floor(Math.max(0, local) / duration);
+      position = Math.max(0, local) - iteration * duration;
+    }
+    if (this.yoyoEnabled && iteration % 2 === 1) position = duration - position;
+
+    if (this.lastIteration === null) {
+      this.callbacks.start.forEach((callback) => callback(this));
+    } else if (iteration !== this.lastIteration) {
+      this.callbacks.repeat.forEach((callback) => callback(this, iteration));
+    }
+    this.lastIteration = iteration;
+
+    this.render(position, duration);
+    this.callbacks.update.forEach((callback) => callback(this, duration > 0 ? position / duration : 1));
+
+    if (time >= total && this.state === "running") {
+      this.finish(true);
+    }
+  }
+
+  render(position, duration) {
+    if (!this.target) return;
+
+    if (!this.startValues) {
+      this.startValues = {};
+      for (const key of Object.keys(this.toValues)) {
+        this.startValues[key] = key in this.fromValues ? this.fromValues[key] : Tween.getValue(this.target, this.getPath(key));
+      }
+    }
+
+    const k = this.easing(duration > 0 ? position / duration : 1);
+    for (const [key, to] of Object.entries(this.toValues)) {
+      const from = this.startValues[key];
+      Tween.setValue(this.target, this.getPath(key), from + (to - from) * k);
+    }
+  }
+
+  getPath(key) {
+    return this.path ? `${this.path}.${key}` : key;
+  }
+
+  // Whether object is what this tween animates, now
+  animates(object) {
+    return this.target === object || (this.path !== null && Tween.getValue(this.target, this.path) === object);
+  }
+
+  static getValue(target, key) {
+    return key.split(".").reduce((object, name) => (object == null ? undefined : object[name]), target);
+  }
+
+  // Objects on the path are looked up each time, so replacing one, as
+  // Transform.translate() does with position, doesn't strand the tween
+  static setValue(target, key, value) {
+    const names = key.split(".");
+    const last = names.pop();
+    const object = names.reduce((object, name) => (object == null ? undefined : object[name]), target);
+    if (object != null) object[last] = value;
+  }
+
+  pause() {
+    this.paused = true;
+    return this;
+  }
+
+  resume() {
+    this.paused = false;
+    return this;
+  }
+
+  stop() {
+    if (this.state === "running") this.finish(false);
+    return this;
+  }
+
+  // Jumps to the end; endless tweens end after their current play
+  complete() {
+    if (this.state !== "running") return this;
+    const total = this.getTotalDuration();
+    if (Number.isFinite(total)) {
+      this.time = total;
+      this.seek(total);
+    } else {
+      this.render(this.getDuration(), this.getDuration());
+      this.finish(true);
+    }
+    return this;
+  }
+
+  finish(completed) {
+    this.state = completed ? "finished" : "stopped";
+    if (completed) {
+      this.callbacks.complete.forEach((callback) => callback(this));
+    }
+    this.resolve(completed);
+  }
+}
+
+// Plays tweens one after another. add() also takes a number of seconds to
+// wait, or a function to call at that point.
+class TweenSequence extends Tween {
+  constructor(tweens = []) {
+    super(null);
+    this.tweens = [];
+    tweens.forEach((tween) => this.add(tween));
+  }
+
+  add(tween) {
+    if (typeof tween === "number") {
+      tween = new Tween().to({}, tween);
+    } else if (typeof tween === "function") {
+      tween = new Tween().onStart(tween);
+    }
+    // Children are driven by the group, not by a manager
+    if (tween.manager) tween.manager.remove(tween);
+    this.tweens.push(tween);
+    return this;
+  }
+
+  getDuration() {
+    return this.tweens.reduce((sum, tween) => sum + tween.getTotalDuration(), 0);
+  }
+
+  // Children outside position are settled first, so the running one has the
+  // last word on properties several children animate
+  render(position) {
+    const active = [];
+    let offset = 0;
+    for (const tween of this.tweens) {
+      const local = position - offset;
+      const total = tween.getTotalDuration();
+      if (local >= 0 && local < total) {
+        active.push([tween, local]);
+      } else {
+        tween.seek(Math.min(local, total));
+      }
+      offset += total;
+    }
+    active.forEach(([tween, local]) => tween.seek(local));
+  }
+}
+
+// Plays tweens at the same time and finishes with the longest
+class TweenParallel extends TweenSequence {
+  getDuration() {
+    return Math.max(0, ...this.tweens.map((tween) => tween.getTotalDuration()));
+  }
+
+  render(position) {
+    this.tweens.forEach((tween) => tween.seek(position));
+  }
+}
+
+// Runs a scene's tweens from its update, so they stop while the engine is paused
+class TweenManager {
+  constructor() {
+    this.tweens = [];
+  }
+
+  add(tween) {
+    tween.manager = this;
+    this.tweens.push(tween);
+    return tween;
+  }
+
+  remove(tween) {
+    const index = this.tweens.indexOf(tween);
+    if (index > -1) {
+      this.tweens.splice(index, 1);
+    }
+    tween.manager = null;
+  }
+
+  update(deltaTime) {
+    for (const tween of [...this.tweens]) {
+      if (tween.update(deltaTime)) {
+        this.remove(tween);
+      }
+    }
+  }
+
+  // Stops every tween animating target
+  killTweensOf(target) {
+    for (const tween of [...this.tweens]) {
+      if (tween.animates(target)) {
+        tween.stop();
+        this.remove(tween);
+      }
+    }
+  }
+
+  clear() {
+    this.tweens.forEach((tween) => tween.stop());
+    this.tweens = [];
+  }
+}
+
 // ==================== PHYSICS LAYERS SYSTEM ====================
 
 class PhysicsLayers {
@@ -474,22 +995,88 @@ class PhysicsLayers {
 
   static collisionMatrix = new Map();
 
+  static maxLayers = 32;
+
+  // Unknown names already warned about, so lookups don't warn every frame
+  static unknownLayers = new Set();
+
+  // Registers a layer name and returns its id
+  static addLayer(name) {
+    if (this.layers[name] !== undefined) return this.layers[name];
+
+    const nextId = Math.max(-1, ...Object.values(this.layers)) + 1;
+    if (nextId >= this.maxLayers) {
+      Debug.error(`Cannot add layer "${name}": all ${this.maxLayers} layers are in use`);
+      return undefined;
+    }
+    this.layers[name] = nextId;
+    this.unknownLayers.delete(name);
+    return nextId;
+  }
+
+  // Returns undefined for names that were never added, so a typo can't
+  // use up a layer
+  static getLayerId(layer) {
+    if (typeof layer !== "string") return layer;
+
+    if (this.layers[layer] === undefined) {
+      if (!this.unknownLayers.has(layer)) {
+        this.unknownLayers.add(layer);
+        Debug.warn(`Unknown physics layer "${layer}"; add it with addLayer() or setCollisionRule()`);
+      }
+      return undefined;
+    }
+    return this.layers[layer];
+  }
+
+  // Names used in a rule are added as layers
   static setCollisionRule(layerA, layerB, canCollide) {
-    const layerAId = typeof layerA === "string" ? this.layers[layerA] : layerA;
-    const layerBId = typeof layerB === "string" ? this.layers[layerB] : layerB;
+    const layerAId = typeof layerA === "string" ? this.addLayer(layerA) : layerA;
+    const layerBId = typeof layerB === "string" ? this.addLayer(layerB) : layerB;
+    if (layerAId === undefined || layerBId === undefined) return;
 
     const key = this.getMatrixKey(layerAId, layerBId);
     this.collisionMatrix.set(key, canCollide);
   }
 
   static canCollide(layerA, layerB) {
-    const layerAId = typeof layerA === "string" ? this.layers[layerA] : layerA;
-    const layerBId = typeof layerB === "string" ? this.layers[layerB] : layerB;
+    const layerAId = this.getLayerId(layerA);
+    const layerBId = this.getLayerId(layerB);
+    if (layerAId === undefined || layerBId === undefined) return false;
 
     const key = this.getMatrixKey(layerAId, layerBId);
     return this.collisionMatrix.get(key) || false;
   }
 
+  // Bitmask of the given layers, e.g. getMask("Platform", "Enemy")
+  static getMask(...layers) {
+    let mask = 0;
+    for (const layer of layers.flat()) {
+      const id = this.getLayerId(layer);
+      if (id !== undefined) mask |= 1 << id;
+    }
+    return mask;
+  }
+
+  // Bitmask of every layer the given layer collides with
+  static getCollisionMask(layer) {
+    let mask = 0;
+    for (const id of Object.values(this.layers)) {
+      if (this.canCollide(layer, id)) mask |= 1 << id;
+    }
+    return mask;
+  }
+
+  // Masks may be a bitmask, a layer name or an array of names;
+  // null or undefined matches every layer
+  static maskContains(layerMask, layer) {
+    if (layerMask === null || layerMask === undefined) return true;
+
+    const mask = typeof layerMask === "number" ? layerMask : this.getMask(layerMask);
+    const id = this.getLayerId(layer);
+    return id !== undefined && (mask & (1 << id)) !== 0;
+  }
+
   static getMatrixKey(layerA, layerB) {
     return layerA <= layerB ? `${layerA}-${layerB}` : `${layerB}-${layerA}`;
   }
@@ -510,6 +1097,58 @@ class PhysicsLayers {
 // Initialize default collision rules
 PhysicsLayers.initializeDefaults();
 
+// ==================== PHYSICS MATERIALS ====================
+
+// Surface properties shared between colliders, e.g. one "Ice" material
+// used by every frozen platform in a level
+class PhysicsMaterial {
+  // When two materials use different rules, the one later in this list wins
+  static combinePriority = ["average", "min", "multiply", "max"];
+
+  constructor(name = "Default", config = {}) {
+    this.name = name;
+    this.restitution = config.restitution ?? 0;
+    this.friction = config.friction ?? 0.4;
+    this.density = config.density ?? 1;
+    this.frictionCombine = config.frictionCombine || "average";
+    this.restitutionCombine = config.restitutionCombine || "max";
+  }
+
+  static combine(valueA, valueB, ruleA = "average", ruleB = "average") {
+    const rule =
+      this.combinePriority.indexOf(ruleA) >= this.combinePriority.indexOf(ruleB)
+        ? ruleA
+        : ruleB;
+
+    switch (rule) {
+      case "min":
+        return Math.min(valueA, valueB);
+      case "max":
+        return Math.max(valueA, valueB);
+      case "multiply":
+        return valueA * valueB;
+      case "average":
+      default:
+        return (valueA + valueB) / 2;
+    }
+  }
+
+  clone(name = this.name) {
+    return new PhysicsMaterial(name, this);
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      restitution: this.restitution,
+      friction: this.friction,
+      density: this.density,
+      frictionCombine: this.frictionCombine,
+      restitutionCombine: this.restitutionCombine,
+    };
+  }
+}
+
 // ==================== FINITE STATE MACHINE SYSTEM ====================
 
 class State {
@@ -559,6 +1198,12 @@ class Component {
   onCollisionEnter(other) {}
   onCollisionExit(other) {}
 
+  // Components that can be saved with a scene return plain data with a
+  // `type` that SceneManager.deserializeComponent understands
+  serialize() {
+    return null;
+  }
+
   sendMessage(message, data = null) {
     if (this.gameObject) {
       this.gameObject.sendMessage(message, data);
@@ -619,31 +1264,352 @@ class StateMachine extends Component {
   }
 }
 
-// ==================== TILEMAP SYSTEM ====================
+// Plays SpriteRenderer animations from a graph of states. Transitions
+// fire on parameter conditions ("speed > 10", "grounded == false", a
+// trigger name) and/or once the current clip reaches an exit time, given
+// in loops of the clip (1 = the end of the first play through).
+class Animator extends Component {
+  static conditionPattern = /^\s*(!?)\s*([\w.]+)\s*(?:(==|!=|>=|<=|>|<)\s*(\S+))?\s*$/;
 
-class Tilemap extends Component {
-  constructor(tileWidth = 32, tileHeight = 32) {
+  constructor() {
     super();
-    this.tileWidth = tileWidth;
-    this.tileHeight = tileHeight;
-    this.tiles = [];
-    this.width = 0;
-    this.height = 0;
-    this.tileSprites = new Map(); // tile id -> sprite
-    this.collisionLayer = [];
+    this.parameters = new Map(); // name -> { type, value }
+    this.states = new Map(); // name -> { name, clip, speed, onEnter, onExit, transitions }
+    this.anyStateTransitions = [];
+    this.events = new Map(); // clip -> Map(frame -> [callback or message])
+    this.defaultState = null;
+    this.currentState = null;
+    this.lastFrame = null; // "loop:frame" of the last frame events ran for
+    this.sprite = null;
   }
 
-  loadFromArray(mapData, mapWidth, mapHeight) {
-    this.width = mapWidth;
-    this.height = mapHeight;
-    this.tiles = mapData;
+  start() {
+    this.started = true;
+    this.sprite = this.gameObject.getComponent(SpriteRenderer);
+    if (!this.sprite) {
+      Debug.warn(`Animator on ${this.gameObject.name} needs a SpriteRenderer`);
+      return;
+    }
+    if (this.defaultState && !this.currentState) {
+      this.play(this.defaultState);
+    }
+  }
 
-    // Initialize collision layer (0 = passable, 1 = solid)
-    this.collisionLayer = new Array(mapWidth * mapHeight).fill(0);
+  // Clips are stored on the SpriteRenderer, as with addAnimation()
+  addClip(name, frames, frameDuration = 0.1, loop = true) {
+    const sprite = this.sprite || this.gameObject?.getComponent(SpriteRenderer);
+    if (!sprite) {
+      Debug.warn("Animator.addClip() needs a SpriteRenderer on the object");
+      return this;
+    }
+    sprite.addAnimation(name, frames, frameDuration, loop);
+    return this;
   }
 
-  setCollisionLayer(collisionData) {
-    this.collisionLayer = collisionData;
+  // type: "bool", "float", "int" or "trigger"
+  addParameter(name, type = "float", defaultValue = null) {
+    const value = defaultValue ?? (type === "bool" || type === "trigger" ? false : 0);
+    this.parameters.set(name, { type, value });
+    return this;
+  }
+
+  hasParameter(name) {
+    return this.parameters.has(name);
+  }
+
+  getParameter(name) {
+    const parameter = this.parameters.get(name);
+    return parameter ? parameter.value : undefined;
+  }
+
+  setParameter(name, value) {
+    const parameter = this.parameters.get(name);
+    if (!parameter) {
+      Debug.warn(`Animator parameter '${name}' not found`);
+      return;
+    }
+    parameter.value = parameter.type === "int" ? Math.trunc(value) : value;
+  }
+
+  setBool(name, value) {
+    this.setParameter(name, !!value);
+  }
+
+  setFloat(name, value) {
+    this.setParameter(name, value);
+  }
+
+  setInteger(name, value) {
+    this.setParameter(name, value);
+  }
+
+  // Triggers stay set until a transition uses them
+  setTrigger(name) {
+    this.setParameter(name, true);
+  }
+
+  resetTrigger(name) {
+    this.setParameter(name, false);
+  }
+
+  // options: clip (defaults to the state name), speed, onEnter, onExit.
+  // The first state added is the default.
+  addState(name, options = {}) {
+    this.states.set(name, {
+      name,
+      clip: options.clip || name,
+      speed: options.speed ?? 1,
+      onEnter: options.onEnter || null,
+      onExit: options.onExit || null,
+      transitions: [],
+    });
+    if (!this.defaultState) this.defaultState = name;
+    return this;
+  }
+
+  setDefaultState(name) {
+    this.defaultState = name;
+    return this;
+  }
+
+  // from may be "*" for any state. options: conditions (a string, or an
+  // array of strings or { parameter, operator, value }), hasExitTime and
+  // exitTime. Transitions are checked in the order they were added.
+  addTransition(from, to, options = {}) {
+    let conditions = options.conditions || [];
+    if (!Array.isArray(conditions)) conditions = [conditions];
+
+    const transition = {
+      from,
+      to,
+      conditions: conditions.map((condition) => Animator.parseCondition(condition)),
+      hasExitTime: options.hasExitTime ?? conditions.length === 0,
+      exitTime: options.exitTime ?? 1,
+    };
+
+    if (from === "*") {
+      this.anyStateTransitions.push(transition);
+    } else if (this.states.has(from)) {
+      this.states.get(from).transitions.push(transition);
+    } else {
+      Debug.warn(`Animator state '${from}' not found`);
+    }
+    return this;
+  }
+
+  static parseCondition(condition) {
+    if (typeof condition !== "string") return condition;
+
+    const match = Animator.conditionPattern.exec(condition);
+    if (!match) {
+      Debug.warn(`Cannot parse animator condition "${condition}"`);
+      return { parameter: null, operator: "==", value: true };
+    }
+
+    const [, not, parameter, operator, raw] = match;
+    if (!operator) {
+      // "jump" or "grounded", and "!grounded"
+      return { parameter, operator: "==", value: !not };
+    }
+
+    let value = raw;
+    if (raw === "true" || raw === "false") value = raw === "true";
+    else if (!isNaN(Number(raw))) value = Number(raw);
+    return { parameter, operator, value };
+  }
+
+  checkCondition(condition) {
+    const value = this.getParameter(condition.parameter);
+    if (value === undefined) return false;
+
+    switch (condition.operator) {
+      case "==": return value === condition.value;
+      case "!=": return value !== condition.value;
+      case ">": return value > condition.value;
+      case "<": return value < condition.value;
+      case ">=": return value >= condition.value;
+      case "<=": return value <= condition.value;
+      default: return false;
+    }
+  }
+
+  // Switches state straight away, without checking transitions
+  play(stateName) {
+    const state = this.states.get(stateName);
+    if (!state) {
+      Debug.warn(`Animator state '${stateName}' not found`);
+      return false;
+    }
+    if (!this.sprite) return false;
+
+    const previous = this.currentState;
+    if (previous && previous.onExit) previous.onExit(this);
+
+    this.currentState = state;
+    this.lastFrame = null;
+    this.sprite.animationSpeed = state.speed;
+    if (!this.sprite.playAnimation(state.clip)) {
+      Debug.warn(`Animator clip '${state.clip}' not found on the SpriteRenderer`);
+    }
+
+    if (state.onEnter) state.onEnter(this);
+    this.fireEvents();
+    return true;
+  }
+
+  getCurrentStateName() {
+    return this.currentState ? this.currentState.name : null;
+  }
+
+  isInState(name) {
+    return this.getCurrentStateName() === name;
+  }
+
+  // How far through the current clip: 0.5 halfway, 2 after two loops
+  getNormalizedTime() {
+    const sprite = this.sprite;
+    if (sprite && sprite.skeleton && sprite.skeleton.animations.has(this.currentState?.clip)) {
+      return sprite.skeleton.getNormalizedTime();
+    }
+    const clip = sprite && sprite.animations.get(this.currentState?.clip);
+    if (!clip || clip.frames.length === 0) return 0;
+    if (!sprite.playing && !clip.loop) return 1;
+
+    const duration =
+      ((clip.frameDurations && clip.frameDurations[sprite.currentFrame]) || sprite.frameDuration) /
+      sprite.animationSpeed;
+    const frame = sprite.currentFrame + Math.min(1, sprite.frameTimer / duration);
+    return sprite.animationLoops + frame / clip.frames.length;
+  }
+
+  update(deltaTime) {
+    if (!this.currentState) return;
+
+    const normalizedTime = this.getNormalizedTime();
+    const transitions = this.anyStateTransitions
+      .filter((transition) => transition.to !== this.currentState.name)
+      .concat(this.currentState.transitions);
+
+    for (const transition of transitions) {
+      if (transition.hasExitTime && normalizedTime < transition.exitTime) continue;
+      if (!transition.conditions.every((condition) => this.checkCondition(condition))) continue;
+
+      // Used triggers are cleared so they fire once
+      for (const condition of transition.conditions) {
+        const parameter = this.parameters.get(condition.parameter);
+        if (parameter && parameter.type === "trigger") parameter.value = false;
+      }
+      this.play(transition.to);
+      return;
+    }
+  }
+
+  // Runs after the SpriteRenderer has advanced, to catch frame changes
+  lateUpdate(deltaTime) {
+    if (!this.currentState || !this.sprite) return;
+    this.fireEvents();
+  }
+
+  // callback is a function, called with (animator, { clip, frame }), or a
+  // message name sent to the object's components through onMessage
+  addEvent(clip, frame, callback) {
+    if (!this.events.has(clip)) this.events.set(clip, new Map());
+    const frames = this.events.get(clip);
+    if (!frames.has(frame)) frames.set(frame, []);
+    frames.get(frame).push(callback);
+    return this;
+  }
+
+  fireEvents() {
+    const frame = this.sprite.currentFrame;
+    const key = `${this.sprite.animationLoops}:${frame}`;
+    if (key === this.lastFrame) return;
+    this.lastFrame = key;
+
+    const clip = this.currentState.clip;
+    const callbacks = this.events.get(clip)?.get(frame);
+    if (!callbacks) return;
+
+    for (const callback of callbacks) {
+      try {
+        if (typeof callback === "function") {
+          callback(this, { clip, frame });
+        } else {
+          this.sendMessage(callback, { clip, frame });
+        }
+      } catch (error) {
+        Debug.error(`Error in animation event on ${clip} frame ${frame}:`, error);
+      }
+    }
+  }
+}
+
+// ==================== TILEMAP SYSTEM ====================
+
+class Tilemap extends Component {
+  // Values used in the collision layer. Slopes are named after the side they
+  // rise towards; a 22.5° slope spans two tiles, a LOW one and a HIGH one.
+  static collisionTypes = {
+    EMPTY: 0,
+    SOLID: 1,
+    ONE_WAY: 2,
+    SLOPE_45_RIGHT: 3,
+    SLOPE_45_LEFT: 4,
+    SLOPE_22_RIGHT_LOW: 5,
+    SLOPE_22_RIGHT_HIGH: 6,
+    SLOPE_22_LEFT_LOW: 7,
+    SLOPE_22_LEFT_HIGH: 8,
+  };
+
+  // Floor height at the [left, right] edge of each slope tile,
+  // as a fraction of the tile height
+  static slopeHeights = {
+    3: [0, 1],
+    4: [1, 0],
+    5: [0, 0.5],
+    6: [0.5, 1],
+    7: [0.5, 0],
+    8: [1, 0.5],
+  };
+
+  constructor(tileWidth = 32, tileHeight = 32) {
+    super();
+    this.tileWidth = tileWidth;
+    this.tileHeight = tileHeight;
+    this.tiles = [];
+    this.width = 0;
+    this.height = 0;
+    this.tileSprites = new Map(); // tile id -> sprite
+    this.collisionLayer = [];
+    this.physicsLayer = "Environment"; // Checked against collider layers
+    // Cells outside the grid are empty unless this is set, which walls the
+    // level in at its edges
+    this.solidEdges = false;
+    // Solid tiles and the ids in occluderTiles block light when set
+    this.castShadows = false;
+    this.occluderTiles = new Set();
+    // Draw order, as for sprites. Use "Foreground" for overlays.
+    this.sortingLayer = "Background";
+    this.orderInLayer = 0;
+  }
+
+  setSortingLayer(name, orderInLayer = this.orderInLayer) {
+    this.sortingLayer = name;
+    this.orderInLayer = orderInLayer;
+    return this;
+  }
+
+  loadFromArray(mapData, mapWidth, mapHeight) {
+    this.width = mapWidth;
+    this.height = mapHeight;
+    this.tiles = mapData;
+
+    // Initialize collision layer (0 = passable, 1 = solid)
+    this.collisionLayer = new Array(mapWidth * mapHeight).fill(0);
+  }
+
+  setCollisionLayer(collisionData) {
+    this.collisionLayer = collisionData;
   }
 
   setTileSprite(tileId, imageSrc) {
@@ -668,6 +1634,208 @@ class Tilemap extends Component {
     return this.collisionLayer[y * this.width + x] === 1;
   }
 
+  setOccluderTiles(...tileIds) {
+    this.occluderTiles = new Set(tileIds);
+    this.castShadows = true;
+    return this;
+  }
+
+  isOccluderAt(x, y) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return false;
+    return (
+      this.getCollisionTypeAt(x, y) === Tilemap.collisionTypes.SOLID ||
+      this.occluderTiles.has(this.getTileAt(x, y))
+    );
+  }
+
+  // Outline of the occluder tiles inside bounds. Edges between two
+  // occluders are left out, as no light reaches them. The tile holding
+  // origin, if any, counts as empty so a light inside it isn't shut in.
+  getOccluderSegments(bounds, origin = null) {
+    const segments = [];
+    const range = this.getVisibleTileRange(bounds);
+    const skip = origin ? this.worldToTile(origin.x, origin.y) : null;
+    const isOccluderAt = (x, y) => !(skip && skip.x === x && skip.y === y) && this.isOccluderAt(x, y);
+    for (let y = range.startY; y <= range.endY; y++) {
+      for (let x = range.startX; x <= range.endX; x++) {
+        if (!isOccluderAt(x, y)) continue;
+
+        const pos = this.tileToWorld(x, y);
+        const left = pos.x;
+        const top = pos.y;
+        const right = left + this.tileWidth;
+        const bottom = top + this.tileHeight;
+        if (!isOccluderAt(x, y - 1)) segments.push({ a: new Vector2(left, top), b: new Vector2(right, top) });
+        if (!isOccluderAt(x + 1, y)) segments.push({ a: new Vector2(right, top), b: new Vector2(right, bottom) });
+        if (!isOccluderAt(x, y + 1)) segments.push({ a: new Vector2(left, bottom), b: new Vector2(right, bottom) });
+        if (!isOccluderAt(x - 1, y)) segments.push({ a: new Vector2(left, top), b: new Vector2(left, bottom) });
+      }
+    }
+    return segments;
+  }
+
+  getCollisionTypeAt(x, y) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
+      return this.solidEdges ? Tilemap.collisionTypes.SOLID : Tilemap.collisionTypes.EMPTY;
+    }
+    return this.collisionLayer[y * this.width + x] || Tilemap.collisionTypes.EMPTY;
+  }
+
+  isSlope(type) {
+    return Tilemap.slopeHeights[type] !== undefined;
+  }
+
+  // World y of a slope tile's surface at worldX
+  getSlopeSurface(tileX, tileY, worldX) {
+    const [leftHeight, rightHeight] = Tilemap.slopeHeights[this.getCollisionTypeAt(tileX, tileY)];
+    const t = Math.max(0, Math.min(1, worldX / this.tileWidth - tileX));
+    const height = leftHeight + (rightHeight - leftHeight) * t;
+    return (tileY + 1 - height) * this.tileHeight;
+  }
+
+  getSlopeNormal(type) {
+    const [leftHeight, rightHeight] = Tilemap.slopeHeights[type];
+    return new Vector2(
+      -(rightHeight - leftHeight) * this.tileHeight,
+      -this.tileWidth
+    ).normalize();
+  }
+
+  // Moves an axis-aligned box { left, right, top, bottom } by `delta`, first
+  // along x and then along y, stopping at solid tiles. Slopes hold the box up
+  // by its bottom centre and one-way tiles only stop it from above.
+  // Options: grounded (keeps the box on slopes it walks down), dropThrough
+  // (ignore one-way tiles).
+  sweepBox(bounds, delta, options = {}) {
+    const types = Tilemap.collisionTypes;
+    const epsilon = 0.01;
+    const result = {
+      delta: delta.copy(),
+      hitX: false,
+      hitY: false,
+      grounded: false,
+      ceiling: false,
+      normal: null,
+    };
+
+    const rowTop = Math.floor((bounds.top + epsilon) / this.tileHeight);
+    const rowBottom = Math.floor((bounds.bottom - epsilon) / this.tileHeight);
+
+    // Horizontal pass
+    if (delta.x !== 0) {
+      const direction = Math.sign(delta.x);
+      const edge = direction > 0 ? bounds.right : bounds.left;
+      const target = edge + delta.x;
+      const firstColumn = Math.floor((edge - direction * epsilon) / this.tileWidth) + direction;
+      const lastColumn = Math.floor((target - direction * epsilon) / this.tileWidth);
+
+      for (let x = firstColumn; direction > 0 ? x <= lastColumn : x >= lastColumn; x += direction) {
+        if (!this.blocksHorizontally(x, rowTop, rowBottom, direction)) continue;
+
+        const wall = direction > 0 ? x * this.tileWidth : (x + 1) * this.tileWidth;
+        result.delta.x = wall - edge;
+        result.hitX = true;
+        result.normal = new Vector2(-direction, 0);
+        break;
+      }
+    }
+
+    const left = bounds.left + result.delta.x;
+    const right = bounds.right + result.delta.x;
+    const columnLeft = Math.floor((left + epsilon) / this.tileWidth);
+    const columnRight = Math.floor((right - epsilon) / this.tileWidth);
+
+    // Vertical pass: ceilings
+    if (delta.y < 0) {
+      const target = bounds.top + delta.y;
+      const firstRow = Math.floor((bounds.top + epsilon) / this.tileHeight) - 1;
+      const lastRow = Math.floor((target + epsilon) / this.tileHeight);
+
+      for (let y = firstRow; y >= lastRow; y--) {
+        let blocked = false;
+        for (let x = columnLeft; x <= columnRight && !blocked; x++) {
+          const type = this.getCollisionTypeAt(x, y);
+          blocked = type === types.SOLID || this.isSlope(type);
+        }
+        if (!blocked) continue;
+
+        result.delta.y = (y + 1) * this.tileHeight - bounds.top;
+        result.hitY = true;
+        result.ceiling = true;
+        break;
+      }
+      return result;
+    }
+
+    // Vertical pass: floors. Rising up a slope or stepping off its top may
+    // lift the box by up to its horizontal movement (45° at most).
+    const bottom = bounds.bottom;
+    const climb = Math.abs(result.delta.x) + 1;
+    const snap = options.grounded ? Math.abs(result.delta.x) + 2 : 0;
+    const reachTop = bottom - climb;
+    const reachBottom = bottom + delta.y + snap;
+    const centerX = (left + right) / 2;
+    const centerColumn = Math.floor(centerX / this.tileWidth);
+
+    let floor = Infinity;
+    let floorNormal = null;
+    const firstRow = Math.floor(reachTop / this.tileHeight);
+    const lastRow = Math.floor(reachBottom / this.tileHeight);
+
+    for (let y = firstRow; y <= lastRow; y++) {
+      const top = y * this.tileHeight;
+
+      // While the centre is over a slope, the slope alone sets the height
+      // in this row, even if a corner still hangs over a solid tile
+      const centerType = this.getCollisionTypeAt(centerColumn, y);
+      if (this.isSlope(centerType)) {
+        const surface = this.getSlopeSurface(centerColumn, y, centerX);
+        if (surface >= reachTop && surface <= reachBottom && surface < floor) {
+          floor = surface;
+          floorNormal = this.getSlopeNormal(centerType);
+        }
+        continue;
+      }
+
+      for (let x = columnLeft; x <= columnRight; x++) {
+        const type = this.getCollisionTypeAt(x, y);
+        const blocks =
+          (type === types.SOLID && top >= reachTop) ||
+          (type === types.ONE_WAY && !options.dropThrough && top >= bottom - epsilon);
+
+        if (blocks && top <= reachBottom && top < floor) {
+          floor = top;
+          floorNormal = new Vector2(0, -1);
+        }
+      }
+    }
+
+    if (floor !== Infinity) {
+      result.delta.y = floor - bottom;
+      result.hitY = true;
+      result.grounded = true;
+      result.normal = floorNormal;
+    }
+
+    return result;
+  }
+
+  // A solid tile does not block the row the box stands in when it continues
+  // the high edge of a slope the box is walking up
+  blocksHorizontally(x, rowTop, rowBottom, direction) {
+    for (let y = rowTop; y <= rowBottom; y++) {
+      if (this.getCollisionTypeAt(x, y) !== Tilemap.collisionTypes.SOLID) continue;
+
+      if (y === rowBottom) {
+        const behind = this.getCollisionTypeAt(x - direction, y);
+        const heights = Tilemap.slopeHeights[behind];
+        if (heights && heights[direction > 0 ? 1 : 0] === 1) continue;
+      }
+      return true;
+    }
+    return false;
+  }
+
   worldToTile(worldX, worldY) {
     return {
       x: Math.floor(worldX / this.tileWidth),
@@ -698,31 +1866,23 @@ class Tilemap extends Component {
     return false;
   }
 
-  draw(ctx, camera) {
-    const viewBounds = camera.getViewBounds(
-      ctx.canvas.width,
-      ctx.canvas.height
-    );
+  // Tile coordinates covering a { left, right, top, bottom } world area
+  getVisibleTileRange(viewBounds) {
+    return {
+      startX: Math.max(0, Math.floor(viewBounds.left / this.tileWidth)),
+      endX: Math.min(this.width - 1, Math.floor(viewBounds.right / this.tileWidth)),
+      startY: Math.max(0, Math.floor(viewBounds.top / this.tileHeight)),
+      endY: Math.min(this.height - 1, Math.floor(viewBounds.bottom / this.tileHeight)),
+    };
+  }
 
-    const startTileX = Math.max(
-      0,
-      Math.floor(viewBounds.left / this.tileWidth)
-    );
-    const endTileX = Math.min(
-      this.width - 1,
-      Math.floor(viewBounds.right / this.tileWidth)
-    );
-    const startTileY = Math.max(
-      0,
-      Math.floor(viewBounds.top / this.tileHeight)
-    );
-    const endTileY = Math.min(
-      this.height - 1,
-      Math.floor(viewBounds.bottom / this.tileHeight)
+  draw(ctx, camera) {
+    const range = this.getVisibleTileRange(
+      camera.getViewBounds(ctx.canvas.width, ctx.canvas.height)
     );
 
-    for (let x = startTileX; x <= endTileX; x++) {
-      for (let y = startTileY; y <= endTileY; y++) {
+    for (let x = range.startX; x <= range.endX; x++) {
+      for (let y = range.startY; y <= range.endY; y++) {
         const tileId = this.getTileAt(x, y);
         if (tileId === 0) continue;
 
@@ -740,28 +1900,52 @@ class Tilemap extends Component {
       }
     }
 
-    // Debug draw collision layer
     if (Debug.enabled) {
-      ctx.save();
-      ctx.fillStyle = "rgba(255, 0, 0, 0.3)";
-      for (let x = startTileX; x <= endTileX; x++) {
-        for (let y = startTileY; y <= endTileY; y++) {
-          if (this.isCollisionAt(x, y)) {
-            const worldPos = this.tileToWorld(x, y);
-            ctx.fillRect(
-              worldPos.x,
-              worldPos.y,
-              this.tileWidth,
-              this.tileHeight
-            );
-          }
+      this.drawCollisionDebug(ctx, range);
+    }
+  }
+
+  // Shades solid, one-way and slope tiles
+  drawCollisionDebug(ctx, range) {
+    ctx.save();
+    ctx.fillStyle = "rgba(255, 0, 0, 0.3)";
+    for (let x = range.startX; x <= range.endX; x++) {
+      for (let y = range.startY; y <= range.endY; y++) {
+        const type = this.getCollisionTypeAt(x, y);
+        const worldPos = this.tileToWorld(x, y);
+
+        if (type === Tilemap.collisionTypes.SOLID) {
+          ctx.fillRect(
+            worldPos.x,
+            worldPos.y,
+            this.tileWidth,
+            this.tileHeight
+          );
+        } else if (type === Tilemap.collisionTypes.ONE_WAY) {
+          ctx.fillRect(worldPos.x, worldPos.y, this.tileWidth, 3);
+        } else if (this.isSlope(type)) {
+          const bottom = worldPos.y + this.tileHeight;
+          ctx.beginPath();
+          ctx.moveTo(worldPos.x, bottom);
+          ctx.lineTo(worldPos.x, this.getSlopeSurface(x, y, worldPos.x));
+          ctx.lineTo(
+            worldPos.x + this.tileWidth,
+            this.getSlopeSurface(x, y, worldPos.x + this.tileWidth)
+          );
+          ctx.lineTo(worldPos.x + this.tileWidth, bottom);
+          ctx.closePath();
+          ctx.fill();
         }
       }
-      ctx.restore();
     }
+    ctx.restore();
   }
 }
 
+// Position, rotation and scale are local: relative to the parent transform,
+// or to the world for root objects. The world* accessors convert through the
+// parent chain. Non-uniform parent scale combined with rotation would skew
+// children, which these accessors do not represent.
 class Transform extends Component {
   constructor(position = Vector2.zero(), rotation = 0, scale = Vector2.one()) {
     super();
@@ -772,12 +1956,79 @@ class Transform extends Component {
     this.children = [];
   }
 
+  // Maps a point from this transform's local space to world space
+  transformPoint(point) {
+    const scaled = new Vector2(point.x * this.scale.x, point.y * this.scale.y);
+    const inParent = scaled.rotate(this.rotation || 0).add(this.position);
+    return this.parent ? this.parent.transformPoint(inParent) : inParent;
+  }
+
+  inverseTransformPoint(point) {
+    const inParent = this.parent ? this.parent.inverseTransformPoint(point) : point;
+    const local = inParent.subtract(this.position).rotate(-(this.rotation || 0));
+    return new Vector2(local.x / this.scale.x, local.y / this.scale.y);
+  }
+
+  get worldPosition() {
+    return this.parent ? this.parent.transformPoint(this.position) : this.position.copy();
+  }
+
+  set worldPosition(position) {
+    this.position = this.parent
+      ? this.parent.inverseTransformPoint(position)
+      : new Vector2(position.x, position.y);
+  }
+
+  get worldRotation() {
+    return (this.parent ? this.parent.worldRotation : 0) + (this.rotation || 0);
+  }
+
+  set worldRotation(rotation) {
+    this.rotation = rotation - (this.parent ? this.parent.worldRotation : 0);
+  }
+
+  get worldScale() {
+    if (!this.parent) return this.scale.copy();
+    const parentScale = this.parent.worldScale;
+    return new Vector2(this.scale.x * parentScale.x, this.scale.y * parentScale.y);
+  }
+
+  set worldScale(scale) {
+    const parentScale = this.parent ? this.parent.worldScale : Vector2.one();
+    this.scale = new Vector2(scale.x / parentScale.x, scale.y / parentScale.y);
+  }
+
   getWorldPosition() {
-    if (!this.parent) return this.position.copy();
-    return this.parent.getWorldPosition().add(this.position);
+    return this.worldPosition;
+  }
+
+  // Moves by a world-space offset
+  translate(offset) {
+    this.worldPosition = this.worldPosition.add(offset);
+  }
+
+  isChildOf(transform) {
+    for (let node = this.parent; node; node = node.parent) {
+      if (node === transform) return true;
+    }
+    return false;
   }
 
-  setParent(parent) {
+  // With worldPositionStays the object keeps its place in the world;
+  // otherwise its local values are kept and it moves with the new parent
+  setParent(parent, worldPositionStays = true) {
+    if (parent instanceof GameObject) parent = parent.transform;
+    if (parent === this.parent) return;
+
+    if (parent && (parent === this || parent.isChildOf(this))) {
+      Debug.warn("Cannot parent a transform to itself or one of its children");
+      return;
+    }
+
+    const worldPosition = this.worldPosition;
+    const worldRotation = this.worldRotation;
+    const worldScale = this.worldScale;
+
     if (this.parent) {
       const index = this.parent.children.indexOf(this);
       if (index > -1) this.parent.children.splice(index, 1);
@@ -787,40 +2038,368 @@ class Transform extends Component {
     if (parent) {
       parent.children.push(this);
     }
+
+    if (worldPositionStays) {
+      this.worldPosition = worldPosition;
+      this.worldRotation = worldRotation;
+      this.worldScale = worldScale;
+    }
   }
 }
 
-class SpriteRenderer extends Component {
-  constructor(imageSrc = null, width = 32, height = 32, layer = 0) {
+// Background layers that scroll slower than the world. A scrollFactor of 0
+// stays fixed to the camera, 1 moves with the world. Layers are drawn back
+// to front in the order given, before tilemaps in the Background layer.
+class ParallaxBackground extends Component {
+  constructor(layers = []) {
     super();
-    this.imageSrc = imageSrc;
-    this.image = null;
-    this.width = width;
-    this.height = height;
-    this.layer = layer;
-    this.loaded = false;
-    this.color = null;
-    this.alpha = 1.0;
-    this.flipX = false;
-    this.flipY = false;
-    
-    // Animation properties
-    this.animations = new Map();
-    this.currentAnimation = null;
-    this.currentFrame = 0;
-    this.frameTimer = 0;
-    this.frameDuration = 0.1; // seconds per frame
-    this.looping = true;
-    this.playing = false;
-    
-    // Skeletal animation properties
-    this.bones = [];
-    this.skeleton = null;
-    this.boneTransforms = new Map();
+    this.layers = [];
+    this.sortingLayer = "Background";
+    this.orderInLayer = -100;
+    layers.forEach((layer) => this.addLayer(layer));
+  }
+
+  // image: URL or image element; or color for a flat layer.
+  // width/height size each tile (default: the image's size), offset places
+  // the first tile, and autoScroll moves the layer in units per second.
+  addLayer(config = {}) {
+    const factor = config.scrollFactor ?? 0.5;
+    const layer = {
+      image: null,
+      imageSrc: typeof config.image === "string" ? config.image : config.image?.src || null,
+      color: config.color || null,
+      width: config.width || 0,
+      height: config.height || 0,
+      scrollFactor: typeof factor === "number" ? new Vector2(factor, factor) : new Vector2(factor.x ?? 1, factor.y ?? 1),
+      repeatX: config.repeatX ?? true,
+      repeatY: config.repeatY ?? false,
+      autoScroll: new Vector2(config.autoScroll?.x || 0, config.autoScroll?.y || 0),
+      offset: new Vector2(config.offset?.x || 0, config.offset?.y || 0),
+      alpha: config.alpha ?? 1,
+      scroll: new Vector2(0, 0),
+    };
+    if (config.image && typeof config.image !== "string") {
+      layer.image = config.image;
+    }
+    this.layers.push(layer);
+    if (this.gameObject) this.loadLayerImage(layer);
+    return layer;
   }
 
   awake() {
-    if (this.imageSrc && typeof this.imageSrc === "string") {
+    this.layers.forEach((layer) => this.loadLayerImage(layer));
+  }
+
+  loadLayerImage(layer) {
+    if (layer.image || !layer.imageSrc) return;
+
+    const image = new Image();
+    image.onload = () => {
+      layer.image = image;
+    };
+    image.onerror = () => {
+      Debug.error(`Failed to load parallax image: ${layer.imageSrc}`);
+    };
+    image.src = layer.imageSrc;
+  }
+
+  setSortingLayer(name, orderInLayer = this.orderInLayer) {
+    this.sortingLayer = name;
+    this.orderInLayer = orderInLayer;
+    return this;
+  }
+
+  update(deltaTime) {
+    for (const layer of this.layers) {
+      layer.scroll = layer.scroll.add(layer.autoScroll.multiplyByScalar(deltaTime));
+    }
+  }
+
+  // World rectangles covering the view, one per visible tile:
+  // { layer, image, color, x, y, width, height }
+  getDrawRects(camera, viewBounds) {
+    const rects = [];
+    const cameraPos = camera.getViewPosition();
+
+    for (const layer of this.layers) {
+      const image = layer.image;
+      if (!image && !layer.color) continue;
+
+      const anchorX = layer.offset.x + layer.scroll.x + cameraPos.x * (1 - layer.scrollFactor.x);
+      const anchorY = layer.offset.y + layer.scroll.y + cameraPos.y * (1 - layer.scrollFactor.y);
+      let width = layer.width || (image ? image.naturalWidth || image.width : 0);
+      let height = layer.height || (image ? image.naturalHeight || image.height : 0);
+
+      // A colour layer with no size fills the view on that axis
+      const fillX = !image && !layer.width;
+      const fillY = !image && !layer.height;
+      if (fillX) width = viewBounds.right - viewBounds.left;
+      if (fillY) height = viewBounds.bottom - viewBounds.top;
+      if (width <= 0 || height <= 0) continue;
+
+      const columns = ParallaxBackground.getTileRange(
+        fillX ? viewBounds.left : anchorX, width, layer.repeatX && !fillX, viewBounds.left, viewBounds.right
+      );
+      const rows = ParallaxBackground.getTileRange(
+        fillY ? viewBounds.top : anchorY, height, layer.repeatY && !fillY, viewBounds.top, viewBounds.bottom
+      );
+
+      for (const x of columns) {
+        for (const y of rows) {
+          rects.push({ layer, image, color: layer.color, x, y, width, height });
+        }
+      }
+    }
+    return rects;
+  }
+
+  // Start positions of the tiles along one axis that overlap [min, max]
+  static getTileRange(anchor, size, repeat, min, max) {
+    if (!repeat) {
+      return anchor + size < min || anchor > max ? [] : [anchor];
+    }
+    const positions = [];
+    const first = anchor + Math.floor((min - anchor) / size) * size;
+    for (let position = first; position < max; position += size) {
+      positions.push(position);
+    }
+    return positions;
+  }
+
+  draw(ctx, camera, viewBounds) {
+    for (const rect of this.getDrawRects(camera, viewBounds)) {
+      ctx.globalAlpha = rect.layer.alpha;
+      if (rect.image) {
+        ctx.drawImage(rect.image, rect.x, rect.y, rect.width, rect.height);
+      } else {
+        ctx.fillStyle = rect.color;
+        ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+      }
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  serialize() {
+    return {
+      type: "ParallaxBackground",
+      sortingLayer: this.sortingLayer,
+      orderInLayer: this.orderInLayer,
+      layers: this.layers.map((layer) => ({
+        image: layer.imageSrc,
+        color: layer.color,
+        width: layer.width,
+        height: layer.height,
+        scrollFactor: { x: layer.scrollFactor.x, y: layer.scrollFactor.y },
+        repeatX: layer.repeatX,
+        repeatY: layer.repeatY,
+        autoScroll: { x: layer.autoScroll.x, y: layer.autoScroll.y },
+        offset: { x: layer.offset.x, y: layer.offset.y },
+        alpha: layer.alpha,
+      })),
+    };
+  }
+}
+
+// Splits a source image into pieces that fill a rect without smearing.
+// "sliced" keeps the border corners at their size and stretches the edges
+// and centre between them; "tiled" repeats the edges and centre (or, with
+// no border, the whole image) at their natural size times tileScale.
+// Borders are insets in source pixels: a number or { left, top, right, bottom }.
+// For trimmed atlas frames they are measured on the untrimmed frame.
+class NineSlice {
+  static normalizeBorder(border) {
+    if (typeof border === "number") {
+      return { left: border, top: border, right: border, bottom: border };
+    }
+    if (Array.isArray(border)) {
+      const [left = 0, top = left, right = left, bottom = top] = border;
+      return { left, top, right, bottom };
+    }
+    return { left: 0, top: 0, right: 0, bottom: 0, ...border };
+  }
+
+  // Pieces as { sx, sy, sw, sh, x, y, width, height }: a source rect and
+  // the local rect it draws to
+  static getPieces(source, rect, options = {}) {
+    if (!NineSlice.isTrimmed(source)) return NineSlice.slice(source, rect, options);
+
+    // Slice the untrimmed frame, then keep the parts that have pixels
+    const untrimmed = { x: 0, y: 0, width: source.sourceWidth, height: source.sourceHeight };
+    const pieces = [];
+    NineSlice.slice(untrimmed, rect, options).forEach((piece) => NineSlice.trimPiece(piece, source, pieces));
+    return pieces;
+  }
+
+  static isTrimmed(source) {
+    return (
+      !!source.sourceWidth &&
+      (source.offsetX !== 0 ||
+        source.offsetY !== 0 ||
+        source.sourceWidth !== source.width ||
+        source.sourceHeight !== source.height)
+    );
+  }
+
+  // Crops a piece in untrimmed frame pixels to the trimmed area and moves
+  // its source rect into the atlas
+  static trimPiece(piece, source, pieces) {
+    const left = Math.max(piece.sx, source.offsetX);
+    const top = Math.max(piece.sy, source.offsetY);
+    const right = Math.min(piece.sx + piece.sw, source.offsetX + source.width);
+    const bottom = Math.min(piece.sy + piece.sh, source.offsetY + source.height);
+    if (right <= left || bottom <= top) return;
+
+    const scaleX = piece.width / piece.sw;
+    const scaleY = piece.height / piece.sh;
+    pieces.push({
+      sx: source.x + left - source.offsetX,
+      sy: source.y + top - source.offsetY,
+      sw: right - left,
+      sh: bottom - top,
+      x: piece.x + (left - piece.sx) * scaleX,
+      y: piece.y + (top - piece.sy) * scaleY,
+      width: (right - left) * scaleX,
+      height: (bottom - top) * scaleY,
+    });
+  }
+
+  static slice(source, rect, { drawMode = "sliced", border = 0, tileScale = 1, fillCenter = true } = {}) {
+    const insets = NineSlice.normalizeBorder(border);
+    const pieces = [];
+
+    // Corners shrink together when the rect is smaller than the borders
+    const fit = Math.min(
+      1,
+      insets.left + insets.right > 0 ? Math.abs(rect.width) / (insets.left + insets.right) : 1,
+      insets.top + insets.bottom > 0 ? Math.abs(rect.height) / (insets.top + insets.bottom) : 1
+    );
+    const scale = drawMode === "tiled" ? tileScale * fit : fit;
+
+    const sourceColumns = [
+      [source.x, insets.left],
+      [source.x + insets.left, source.width - insets.left - insets.right],
+      [source.x + source.width - insets.right, insets.right],
+    ];
+    const sourceRows = [
+      [source.y, insets.top],
+      [source.y + insets.top, source.height - insets.top - insets.bottom],
+      [source.y + source.height - insets.bottom, insets.bottom],
+    ];
+    const left = insets.left * scale;
+    const right = insets.right * scale;
+    const top = insets.top * scale;
+    const bottom = insets.bottom * scale;
+    const columns = [
+      [rect.x, left],
+      [rect.x + left, rect.width - left - right],
+      [rect.x + rect.width - right, right],
+    ];
+    const rows = [
+      [rect.y, top],
+      [rect.y + top, rect.height - top - bottom],
+      [rect.y + rect.height - bottom, bottom],
+    ];
+
+    for (let row = 0; row < 3; row++) {
+      for (let column = 0; column < 3; column++) {
+        if (row === 1 && column === 1 && !fillCenter) continue;
+
+        const [sx, sw] = sourceColumns[column];
+        const [sy, sh] = sourceRows[row];
+        const [x, width] = columns[column];
+        const [y, height] = rows[row];
+        if (sw <= 0 || sh <= 0 || width <= 0 || height <= 0) continue;
+
+        const cell = { sx, sy, sw, sh, x, y, width, height };
+        if (drawMode === "tiled") {
+          // Corners stay whole; edges repeat along their length
+          const tileWidth = column === 1 ? sw * scale : width;
+          const tileHeight = row === 1 ? sh * scale : height;
+          NineSlice.tile(cell, tileWidth, tileHeight, pieces);
+        } else {
+          pieces.push(cell);
+        }
+      }
+    }
+    return pieces;
+  }
+
+  // Repeats a cell's source every tileWidth × tileHeight, cropping the last row and column
+  static tile(cell, tileWidth, tileHeight, pieces) {
+    if (tileWidth <= 0 || tileHeight <= 0) return;
+    for (let y = 0; y < cell.height - 1e-6; y += tileHeight) {
+      const height = Math.min(tileHeight, cell.height - y);
+      for (let x = 0; x < cell.width - 1e-6; x += tileWidth) {
+        const width = Math.min(tileWidth, cell.width - x);
+        pieces.push({
+          sx: cell.sx,
+          sy: cell.sy,
+          sw: (cell.sw * width) / tileWidth,
+          sh: (cell.sh * height) / tileHeight,
+          x: cell.x + x,
+          y: cell.y + y,
+          width,
+          height,
+        });
+      }
+    }
+  }
+
+  static draw(ctx, image, source, rect, options) {
+    for (const piece of NineSlice.getPieces(source, rect, options)) {
+      ctx.drawImage(image, piece.sx, piece.sy, piece.sw, piece.sh, piece.x, piece.y, piece.width, piece.height);
+    }
+  }
+}
+
+class SpriteRenderer extends Component {
+  constructor(imageSrc = null, width = 32, height = 32, layer = 0) {
+    super();
+    this.imageSrc = imageSrc;
+    this.image = null;
+    this.width = width;
+    this.height = height;
+    this.sortingLayer = "World";
+    this.orderInLayer = 0;
+    this.layer = layer;
+    this.loaded = false;
+    this.color = null;
+    this.alpha = 1.0;
+    this.flipX = false;
+    this.flipY = false;
+    // Point the sprite is placed and rotated around, as a fraction of its
+    // size: (0, 0) is the top-left corner, (0.5, 1) the bottom centre
+    this.pivot = new Vector2(0.5, 0.5);
+    // Colour multiplied into the sprite, e.g. "#ff0000" for a hit flash
+    this.tint = null;
+    // Atlas frame shown when no animation is playing
+    this.frame = null;
+    // "simple" stretches the image over the sprite; "sliced" and "tiled"
+    // keep the border (insets in image pixels) from stretching, see NineSlice
+    this.drawMode = "simple";
+    this.border = { left: 0, top: 0, right: 0, bottom: 0 };
+    this.tileScale = 1;
+    this.fillCenter = true;
+    
+    // Animation properties
+    this.animations = new Map();
+    this.currentAnimation = null;
+    this.currentFrame = 0;
+    this.frameTimer = 0;
+    this.frameDuration = 0.1; // seconds per frame
+    this.looping = true;
+    this.playing = false;
+    this.animationSpeed = 1; // Multiplies the frame rate
+    this.animationLoops = 0; // Times the current animation has wrapped
+    
+    // Skeletal animation properties
+    this.bones = [];
+    this.skeleton = null;
+    this.boneAnimations = [];
+  }
+
+  awake() {
+    if (this.imageSrc && typeof this.imageSrc === "string") {
       this.loadImage(this.imageSrc);
     } else if (this.imageSrc && this.imageSrc instanceof HTMLImageElement) {
       this.image = this.imageSrc;
@@ -844,6 +2423,7 @@ class SpriteRenderer extends Component {
     this.image = imageElement;
     this.imageSrc = null;
     this.color = null;
+    this.frame = null;
     this.loaded = !!imageElement;
     if (imageElement && (!this.width || !this.height)) {
       // Default to natural size if width/height not set
@@ -852,42 +2432,241 @@ class SpriteRenderer extends Component {
     }
   }
 
-  draw(ctx, camera) {
-    if (!this.gameObject) return;
+  // Shows one atlas frame. The sprite takes the frame's untrimmed size
+  // unless a size was given, and its pivot if the atlas defines one.
+  setFrame(frame, width = null, height = null) {
+    this.setImage(frame.spriteSheet);
+    this.frame = frame;
+    this.width = width || frame.sourceWidth || frame.width;
+    this.height = height || frame.sourceHeight || frame.height;
+    if (frame.pivot) {
+      this.setPivot(frame.pivot.x, frame.pivot.y);
+    }
+    return this;
+  }
 
-    const pos = this.gameObject.transform.position;
-    const scale = this.gameObject.transform.scale;
+  setPivot(x, y) {
+    this.pivot = new Vector2(x, y);
+    return this;
+  }
 
-    ctx.save();
-    ctx.globalAlpha = this.alpha;
-    ctx.translate(pos.x, pos.y);
-    ctx.rotate(this.gameObject.transform.rotation);
-    ctx.scale(scale.x * (this.flipX ? -1 : 1), scale.y * (this.flipY ? -1 : 1));
+  // The old numeric layer is the order within the sorting layer; a name
+  // picks the sorting layer itself
+  get layer() {
+    return this.orderInLayer;
+  }
 
-    if (this.loaded && this.image) {
-      ctx.drawImage(
-        this.image,
-        -this.width / 2,
-        -this.height / 2,
-        this.width,
-        this.height
-      );
-    } else if (this.color) {
-      ctx.fillStyle = this.color;
-      ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
+  set layer(value) {
+    if (typeof value === "string") {
+      this.sortingLayer = value;
     } else {
-      ctx.fillStyle = "#888888";
-      ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
+      this.orderInLayer = value || 0;
     }
+  }
 
-    ctx.restore();
+  setSortingLayer(name, orderInLayer = this.orderInLayer) {
+    this.sortingLayer = name;
+    this.orderInLayer = orderInLayer;
+    return this;
+  }
+
+  // fillCenter false leaves the middle of a sliced or tiled sprite empty
+  setDrawMode(mode, border = this.border, tileScale = this.tileScale, fillCenter = this.fillCenter) {
+    this.drawMode = mode;
+    this.border = NineSlice.normalizeBorder(border);
+    this.tileScale = tileScale;
+    this.fillCenter = fillCenter;
+    return this;
+  }
+
+  // Pieces for sliced and tiled sprites, or null to draw the source whole.
+  // Rotated atlas frames always draw whole.
+  getSlicePieces(source) {
+    if (this.drawMode === "simple" || !source || source.rotated) return null;
+    return NineSlice.getPieces(source, this.getLocalRect(), this);
+  }
+
+  // Sprite rectangle relative to the pivot, before the transform applies
+  getLocalRect() {
+    return {
+      x: -this.pivot.x * this.width,
+      y: -this.pivot.y * this.height,
+      width: this.width,
+      height: this.height,
+    };
+  }
+
+  // Part of the local rect covered by the source's pixels. Trimmed atlas
+  // frames are smaller than their untrimmed size and offset inside it.
+  getFrameRect(source) {
+    return SpriteRenderer.trimRect(this.getLocalRect(), source);
+  }
+
+  static trimRect(rect, source) {
+    if (!source || !source.sourceWidth || !source.sourceHeight) return rect;
+
+    const scaleX = rect.width / source.sourceWidth;
+    const scaleY = rect.height / source.sourceHeight;
+    return {
+      x: rect.x + source.offsetX * scaleX,
+      y: rect.y + source.offsetY * scaleY,
+      width: source.width * scaleX,
+      height: source.height * scaleY,
+    };
+  }
+
+  // Corners of the sprite (or of a local rect inside it) in world space:
+  // top-left, top-right, bottom-right, bottom-left in texture order
+  getWorldCorners(rect = this.getLocalRect()) {
+    return this.localToWorld(SpriteRenderer.rectCorners(rect));
+  }
+
+  static rectCorners(rect) {
+    return [
+      new Vector2(rect.x, rect.y),
+      new Vector2(rect.x + rect.width, rect.y),
+      new Vector2(rect.x + rect.width, rect.y + rect.height),
+      new Vector2(rect.x, rect.y + rect.height),
+    ];
+  }
+
+  // Points relative to the object, flipped, scaled, turned and moved into the world
+  localToWorld(points) {
+    const transform = this.gameObject.transform;
+    const pos = transform.worldPosition;
+    const scale = transform.worldScale;
+    const rotation = transform.worldRotation;
+    const scaleX = scale.x * (this.flipX ? -1 : 1);
+    const scaleY = scale.y * (this.flipY ? -1 : 1);
+
+    return points.map((point) =>
+      new Vector2(point.x * scaleX, point.y * scaleY).rotate(rotation).add(pos)
+    );
+  }
+
+  // Axis-aligned box around the rotated and scaled sprite, used for culling.
+  // Skeletons with attachments are bounded by their attachments.
+  getWorldBounds() {
+    const quads = this.hasSkeletonAttachments() ? this.getSkeletonQuads() : [];
+    const corners = quads.length > 0 ? quads.flatMap((quad) => quad.corners) : this.getWorldCorners();
+    const xs = corners.map((corner) => corner.x);
+    const ys = corners.map((corner) => corner.y);
+    return {
+      left: Math.min(...xs),
+      right: Math.max(...xs),
+      top: Math.min(...ys),
+      bottom: Math.max(...ys),
+    };
+  }
+
+  // Image and source rectangle to draw this frame, or null for a colour block
+  getDrawSource() {
+    if (!this.loaded || !this.image) return null;
+
+    if (this.currentAnimation && this.playing) {
+      const animation = this.animations.get(this.currentAnimation);
+      const frame = animation.frames[this.currentFrame];
+      if (frame.spriteSheet) {
+        return SpriteRenderer.getSheetSource(frame);
+      }
+      if (frame.image) {
+        return SpriteRenderer.getFullSource(frame.image);
+      }
+      return null;
+    }
+
+    if (this.frame) {
+      return SpriteRenderer.getSheetSource(this.frame);
+    }
+    return SpriteRenderer.getFullSource(this.image);
+  }
+
+  static getSheetSource(frame) {
+    return {
+      image: frame.spriteSheet,
+      x: frame.x,
+      y: frame.y,
+      width: frame.width,
+      height: frame.height,
+      rotated: !!frame.rotated,
+      offsetX: frame.offsetX || 0,
+      offsetY: frame.offsetY || 0,
+      sourceWidth: frame.sourceWidth || frame.width,
+      sourceHeight: frame.sourceHeight || frame.height,
+    };
+  }
+
+  // Source for an image or atlas frame, or null while an image is loading
+  static getRegionSource(region) {
+    if (!region) return null;
+    if (region.spriteSheet) return SpriteRenderer.getSheetSource(region);
+    if (!(region.naturalWidth || region.width)) return null;
+    return SpriteRenderer.getFullSource(region);
+  }
+
+  static getFullSource(image) {
+    return {
+      image,
+      x: 0,
+      y: 0,
+      width: image.naturalWidth || image.width,
+      height: image.naturalHeight || image.height,
+    };
+  }
+
+  // Canvas 2D has no tint, so tinted copies of each image are cached
+  static tintCache = new WeakMap();
+
+  static getTintedImage(image, tint) {
+    if (!SpriteRenderer.tintCache.has(image)) {
+      SpriteRenderer.tintCache.set(image, new Map());
+    }
+    const cache = SpriteRenderer.tintCache.get(image);
+    if (cache.has(tint)) return cache.get(tint);
+
+    const canvas = document.createElement("canvas");
+    canvas.width = image.naturalWidth || image.width;
+    canvas.height = image.naturalHeight || image.height;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(image, 0, 0);
+    ctx.globalCompositeOperation = "multiply";
+    ctx.fillStyle = tint;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    // Restore the original transparency
+    ctx.globalCompositeOperation = "destination-in";
+    ctx.drawImage(image, 0, 0);
+
+    cache.set(tint, canvas);
+    return canvas;
   }
 
   setColor(color) {
     this.color = color;
     this.image = null;
+    this.frame = null;
     this.loaded = true;
   }
+
+  serialize() {
+    return {
+      type: "SpriteRenderer",
+      imageSrc: typeof this.imageSrc === "string" ? this.imageSrc : null,
+      width: this.width,
+      height: this.height,
+      layer: this.layer,
+      sortingLayer: this.sortingLayer,
+      color: this.color,
+      alpha: this.alpha,
+      flipX: this.flipX,
+      flipY: this.flipY,
+      pivot: { x: this.pivot.x, y: this.pivot.y },
+      tint: this.tint,
+      drawMode: this.drawMode,
+      border: this.border,
+      tileScale: this.tileScale,
+      fillCenter: this.fillCenter,
+    };
+  }
   
   // Animation methods
   addAnimation(name, frames, frameDuration = 0.1, loop = true) {
@@ -898,8 +2677,15 @@ class SpriteRenderer extends Component {
     });
   }
   
+  // Skeleton animations are played through the skeleton, crossfading
   playAnimation(name, reset = true) {
-    if (!this.animations.has(name)) return false;
+    if (!this.animations.has(name)) {
+      if (this.skeleton && this.skeleton.animations.has(name)) {
+        if (!reset && this.skeleton.isPlaying(name)) return true;
+        return this.skeleton.play(name);
+      }
+      return false;
+    }
     
     const animation = this.animations.get(name);
     this.currentAnimation = name;
@@ -910,6 +2696,7 @@ class SpriteRenderer extends Component {
     if (reset) {
       this.currentFrame = 0;
       this.frameTimer = 0;
+      this.animationLoops = 0;
     }
     
     return true;
@@ -928,17 +2715,26 @@ class SpriteRenderer extends Component {
   }
   
   update(deltaTime) {
+    if (this.skeleton) {
+      this.updateSkeleton(deltaTime);
+    }
     if (!this.playing || !this.currentAnimation) return;
     
+    // Aseprite animations carry a duration per frame
+    const animation = this.animations.get(this.currentAnimation);
+    const duration =
+      ((animation.frameDurations && animation.frameDurations[this.currentFrame]) ||
+        this.frameDuration) / this.animationSpeed;
+
     this.frameTimer += deltaTime;
-    if (this.frameTimer >= this.frameDuration) {
+    if (this.frameTimer >= duration) {
       this.frameTimer = 0;
       this.currentFrame++;
       
-      const animation = this.animations.get(this.currentAnimation);
       if (this.currentFrame >= animation.frames.length) {
         if (this.looping) {
           this.currentFrame = 0;
+          this.animationLoops++;
         } else {
           this.currentFrame = animation.frames.length - 1;
           this.playing = false;
@@ -955,107 +2751,179 @@ class SpriteRenderer extends Component {
   }
   
   addBone(name, parent = null, localTransform = null) {
-    const bone = {
-      name: name,
-      parent: parent,
-      localTransform: localTransform || { position: new Vector2(0, 0), rotation: 0, scale: new Vector2(1, 1) },
-      worldTransform: { position: new Vector2(0, 0), rotation: 0, scale: new Vector2(1, 1) }
-    };
-    
-    this.bones.push(bone);
+    if (!this.skeleton) {
+      this.setSkeleton(new Skeleton());
+    }
+    const transform = localTransform || { position: new Vector2(0, 0), rotation: 0, scale: new Vector2(1, 1) };
+    const bone = this.skeleton.addBone(name, parent, {
+      x: transform.position.x,
+      y: transform.position.y,
+      rotation: transform.rotation,
+      scaleX: transform.scale.x,
+      scaleY: transform.scale.y,
+    });
     this.updateBoneTransforms();
     return bone;
   }
   
   updateBoneTransforms() {
-    for (const bone of this.bones) {
-      this.updateBoneWorldTransform(bone);
-    }
-  }
-  
-  updateBoneWorldTransform(bone) {
-    if (bone.parent) {
-      const parentTransform = this.boneTransforms.get(bone.parent.name) || bone.parent.worldTransform;
-      bone.worldTransform.position = parentTransform.position.add(bone.localTransform.position);
-      bone.worldTransform.rotation = parentTransform.rotation + bone.localTransform.rotation;
-      bone.worldTransform.scale = parentTransform.scale.multiplyByScalar(bone.localTransform.scale.x);
-    } else {
-      bone.worldTransform = { ...bone.localTransform };
+    if (this.skeleton) {
+      this.skeleton.updateWorldTransform();
     }
-    
-    this.boneTransforms.set(bone.name, bone.worldTransform);
   }
   
+  // Eases a bone's local pose to targetTransform over duration seconds
   animateBone(name, targetTransform, duration = 1.0) {
-    const bone = this.bones.find(b => b.name === name);
+    const bone = this.skeleton && this.skeleton.findBone(name);
     if (!bone) return;
     
-    // Simple linear interpolation for bone animation
-    const startTransform = { ...bone.localTransform };
-    const timer = new Timer(duration, () => {
-      bone.localTransform = targetTransform;
-      this.updateBoneTransforms();
+    this.boneAnimations = this.boneAnimations.filter((animation) => animation.bone !== bone);
+    this.boneAnimations.push({
+      bone,
+      from: bone.localTransform,
+      to: targetTransform,
+      duration,
+      elapsed: 0,
     });
+  }
+  
+  // Skeleton animations first, then bone tweens on top of them
+  updateSkeleton(deltaTime) {
+    const events = this.skeleton.update(deltaTime * this.animationSpeed);
+    
+    for (const animation of this.boneAnimations) {
+      animation.elapsed += deltaTime;
+      const t = animation.duration > 0 ? Math.min(1, animation.elapsed / animation.duration) : 1;
+      const { from, to } = animation;
+      animation.bone.localTransform = {
+        position: from.position.add(to.position.subtract(from.position).multiplyByScalar(t)),
+        rotation: from.rotation + (to.rotation - from.rotation) * t,
+        scale: from.scale.add(to.scale.subtract(from.scale).multiplyByScalar(t)),
+      };
+    }
+    this.boneAnimations = this.boneAnimations.filter((animation) => animation.elapsed < animation.duration);
     
-    // Store animation timer for cleanup
-    if (!this.boneAnimations) this.boneAnimations = [];
-    this.boneAnimations.push(timer);
+    this.skeleton.updateWorldTransform();
+    
+    // Animation events are sent like Animator frame events
+    if (this.gameObject) {
+      for (const event of events) {
+        this.gameObject.sendMessage(event.name, event);
+      }
+    }
+  }
+  
+  hasSkeletonAttachments() {
+    return !!this.skeleton && this.skeleton.slots.length > 0;
+  }
+  
+  // Attachment size and trimmed rect, centred on the attachment's origin
+  static getAttachmentRect(attachment, source) {
+    const width = attachment.width || source.sourceWidth || source.width;
+    const height = attachment.height || source.sourceHeight || source.height;
+    return SpriteRenderer.trimRect({ x: -width / 2, y: -height / 2, width, height }, source);
+  }
+  
+  // World-space quads for each visible attachment, in draw order
+  getSkeletonQuads() {
+    const quads = [];
+    for (const slot of this.skeleton.slots) {
+      const attachment = this.skeleton.getAttachment(slot);
+      const source = attachment && SpriteRenderer.getRegionSource(attachment.region);
+      if (!source) continue;
+      
+      const cos = Math.cos(attachment.rotation);
+      const sin = Math.sin(attachment.rotation);
+      const points = SpriteRenderer.rectCorners(SpriteRenderer.getAttachmentRect(attachment, source)).map((corner) => {
+        const x = corner.x * attachment.scaleX;
+        const y = corner.y * attachment.scaleY;
+        return slot.bone.localToWorld(attachment.x + x * cos - y * sin, attachment.y + x * sin + y * cos);
+      });
+      quads.push({ slot, attachment, source, corners: this.localToWorld(points) });
+    }
+    return quads;
+  }
+  
+  // Draws attachments in sprite space; draw() has applied the object's transform
+  drawSkeletonAttachments(ctx) {
+    for (const slot of this.skeleton.slots) {
+      const attachment = this.skeleton.getAttachment(slot);
+      const source = attachment && SpriteRenderer.getRegionSource(attachment.region);
+      if (!source) continue;
+      
+      const bone = slot.bone;
+      const image = this.tint ? SpriteRenderer.getTintedImage(source.image, this.tint) : source.image;
+      ctx.save();
+      ctx.globalAlpha = this.alpha * slot.alpha;
+      ctx.transform(bone.a, bone.c, bone.b, bone.d, bone.worldX, bone.worldY);
+      ctx.translate(attachment.x, attachment.y);
+      ctx.rotate(attachment.rotation);
+      ctx.scale(attachment.scaleX, attachment.scaleY);
+      SpriteRenderer.drawSource(ctx, image, source, SpriteRenderer.getAttachmentRect(attachment, source));
+      ctx.restore();
+    }
+  }
+  
+  // Draws a source into a rect, turning rotated atlas frames back upright
+  static drawSource(ctx, image, source, rect) {
+    if (source.rotated) {
+      // Stored turned clockwise in the atlas, so turn it back
+      ctx.save();
+      ctx.translate(rect.x, rect.y + rect.height);
+      ctx.rotate(-Math.PI / 2);
+      ctx.drawImage(
+        image,
+        source.x, source.y, source.height, source.width,
+        0, 0, rect.height, rect.width
+      );
+      ctx.restore();
+    } else {
+      ctx.drawImage(
+        image,
+        source.x, source.y, source.width, source.height,
+        rect.x, rect.y, rect.width, rect.height
+      );
+    }
   }
   
-  // Enhanced draw method for animations
+  // Draws the current animation frame, the image or a colour block, placed
+  // at the pivot and turned and scaled by the world transform
   draw(ctx, camera) {
     if (!this.gameObject) return;
 
-    const pos = this.gameObject.transform.position;
-    const scale = this.gameObject.transform.scale;
+    const transform = this.gameObject.transform;
+    const pos = transform.worldPosition;
+    const scale = transform.worldScale;
+    const rect = this.getLocalRect();
+    const source = this.getDrawSource();
 
     ctx.save();
     ctx.globalAlpha = this.alpha;
     ctx.translate(pos.x, pos.y);
-    ctx.rotate(this.gameObject.transform.rotation);
+    ctx.rotate(transform.worldRotation);
     ctx.scale(scale.x * (this.flipX ? -1 : 1), scale.y * (this.flipY ? -1 : 1));
 
-    if (this.loaded && this.image) {
-      // Draw current animation frame or static image
-      if (this.currentAnimation && this.playing) {
-        const animation = this.animations.get(this.currentAnimation);
-        const frame = animation.frames[this.currentFrame];
-        
-        if (frame.spriteSheet) {
-          // Sprite sheet animation
-          ctx.drawImage(
-            frame.spriteSheet,
-            frame.x, frame.y, frame.width, frame.height,
-            -this.width / 2, -this.height / 2,
-            this.width, this.height
-          );
-        } else if (frame.image) {
-          // Individual frame images
-          ctx.drawImage(
-            frame.image,
-            -this.width / 2, -this.height / 2,
-            this.width, this.height
-          );
-        }
-      } else {
-        // Draw static image
-        ctx.drawImage(
-          this.image,
-          -this.width / 2, -this.height / 2,
-          this.width, this.height
+    if (this.hasSkeletonAttachments()) {
+      this.drawSkeletonAttachments(ctx);
+    } else if (source) {
+      const image = this.tint ? SpriteRenderer.getTintedImage(source.image, this.tint) : source.image;
+      const pieces = this.getSlicePieces(source);
+      if (pieces) {
+        pieces.forEach((piece) =>
+          ctx.drawImage(image, piece.sx, piece.sy, piece.sw, piece.sh, piece.x, piece.y, piece.width, piece.height)
         );
+      } else {
+        SpriteRenderer.drawSource(ctx, image, source, this.getFrameRect(source));
       }
-      
-      // Draw skeletal bones if skeleton exists
-      if (this.skeleton && Debug.enabled) {
-        this.drawSkeleton(ctx);
-      }
-    } else if (this.color) {
-      ctx.fillStyle = this.color;
-      ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
-    } else {
-      ctx.fillStyle = "#888888";
-      ctx.fillRect(-this.width / 2, -this.height / 2, this.width, this.height);
+    } else if (!this.loaded || !this.image) {
+      const color = this.color || "#888888";
+      ctx.fillStyle = this.tint ? Color.toCss(Color.multiply(color, this.tint)) : color;
+      ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    }
+
+    // Draw skeletal bones if skeleton exists
+    if (this.skeleton && Debug.enabled) {
+      this.drawSkeleton(ctx);
     }
 
     ctx.restore();
@@ -1079,39 +2947,838 @@ class SpriteRenderer extends Component {
   }
 }
 
-class Collider extends Component {
-  constructor(
-    shape = "box",
-    width = 32,
-    height = 32,
-    isTrigger = false,
-    layer = "Default"
-  ) {
-    super();
-    this.shape = shape;
-    this.width = width;
+// ==================== SKELETAL ANIMATION ====================
+
+// A bone's pose is relative to its parent; updateWorldTransform() turns it
+// into a matrix in skeleton space (a b / c d plus worldX, worldY), y down
+// and rotations in radians like the rest of the engine.
+class Bone {
+  constructor(name, parent = null, setup = {}) {
+    this.name = name;
+    this.parent = parent;
+    this.children = [];
+    this.length = setup.length || 0;
+    this.setup = {
+      x: setup.x || 0,
+      y: setup.y || 0,
+      rotation: setup.rotation || 0,
+      scaleX: setup.scaleX ?? 1,
+      scaleY: setup.scaleY ?? 1,
+    };
+
+    this.a = 1;
+    this.b = 0;
+    this.c = 0;
+    this.d = 1;
+    this.worldX = 0;
+    this.worldY = 0;
+
+    this.setToSetupPose();
+    if (parent) parent.children.push(this);
+  }
+
+  setToSetupPose() {
+    Object.assign(this, this.setup);
+  }
+
+  updateWorldTransform() {
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+    const la = cos * this.scaleX;
+    const lb = -sin * this.scaleY;
+    const lc = sin * this.scaleX;
+    const ld = cos * this.scaleY;
+
+    const parent = this.parent;
+    if (!parent) {
+      this.a = la;
+      this.b = lb;
+      this.c = lc;
+      this.d = ld;
+      this.worldX = this.x;
+      this.worldY = this.y;
+      return;
+    }
+
+    this.a = parent.a * la + parent.b * lc;
+    this.b = parent.a * lb + parent.b * ld;
+    this.c = parent.c * la + parent.d * lc;
+    this.d = parent.c * lb + parent.d * ld;
+    this.worldX = parent.a * this.x + parent.b * this.y + parent.worldX;
+    this.worldY = parent.c * this.x + parent.d * this.y + parent.worldY;
+  }
+
+  localToWorld(x, y) {
+    return new Vector2(this.a * x + this.b * y + this.worldX, this.c * x + this.d * y + this.worldY);
+  }
+
+  get worldRotation() {
+    return Math.atan2(this.c, this.a);
+  }
+
+  get worldPosition() {
+    return new Vector2(this.worldX, this.worldY);
+  }
+
+  // The shapes older bone code used, kept for addBone() callers
+  get worldTransform() {
+    return {
+      position: this.worldPosition,
+      rotation: this.worldRotation,
+      scale: new Vector2(Math.hypot(this.a, this.c), Math.hypot(this.b, this.d)),
+    };
+  }
+
+  get localTransform() {
+    return {
+      position: new Vector2(this.x, this.y),
+      rotation: this.rotation,
+      scale: new Vector2(this.scaleX, this.scaleY),
+    };
+  }
+
+  set localTransform(transform) {
+    this.x = transform.position.x;
+    this.y = transform.position.y;
+    this.rotation = transform.rotation;
+    this.scaleX = transform.scale.x;
+    this.scaleY = transform.scale.y;
+  }
+}
+
+// Keyframed bone and slot timelines. Keys are { time, values, curve } with
+// curve "linear", "stepped" or a cubic bezier [cx1, cy1, cx2, cy2] easing
+// towards the next key. Rotation and translation are offsets from the
+// setup pose; scale multiplies it.
+class SkeletonAnimation {
+  constructor(name, duration = 0) {
+    this.name = name;
+    this.duration = duration;
+    this.timelines = [];
+    this.events = []; // { time, name, data }
+  }
+
+  // type: "rotate", "translate", "scale" (target: bone name) or
+  // "attachment" (target: slot name, keys with a name instead of values)
+  addTimeline(type, target, keys) {
+    keys = [...keys].sort((a, b) => a.time - b.time);
+    this.timelines.push({ type, target, keys });
+    if (keys.length > 0) {
+      this.duration = Math.max(this.duration, keys[keys.length - 1].time);
+    }
+    return this;
+  }
+
+  addEvent(time, name, data = null) {
+    this.events.push({ time, name, data });
+    this.events.sort((a, b) => a.time - b.time);
+    this.duration = Math.max(this.duration, time);
+    return this;
+  }
+
+  // Events with from <= time < to
+  getEvents(from, to) {
+    return this.events.filter((event) => event.time >= from && event.time < to);
+  }
+
+  // Blends the pose at time into the skeleton's current pose by alpha
+  apply(skeleton, time, alpha = 1) {
+    const lerp = (from, to) => from + (to - from) * alpha;
+
+    for (const timeline of this.timelines) {
+      if (timeline.keys.length === 0) continue;
+
+      if (timeline.type === "attachment") {
+        const slot = skeleton.findSlot(timeline.target);
+        if (!slot || alpha < 0.5) continue;
+        let key = timeline.keys[0];
+        for (const next of timeline.keys) {
+          if (next.time > time) break;
+          key = next;
+        }
+        if (key.time <= time) slot.attachment = key.name;
+        continue;
+      }
+
+      const bone = skeleton.findBone(timeline.target);
+      if (!bone) continue;
+      const values = SkeletonAnimation.sample(timeline.keys, time, timeline.type === "rotate");
+
+      switch (timeline.type) {
+        case "rotate": {
+          // Blend along the shorter way round
+          const target = bone.setup.rotation + values[0];
+          const diff = Math.atan2(Math.sin(target - bone.rotation), Math.cos(target - bone.rotation));
+          bone.rotation += diff * alpha;
+          break;
+        }
+        case "translate":
+          bone.x = lerp(bone.x, bone.setup.x + values[0]);
+          bone.y = lerp(bone.y, bone.setup.y + values[1]);
+          break;
+        case "scale":
+          bone.scaleX = lerp(bone.scaleX, bone.setup.scaleX * values[0]);
+          bone.scaleY = lerp(bone.scaleY, bone.setup.scaleY * values[1]);
+          break;
+      }
+    }
+  }
+
+  static sample(keys, time, angular = false) {
+    if (time <= keys[0].time) return keys[0].values;
+    const last = keys[keys.length - 1];
+    if (time >= last.time) return last.values;
+
+    let i = 0;
+    while (keys[i + 1].time <= time) i++;
+    const key = keys[i];
+    const next = keys[i + 1];
+    if (key.curve === "stepped") return key.values;
+
+    const percent = SkeletonAnimation.ease(key.curve, (time - key.time) / (next.time - key.time));
+    return key.values.map((value, index) => {
+      let delta = next.values[index] - value;
+      if (angular) delta = Math.atan2(Math.sin(delta), Math.cos(delta));
+      return value + delta * percent;
+    });
+  }
+
+  static ease(curve, percent) {
+    if (!Array.isArray(curve)) return percent;
+    return SkeletonAnimation.bezier(curve[0], curve[1], curve[2], curve[3], percent);
+  }
+
+  // y on the curve from (0, 0) to (1, 1) where x = percent
+  static bezier(cx1, cy1, cx2, cy2, percent) {
+    const point = (s, p1, p2) => 3 * (1 - s) * (1 - s) * s * p1 + 3 * (1 - s) * s * s * p2 + s * s * s;
+    let low = 0;
+    let high = 1;
+    let s = percent;
+    for (let i = 0; i < 20; i++) {
+      const x = point(s, cx1, cx2);
+      if (Math.abs(x - percent) < 1e-5) break;
+      if (x < percent) low = s;
+      else high = s;
+      s = (low + high) / 2;
+    }
+    return point(s, cy1, cy2);
+  }
+}
+
+// Bones, slots holding attachments, and the animations that pose them.
+// Slots draw in the order they were added. Attachments are images or atlas
+// frames placed relative to their slot's bone.
+class Skeleton {
+  constructor() {
+    this.bones = [];
+    this.bonesByName = new Map();
+    this.slots = [];
+    this.slotsByName = new Map();
+    this.animations = new Map();
+    this.tracks = [];
+  }
+
+  // parent may be a Bone or a bone name. Parents must be added before children.
+  addBone(name, parent = null, setup = {}) {
+    if (typeof parent === "string") parent = this.findBone(parent);
+    const bone = new Bone(name, parent, setup);
+    this.bones.push(bone);
+    this.bonesByName.set(name, bone);
+    return bone;
+  }
+
+  findBone(name) {
+    return this.bonesByName.get(name) || null;
+  }
+
+  addSlot(name, boneName, attachmentName = null, alpha = 1) {
+    const bone = this.findBone(boneName);
+    if (!bone) {
+      Debug.warn(`Skeleton slot '${name}': bone '${boneName}' not found`);
+      return null;
+    }
+    const slot = {
+      name,
+      bone,
+      alpha,
+      attachments: new Map(),
+      setupAttachment: attachmentName,
+      attachment: attachmentName,
+    };
+    this.slots.push(slot);
+    this.slotsByName.set(name, slot);
+    return slot;
+  }
+
+  findSlot(name) {
+    return this.slotsByName.get(name) || null;
+  }
+
+  // attachment: { region (image or atlas frame), x, y, rotation, scaleX,
+  // scaleY, width, height }, all relative to the slot's bone
+  addAttachment(slotName, name, attachment) {
+    const slot = this.findSlot(slotName);
+    if (!slot) return this;
+    slot.attachments.set(name, {
+      name,
+      region: attachment.region || null,
+      x: attachment.x || 0,
+      y: attachment.y || 0,
+      rotation: attachment.rotation || 0,
+      scaleX: attachment.scaleX ?? 1,
+      scaleY: attachment.scaleY ?? 1,
+      width: attachment.width || 0,
+      height: attachment.height || 0,
+    });
+    return this;
+  }
+
+  setAttachment(slotName, name) {
+    const slot = this.findSlot(slotName);
+    if (slot) slot.attachment = name;
+  }
+
+  getAttachment(slot) {
+    return (slot.attachment && slot.attachments.get(slot.attachment)) || null;
+  }
+
+  setToSetupPose() {
+    this.bones.forEach((bone) => bone.setToSetupPose());
+    this.slots.forEach((slot) => (slot.attachment = slot.setupAttachment));
+  }
+
+  updateWorldTransform() {
+    this.bones.forEach((bone) => bone.updateWorldTransform());
+  }
+
+  addAnimation(animation) {
+    this.animations.set(animation.name, animation);
+    return animation;
+  }
+
+  // Plays an animation on a track, crossfading from whatever the track was
+  // playing over mix seconds. Higher tracks layer over lower ones by weight.
+  play(name, { loop = true, mix = 0.2, track = 0, weight = 1 } = {}) {
+    const animation = this.animations.get(name);
+    if (!animation) {
+      Debug.warn(`Skeleton animation '${name}' not found`);
+      return false;
+    }
+
+    const current = this.tracks[track];
+    this.tracks[track] = {
+      animation,
+      time: 0,
+      loop,
+      weight,
+      previous: current && mix > 0 ? current : null,
+      mixTime: 0,
+      mixDuration: mix,
+    };
+    if (this.tracks[track].previous) this.tracks[track].previous.previous = null;
+    return true;
+  }
+
+  stop(track = 0) {
+    this.tracks[track] = null;
+  }
+
+  isPlaying(name = null, track = 0) {
+    const entry = this.tracks[track];
+    if (!entry) return false;
+    const finished = !entry.loop && entry.time >= entry.animation.duration;
+    return !finished && (name === null || entry.animation.name === name);
+  }
+
+  getNormalizedTime(track = 0) {
+    const entry = this.tracks[track];
+    if (!entry || entry.animation.duration === 0) return 0;
+    return entry.time / entry.animation.duration;
+  }
+
+  // Advances and applies every track, starting from the setup pose.
+  // Returns the events passed, as { name, data, animation, track }.
+  update(deltaTime) {
+    const fired = [];
+    if (!this.tracks.some(Boolean)) return fired;
+
+    this.setToSetupPose();
+
+    this.tracks.forEach((entry, index) => {
+      if (!entry) return;
+
+      const animation = entry.animation;
+      const duration = animation.duration;
+      const start = entry.time;
+      entry.time += deltaTime;
+
+      // Events between the old and new time, across loop ends
+      if (entry.loop && duration > 0) {
+        let from = start % duration;
+        let to = from + deltaTime;
+        while (to >= duration) {
+          // Infinity keeps events keyed at the very end, which is never < duration
+          fired.push(...animation.getEvents(from, Infinity).map((event) => ({ ...event, animation: animation.name, track: index })));
+          from = 0;
+          to -= duration;
+        }
+        fired.push(...animation.getEvents(from, to).map((event) => ({ ...event, animation: animation.name, track: index })));
+      } else if (start <= duration) {
+        const to = entry.time >= duration ? Infinity : entry.time;
+        fired.push(...animation.getEvents(start, to).map((event) => ({ ...event, animation: animation.name, track: index })));
+      }
+
+      const time = (entry) =>
+        entry.loop && entry.animation.duration > 0
+          ? entry.time % entry.animation.duration
+          : Math.min(entry.time, entry.animation.duration);
+
+      let alpha = entry.weight;
+      if (entry.previous) {
+        entry.previous.time += deltaTime;
+        entry.mixTime += deltaTime;
+        const mix = Math.min(1, entry.mixTime / entry.mixDuration);
+        entry.previous.animation.apply(this, time(entry.previous), entry.previous.weight);
+        alpha *= mix;
+        if (mix >= 1) entry.previous = null;
+      }
+      animation.apply(this, time(entry), alpha);
+    });
+
+    return fired;
+  }
+
+  // Turns images into a lookup from attachment names to images or atlas
+  // frames: a TextureAtlas, an AssetManager, a function or a plain object
+  static createResolver(images) {
+    if (!images) return () => null;
+    if (typeof images === "function") return images;
+    if (images instanceof TextureAtlas) return (name) => images.getFrame(name);
+    if (images instanceof AssetManager) {
+      return (name) => images.getFrame(name)?.frame || images.getNamedImage(name) || null;
+    }
+    return (name) => images[name] || null;
+  }
+
+  // Spine 3.x JSON. Spine is y up, so positions and angles are flipped.
+  // Only region attachments are supported; meshes are skipped.
+  static fromSpine(data, images = null) {
+    const resolve = Skeleton.createResolver(images);
+    const skeleton = new Skeleton();
+    const radians = Math.PI / 180;
+
+    for (const bone of data.bones || []) {
+      skeleton.addBone(bone.name, bone.parent || null, {
+        x: bone.x || 0,
+        y: -(bone.y || 0),
+        rotation: -(bone.rotation || 0) * radians,
+        scaleX: bone.scaleX ?? 1,
+        scaleY: bone.scaleY ?? 1,
+        length: bone.length || 0,
+      });
+    }
+
+    for (const slot of data.slots || []) {
+      const alpha = slot.color ? parseInt(slot.color.slice(6, 8) || "ff", 16) / 255 : 1;
+      skeleton.addSlot(slot.name, slot.bone, slot.attachment || null, alpha);
+    }
+
+    // Skins are an array from Spine 3.8 on, an object keyed by name before
+    const skins = Array.isArray(data.skins)
+      ? data.skins
+      : Object.entries(data.skins || {}).map(([name, attachments]) => ({ name, attachments }));
+    const skin = skins.find((entry) => entry.name === "default") || skins[0];
+    let skipped = 0;
+
+    for (const [slotName, attachments] of Object.entries(skin?.attachments || {})) {
+      for (const [name, attachment] of Object.entries(attachments)) {
+        if ((attachment.type || "region") !== "region") {
+          skipped++;
+          continue;
+        }
+        skeleton.addAttachment(slotName, name, {
+          region: resolve(attachment.path || attachment.name || name),
+          x: attachment.x || 0,
+          y: -(attachment.y || 0),
+          rotation: -(attachment.rotation || 0) * radians,
+          scaleX: attachment.scaleX ?? 1,
+          scaleY: attachment.scaleY ?? 1,
+          width: attachment.width,
+          height: attachment.height,
+        });
+      }
+    }
+    if (skipped > 0) {
+      Debug.warn(`Skipped ${skipped} Spine attachments that are not regions`);
+    }
+
+    // Spine 3.8 stores bezier handles as curve, c2, c3, c4; earlier versions as an array
+    const curve = (key) => {
+      if (key.curve === "stepped") return "stepped";
+      if (Array.isArray(key.curve)) return key.curve;
+      if (typeof key.curve === "number") return [key.curve, key.c2 ?? 0, key.c3 ?? 1, key.c4 ?? 1];
+      return "linear";
+    };
+
+    for (const [name, animationData] of Object.entries(data.animations || {})) {
+      const animation = new SkeletonAnimation(name);
+
+      for (const [boneName, timelines] of Object.entries(animationData.bones || {})) {
+        if (timelines.rotate) {
+          animation.addTimeline("rotate", boneName, timelines.rotate.map((key) => ({
+            time: key.time || 0,
+            values: [-(key.angle ?? key.value ?? 0) * radians],
+            curve: curve(key),
+          })));
+        }
+        if (timelines.translate) {
+          animation.addTimeline("translate", boneName, timelines.translate.map((key) => ({
+            time: key.time || 0,
+            values: [key.x || 0, -(key.y || 0)],
+            curve: curve(key),
+          })));
+        }
+        if (timelines.scale) {
+          animation.addTimeline("scale", boneName, timelines.scale.map((key) => ({
+            time: key.time || 0,
+            values: [key.x ?? 1, key.y ?? 1],
+            curve: curve(key),
+          })));
+        }
+      }
+
+      for (const [slotName, timelines] of Object.entries(animationData.slots || {})) {
+        if (timelines.attachment) {
+          animation.addTimeline("attachment", slotName, timelines.attachment.map((key) => ({
+            time: key.time || 0,
+            name: key.name,
+          })));
+        }
+      }
+
+      for (const event of animationData.events || []) {
+        animation.addEvent(event.time || 0, event.name, {
+          int: event.int,
+          float: event.float,
+          string: event.string,
+        });
+      }
+
+      skeleton.addAnimation(animation);
+    }
+
+    skeleton.setToSetupPose();
+    skeleton.updateWorldTransform();
+    return skeleton;
+  }
+
+  // DragonBones 4.5 or 5.x JSON, first armature unless one is named.
+  // DragonBones is y down like the engine; durations are in frames.
+  static fromDragonBones(data, images = null, armatureName = null) {
+    const resolve = Skeleton.createResolver(images);
+    const armatures = data.armature || [];
+    const armature = armatures.find((entry) => entry.name === armatureName) || armatures[0];
+    if (!armature) {
+      Debug.warn("DragonBones data has no armature");
+      return new Skeleton();
+    }
+
+    const skeleton = new Skeleton();
+    const radians = Math.PI / 180;
+    const frameRate = armature.frameRate || data.frameRate || 24;
+
+    for (const bone of armature.bone || []) {
+      const transform = bone.transform || {};
+      skeleton.addBone(bone.name, bone.parent || null, {
+        x: transform.x || 0,
+        y: transform.y || 0,
+        rotation: (transform.skY || 0) * radians,
+        scaleX: transform.scX ?? 1,
+        scaleY: transform.scY ?? 1,
+        length: bone.length || 0,
+      });
+    }
+
+    // Each slot shows one entry of its display list, by index
+    const displayNames = new Map();
+    const skin = (armature.skin || [])[0];
+    for (const slotSkin of skin?.slot || []) {
+      displayNames.set(slotSkin.name, (slotSkin.display || []).map((display) => display.name));
+    }
+
+    for (const slot of armature.slot || []) {
+      const names = displayNames.get(slot.name) || [];
+      const index = slot.displayIndex ?? 0;
+      skeleton.addSlot(slot.name, slot.parent, index >= 0 ? names[index] || null : null, slot.color?.aM !== undefined ? slot.color.aM / 100 : 1);
+    }
+
+    let skipped = 0;
+    for (const slotSkin of skin?.slot || []) {
+      for (const display of slotSkin.display || []) {
+        if ((display.type || "image") !== "image") {
+          skipped++;
+          continue;
+        }
+        const transform = display.transform || {};
+        skeleton.addAttachment(slotSkin.name, display.name, {
+          region: resolve(display.path || display.name),
+          x: transform.x || 0,
+          y: transform.y || 0,
+          rotation: (transform.skY || 0) * radians,
+          scaleX: transform.scX ?? 1,
+          scaleY: transform.scY ?? 1,
+          width: display.width,
+          height: display.height,
+        });
+      }
+    }
+    if (skipped > 0) {
+      Debug.warn(`Skipped ${skipped} DragonBones displays that are not images`);
+    }
+
+    // Frames are { duration, tweenEasing, curve }; a null tweenEasing holds the value
+    const toKeys = (frames, read) => {
+      let frame = 0;
+      return frames.map((entry) => {
+        const key = {
+          time: frame / frameRate,
+          values: read(entry),
+          curve: entry.tweenEasing === null ? "stepped" : Array.isArray(entry.curve) && entry.curve.length === 4 ? entry.curve : "linear",
+        };
+        frame += entry.duration || 0;
+        return key;
+      });
+    };
+
+    for (const animationData of armature.animation || []) {
+      const animation = new SkeletonAnimation(animationData.name, (animationData.duration || 0) / frameRate);
+
+      for (const boneData of animationData.bone || []) {
+        // 5.x keeps one frame list per property
+        if (boneData.translateFrame) {
+          animation.addTimeline("translate", boneData.name, toKeys(boneData.translateFrame, (entry) => [entry.x || 0, entry.y || 0]));
+        }
+        if (boneData.rotateFrame) {
+          animation.addTimeline("rotate", boneData.name, toKeys(boneData.rotateFrame, (entry) => [(entry.rotate || 0) * radians]));
+        }
+        if (boneData.scaleFrame) {
+          animation.addTimeline("scale", boneData.name, toKeys(boneData.scaleFrame, (entry) => [entry.x ?? 1, entry.y ?? 1]));
+        }
+        // 4.5 keeps whole transforms per frame
+        if (boneData.frame) {
+          const transform = (entry) => entry.transform || {};
+          animation.addTimeline("translate", boneData.name, toKeys(boneData.frame, (entry) => [transform(entry).x || 0, transform(entry).y || 0]));
+          animation.addTimeline("rotate", boneData.name, toKeys(boneData.frame, (entry) => [(transform(entry).skY || 0) * radians]));
+          animation.addTimeline("scale", boneData.name, toKeys(boneData.frame, (entry) => [transform(entry).scX ?? 1, transform(entry).scY ?? 1]));
+        }
+      }
+
+      for (const slotData of animationData.slot || []) {
+        const frames = slotData.displayFrame || slotData.frame;
+        if (!frames) continue;
+        const names = displayNames.get(slotData.name) || [];
+        let frame = 0;
+        animation.addTimeline("attachment", slotData.name, frames.map((entry) => {
+          const index = entry.value ?? entry.displayIndex ?? 0;
+          const key = { time: frame / frameRate, name: index >= 0 ? names[index] || null : null };
+          frame += entry.duration || 0;
+          return key;
+        }));
+      }
+
+      let frame = 0;
+      for (const entry of animationData.frame || []) {
+        const events = entry.events || (entry.event ? [{ name: entry.event }] : []);
+        events.forEach((event) => animation.addEvent(frame / frameRate, event.name, event));
+        frame += entry.duration || 0;
+      }
+
+      skeleton.addAnimation(animation);
+    }
+
+    skeleton.setToSetupPose();
+    skeleton.updateWorldTransform();
+    return skeleton;
+  }
+}
+
+class Collider extends Component {
+  constructor(
+    shape = "box",
+    width = 32,
+    height = 32,
+    isTrigger = false,
+    layer = "Default",
+    options = {}
+  ) {
+    super();
+    this.shape = shape;
+    this.width = width;
     this.height = height;
     this.isTrigger = isTrigger;
     this.layer = layer;
     this.collidingWith = new Set();
     this.previousCollisions = new Set();
+
+    // Shape parameters: circles use `radius`, capsules use `radius` plus
+    // `direction`, convex polygons use `vertices` relative to the object
+    this.radius =
+      options.radius ??
+      (shape === "capsule" ? Math.min(width, height) / 2 : width / 2);
+    this.direction =
+      options.direction || (height >= width ? "vertical" : "horizontal");
+    this.vertices = (options.vertices || []).map((v) => new Vector2(v.x, v.y));
+
+    // Optional PhysicsMaterial; without one the Rigidbody's values are used
+    this.material = options.material || null;
+    // Blocks Light2D light when the scene has lighting
+    this.castShadows = options.castShadows ?? false;
+  }
+
+  setMaterial(material) {
+    this.material = material;
+    return this;
+  }
+
+  serialize() {
+    return {
+      type: "Collider",
+      shape: this.shape,
+      width: this.width,
+      height: this.height,
+      isTrigger: this.isTrigger,
+      layer: this.layer,
+      radius: this.radius,
+      direction: this.direction,
+      vertices: this.vertices.map((v) => ({ x: v.x, y: v.y })),
+      material: this.material ? this.material.toJSON() : null,
+      properties: { enabled: this.enabled, castShadows: this.castShadows },
+    };
+  }
+
+  getArea() {
+    const scale = this.gameObject.transform.worldScale;
+
+    switch (this.shape) {
+      case "circle": {
+        const shape = this.getWorldShape();
+        return Math.PI * shape.radius * shape.radius;
+      }
+      case "capsule": {
+        const shape = this.getWorldShape();
+        return (
+          Math.PI * shape.radius * shape.radius +
+          shape.a.distance(shape.b) * shape.radius * 2
+        );
+      }
+      case "polygon": {
+        // Shoelace formula
+        const vertices = this.getLocalVertices();
+        let area = 0;
+        for (let i = 0; i < vertices.length; i++) {
+          area += vertices[i].cross(vertices[(i + 1) % vertices.length]);
+        }
+        return Math.abs(area / 2) * Math.abs(scale.x * scale.y);
+      }
+      default:
+        return this.width * this.height * Math.abs(scale.x * scale.y);
+    }
+  }
+
+  getLocalVertices() {
+    if (this.shape === "polygon" && this.vertices.length >= 3) {
+      return this.vertices;
+    }
+
+    const halfWidth = this.width / 2;
+    const halfHeight = this.height / 2;
+    return [
+      new Vector2(-halfWidth, -halfHeight),
+      new Vector2(halfWidth, -halfHeight),
+      new Vector2(halfWidth, halfHeight),
+      new Vector2(-halfWidth, halfHeight),
+    ];
+  }
+
+  getWorldVertices() {
+    const transform = this.gameObject.transform;
+    const pos = transform.worldPosition;
+    const scale = transform.worldScale;
+    const rotation = transform.worldRotation;
+
+    return this.getLocalVertices().map((v) =>
+      new Vector2(v.x * scale.x, v.y * scale.y).rotate(rotation).add(pos)
+    );
+  }
+
+  // World-space description of the shape used by the narrow phase
+  getWorldShape() {
+    const transform = this.gameObject.transform;
+    const pos = transform.worldPosition;
+    const scale = transform.worldScale;
+    const rotation = transform.worldRotation;
+
+    switch (this.shape) {
+      case "circle":
+        return {
+          type: "circle",
+          center: pos.copy(),
+          radius: this.radius * Math.max(Math.abs(scale.x), Math.abs(scale.y)),
+        };
+
+      case "capsule": {
+        const vertical = this.direction === "vertical";
+        const radius = this.radius * Math.abs(vertical ? scale.x : scale.y);
+        const length = vertical
+          ? this.height * Math.abs(scale.y)
+          : this.width * Math.abs(scale.x);
+        const halfSegment = Math.max(0, length / 2 - radius);
+        const axis = (vertical ? new Vector2(0, 1) : new Vector2(1, 0)).rotate(
+          rotation
+        );
+        return {
+          type: "capsule",
+          a: pos.subtract(axis.multiplyByScalar(halfSegment)),
+          b: pos.add(axis.multiplyByScalar(halfSegment)),
+          radius: radius,
+        };
+      }
+
+      default:
+        return { type: "polygon", vertices: this.getWorldVertices() };
+    }
   }
 
   getBounds() {
-    const pos = this.gameObject.transform.position;
-    const scale = this.gameObject.transform.scale;
-    const width = this.width * scale.x;
-    const height = this.height * scale.y;
+    const shape = this.getWorldShape();
+    let left, right, top, bottom;
+
+    if (shape.type === "circle") {
+      left = shape.center.x - shape.radius;
+      right = shape.center.x + shape.radius;
+      top = shape.center.y - shape.radius;
+      bottom = shape.center.y + shape.radius;
+    } else if (shape.type === "capsule") {
+      left = Math.min(shape.a.x, shape.b.x) - shape.radius;
+      right = Math.max(shape.a.x, shape.b.x) + shape.radius;
+      top = Math.min(shape.a.y, shape.b.y) - shape.radius;
+      bottom = Math.max(shape.a.y, shape.b.y) + shape.radius;
+    } else {
+      left = Math.min(...shape.vertices.map((v) => v.x));
+      right = Math.max(...shape.vertices.map((v) => v.x));
+      top = Math.min(...shape.vertices.map((v) => v.y));
+      bottom = Math.max(...shape.vertices.map((v) => v.y));
+    }
 
     return {
-      left: pos.x - width / 2,
-      right: pos.x + width / 2,
-      top: pos.y - height / 2,
-      bottom: pos.y + height / 2,
-      centerX: pos.x,
-      centerY: pos.y,
-      width: width,
-      height: height,
+      left: left,
+      right: right,
+      top: top,
+      bottom: bottom,
+      centerX: (left + right) / 2,
+      centerY: (top + bottom) / 2,
+      width: right - left,
+      height: bottom - top,
     };
   }
 
@@ -1147,6 +3814,26 @@ class Rigidbody extends Component {
     this.gravity = new Vector2(0, 9.8 * gravityScale);
     this.useGravity = true;
     this.isKinematic = false;
+    this.restitution = 0; // Bounciness, 0 = no bounce, 1 = perfectly elastic
+    this.friction = 0.4;
+    // Derive mass from collider area × PhysicsMaterial density on start
+    this.useAutoMass = false;
+    // Sweep the collider each step so fast bodies cannot tunnel
+    this.continuous = false;
+    // Fall through one-way tiles while set
+    this.dropThrough = false;
+    this.tileGrounded = false;
+    // Bodies at rest fall asleep and skip simulation until disturbed
+    this.canSleep = true;
+    this.isSleeping = false;
+    this.sleepTimer = 0; // Seconds spent below the engine's sleep thresholds
+    this.sleepPosition = null;
+    this.sleepRotation = 0;
+    // Rotation, driven by joints
+    this.angularVelocity = 0; // Radians per second
+    this.angularDrag = 0.98;
+    this.inertia = null; // null: derived from mass and collider shape
+    this.fixedRotation = false;
     
     // Body types: 'static', 'kinematic', 'dynamic'
     this.bodyType = bodyType;
@@ -1175,20 +3862,146 @@ class Rigidbody extends Component {
     }
   }
 
+  start() {
+    super.start();
+    if (this.useAutoMass) {
+      this.updateMassFromColliders();
+    }
+  }
+
+  updateMassFromColliders() {
+    if (this.bodyType !== 'dynamic' || !this.gameObject) return this.mass;
+
+    let mass = 0;
+    for (const collider of this.gameObject.getComponents(Collider)) {
+      if (collider.isTrigger) continue;
+      const density = collider.material ? collider.material.density : 1;
+      mass += collider.getArea() * density;
+    }
+
+    if (mass > 0) {
+      this.mass = mass;
+    }
+    return this.mass;
+  }
+
+  serialize() {
+    return {
+      type: "Rigidbody",
+      mass: this.mass,
+      gravityScale: this.gravityScale,
+      bodyType: this.bodyType,
+      velocity: { x: this.velocity.x, y: this.velocity.y },
+      gravity: { x: this.gravity.x, y: this.gravity.y },
+      properties: {
+        enabled: this.enabled,
+        drag: this.drag,
+        useGravity: this.useGravity,
+        restitution: this.restitution,
+        friction: this.friction,
+        useAutoMass: this.useAutoMass,
+        continuous: this.continuous,
+        angularVelocity: this.angularVelocity,
+        angularDrag: this.angularDrag,
+        inertia: this.inertia,
+        fixedRotation: this.fixedRotation,
+        canSleep: this.canSleep,
+      },
+    };
+  }
+
+  getPhysicsEngine() {
+    const scene = this.gameObject && this.gameObject.scene;
+    return (scene && scene.engine && scene.engine.physicsEngine) || null;
+  }
+
+  getInverseMass() {
+    if (this.bodyType !== 'dynamic' || this.isKinematic) return 0;
+    if (this.mass === Infinity || this.mass <= 0) return 0;
+    return 1 / this.mass;
+  }
+
+  getInverseInertia() {
+    if (this.fixedRotation || this.getInverseMass() === 0) return 0;
+    const inertia = this.inertia ?? this.computeInertia();
+    return inertia > 0 && inertia !== Infinity ? 1 / inertia : 0;
+  }
+
+  // Moment of inertia of a solid disc, or of the collider's box otherwise
+  computeInertia() {
+    const collider = this.gameObject && this.gameObject.getComponent(Collider);
+    if (!collider) return 0;
+
+    if (collider.shape === "circle") {
+      const radius = collider.getWorldShape().radius;
+      return (this.mass * radius * radius) / 2;
+    }
+
+    const scale = this.gameObject.transform.worldScale;
+    const width = collider.width * Math.abs(scale.x);
+    const height = collider.height * Math.abs(scale.y);
+    return (this.mass * (width * width + height * height)) / 12;
+  }
+
+  // Velocity of a point at offset r from the centre of mass
+  getPointVelocity(r) {
+    return this.velocity.add(
+      new Vector2(-this.angularVelocity * r.y, this.angularVelocity * r.x)
+    );
+  }
+
   addForce(force) {
     // Static bodies cannot have forces applied to them
     if (this.bodyType === 'static' || this.mass === Infinity) return;
     this.force = this.force.add(force);
+    this.wakeUp();
   }
 
   setVelocity(velocity) {
     // Static bodies cannot have velocity changed
     if (this.bodyType === 'static') return;
+    this.wakeUp();
     this.velocity = velocity;
     this.currentSpeed = velocity.magnitude();
     this.targetSpeed = this.currentSpeed;
   }
 
+  sleep() {
+    if (this.isSleeping) return;
+    this.isSleeping = true;
+    this.velocity = new Vector2(0, 0);
+    this.angularVelocity = 0;
+    this.force = new Vector2(0, 0);
+    if (this.gameObject) {
+      this.sleepPosition = this.gameObject.transform.worldPosition;
+      this.sleepRotation = this.gameObject.transform.worldRotation;
+    }
+  }
+
+  wakeUp() {
+    this.sleepTimer = 0;
+    if (!this.isSleeping) return;
+    this.isSleeping = false;
+    this.sleepPosition = null;
+  }
+
+  // Scripts often write velocity or position directly; any change since
+  // falling asleep counts as a disturbance
+  wasDisturbed() {
+    const transform = this.gameObject.transform;
+    const position = transform.worldPosition;
+    return (
+      this.velocity.x !== 0 ||
+      this.velocity.y !== 0 ||
+      this.angularVelocity !== 0 ||
+      this.force.x !== 0 ||
+      this.force.y !== 0 ||
+      (this.sleepPosition &&
+        (position.x !== this.sleepPosition.x || position.y !== this.sleepPosition.y)) ||
+      transform.worldRotation !== this.sleepRotation
+    );
+  }
+
   update(deltaTime) {
     // Static and kinematic bodies don't update via physics
     if (this.isKinematic || this.bodyType === 'static') return;
@@ -1196,6 +4009,11 @@ class Rigidbody extends Component {
     // Prevent infinite mass objects from moving
     if (this.mass === Infinity || this.mass <= 0) return;
 
+    if (this.isSleeping) {
+      if (!this.wasDisturbed()) return;
+      this.wakeUp();
+    }
+
     // Apply forces
     this.acceleration = this.force.multiplyByScalar(1 / this.mass);
     
@@ -1218,9 +4036,43 @@ class Rigidbody extends Component {
     
     // Update position
     if (this.gameObject && this.gameObject.transform) {
-      this.gameObject.transform.position = this.gameObject.transform.position.add(
-        this.velocity.multiplyByScalar(deltaTime)
-      );
+      let displacement = this.velocity.multiplyByScalar(deltaTime);
+
+      const physicsEngine = this.getPhysicsEngine();
+
+      // Stop at the first time of impact; the physics step that follows
+      // sees the contact and raises the collision event
+      if (physicsEngine && this.continuous) {
+        const hit = physicsEngine.sweepCollider(this.gameObject, displacement);
+        if (hit) {
+          displacement = displacement.multiplyByScalar(hit.time);
+        }
+      }
+
+      const tileHit = physicsEngine
+        ? physicsEngine.moveThroughTilemaps(this.gameObject, displacement, {
+            grounded: this.tileGrounded,
+            dropThrough: this.dropThrough,
+          })
+        : null;
+      if (tileHit) {
+        displacement = tileHit.delta;
+        if (tileHit.hitX) this.velocity.x = 0;
+        if (tileHit.hitY) this.velocity.y = 0;
+
+        const player = this.gameObject.getComponent(Player);
+        if (player && (tileHit.grounded || this.tileGrounded)) {
+          player.setGrounded(tileHit.grounded);
+        }
+        this.tileGrounded = tileHit.grounded;
+      }
+
+      this.gameObject.transform.translate(displacement);
+
+      if (!this.fixedRotation && this.angularVelocity !== 0) {
+        this.gameObject.transform.rotation += this.angularVelocity * deltaTime;
+        this.angularVelocity *= this.angularDrag;
+      }
     }
     
     // Reset forces
@@ -1228,3412 +4080,9290 @@ class Rigidbody extends Component {
   }
 }
 
-class AudioSource extends Component {
-  constructor(audioSrc = null, volume = 1.0, loop = false) {
+// ==================== LIGHTING ====================
+
+// A point or spot light. Spots shine along `direction` (radians, added to
+// the object's rotation) across a cone `angle` wide. Brightness fades from
+// the centre to `radius` as (1 - d / radius) ^ falloff. `flicker` from 0 to
+// 1 sets how far the brightness dips, `flickerSpeed` how fast.
+class Light2D extends Component {
+  constructor(options = {}) {
     super();
-    this.audioSrc = audioSrc;
-    this.audio = null;
-    this.volume = volume;
-    this.loop = loop;
-    this.loaded = false;
-    
-    // Advanced audio properties
-    this.pitch = 1.0;
-    this.pan = 0.0; // -1.0 (left) to 1.0 (right)
-    this.spatial = false;
-    this.maxDistance = 1000;
-    this.rolloffFactor = 1.0;
-    this.referenceDistance = 100;
-    
-    // Fade properties
-    this.fadeInTime = 0;
-    this.fadeOutTime = 0;
-    this.fadeTimer = 0;
-    this.fadeType = 'none'; // 'none', 'in', 'out'
-    
-    // Audio context for advanced features
-    this.audioContext = null;
-    this.gainNode = null;
-    this.stereoPanner = null;
-    this.sourceNode = null;
-    
-    // Spatial audio properties
-    this.listener = null; // Camera or player reference
-    this.spatialVolume = 1.0;
+    this.type = options.type || "point"; // "point" or "spot"
+    this.color = options.color || "#ffffff";
+    this.intensity = options.intensity ?? 1;
+    this.radius = options.radius ?? 200;
+    this.falloff = options.falloff ?? 2;
+    this.angle = options.angle ?? Math.PI / 3;
+    this.direction = options.direction ?? 0;
+    this.offset = new Vector2(options.offset?.x || 0, options.offset?.y || 0);
+    this.flicker = options.flicker ?? 0;
+    this.flickerSpeed = options.flickerSpeed ?? 8;
+    this.castShadows = options.castShadows ?? true;
+
+    this.flickerValue = 1;
+    this.flickerTime = Math.random() * 100; // Keeps lights from flickering in step
   }
 
-  awake() {
-    if (this.audioSrc) {
-      this.loadAudio(this.audioSrc);
+  update(deltaTime) {
+    if (this.flicker <= 0) {
+      this.flickerValue = 1;
+      return;
     }
-    
-    // Initialize Web Audio API if available
-    this.initWebAudioAPI();
+
+    // Sum of unrelated sines, smooth but without an obvious rhythm
+    this.flickerTime += deltaTime * this.flickerSpeed;
+    const t = this.flickerTime;
+    const noise = (Math.sin(t) + Math.sin(t * 2.3 + 1.7) + Math.sin(t * 4.1 + 0.3)) / 3;
+    this.flickerValue = 1 - this.flicker * (0.5 + 0.5 * noise);
   }
-  
-  initWebAudioAPI() {
-    try {
-      if (typeof AudioContext !== 'undefined' || typeof webkitAudioContext !== 'undefined') {
-        this.audioContext = new (AudioContext || webkitAudioContext)();
-        this.gainNode = this.audioContext.createGain();
-        this.stereoPanner = this.audioContext.createStereoPanner();
-        
-        this.gainNode.connect(this.stereoPanner);
-        this.stereoPanner.connect(this.audioContext.destination);
-        
-        this.gainNode.gain.value = this.volume;
-        this.stereoPanner.pan.value = this.pan;
-      }
-    } catch (error) {
-      Debug.warn('Web Audio API not available, falling back to HTML5 Audio');
-    }
+
+  getPosition() {
+    return this.gameObject.transform.transformPoint(this.offset);
   }
 
-  loadAudio(src) {
-    this.audio = new Audio();
-    this.audio.oncanplaythrough = () => {
-      this.loaded = true;
-      Debug.log(`Audio loaded: ${src}`);
-      
-      // Create audio source node if Web Audio API is available
-      if (this.audioContext && this.audio) {
-        this.createAudioSource();
-      }
+  getDirection() {
+    return this.direction + this.gameObject.transform.worldRotation;
+  }
+
+  getIntensity() {
+    return this.intensity * this.flickerValue;
+  }
+
+  getBounds() {
+    const position = this.getPosition();
+    return {
+      left: position.x - this.radius,
+      right: position.x + this.radius,
+      top: position.y - this.radius,
+      bottom: position.y + this.radius,
     };
-    this.audio.onerror = () => {
-      Debug.error(`Failed to load audio: ${src}`);
+  }
+
+  serialize() {
+    return {
+      type: "Light2D",
+      lightType: this.type,
+      color: this.color,
+      intensity: this.intensity,
+      radius: this.radius,
+      falloff: this.falloff,
+      angle: this.angle,
+      direction: this.direction,
+      offset: { x: this.offset.x, y: this.offset.y },
+      flicker: this.flicker,
+      flickerSpeed: this.flickerSpeed,
+      castShadows: this.castShadows,
+      properties: { enabled: this.enabled },
     };
-    this.audio.volume = this.volume;
-    this.audio.loop = this.loop;
-    this.audio.src = src;
   }
-  
-  createAudioSource() {
-    if (!this.audioContext || !this.audio) return;
-    
-    try {
-      // Create audio source from HTML5 audio element
-      this.sourceNode = this.audioContext.createMediaElementSource(this.audio);
-      this.sourceNode.connect(this.gainNode);
-    } catch (error) {
-      Debug.warn('Failed to create audio source node:', error);
+}
+
+// A scene's lighting pass. Lights add up on a lightmap that starts at the
+// ambient colour, and the lightmap is multiplied over everything drawn
+// below the `unlitFrom` sorting layer. Colliders with `castShadows` and
+// occluder tiles of tilemaps block light.
+class Lighting {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? true;
+    this.ambientColor = options.ambientColor || "#202028";
+    this.unlitFrom = options.unlitFrom || "UI";
+    // Lightmap size as a fraction of the viewport; lower is faster and softer
+    this.resolution = options.resolution ?? 1;
+    this.circleSegments = 12; // Sides of the polygon circles cast shadows with
+
+    this.canvas = null;
+    this.ctx = null;
+  }
+
+  // True for items drawn after the lightmap, such as UI
+  isUnlit(item) {
+    return SortingLayers.getIndex(item.sortingLayer) >= SortingLayers.getIndex(this.unlitFrom);
+  }
+
+  getLights(scene) {
+    const lights = [];
+    for (const obj of scene.gameObjects) {
+      if (!obj.active) continue;
+      for (const light of obj.getComponents(Light2D)) {
+        if (light.enabled && light.radius > 0) lights.push(light);
+      }
     }
+    return lights;
   }
 
-  play() {
-    if (this.loaded && this.audio) {
-      this.audio.currentTime = 0;
-      
-      if (this.fadeInTime > 0) {
-        this.startFadeIn();
+  // Edges of every occluder that overlaps a light's bounds, as { a, b } in
+  // world space. The light's own GameObject and any occluder around the
+  // light are left out, since they would hide it entirely.
+  getOccluderSegments(scene, light) {
+    const bounds = light.getBounds();
+    const origin = light.getPosition();
+    const segments = [];
+    const addPolygon = (points) => {
+      for (let i = 0; i < points.length; i++) {
+        segments.push({ a: points[i], b: points[(i + 1) % points.length] });
+      }
+    };
+    const overlaps = (box) =>
+      box.right >= bounds.left && box.left <= bounds.right && box.bottom >= bounds.top && box.top <= bounds.bottom;
+
+    for (const obj of scene.gameObjects) {
+      if (!obj.active) continue;
+
+      if (obj !== light.gameObject) {
+        for (const collider of obj.getComponents(Collider)) {
+          if (!collider.enabled || !collider.castShadows || !overlaps(collider.getBounds())) continue;
+          const outline = this.getColliderOutline(collider);
+          if (!Lighting.containsPoint(outline, origin)) addPolygon(outline);
+        }
+      }
+
+      const tilemap = obj.getComponent(Tilemap);
+      if (tilemap && tilemap.enabled && tilemap.castShadows) {
+        segments.push(...tilemap.getOccluderSegments(bounds, origin));
       }
-      
-      this.audio.play().catch((e) => Debug.error("Audio play failed:", e));
     }
+    return segments;
   }
 
-  stop() {
-    if (this.audio) {
-      if (this.fadeOutTime > 0) {
-        this.startFadeOut();
-      } else {
-        this.audio.pause();
-        this.audio.currentTime = 0;
+  getColliderOutline(collider) {
+    const shape = collider.getWorldShape();
+    const arc = (center, radius, start, end, steps) => {
+      const points = [];
+      for (let i = 0; i <= steps; i++) {
+        const angle = start + ((end - start) * i) / steps;
+        points.push(new Vector2(center.x + Math.cos(angle) * radius, center.y + Math.sin(angle) * radius));
       }
+      return points;
+    };
+
+    if (shape.type === "circle") {
+      return arc(shape.center, shape.radius, 0, Math.PI * 2, this.circleSegments).slice(0, -1);
     }
+    if (shape.type === "capsule") {
+      const axis = Math.atan2(shape.b.y - shape.a.y, shape.b.x - shape.a.x);
+      const steps = Math.ceil(this.circleSegments / 2);
+      return [
+        ...arc(shape.b, shape.radius, axis - Math.PI / 2, axis + Math.PI / 2, steps),
+        ...arc(shape.a, shape.radius, axis + Math.PI / 2, axis + Math.PI * 1.5, steps),
+      ];
+    }
+    return shape.vertices;
   }
 
-  pause() {
-    if (this.audio) {
-      this.audio.pause();
+  // Even-odd test, so it holds for concave outlines too
+  static containsPoint(points, point) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+      if (a.y > point.y !== b.y > point.y && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
     }
+    return inside;
   }
-  
-  // Advanced audio controls
-  setVolume(volume) {
-    this.volume = Math.max(0, Math.min(1, volume));
-    if (this.audio) {
-      this.audio.volume = this.volume;
+
+  // Area lit from origin out to radius, found by casting a ray at every
+  // occluder corner (and just either side of it) and keeping the nearest hit
+  static getVisibilityPolygon(origin, radius, segments) {
+    const left = origin.x - radius;
+    const right = origin.x + radius;
+    const top = origin.y - radius;
+    const bottom = origin.y + radius;
+    const corners = [new Vector2(left, top), new Vector2(right, top), new Vector2(right, bottom), new Vector2(left, bottom)];
+    const edges = [
+      ...segments,
+      ...corners.map((corner, i) => ({ a: corner, b: corners[(i + 1) % 4] })),
+    ];
+
+    const angles = [];
+    for (const edge of edges) {
+      for (const point of [edge.a, edge.b]) {
+        const angle = Math.atan2(point.y - origin.y, point.x - origin.x);
+        angles.push(angle - 0.0001, angle, angle + 0.0001);
+      }
     }
-    if (this.gainNode) {
-      this.gainNode.gain.value = this.volume;
+    angles.sort((a, b) => a - b);
+
+    const polygon = [];
+    for (const angle of angles) {
+      const dx = Math.cos(angle);
+      const dy = Math.sin(angle);
+      let nearest = Infinity;
+
+      for (const edge of edges) {
+        const ex = edge.b.x - edge.a.x;
+        const ey = edge.b.y - edge.a.y;
+        const denominator = dx * ey - dy * ex;
+        if (Math.abs(denominator) < 1e-9) continue;
+
+        const ox = edge.a.x - origin.x;
+        const oy = edge.a.y - origin.y;
+        const t = (ox * ey - oy * ex) / denominator;
+        const u = (ox * dy - oy * dx) / denominator;
+        if (t >= 0 && u >= 0 && u <= 1 && t < nearest) nearest = t;
+      }
+
+      if (nearest < Infinity) {
+        polygon.push(new Vector2(origin.x + dx * nearest, origin.y + dy * nearest));
+      }
+    }
+    return polygon;
+  }
+
+  // World corners of a camera's view, top-left first, as drawn (with shake)
+  static getViewCorners(camera, rect) {
+    const position = camera.getViewPosition();
+    const rotation = camera.getViewRotation();
+    const halfWidth = rect.width / 2 / camera.zoom;
+    const halfHeight = rect.height / 2 / camera.zoom;
+    return [
+      new Vector2(-halfWidth, -halfHeight),
+      new Vector2(halfWidth, -halfHeight),
+      new Vector2(halfWidth, halfHeight),
+      new Vector2(-halfWidth, halfHeight),
+    ].map((corner) => corner.rotate(rotation).add(position));
+  }
+
+  // Draws the lightmap for one camera's viewport and returns its canvas
+  renderLightmap(scene, camera, rect, viewBounds) {
+    const width = Math.max(1, Math.round(rect.width * this.resolution));
+    const height = Math.max(1, Math.round(rect.height * this.resolution));
+    if (!this.canvas) {
+      this.canvas = document.createElement("canvas");
+      this.ctx = this.canvas.getContext("2d");
+    }
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+
+    const ctx = this.ctx;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = "source-over";
+    ctx.fillStyle = this.ambientColor;
+    ctx.fillRect(0, 0, width, height);
+
+    // Same view as Renderer.applyCamera, scaled to the lightmap
+    const position = camera.getViewPosition();
+    ctx.scale(width / rect.width, height / rect.height);
+    ctx.translate(rect.width / 2, rect.height / 2);
+    ctx.rotate(-camera.getViewRotation());
+    ctx.scale(camera.zoom, camera.zoom);
+    ctx.translate(-position.x, -position.y);
+    ctx.globalCompositeOperation = "lighter";
+
+    for (const light of this.getLights(scene)) {
+      const bounds = light.getBounds();
+      if (
+        bounds.right < viewBounds.left ||
+        bounds.left > viewBounds.right ||
+        bounds.bottom < viewBounds.top ||
+        bounds.top > viewBounds.bottom
+      ) {
+        continue;
+      }
+      this.drawLight(ctx, scene, light);
     }
+
+    return this.canvas;
   }
-  
-  setPitch(pitch) {
-    this.pitch = Math.max(0.1, Math.min(4, pitch));
-    if (this.audio) {
-      this.audio.playbackRate = this.pitch;
+
+  drawLight(ctx, scene, light) {
+    const position = light.getPosition();
+    const radius = light.radius;
+    const intensity = light.getIntensity();
+    if (intensity <= 0) return;
+
+    ctx.save();
+
+    if (light.castShadows) {
+      const segments = this.getOccluderSegments(scene, light);
+      if (segments.length > 0) {
+        const polygon = Lighting.getVisibilityPolygon(position, radius, segments);
+        ctx.beginPath();
+        polygon.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+        ctx.closePath();
+        ctx.clip();
+      }
+    }
+
+    if (light.type === "spot") {
+      const direction = light.getDirection();
+      ctx.beginPath();
+      ctx.moveTo(position.x, position.y);
+      ctx.arc(position.x, position.y, radius, direction - light.angle / 2, direction + light.angle / 2);
+      ctx.closePath();
+      ctx.clip();
+    }
+
+    const [r, g, b] = Color.parse(light.color);
+    const gradient = ctx.createRadialGradient(position.x, position.y, 0, position.x, position.y, radius);
+    const stops = 8;
+    for (let i = 0; i <= stops; i++) {
+      const t = i / stops;
+      const strength = Math.min(1, intensity * Math.pow(1 - t, light.falloff));
+      gradient.addColorStop(t, Color.toCss([r * strength, g * strength, b * strength, 1]));
     }
+    ctx.fillStyle = gradient;
+    ctx.fillRect(position.x - radius, position.y - radius, radius * 2, radius * 2);
+
+    ctx.restore();
   }
-  
-  setPan(pan) {
-    this.pan = Math.max(-1, Math.min(1, pan));
-    if (this.stereoPanner) {
-      this.stereoPanner.pan.value = this.pan;
+}
+
+// ==================== JOINTS ====================
+
+// A joint constrains the Rigidbody on its own GameObject (body A) to
+// `connectedBody` (body B), or to a fixed point in the world when there is
+// no connected body. Anchors are local to each body; without a connected
+// body, `connectedAnchor` is a world position. The PhysicsEngine solves
+// every enabled joint in the active scene after bodies have moved.
+class Joint extends Component {
+  constructor(connectedBody = null, config = {}) {
+    super();
+    this.connectedBody = connectedBody;
+    this.anchor = config.anchor ? new Vector2(config.anchor.x, config.anchor.y) : Vector2.zero();
+    this.connectedAnchor = config.connectedAnchor
+      ? new Vector2(config.connectedAnchor.x, config.connectedAnchor.y)
+      : null;
+    this.collideConnected = config.collideConnected ?? false;
+    this.configured = false;
+  }
+
+  // Fills in settings left unset from the bodies' current placement
+  configure() {
+    if (!this.connectedAnchor) {
+      this.connectedAnchor = this.getDefaultConnectedAnchor();
     }
+    this.configured = true;
   }
-  
-  // Fade controls
-  fadeIn(duration) {
-    this.fadeInTime = duration;
-    this.fadeType = 'in';
-    this.fadeTimer = 0;
-    this.setVolume(0);
+
+  getDefaultConnectedAnchor() {
+    return this.connectedBody ? Vector2.zero() : this.getWorldAnchor();
   }
-  
-  fadeOut(duration) {
-    this.fadeOutTime = duration;
-    this.fadeType = 'out';
-    this.fadeTimer = 0;
+
+  isValid() {
+    return (
+      this.enabled &&
+      this.gameObject.active &&
+      (!this.connectedBody ||
+        (this.connectedBody.active && this.connectedBody.scene === this.gameObject.scene))
+    );
   }
-  
-  startFadeIn() {
-    this.fadeType = 'in';
-    this.fadeTimer = 0;
-    this.setVolume(0);
+
+  getWorldAnchor() {
+    return this.localToWorld(this.gameObject, this.anchor);
   }
-  
-  startFadeOut() {
-    this.fadeType = 'out';
-    this.fadeTimer = 0;
+
+  getConnectedWorldAnchor() {
+    if (!this.connectedBody) return this.connectedAnchor.copy();
+    return this.localToWorld(this.connectedBody, this.connectedAnchor);
   }
-  
-  // Spatial audio
-  setSpatial(enabled, maxDistance = 1000, rolloffFactor = 1.0) {
-    this.spatial = enabled;
-    this.maxDistance = maxDistance;
-    this.rolloffFactor = rolloffFactor;
+
+  localToWorld(gameObject, point) {
+    return gameObject.transform.transformPoint(point);
   }
-  
-  setListener(listener) {
-    this.listener = listener;
+
+  worldToLocal(gameObject, point) {
+    return gameObject.transform.inverseTransformPoint(point);
   }
-  
-  updateSpatialAudio() {
-    if (!this.spatial || !this.listener || !this.gameObject) return;
-    
-    const listenerPos = this.listener.transform ? this.listener.transform.position : this.listener;
-    const sourcePos = this.gameObject.transform.position;
-    
-    const distance = sourcePos.distance(listenerPos);
-    
-    if (distance > this.maxDistance) {
-      this.spatialVolume = 0;
-    } else if (distance <= this.referenceDistance) {
-      this.spatialVolume = 1.0;
-    } else {
-      // Logarithmic rolloff
-      this.spatialVolume = this.referenceDistance / (this.referenceDistance + this.rolloffFactor * (distance - this.referenceDistance));
-    }
-    
-    // Apply spatial volume
-    const finalVolume = this.volume * this.spatialVolume;
-    if (this.gainNode) {
-      this.gainNode.gain.value = finalVolume;
-    }
-    if (this.audio) {
-      this.audio.volume = finalVolume;
-    }
-    
-    // Calculate pan based on horizontal distance
-    if (this.stereoPanner) {
-      const dx = sourcePos.x - listenerPos.x;
-      const pan = Math.max(-1, Math.min(1, dx / this.maxDistance));
-      this.stereoPanner.pan.value = pan;
-    }
+
+  // Mass properties and anchor offsets of both bodies for one solver pass
+  getFrame() {
+    const a = this.getBody(this.gameObject);
+    const b = this.getBody(this.connectedBody);
+    const pA = this.getWorldAnchor();
+    const pB = this.getConnectedWorldAnchor();
+
+    return {
+      a,
+      b,
+      pA,
+      pB,
+      rA: pA.subtract(a.position),
+      rB: b.gameObject ? pB.subtract(b.position) : Vector2.zero(),
+    };
   }
-  
-  // Update method for fade and spatial audio
-  update(deltaTime) {
-    // Handle fades
-    if (this.fadeType === 'in' && this.fadeInTime > 0) {
-      this.fadeTimer += deltaTime;
-      const progress = Math.min(this.fadeTimer / this.fadeInTime, 1.0);
-      this.setVolume(this.volume * progress);
-      
-      if (progress >= 1.0) {
-        this.fadeType = 'none';
-        this.fadeTimer = 0;
-      }
-    } else if (this.fadeType === 'out' && this.fadeOutTime > 0) {
-      this.fadeTimer += deltaTime;
-      const progress = Math.min(this.fadeTimer / this.fadeOutTime, 1.0);
-      this.setVolume(this.volume * (1.0 - progress));
-      
-      if (progress >= 1.0) {
-        this.fadeType = 'none';
-        this.fadeTimer = 0;
-        this.audio.pause();
-        this.audio.currentTime = 0;
-      }
-    }
-    
-    // Update spatial audio
-    if (this.spatial) {
-      this.updateSpatialAudio();
-    }
+
+  getBody(gameObject) {
+    const rigidbody = gameObject ? gameObject.getComponent(Rigidbody) : null;
+    const active = rigidbody && rigidbody.enabled;
+
+    return {
+      gameObject,
+      rigidbody: active ? rigidbody : null,
+      position: gameObject ? gameObject.transform.worldPosition : Vector2.zero(),
+      rotation: gameObject ? gameObject.transform.worldRotation : 0,
+      invMass: active ? rigidbody.getInverseMass() : 0,
+      invInertia: active ? rigidbody.getInverseInertia() : 0,
+    };
   }
-  
-  // Utility methods
-  isPlaying() {
-    return this.audio && !this.audio.paused && this.audio.currentTime > 0;
+
+  getPointVelocity(body, r) {
+    return body.rigidbody ? body.rigidbody.getPointVelocity(r) : Vector2.zero();
   }
-  
-  getCurrentTime() {
-    return this.audio ? this.audio.currentTime : 0;
+
+  // Relative velocity of anchor B with respect to anchor A
+  getRelativeVelocity(frame) {
+    return this.getPointVelocity(frame.b, frame.rB).subtract(
+      this.getPointVelocity(frame.a, frame.rA)
+    );
   }
-  
-  getDuration() {
-    return this.audio ? this.audio.duration : 0;
+
+  getEffectiveMass(frame, axis) {
+    const crossA = frame.rA.cross(axis);
+    const crossB = frame.rB.cross(axis);
+    return (
+      frame.a.invMass +
+      frame.b.invMass +
+      frame.a.invInertia * crossA * crossA +
+      frame.b.invInertia * crossB * crossB
+    );
   }
-  
-  seek(time) {
-    if (this.audio) {
-      this.audio.currentTime = Math.max(0, Math.min(time, this.audio.duration));
-    }
+
+  // Impulse acts on B, its opposite on A
+  applyImpulse(frame, impulse) {
+    this.applyBodyImpulse(frame.a, impulse.multiplyByScalar(-1), frame.rA);
+    this.applyBodyImpulse(frame.b, impulse, frame.rB);
   }
-}
 
-// ==================== ENHANCED PLAYER COMPONENT SYSTEM ====================
+  applyBodyImpulse(body, impulse, r) {
+    if (!body.rigidbody) return;
+    body.rigidbody.velocity = body.rigidbody.velocity.add(
+      impulse.multiplyByScalar(body.invMass)
+    );
+    body.rigidbody.angularVelocity += body.invInertia * r.cross(impulse);
+  }
 
-class Player extends Component {
-  constructor(config = {}) {
-    super();
+  // Moves the bodies directly to remove drift
+  applyCorrection(frame, correction) {
+    this.applyBodyCorrection(frame.a, correction.multiplyByScalar(-1), frame.rA);
+    this.applyBodyCorrection(frame.b, correction, frame.rB);
+  }
 
-    this.playerId = config.playerId || 1;
-    this.playerName = config.playerName || `Player${this.playerId}`;
-    this.movementType = config.movementType || "topdown";
+  applyBodyCorrection(body, correction, r) {
+    if (!body.rigidbody) return;
+    const transform = body.gameObject.transform;
+    transform.translate(correction.multiplyByScalar(body.invMass));
+    transform.rotation = (transform.rotation || 0) + body.invInertia * r.cross(correction);
+  }
 
-    this.health = config.health || 100;
-    this.maxHealth = config.maxHealth || 100;
-    this.lives = config.lives || 3;
-    this.score = config.score || 0;
+  // Called once per physics step before solving
+  prepare(deltaTime) {
+    if (!this.configured) this.configure();
+  }
 
-    this.speed = config.speed || 200;
-    this.maxSpeed = config.maxSpeed || 300;
-    this.acceleration = config.acceleration || 800;
-    this.deceleration = config.deceleration || 600;
-    this.friction = config.friction || 0.85;
+  solveVelocity(deltaTime) {}
+  solvePosition(correctionFactor) {}
 
-    this.jumpForce = config.jumpForce || 400;
-    this.gravity = config.gravity || 980;
-    this.groundDrag = config.groundDrag || 0.9;
-    this.airDrag = config.airDrag || 0.98;
-    this.coyoteTime = config.coyoteTime || 0.1;
-    this.jumpBufferTime = config.jumpBufferTime || 0.1;
+  // Subclasses add their type
+  serialize() {
+    return {
+      enabled: this.enabled,
+      connectedBody: this.connectedBody ? this.connectedBody.id : null,
+      anchor: { x: this.anchor.x, y: this.anchor.y },
+      connectedAnchor: this.connectedAnchor
+        ? { x: this.connectedAnchor.x, y: this.connectedAnchor.y }
+        : null,
+      collideConnected: this.collideConnected,
+    };
+  }
 
-    this.steeringSpeed = config.steeringSpeed || 180;
-    this.maxSteerAngle = config.maxSteerAngle || 30;
-    this.downforce = config.downforce || 100;
-    this.brakingForce = config.brakingForce || 1000;
+  // Scene loading hands over the loaded objects by their saved ids
+  resolveReferences(objectsById) {
+    if (this.connectedBodyId) {
+      this.connectedBody = objectsById.get(this.connectedBodyId) || null;
+      if (!this.connectedBody) {
+        Debug.warn(`Joint on ${this.gameObject.name}: connected body ${this.connectedBodyId} not found`);
+      }
+      this.connectedBodyId = null;
+    }
+  }
+}
 
-    this.liftForce = config.liftForce || 300;
-    this.maxAltitude = config.maxAltitude || 500;
+// Keeps the anchors at a fixed distance, like a rigid rod
+class DistanceJoint extends Joint {
+  constructor(connectedBody = null, config = {}) {
+    super(connectedBody, config);
+    this.distance = config.distance ?? null; // null: distance when first solved
+  }
 
-    this.state = "idle";
-    this.facing = config.facing || "right";
-    this.isGrounded = false;
-    this.isAlive = true;
-    this.isInvulnerable = false;
-    this.invulnerabilityTime = 0;
+  configure() {
+    super.configure();
+    if (this.distance === null) {
+      this.distance = this.getWorldAnchor().distance(this.getConnectedWorldAnchor());
+    }
+  }
 
-    this.velocity = new Vector2(0, 0);
-    this.lastGroundedTime = 0;
-    this.lastJumpInputTime = 0;
+  // Ropes may go slack; rods never do
+  isSlack(length) {
+    return false;
+  }
 
-    this.inputConfig = {
-      up: config.upKey || "KeyW",
-      down: config.downKey || "KeyS",
-      left: config.leftKey || "KeyA",
-      right: config.rightKey || "KeyD",
-      jump: config.jumpKey || "Space",
-      action1: config.action1Key || "KeyE",
-      action2: config.action2Key || "KeyQ",
-      brake: config.brakeKey || "KeyS",
-    };
+  getAxis(frame) {
+    const delta = frame.pB.subtract(frame.pA);
+    const length = delta.magnitude();
+    if (length < 1e-6) return null;
+    return { axis: delta.multiplyByScalar(1 / length), length };
+  }
 
-    this.boundaries = config.boundaries || null;
-    this.wrapAround = config.wrapAround || false;
+  solveVelocity(deltaTime) {
+    const frame = this.getFrame();
+    const separation = this.getAxis(frame);
+    if (!separation || this.isSlack(separation.length)) return;
 
-    this.onHealthChanged = config.onHealthChanged || null;
-    this.onDeath = config.onDeath || null;
-    this.onJump = config.onJump || null;
-    this.onLanding = config.onLanding || null;
-    this.onStateChange = config.onStateChange || null;
+    const effectiveMass = this.getEffectiveMass(frame, separation.axis);
+    if (effectiveMass === 0) return;
 
-    this.inputManager = null;
-  }
+    const speed = this.getRelativeVelocity(frame).dot(separation.axis);
+    if (this.isSlack(separation.length, speed)) return;
 
-  start() {
-    if (this.gameObject.scene && this.gameObject.scene.engine) {
-      this.inputManager = this.gameObject.scene.engine.inputManager;
-    }
-    this.updateSpriteDirection();
+    this.applyImpulse(frame, separation.axis.multiplyByScalar(-speed / effectiveMass));
   }
 
-  update(deltaTime) {
-    if (!this.isAlive || !this.inputManager) return;
-    
-
-    this.updateTimers(deltaTime);
-    this.handleInput(deltaTime);
-    this.applyPhysics(deltaTime);
-    this.updatePosition(deltaTime);
-    this.handleBoundaries();
-    this.updateState();
-    this.updateSpriteDirection();
-  }
+  solvePosition(correctionFactor) {
+    const frame = this.getFrame();
+    const separation = this.getAxis(frame);
+    if (!separation || this.isSlack(separation.length)) return;
 
-  updateTimers(deltaTime) {
-    if (this.isInvulnerable) {
-      this.invulnerabilityTime -= deltaTime;
-      if (this.invulnerabilityTime <= 0) {
-        this.isInvulnerable = false;
-      }
-    }
+    const effectiveMass = this.getEffectiveMass(frame, separation.axis);
+    if (effectiveMass === 0) return;
 
-    this.lastGroundedTime += deltaTime;
-    this.lastJumpInputTime += deltaTime;
+    const error = separation.length - this.distance;
+    this.applyCorrection(
+      frame,
+      separation.axis.multiplyByScalar((-error * correctionFactor) / effectiveMass)
+    );
   }
 
-  handleInput(deltaTime) {
-    
-    switch (this.movementType) {
-      case "topdown":
-        this.handleTopDownInput(deltaTime);
-        break;
-      case "platformer":
-        this.handlePlatformerInput(deltaTime);
-        break;
-      case "racing":
-        this.handleRacingInput(deltaTime);
-        break;
-      case "sidescroller":
-        this.handleSideScrollerInput(deltaTime);
-        break;
-      case "flying":
-        this.handleFlyingInput(deltaTime);
-        break;
-    }
+  serialize() {
+    return { ...super.serialize(), type: "DistanceJoint", distance: this.distance };
   }
+}
 
-  handleTopDownInput(deltaTime) {
-    const movement = new Vector2(0, 0);
+// A distance joint that only pulls: the anchors can come closer than
+// `maxDistance` but never move further apart
+class RopeJoint extends DistanceJoint {
+  constructor(connectedBody = null, config = {}) {
+    super(connectedBody, { ...config, distance: config.maxDistance ?? config.distance });
+  }
 
-    if (this.inputManager.isKeyDown(this.inputConfig.up)) movement.y -= 1;
-    if (this.inputManager.isKeyDown(this.inputConfig.down)) movement.y += 1;
-    if (this.inputManager.isKeyDown(this.inputConfig.left)) movement.x -= 1;
-    if (this.inputManager.isKeyDown(this.inputConfig.right)) movement.x += 1;
+  get maxDistance() {
+    return this.distance;
+  }
 
-    if (movement.magnitude() > 0) {
-      const normalized = movement.normalize();
-      this.velocity = normalized.multiplyByScalar(this.speed);
-      this.updateFacing(normalized);
-    } else {
-      this.velocity = this.velocity.multiplyByScalar(this.friction);
-    }
+  set maxDistance(value) {
+    this.distance = value;
   }
 
-  handlePlatformerInput(deltaTime) {
-    // This method is now handled by the AdvancedPlatformerPlayer class
-    // The base Player class should not handle platformer input when using Rigidbody
-    return;
+  isSlack(length, speed = 0) {
+    return length < this.distance || speed < 0;
   }
 
-  handleRacingInput(deltaTime) {
-    let throttle = 0;
-    let steering = 0;
-    let braking = false;
+  // Builds a hanging chain of small bodies from bodyA to bodyB (or to a
+  // world point when bodyB is a Vector2). Returns the segment GameObjects.
+  static createChain(scene, bodyA, bodyB, config = {}) {
+    const segments = config.segments ?? 8;
+    const radius = config.segmentRadius ?? 4;
+    const anchorA = config.anchorA || Vector2.zero();
+    const anchorB = config.anchorB || Vector2.zero();
 
-    if (this.inputManager.isKeyDown(this.inputConfig.up)) throttle = 1;
-    if (this.inputManager.isKeyDown(this.inputConfig.down)) throttle = -0.5;
+    const start = bodyA.transform.worldPosition.add(anchorA);
+    const end = bodyB instanceof Vector2 ? bodyB : bodyB.transform.worldPosition.add(anchorB);
+    const length = config.length ?? start.distance(end);
+    const linkLength = length / (segments + 1);
+    const direction = end.subtract(start).normalize();
 
-    if (this.inputManager.isKeyDown(this.inputConfig.left)) steering = -1;
-    if (this.inputManager.isKeyDown(this.inputConfig.right)) steering = 1;
+    const sourceBody = bodyA.getComponent(Rigidbody);
+    const gravity = config.gravity || (sourceBody ? sourceBody.gravity : null);
 
-    if (this.inputManager.isKeyDown(this.inputConfig.brake)) braking = true;
+    const links = [];
+    let previous = bodyA;
+    for (let i = 1; i <= segments; i++) {
+      const link = scene
+        .createGameObject(`${bodyA.name}_Rope_${i}`)
+        .at(
+          start.x + direction.x * linkLength * i,
+          start.y + direction.y * linkLength * i
+        )
+        .withCollider("circle", radius * 2, radius * 2, false, config.layer || "Default")
+        .withDynamicBody(config.segmentMass ?? 0.1)
+        .build();
 
-    const currentSpeed = this.velocity.magnitude();
+      const rigidbody = link.getComponent(Rigidbody);
+      rigidbody.fixedRotation = true;
+      if (gravity) rigidbody.gravity = gravity.copy();
 
-    if (throttle !== 0) {
-      const forceDirection = this.getForwardVector();
-      const force = forceDirection.multiplyByScalar(
-        throttle * this.acceleration
+      link.addComponent(
+        new RopeJoint(previous, {
+          maxDistance: linkLength,
+          connectedAnchor: previous === bodyA ? anchorA : Vector2.zero(),
+        })
       );
-      this.velocity = this.velocity.add(force.multiplyByScalar(deltaTime));
-    }
-
-    if (steering !== 0 && currentSpeed > 10) {
-      const steerAmount =
-        steering *
-        this.steeringSpeed *
-        deltaTime *
-        (currentSpeed / this.maxSpeed);
-      this.gameObject.transform.rotation += (steerAmount * Math.PI) / 180;
+      links.push(link);
+      previous = link;
     }
 
-    if (braking) {
-      const brakeForce = this.velocity
-        .normalize()
-        .multiplyByScalar(-this.brakingForce * deltaTime);
-      this.velocity = this.velocity.add(brakeForce);
-    }
+    previous.addComponent(
+      new RopeJoint(bodyB instanceof Vector2 ? null : bodyB, {
+        maxDistance: linkLength,
+        connectedAnchor: bodyB instanceof Vector2 ? bodyB : anchorB,
+      })
+    );
 
-    this.velocity = this.velocity.multiplyByScalar(this.friction);
+    return links;
+  }
 
-    if (this.velocity.magnitude() > this.maxSpeed) {
-      this.velocity = this.velocity.normalize().multiplyByScalar(this.maxSpeed);
-    }
+  serialize() {
+    return { ...super.serialize(), type: "RopeJoint" };
   }
+}
 
-  handleSideScrollerInput(deltaTime) {
-    let horizontalInput = 0;
-    if (this.inputManager.isKeyDown(this.inputConfig.left))
-      horizontalInput -= 1;
-    if (this.inputManager.isKeyDown(this.inputConfig.right))
-      horizontalInput += 1;
+// Damped spring between the anchors, pulling them towards `restLength`.
+// Solved implicitly, so stiff springs stay stable.
+class SpringJoint extends Joint {
+  constructor(connectedBody = null, config = {}) {
+    super(connectedBody, config);
+    this.restLength = config.restLength ?? null; // null: distance when first solved
+    this.stiffness = config.stiffness ?? 50; // Force per pixel of stretch
+    this.damping = config.damping ?? 1; // Force per pixel/second along the spring
+    this.accumulatedImpulse = 0;
+  }
 
-    if (horizontalInput !== 0) {
-      this.velocity.x = horizontalInput * this.speed;
-      this.updateFacing(new Vector2(horizontalInput, 0));
-    } else {
-      this.velocity.x *= this.friction;
+  configure() {
+    super.configure();
+    if (this.restLength === null) {
+      this.restLength = this.getWorldAnchor().distance(this.getConnectedWorldAnchor());
     }
+  }
 
-    if (this.inputManager.isKeyDown(this.inputConfig.up)) {
-      this.velocity.y = -this.speed * 0.5;
-    } else if (this.inputManager.isKeyDown(this.inputConfig.down)) {
-      this.velocity.y = this.speed * 0.5;
-    } else {
-      this.velocity.y *= this.friction;
-    }
+  prepare(deltaTime) {
+    super.prepare(deltaTime);
+    this.accumulatedImpulse = 0;
   }
 
-  handleFlyingInput(deltaTime) {
-    const movement = new Vector2(0, 0);
+  solveVelocity(deltaTime) {
+    const frame = this.getFrame();
+    const delta = frame.pB.subtract(frame.pA);
+    const length = delta.magnitude();
+    if (length < 1e-6) return;
 
-    if (this.inputManager.isKeyDown(this.inputConfig.up)) movement.y -= 1;
-    if (this.inputManager.isKeyDown(this.inputConfig.down)) movement.y += 1;
-    if (this.inputManager.isKeyDown(this.inputConfig.left)) movement.x -= 1;
-    if (this.inputManager.isKeyDown(this.inputConfig.right)) movement.x += 1;
+    const axis = delta.multiplyByScalar(1 / length);
+    const effectiveMass = this.getEffectiveMass(frame, axis);
+    if (effectiveMass === 0) return;
 
-    if (movement.magnitude() > 0) {
-      const normalized = movement.normalize();
-      const force = normalized.multiplyByScalar(this.liftForce * deltaTime);
-      this.velocity = this.velocity.add(force);
-      this.updateFacing(normalized);
-    }
+    // Soft constraint: gamma softens the response, bias pulls towards rest
+    const softness = deltaTime * (this.damping + deltaTime * this.stiffness);
+    if (softness <= 0) return;
+    const gamma = 1 / softness;
+    const bias = (length - this.restLength) * deltaTime * this.stiffness * gamma;
 
-    this.velocity = this.velocity.multiplyByScalar(this.airDrag);
+    const speed = this.getRelativeVelocity(frame).dot(axis);
+    const impulse =
+      -(speed + bias + gamma * this.accumulatedImpulse) / (effectiveMass + gamma);
+    this.accumulatedImpulse += impulse;
 
-    if (this.velocity.magnitude() > this.maxSpeed) {
-      this.velocity = this.velocity.normalize().multiplyByScalar(this.maxSpeed);
-    }
+    this.applyImpulse(frame, axis.multiplyByScalar(impulse));
   }
 
-  applyPhysics(deltaTime) {
-    // Check if this GameObject has a Rigidbody component
-    const rigidbody = this.gameObject.getComponent(Rigidbody);
-    if (rigidbody) {
-      // If using Rigidbody, don't apply physics here
-      return;
-    }
-    
-    // Only apply physics if no Rigidbody is present
-    switch (this.movementType) {
-      case "platformer":
-        if (!this.isGrounded) {
-          this.velocity.y += this.gravity * deltaTime;
-        }
-        break;
-
-      case "flying":
-        this.velocity.y += this.gravity * 0.1 * deltaTime;
-        break;
-    }
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "SpringJoint",
+      restLength: this.restLength,
+      stiffness: this.stiffness,
+      damping: this.damping,
+    };
   }
+}
 
-  updatePosition(deltaTime) {
-    // Check if this GameObject has a Rigidbody component
-    const rigidbody = this.gameObject.getComponent(Rigidbody);
-    if (rigidbody) {
-      // If using Rigidbody, don't update position here
-      return;
-    }
-    
-    // Only update position if no Rigidbody is present
-    const movement = this.velocity.multiplyByScalar(deltaTime);
-    this.gameObject.transform.position =
-      this.gameObject.transform.position.add(movement);
+// Pins the anchors together and lets the bodies rotate around them.
+// Angles are radians of body A relative to body B; the motor turns body A.
+class HingeJoint extends Joint {
+  constructor(connectedBody = null, config = {}) {
+    super(connectedBody, config);
+    this.referenceAngle = config.referenceAngle ?? null; // null: angle when first solved
+    this.useLimits = config.useLimits ?? false;
+    this.lowerAngle = config.lowerAngle ?? -Math.PI / 4;
+    this.upperAngle = config.upperAngle ?? Math.PI / 4;
+    this.useMotor = config.useMotor ?? false;
+    this.motorSpeed = config.motorSpeed ?? 0; // Radians per second
+    this.maxMotorTorque = config.maxMotorTorque ?? 1000;
+    this.motorImpulse = 0;
   }
 
-  handleBoundaries() {
-    if (!this.boundaries) return;
-
-    const pos = this.gameObject.transform.position;
-    let newPos = pos.copy();
-
-    if (this.wrapAround) {
-      if (pos.x < this.boundaries.left) newPos.x = this.boundaries.right;
-      if (pos.x > this.boundaries.right) newPos.x = this.boundaries.left;
-      if (pos.y < this.boundaries.top) newPos.y = this.boundaries.bottom;
-      if (pos.y > this.boundaries.bottom) newPos.y = this.boundaries.top;
-    } else {
-      newPos.x = Math.max(
-        this.boundaries.left,
-        Math.min(this.boundaries.right, pos.x)
-      );
-      newPos.y = Math.max(
-        this.boundaries.top,
-        Math.min(this.boundaries.bottom, pos.y)
-      );
-
-      if (pos.x <= this.boundaries.left || pos.x >= this.boundaries.right) {
-        this.velocity.x = 0;
-      }
-      if (pos.y <= this.boundaries.top || pos.y >= this.boundaries.bottom) {
-        this.velocity.y = 0;
-      }
-    }
-
-    this.gameObject.transform.position = newPos;
+  // The anchors start out coincident
+  getDefaultConnectedAnchor() {
+    const worldAnchor = this.getWorldAnchor();
+    return this.connectedBody ? this.worldToLocal(this.connectedBody, worldAnchor) : worldAnchor;
   }
 
-  updateState() {
-    const oldState = this.state;
-
-    if (!this.isAlive) {
-      this.state = "dead";
-    } else if (this.movementType === "platformer") {
-      if (!this.isGrounded && this.velocity.y > 0) {
-        this.state = "falling";
-      } else if (!this.isGrounded && this.velocity.y < 0) {
-        this.state = "jumping";
-      } else if (Math.abs(this.velocity.x) > 10) {
-        this.state = "moving";
-      } else {
-        this.state = "idle";
-      }
-    } else {
-      if (this.velocity.magnitude() > 10) {
-        this.state = "moving";
-      } else {
-        this.state = "idle";
-      }
-    }
-
-    if (oldState !== this.state && this.onStateChange) {
-      this.onStateChange(this.state, oldState);
+  configure() {
+    super.configure();
+    if (this.referenceAngle === null) {
+      this.referenceAngle = this.getRelativeRotation();
     }
   }
 
-  updateSpriteDirection() {
-    const spriteRenderer = this.gameObject.getComponent(SpriteRenderer);
-    if (!spriteRenderer) return;
-
-    if (this.facing === "left") {
-      spriteRenderer.flipX = true;
-    } else if (this.facing === "right") {
-      spriteRenderer.flipX = false;
-    }
+  getRelativeRotation() {
+    const rotationB = this.connectedBody ? this.connectedBody.transform.worldRotation : 0;
+    return this.gameObject.transform.worldRotation - rotationB;
   }
 
-  updateFacing(direction) {
-    if (Math.abs(direction.x) > Math.abs(direction.y)) {
-      this.facing = direction.x > 0 ? "right" : "left";
-    } else if (direction.y !== 0) {
-      this.facing = direction.y > 0 ? "down" : "up";
-    }
+  getJointAngle() {
+    return this.getRelativeRotation() - this.referenceAngle;
   }
 
-  getForwardVector() {
-    const rotation = this.gameObject.transform.rotation;
-    return new Vector2(Math.cos(rotation), Math.sin(rotation));
+  setMotor(speed, maxTorque = this.maxMotorTorque) {
+    this.useMotor = true;
+    this.motorSpeed = speed;
+    this.maxMotorTorque = maxTorque;
+    return this;
   }
 
-  // In Player class, replace the jump method:
-  jump() {
-    if (this.movementType !== "platformer") return;
-
-    console.log("Jumping with force:", this.jumpForce);
-    this.velocity.y = -this.jumpForce;
-    this.isGrounded = false;
-    this.lastGroundedTime = this.coyoteTime + 0.1; // Ensure coyote time is exceeded
-
-    if (this.onJump) this.onJump();
+  setLimits(lowerAngle, upperAngle) {
+    this.useLimits = true;
+    this.lowerAngle = lowerAngle;
+    this.upperAngle = upperAngle;
+    return this;
   }
 
-  takeDamage(amount) {
-    if (this.isInvulnerable || !this.isAlive) return false;
-
-    this.health = Math.max(0, this.health - amount);
-
-    if (this.onHealthChanged) this.onHealthChanged(this.health, this.maxHealth);
-
-    if (this.health <= 0) {
-      this.die();
-    } else {
-      this.makeInvulnerable(1.0);
-    }
-
-    return true;
+  prepare(deltaTime) {
+    super.prepare(deltaTime);
+    this.motorImpulse = 0;
   }
 
-  heal(amount) {
-    if (!this.isAlive) return false;
-
-    const oldHealth = this.health;
-    this.health = Math.min(this.maxHealth, this.health + amount);
-
-    if (this.onHealthChanged && oldHealth !== this.health) {
-      this.onHealthChanged(this.health, this.maxHealth);
-    }
-
-    return oldHealth !== this.health;
-  }
+  solveVelocity(deltaTime) {
+    const frame = this.getFrame();
+    const angularMass = frame.a.invInertia + frame.b.invInertia;
 
-  makeInvulnerable(duration) {
-    this.isInvulnerable = true;
-    this.invulnerabilityTime = duration;
+    if (angularMass > 0) {
+      if (this.useMotor) {
+        const relativeSpeed = this.getRelativeAngularVelocity(frame);
+        const maxImpulse = this.maxMotorTorque * deltaTime;
+        const previous = this.motorImpulse;
+        this.motorImpulse = Math.max(
+          -maxImpulse,
+          Math.min(maxImpulse, previous + (this.motorSpeed - relativeSpeed) / angularMass)
+        );
+        this.applyAngularImpulse(frame, this.motorImpulse - previous);
+      }
 
-    const spriteRenderer = this.gameObject.getComponent(SpriteRenderer);
-    if (spriteRenderer) {
-      spriteRenderer.alpha = 0.5;
-      setTimeout(() => {
-        if (spriteRenderer.gameObject) spriteRenderer.alpha = 1.0;
-      }, duration * 1000);
+      if (this.useLimits) {
+        const angle = this.getJointAngle();
+        const relativeSpeed = this.getRelativeAngularVelocity(frame);
+        if (
+          (angle <= this.lowerAngle && relativeSpeed < 0) ||
+          (angle >= this.upperAngle && relativeSpeed > 0)
+        ) {
+          this.applyAngularImpulse(frame, -relativeSpeed / angularMass);
+        }
+      }
     }
-  }
 
-  die() {
-    this.isAlive = false;
-    this.velocity = Vector2.zero();
-    this.lives--;
+    // Point constraint, solved as a 2x2 block
+    const k = this.getPointMassMatrix(frame);
+    const determinant = k.xx * k.yy - k.xy * k.xy;
+    if (Math.abs(determinant) < 1e-12) return;
 
-    if (this.onDeath) this.onDeath();
+    const velocity = this.getRelativeVelocity(frame);
+    this.applyImpulse(
+      frame,
+      new Vector2(
+        -(k.yy * velocity.x - k.xy * velocity.y) / determinant,
+        -(k.xx * velocity.y - k.xy * velocity.x) / determinant
+      )
+    );
   }
 
-  respawn(position = null) {
-    this.isAlive = true;
-    this.health = this.maxHealth;
-    this.velocity = Vector2.zero();
-    this.state = "idle";
-    this.makeInvulnerable(2.0);
-
-    if (position) {
-      this.gameObject.transform.position = position.copy();
+  solvePosition(correctionFactor) {
+    if (this.useLimits) {
+      const frame = this.getFrame();
+      const angularMass = frame.a.invInertia + frame.b.invInertia;
+      const angle = this.getJointAngle();
+      const error =
+        angle < this.lowerAngle ? angle - this.lowerAngle :
+        angle > this.upperAngle ? angle - this.upperAngle :
+        0;
+
+      if (error !== 0 && angularMass > 0) {
+        const impulse = (-error * correctionFactor) / angularMass;
+        this.rotateBody(frame.a, frame.a.invInertia * impulse);
+        this.rotateBody(frame.b, -frame.b.invInertia * impulse);
+      }
     }
-  }
-
-  addScore(points) {
-    this.score += points;
-  }
 
-  setGrounded(grounded) {
-    const wasGrounded = this.isGrounded;
-    this.isGrounded = grounded;
+    const frame = this.getFrame();
+    const k = this.getPointMassMatrix(frame);
+    const determinant = k.xx * k.yy - k.xy * k.xy;
+    if (Math.abs(determinant) < 1e-12) return;
 
-    if (grounded && !wasGrounded) {
-      this.lastGroundedTime = 0;
-      if (this.onLanding) this.onLanding();
-    } else if (!grounded && wasGrounded) {
-      // Player just left the ground
-      this.lastGroundedTime = 0;
-    }
+    const error = frame.pB.subtract(frame.pA).multiplyByScalar(correctionFactor);
+    this.applyCorrection(
+      frame,
+      new Vector2(
+        -(k.yy * error.x - k.xy * error.y) / determinant,
+        -(k.xx * error.y - k.xy * error.x) / determinant
+      )
+    );
   }
 
-  setMovementType(type) {
-    this.movementType = type;
-    this.velocity = Vector2.zero();
+  getPointMassMatrix(frame) {
+    const { a, b, rA, rB } = frame;
+    const invMass = a.invMass + b.invMass;
+    return {
+      xx: invMass + a.invInertia * rA.y * rA.y + b.invInertia * rB.y * rB.y,
+      xy: -a.invInertia * rA.x * rA.y - b.invInertia * rB.x * rB.y,
+      yy: invMass + a.invInertia * rA.x * rA.x + b.invInertia * rB.x * rB.x,
+    };
   }
 
-  setBoundaries(left, top, right, bottom) {
-    this.boundaries = { left, top, right, bottom };
+  getRelativeAngularVelocity(frame) {
+    const angularA = frame.a.rigidbody ? frame.a.rigidbody.angularVelocity : 0;
+    const angularB = frame.b.rigidbody ? frame.b.rigidbody.angularVelocity : 0;
+    return angularA - angularB;
   }
 
-  setInputConfig(config) {
-    this.inputConfig = { ...this.inputConfig, ...config };
+  // Positive impulses turn body A forwards relative to body B
+  applyAngularImpulse(frame, impulse) {
+    if (frame.a.rigidbody) frame.a.rigidbody.angularVelocity += frame.a.invInertia * impulse;
+    if (frame.b.rigidbody) frame.b.rigidbody.angularVelocity -= frame.b.invInertia * impulse;
   }
-}
 
-// ==================== SPECIALIZED PLAYER CLASSES ====================
+  rotateBody(body, angle) {
+    if (!body.rigidbody) return;
+    body.gameObject.transform.rotation = (body.gameObject.transform.rotation || 0) + angle;
+  }
 
-class PlatformerPlayer extends Player {
-  constructor(config = {}) {
-    super({
-      movementType: "platformer",
-      speed: 200,
-      jumpForce: 400,
-      gravity: 980,
-      ...config,
-    });
+  serialize() {
+    return {
+      ...super.serialize(),
+      type: "HingeJoint",
+      referenceAngle: this.referenceAngle,
+      useLimits: this.useLimits,
+      lowerAngle: this.lowerAngle,
+      upperAngle: this.upperAngle,
+      useMotor: this.useMotor,
+      motorSpeed: this.motorSpeed,
+      maxMotorTorque: this.maxMotorTorque,
+    };
   }
 }
 
-class RacingPlayer extends Player {
-  constructor(config = {}) {
-    super({
-      movementType: "racing",
-      speed: 300,
-      maxSpeed: 500,
-      steeringSpeed: 180,
-      acceleration: 600,
-      friction: 0.95,
-      ...config,
-    });
+class AudioSource extends Component {
+  constructor(audioSrc = null, volume = 1.0, loop = false) {
+    super();
+    this.audioSrc = audioSrc;
+    this.audio = null;
+    this.volume = volume;
+    this.loop = loop;
+    this.loaded = false;
     
-    // Racing-specific properties
-    this.currentSpeed = 0;
-    this.targetSpeed = 0;
-    this.steeringAngle = 0;
-    this.driftFactor = 0.8;
-    this.boostMultiplier = 1.0;
-    this.isDrifting = false;
-    this.driftIntensity = 0;
+    // Advanced audio properties
+    this.pitch = 1.0;
+    this.pan = 0.0; // -1.0 (left) to 1.0 (right)
+    this.spatial = false;
+    this.maxDistance = 1000;
+    this.rolloffFactor = 1.0;
+    this.referenceDistance = 100;
     
-    // Callbacks
-    this.onDrift = config.onDrift || null;
+    // Fade properties; fadeVolume scales volume and is tweened by the fades
+    this.fadeInTime = 0;
+    this.fadeOutTime = 0;
+    this.fadeVolume = 1.0;
+    this.fades = new TweenManager();
+    this.fadeTween = null;
+    
+    // Audio context for advanced features
+    this.audioContext = null;
+    this.gainNode = null;
+    this.stereoPanner = null;
+    this.sourceNode = null;
+    
+    // Spatial audio properties
+    this.listener = null; // Camera or player reference
+    this.spatialVolume = 1.0;
   }
 
-  getSpeed() {
-    return this.currentSpeed;
+  awake() {
+    if (this.audioSrc) {
+      this.loadAudio(this.audioSrc);
+    }
+    
+    // Initialize Web Audio API if available
+    this.initWebAudioAPI();
   }
-
-  getSpeedKmh() {
-    return this.currentSpeed * 3.6; // Convert m/s to km/h
+  
+  initWebAudioAPI() {
+    try {
+      if (typeof AudioContext !== 'undefined' || typeof webkitAudioContext !== 'undefined') {
+        this.audioContext = new (AudioContext || webkitAudioContext)();
+        this.gainNode = this.audioContext.createGain();
+        this.stereoPanner = this.audioContext.createStereoPanner();
+        
+        this.gainNode.connect(this.stereoPanner);
+        this.stereoPanner.connect(this.audioContext.destination);
+        
+        this.gainNode.gain.value = this.volume;
+        this.stereoPanner.pan.value = this.pan;
+      }
+    } catch (error) {
+      Debug.warn('Web Audio API not available, falling back to HTML5 Audio');
+    }
   }
 
-  accelerate(amount = 1.0) {
-    this.targetSpeed = Math.min(this.maxSpeed, this.targetSpeed + this.acceleration * amount);
+  loadAudio(src) {
+    this.audio = new Audio();
+    this.audio.oncanplaythrough = () => {
+      this.loaded = true;
+      Debug.log(`Audio loaded: ${src}`);
+      
+      // Create audio source node if Web Audio API is available
+      if (this.audioContext && this.audio) {
+        this.createAudioSource();
+      }
+    };
+    this.audio.onerror = () => {
+      Debug.error(`Failed to load audio: ${src}`);
+    };
+    this.audio.volume = this.volume;
+    this.audio.loop = this.loop;
+    this.audio.src = src;
   }
-
-  brake(amount = 1.0) {
-    this.targetSpeed = Math.max(0, this.targetSpeed - this.acceleration * amount);
+  
+  createAudioSource() {
+    if (!this.audioContext || !this.audio) return;
+    
+    try {
+      // Create audio source from HTML5 audio element
+      this.sourceNode = this.audioContext.createMediaElementSource(this.audio);
+      this.sourceNode.connect(this.gainNode);
+    } catch (error) {
+      Debug.warn('Failed to create audio source node:', error);
+    }
   }
 
-  steer(direction) {
-    this.steeringAngle += direction * this.steeringSpeed * 0.016; // Assuming 60 FPS
-    this.steeringAngle = Math.max(-Math.PI/4, Math.min(Math.PI/4, this.steeringAngle));
+  play() {
+    if (this.loaded && this.audio) {
+      this.audio.currentTime = 0;
+      
+      // Also cancels a fade-out left running by stop()
+      this.startFade(this.fadeInTime > 0 ? 0 : 1, 1, this.fadeInTime);
+      
+      this.audio.play().catch((e) => Debug.error("Audio play failed:", e));
+    }
   }
 
-  startDrift() {
-    this.isDrifting = true;
-    this.driftIntensity = 0;
+  stop() {
+    if (this.audio) {
+      if (this.fadeOutTime > 0) {
+        this.startFadeOut();
+      } else {
+        this.audio.pause();
+        this.audio.currentTime = 0;
+      }
+    }
   }
 
-  stopDrift() {
-    this.isDrifting = false;
-    this.driftIntensity = 0;
+  pause() {
+    if (this.audio) {
+      this.audio.pause();
+    }
   }
-
-  update(deltaTime) {
-    super.update(deltaTime);
-    
-    // Update speed
-    if (this.targetSpeed > this.currentSpeed) {
-      this.currentSpeed = Math.min(this.targetSpeed, this.currentSpeed + this.acceleration * deltaTime);
-    } else if (this.targetSpeed < this.currentSpeed) {
-      this.currentSpeed = Math.max(this.targetSpeed, this.currentSpeed - this.acceleration * deltaTime);
+  
+  // Advanced audio controls
+  setVolume(volume) {
+    this.volume = Math.max(0, Math.min(1, volume));
+    this.applyVolume();
+  }
+  
+  applyVolume() {
+    const volume = this.volume * this.fadeVolume * (this.spatial ? this.spatialVolume : 1);
+    if (this.audio) {
+      this.audio.volume = volume;
+    }
+    if (this.gainNode) {
+      this.gainNode.gain.value = volume;
+    }
+  }
+  
+  setPitch(pitch) {
+    this.pitch = Math.max(0.1, Math.min(4, pitch));
+    if (this.audio) {
+      this.audio.playbackRate = this.pitch;
+    }
+  }
+  
+  setPan(pan) {
+    this.pan = Math.max(-1, Math.min(1, pan));
+    if (this.stereoPanner) {
+      this.stereoPanner.pan.value = this.pan;
     }
+  }
+  
+  // Fade controls; the durations are also used by later play() / stop() calls
+  fadeIn(duration) {
+    this.fadeInTime = duration;
+    return this.startFadeIn();
+  }
+  
+  fadeOut(duration) {
+    this.fadeOutTime = duration;
+    return this.startFadeOut();
+  }
+  
+  startFadeIn() {
+    return this.startFade(0, 1, this.fadeInTime);
+  }
+  
+  // Stops the audio once it has faded out
+  startFadeOut() {
+    return this.startFade(this.fadeVolume, 0, this.fadeOutTime).onComplete(() => {
+      if (this.audio) {
+        this.audio.pause();
+        this.audio.currentTime = 0;
+      }
+    });
+  }
+  
+  startFade(from, to, duration) {
+    if (this.fadeTween) this.fadeTween.stop();
+    this.fadeVolume = from;
+    this.applyVolume();
+    this.fadeTween = this.fades.add(
+      new Tween(this).to({ fadeVolume: to }, duration).onUpdate(() => this.applyVolume())
+    );
+    return this.fadeTween;
+  }
+  
+  // Spatial audio
+  setSpatial(enabled, maxDistance = 1000, rolloffFactor = 1.0) {
+    this.spatial = enabled;
+    this.maxDistance = maxDistance;
+    this.rolloffFactor = rolloffFactor;
+  }
+  
+  setListener(listener) {
+    this.listener = listener;
+  }
+  
+  updateSpatialAudio() {
+    if (!this.spatial || !this.listener || !this.gameObject) return;
     
-    // Apply friction
-    this.currentSpeed *= this.friction;
+    const listenerPos = this.listener.transform ? this.listener.transform.worldPosition : this.listener;
+    const sourcePos = this.gameObject.transform.worldPosition;
     
-    // Apply boost
-    this.currentSpeed *= this.boostMultiplier;
+    const distance = sourcePos.distance(listenerPos);
     
-    // Update drift
-    if (this.isDrifting) {
-      this.driftIntensity += deltaTime;
-      if (this.onDrift) {
-        this.onDrift(this.driftIntensity);
-      }
+    if (distance > this.maxDistance) {
+      this.spatialVolume = 0;
+    } else if (distance <= this.referenceDistance) {
+      this.spatialVolume = 1.0;
+    } else {
+      // Logarithmic rolloff
+      this.spatialVolume = this.referenceDistance / (this.referenceDistance + this.rolloffFactor * (distance - this.referenceDistance));
     }
     
-    // Update position based on speed and steering
-    if (this.gameObject && this.gameObject.transform) {
-      const direction = new Vector2(
-        Math.cos(this.gameObject.transform.rotation + this.steeringAngle),
-        Math.sin(this.gameObject.transform.rotation + this.steeringAngle)
-      );
-      
-      this.gameObject.transform.position.x += direction.x * this.currentSpeed * deltaTime;
-      this.gameObject.transform.position.y += direction.y * this.currentSpeed * deltaTime;
+    this.applyVolume();
+    
+    // Calculate pan based on horizontal distance
+    if (this.stereoPanner) {
+      const dx = sourcePos.x - listenerPos.x;
+      const pan = Math.max(-1, Math.min(1, dx / this.maxDistance));
+      this.stereoPanner.pan.value = pan;
     }
   }
-
-  setBoost(multiplier, duration = 0) {
-    this.boostMultiplier = multiplier;
-    if (duration > 0) {
-      setTimeout(() => {
-        this.boostMultiplier = 1.0;
-      }, duration * 1000);
+  
+  // Update method for fade and spatial audio
+  update(deltaTime) {
+    this.fades.update(deltaTime);
+    
+    // Update spatial audio
+    if (this.spatial) {
+      this.updateSpatialAudio();
     }
   }
-}
-
-class TopDownPlayer extends Player {
-  constructor(config = {}) {
-    super({
-      movementType: "topdown",
-      speed: 250,
-      friction: 0.85,
-      ...config,
-    });
+  
+  // Utility methods
+  isPlaying() {
+    return this.audio && !this.audio.paused && this.audio.currentTime > 0;
+  }
+  
+  getCurrentTime() {
+    return this.audio ? this.audio.currentTime : 0;
+  }
+  
+  getDuration() {
+    return this.audio ? this.audio.duration : 0;
+  }
+  
+  seek(time) {
+    if (this.audio) {
+      this.audio.currentTime = Math.max(0, Math.min(time, this.audio.duration));
+    }
   }
 }
 
-class FlyingPlayer extends Player {
+// ==================== ENHANCED PLAYER COMPONENT SYSTEM ====================
+
+class Player extends Component {
   constructor(config = {}) {
-    super({
-      movementType: "flying",
-      speed: 200,
-      liftForce: 300,
-      airDrag: 0.98,
-      gravity: 98,
-      ...config,
-    });
-  }
-}
+    super();
 
-// ==================== GAME OBJECT SYSTEM ====================
+    this.playerId = config.playerId || 1;
+    this.playerName = config.playerName || `Player${this.playerId}`;
+    this.movementType = config.movementType || "topdown";
 
-class GameObject {
-  constructor(name = "GameObject") {
-    this.id = generateUniqueId();
-    this.name = name;
-    this.transform = {
-      position: new Vector2(0, 0),
-      rotation: 0,
-      scale: new Vector2(1, 1),
-    };
-    this.components = [];
-    this.componentCache = new Map();
-    this.scene = null;
-    this.active = true;
-    this.started = false;
-  }
+    this.health = config.health || 100;
+    this.maxHealth = config.maxHealth || 100;
+    this.lives = config.lives || 3;
+    this.score = config.score || 0;
 
-  addComponent(component) {
-    if (component.gameObject) {
-      Debug.warn("Component already belongs to another GameObject");
-      return null;
-    }
+    this.speed = config.speed || 200;
+    this.maxSpeed = config.maxSpeed || 300;
+    this.acceleration = config.acceleration || 800;
+    this.deceleration = config.deceleration || 600;
+    this.friction = config.friction || 0.85;
 
-    component.gameObject = this;
-    this.components.push(component);
+    this.jumpForce = config.jumpForce || 400;
+    this.gravity = config.gravity || 980;
+    this.groundDrag = config.groundDrag || 0.9;
+    this.airDrag = config.airDrag || 0.98;
+    this.coyoteTime = config.coyoteTime || 0.1;
+    this.jumpBufferTime = config.jumpBufferTime || 0.1;
 
-    const className = component.constructor.name;
-    if (!this.componentCache.has(className)) {
-      this.componentCache.set(className, []);
-    }
-    this.componentCache.get(className).push(component);
+    this.steeringSpeed = config.steeringSpeed || 180;
+    this.maxSteerAngle = config.maxSteerAngle || 30;
+    this.downforce = config.downforce || 100;
+    this.brakingForce = config.brakingForce || 1000;
 
-    component.awake();
+    this.liftForce = config.liftForce || 300;
+    this.maxAltitude = config.maxAltitude || 500;
 
-    if (this.started && this.scene) {
-      component.start();
-    }
+    this.state = "idle";
+    this.facing = config.facing || "right";
+    this.isGrounded = false;
+    this.isAlive = true;
+    this.isInvulnerable = false;
+    this.invulnerabilityTime = 0;
 
-    Debug.log(`Added component ${className} to ${this.name}`);
-    return component;
+    this.velocity = new Vector2(0, 0);
+    this.lastGroundedTime = 0;
+    this.lastJumpInputTime = 0;
+    this.dropThrough = false; // Fall through one-way tiles while set
+    this.tileGrounded = false;
+
+    this.inputConfig = {
+      up: config.upKey || "KeyW",
+      down: config.downKey || "KeyS",
+      left: config.leftKey || "KeyA",
+      right: config.rightKey || "KeyD",
+      jump: config.jumpKey || "Space",
+      action1: config.action1Key || "KeyE",
+      action2: config.action2Key || "KeyQ",
+      brake: config.brakeKey || "KeyS",
+    };
+
+    this.boundaries = config.boundaries || null;
+    this.wrapAround = config.wrapAround || false;
+
+    this.onHealthChanged = config.onHealthChanged || null;
+    this.onDeath = config.onDeath || null;
+    this.onJump = config.onJump || null;
+    this.onLanding = config.onLanding || null;
+    this.onStateChange = config.onStateChange || null;
+
+    this.inputManager = null;
   }
 
-  // QUALITY OF LIFE IMPROVEMENT #1: Enhanced getComponent with inheritance support
-  getComponent(ComponentClass) {
-    // First try exact match for performance
-    const className = ComponentClass.name;
-    const cached = this.componentCache.get(className);
-    if (cached && cached.length > 0) {
-      return cached[0];
+  start() {
+    if (this.gameObject.scene && this.gameObject.scene.engine) {
+      this.inputManager = this.gameObject.scene.engine.inputManager;
     }
+    this.updateSpriteDirection();
+  }
 
-    // If no exact match, search through all components using instanceof
-    for (const component of this.components) {
-      if (component instanceof ComponentClass) {
-        // Cache for future lookups
-        if (!this.componentCache.has(className)) {
-          this.componentCache.set(className, []);
-        }
-        this.componentCache.get(className).push(component);
-        return component;
+  update(deltaTime) {
+    if (!this.isAlive || !this.inputManager) return;
+    
+
+    this.updateTimers(deltaTime);
+    this.handleInput(deltaTime);
+    this.applyPhysics(deltaTime);
+    this.updatePosition(deltaTime);
+    this.handleBoundaries();
+    this.updateState();
+    this.updateAnimator();
+    this.updateSpriteDirection();
+  }
+
+  updateTimers(deltaTime) {
+    if (this.isInvulnerable) {
+      this.invulnerabilityTime -= deltaTime;
+      if (this.invulnerabilityTime <= 0) {
+        this.isInvulnerable = false;
       }
     }
 
-    return null;
+    this.lastGroundedTime += deltaTime;
+    this.lastJumpInputTime += deltaTime;
   }
 
-  getComponents(ComponentClass) {
-    const result = [];
-    for (const component of this.components) {
-      if (component instanceof ComponentClass) {
-        result.push(component);
-      }
+  handleInput(deltaTime) {
+    
+    switch (this.movementType) {
+      case "topdown":
+        this.handleTopDownInput(deltaTime);
+        break;
+      case "platformer":
+        this.handlePlatformerInput(deltaTime);
+        break;
+      case "racing":
+        this.handleRacingInput(deltaTime);
+        break;
+      case "sidescroller":
+        this.handleSideScrollerInput(deltaTime);
+        break;
+      case "flying":
+        this.handleFlyingInput(deltaTime);
+        break;
     }
-    return result;
   }
 
-  removeComponent(ComponentClass) {
-    const component = this.getComponent(ComponentClass);
-    if (component) {
-      component.onDestroy();
-      const index = this.components.indexOf(component);
-      this.components.splice(index, 1);
+  handleTopDownInput(deltaTime) {
+    const movement = new Vector2(0, 0);
 
-      // Clear all cache entries that might contain this component
-      this.componentCache.forEach((cachedComponents, key) => {
-        const cacheIndex = cachedComponents.indexOf(component);
-        if (cacheIndex > -1) {
-          cachedComponents.splice(cacheIndex, 1);
-        }
-      });
+    if (this.inputManager.isKeyDown(this.inputConfig.up)) movement.y -= 1;
+    if (this.inputManager.isKeyDown(this.inputConfig.down)) movement.y += 1;
+    if (this.inputManager.isKeyDown(this.inputConfig.left)) movement.x -= 1;
+    if (this.inputManager.isKeyDown(this.inputConfig.right)) movement.x += 1;
 
-      component.gameObject = null;
-      Debug.log(
-        `Removed component ${component.constructor.name} from ${this.name}`
-      );
+    if (movement.magnitude() > 0) {
+      const normalized = movement.normalize();
+      this.velocity = normalized.multiplyByScalar(this.speed);
+      this.updateFacing(normalized);
+    } else {
+      this.velocity = this.velocity.multiplyByScalar(this.friction);
     }
   }
 
-  sendMessage(message, data = null) {
-    this.components.forEach((component) => {
-      if (component.enabled && component.onMessage) {
-        try {
-          component.onMessage(message, data);
-        } catch (error) {
-          Debug.error(
-            `Error in component ${component.constructor.name} handling message ${message}:`,
-            error
-          );
-        }
-      }
-    });
+  handlePlatformerInput(deltaTime) {
+    // This method is now handled by the AdvancedPlatformerPlayer class
+    // The base Player class should not handle platformer input when using Rigidbody
+    return;
   }
 
-  start() {
-    if (this.started) return;
-    this.started = true;
+  handleRacingInput(deltaTime) {
+    let throttle = 0;
+    let steering = 0;
+    let braking = false;
 
-    this.components.forEach((component) => {
-      if (!component.started) {
-        component.start();
-      }
-    });
-  }
+    if (this.inputManager.isKeyDown(this.inputConfig.up)) throttle = 1;
+    if (this.inputManager.isKeyDown(this.inputConfig.down)) throttle = -0.5;
 
-  update(deltaTime) {
-    if (!this.active) return;
+    if (this.inputManager.isKeyDown(this.inputConfig.left)) steering = -1;
+    if (this.inputManager.isKeyDown(this.inputConfig.right)) steering = 1;
 
-    this.components.forEach((component) => {
-      if (component.enabled) {
-        try {
-          component.update(deltaTime);
-        } catch (error) {
-          Debug.error(
-            `Error updating component ${component.constructor.name}:`,
-            error
-          );
-        }
-      }
-    });
-  }
+    if (this.inputManager.isKeyDown(this.inputConfig.brake)) braking = true;
 
-  lateUpdate(deltaTime) {
-    if (!this.active) return;
+    const currentSpeed = this.velocity.magnitude();
 
-    this.components.forEach((component) => {
-      if (component.enabled && component.lateUpdate) {
-        try {
-          component.lateUpdate(deltaTime);
-        } catch (error) {
-          Debug.error(
-            `Error in lateUpdate for component ${component.constructor.name}:`,
-            error
-          );
-        }
-      }
-    });
-  }
+    if (throttle !== 0) {
+      const forceDirection = this.getForwardVector();
+      const force = forceDirection.multiplyByScalar(
+        throttle * this.acceleration
+      );
+      this.velocity = this.velocity.add(force.multiplyByScalar(deltaTime));
+    }
 
-  destroy() {
-    this.components.forEach((component) => {
-      try {
-        component.onDestroy();
-      } catch (error) {
-        Debug.error(
-          `Error destroying component ${component.constructor.name}:`,
-          error
-        );
-      }
-    });
+    if (steering !== 0 && currentSpeed > 10) {
+      const steerAmount =
+        steering *
+        this.steeringSpeed *
+        deltaTime *
+        (currentSpeed / this.maxSpeed);
+      this.gameObject.transform.rotation += (steerAmount * Math.PI) / 180;
+    }
 
-    if (this.scene) {
-      this.scene.removeGameObject(this);
+    if (braking) {
+      const brakeForce = this.velocity
+        .normalize()
+        .multiplyByScalar(-this.brakingForce * deltaTime);
+      this.velocity = this.velocity.add(brakeForce);
     }
 
-    this.components = [];
-    this.componentCache.clear();
-    Debug.log(`Destroyed GameObject: ${this.name}`);
-  }
+    this.velocity = this.velocity.multiplyByScalar(this.friction);
 
-  setActive(active) {
-    this.active = active;
+    if (this.velocity.magnitude() > this.maxSpeed) {
+      this.velocity = this.velocity.normalize().multiplyByScalar(this.maxSpeed);
+    }
   }
-}
 
-// ==================== SCENE SYSTEM ====================
+  handleSideScrollerInput(deltaTime) {
+    let horizontalInput = 0;
+    if (this.inputManager.isKeyDown(this.inputConfig.left))
+      horizontalInput -= 1;
+    if (this.inputManager.isKeyDown(this.inputConfig.right))
+      horizontalInput += 1;
 
-class Camera {
-  constructor() {
-    this.position = new Vector2(0, 0);
-    this.zoom = 1;
-    this.target = null;
-    this.followSpeed = 2;
-    this.bounds = null;
-  }
+    if (horizontalInput !== 0) {
+      this.velocity.x = horizontalInput * this.speed;
+      this.updateFacing(new Vector2(horizontalInput, 0));
+    } else {
+      this.velocity.x *= this.friction;
+    }
 
-  follow(gameObject, speed = 2) {
-    this.target = gameObject;
-    this.followSpeed = speed;
+    if (this.inputManager.isKeyDown(this.inputConfig.up)) {
+      this.velocity.y = -this.speed * 0.5;
+    } else if (this.inputManager.isKeyDown(this.inputConfig.down)) {
+      this.velocity.y = this.speed * 0.5;
+    } else {
+      this.velocity.y *= this.friction;
+    }
   }
 
-  setBounds(left, top, right, bottom) {
-    this.bounds = { left, top, right, bottom };
-  }
+  handleFlyingInput(deltaTime) {
+    const movement = new Vector2(0, 0);
 
-  update(deltaTime) {
-    if (this.target) {
-      const targetPos = this.target.transform.position;
-      const diff = targetPos.subtract(this.position);
-      const movement = diff.multiplyByScalar(this.followSpeed * deltaTime);
-      this.position = this.position.add(movement);
-
-      if (this.bounds) {
-        this.position.x = Math.max(
-          this.bounds.left,
-          Math.min(this.bounds.right, this.position.x)
-        );
-        this.position.y = Math.max(
-          this.bounds.top,
-          Math.min(this.bounds.bottom, this.position.y)
-        );
-      }
+    if (this.inputManager.isKeyDown(this.inputConfig.up)) movement.y -= 1;
+    if (this.inputManager.isKeyDown(this.inputConfig.down)) movement.y += 1;
+    if (this.inputManager.isKeyDown(this.inputConfig.left)) movement.x -= 1;
+    if (this.inputManager.isKeyDown(this.inputConfig.right)) movement.x += 1;
+
+    if (movement.magnitude() > 0) {
+      const normalized = movement.normalize();
+      const force = normalized.multiplyByScalar(this.liftForce * deltaTime);
+      this.velocity = this.velocity.add(force);
+      this.updateFacing(normalized);
     }
-  }
 
-  worldToScreenPoint(worldPoint, canvasWidth, canvasHeight) {
-    return new Vector2(
-      (worldPoint.x - this.position.x) * this.zoom + canvasWidth / 2,
-      (worldPoint.y - this.position.y) * this.zoom + canvasHeight / 2
-    );
-  }
+    this.velocity = this.velocity.multiplyByScalar(this.airDrag);
 
-  screenToWorldPoint(screenPoint, canvasWidth, canvasHeight) {
-    return new Vector2(
-      (screenPoint.x - canvasWidth / 2) / this.zoom + this.position.x,
-      (screenPoint.y - canvasHeight / 2) / this.zoom + this.position.y
-    );
+    if (this.velocity.magnitude() > this.maxSpeed) {
+      this.velocity = this.velocity.normalize().multiplyByScalar(this.maxSpeed);
+    }
   }
 
-  getViewBounds(canvasWidth, canvasHeight) {
-    const halfWidth = canvasWidth / 2 / this.zoom;
-    const halfHeight = canvasHeight / 2 / this.zoom;
+  applyPhysics(deltaTime) {
+    // Check if this GameObject has a Rigidbody component
+    const rigidbody = this.gameObject.getComponent(Rigidbody);
+    if (rigidbody) {
+      // If using Rigidbody, don't apply physics here
+      return;
+    }
+    
+    // Only apply physics if no Rigidbody is present
+    switch (this.movementType) {
+      case "platformer":
+        if (!this.isGrounded) {
+          this.velocity.y += this.gravity * deltaTime;
+        }
+        break;
 
-    return {
-      left: this.position.x - halfWidth,
-      right: this.position.x + halfWidth,
-      top: this.position.y - halfHeight,
-      bottom: this.position.y + halfHeight,
-    };
+      case "flying":
+        this.velocity.y += this.gravity * 0.1 * deltaTime;
+        break;
+    }
   }
-}
 
-class Scene {
-  constructor(name = "Scene") {
-    this.name = name;
-    this.gameObjects = [];
-    this.camera = new Camera();
-    this.engine = null;
-    this.started = false;
-    this.eventBus = new EventBus();
-    this.backgroundColor = null;
-
-    // QUALITY OF LIFE IMPROVEMENT #3: Timer system
-    this.timers = new TimerManager();
-  }
+  updatePosition(deltaTime) {
+    // Check if this GameObject has a Rigidbody component
+    const rigidbody = this.gameObject.getComponent(Rigidbody);
+    if (rigidbody) {
+      // If using Rigidbody, don't update position here
+      return;
+    }
+    
+    // Only update position if no Rigidbody is present
+    let movement = this.velocity.multiplyByScalar(deltaTime);
+
+    const scene = this.gameObject.scene;
+    const physicsEngine = scene && scene.engine && scene.engine.physicsEngine;
+    const tileHit = physicsEngine
+      ? physicsEngine.moveThroughTilemaps(this.gameObject, movement, {
+          grounded: this.tileGrounded,
+          dropThrough: this.dropThrough,
+        })
+      : null;
+    if (tileHit) {
+      movement = tileHit.delta;
+      if (tileHit.hitX) this.velocity.x = 0;
+      if (tileHit.hitY) this.velocity.y = 0;
+      if (tileHit.grounded || this.tileGrounded) {
+        this.setGrounded(tileHit.grounded);
+      }
+      this.tileGrounded = tileHit.grounded;
+    }
 
-  init() {
-    Debug.log(`Initializing scene: ${this.name}`);
+    this.gameObject.transform.translate(movement);
   }
 
-  // QUALITY OF LIFE IMPROVEMENT #2: Fluent API for GameObject creation
-  createGameObject(name) {
-    const gameObject = new GameObject(name);
-    return new GameObjectBuilder(gameObject, this);
-  }
+  handleBoundaries() {
+    if (!this.boundaries) return;
 
-  addGameObject(gameObject) {
-    if (gameObject.scene) {
-      Debug.warn("GameObject already belongs to a scene");
-      return;
-    }
+    const pos = this.gameObject.transform.worldPosition;
+    let newPos = pos.copy();
 
-    gameObject.scene = this;
-    this.gameObjects.push(gameObject);
+    if (this.wrapAround) {
+      if (pos.x < this.boundaries.left) newPos.x = this.boundaries.right;
+      if (pos.x > this.boundaries.right) newPos.x = this.boundaries.left;
+      if (pos.y < this.boundaries.top) newPos.y = this.boundaries.bottom;
+      if (pos.y > this.boundaries.bottom) newPos.y = this.boundaries.top;
+    } else {
+      newPos.x = Math.max(
+        this.boundaries.left,
+        Math.min(this.boundaries.right, pos.x)
+      );
+      newPos.y = Math.max(
+        this.boundaries.top,
+        Math.min(this.boundaries.bottom, pos.y)
+      );
 
-    if (this.started) {
-      gameObject.start();
+      if (pos.x <= this.boundaries.left || pos.x >= this.boundaries.right) {
+        this.velocity.x = 0;
+      }
+      if (pos.y <= this.boundaries.top || pos.y >= this.boundaries.bottom) {
+        this.velocity.y = 0;
+      }
     }
 
-    this.eventBus.emit("gameobject_added", gameObject);
-    Debug.log(`Added GameObject ${gameObject.name} to scene ${this.name}`);
-    return gameObject;
+    this.gameObject.transform.worldPosition = newPos;
   }
 
-  removeGameObject(gameObject) {
-    const index = this.gameObjects.indexOf(gameObject);
-    if (index > -1) {
-      this.gameObjects.splice(index, 1);
-      gameObject.scene = null;
-      this.eventBus.emit("gameobject_removed", gameObject);
-      Debug.log(
-        `Removed GameObject ${gameObject.name} from scene ${this.name}`
-      );
+  updateState() {
+    const oldState = this.state;
+
+    if (!this.isAlive) {
+      this.state = "dead";
+    } else if (this.movementType === "platformer") {
+      if (!this.isGrounded && this.velocity.y > 0) {
+        this.state = "falling";
+      } else if (!this.isGrounded && this.velocity.y < 0) {
+        this.state = "jumping";
+      } else if (Math.abs(this.velocity.x) > 10) {
+        this.state = "moving";
+      } else {
+        this.state = "idle";
+      }
+    } else {
+      if (this.velocity.magnitude() > 10) {
+        this.state = "moving";
+      } else {
+        this.state = "idle";
+      }
     }
-  }
 
-  findGameObject(name) {
-    return this.gameObjects.find((obj) => obj.name === name);
+    if (oldState !== this.state && this.onStateChange) {
+      this.onStateChange(this.state, oldState);
+    }
   }
 
-  findGameObjects(name) {
-    return this.gameObjects.filter((obj) => obj.name === name);
-  }
+  // Feeds movement to an Animator on the same object, for whichever of
+  // speed, velocityX, velocityY and grounded it defines
+  updateAnimator() {
+    const animator = this.gameObject.getComponent(Animator);
+    if (!animator) return;
 
-  findGameObjectWithComponent(ComponentClass) {
-    return this.gameObjects.find(
-      (obj) => obj.getComponent(ComponentClass) !== null
-    );
+    const values = {
+      speed: this.movementType === "platformer" ? Math.abs(this.velocity.x) : this.velocity.magnitude(),
+      velocityX: this.velocity.x,
+      velocityY: this.velocity.y,
+      grounded: this.isGrounded,
+    };
+    for (const [name, value] of Object.entries(values)) {
+      if (animator.hasParameter(name)) animator.setParameter(name, value);
+    }
   }
 
-  findGameObjectsWithComponent(ComponentClass) {
-    return this.gameObjects.filter(
-      (obj) => obj.getComponent(ComponentClass) !== null
-    );
-  }
+  updateSpriteDirection() {
+    const spriteRenderer = this.gameObject.getComponent(SpriteRenderer);
+    if (!spriteRenderer) return;
 
-  // QUALITY OF LIFE IMPROVEMENT #3: Timer methods
-  setTimeout(callback, delay) {
-    return this.timers.setTimeout(callback, delay);
+    if (this.facing === "left") {
+      spriteRenderer.flipX = true;
+    } else if (this.facing === "right") {
+      spriteRenderer.flipX = false;
+    }
   }
 
-  setInterval(callback, delay) {
-    return this.timers.setInterval(callback, delay);
+  updateFacing(direction) {
+    if (Math.abs(direction.x) > Math.abs(direction.y)) {
+      this.facing = direction.x > 0 ? "right" : "left";
+    } else if (direction.y !== 0) {
+      this.facing = direction.y > 0 ? "down" : "up";
+    }
   }
 
-  clearTimer(timer) {
-    this.timers.clearTimer(timer);
+  getForwardVector() {
+    const rotation = this.gameObject.transform.rotation;
+    return new Vector2(Math.cos(rotation), Math.sin(rotation));
   }
 
-  start() {
-    if (this.started) return;
-    this.started = true;
-
-    this.gameObjects.forEach((gameObject) => gameObject.start());
-    this.eventBus.emit("scene_started", this);
-    Debug.log(`Started scene: ${this.name}`);
-  }
+  // In Player class, replace the jump method:
+  jump() {
+    if (this.movementType !== "platformer") return;
 
-  update(deltaTime) {
-    this.timers.update(deltaTime);
-    this.camera.update(deltaTime);
-    this.gameObjects.forEach((gameObject) => gameObject.update(deltaTime));
-    this.gameObjects.forEach((gameObject) => gameObject.lateUpdate(deltaTime));
-  }
+    console.log("Jumping with force:", this.jumpForce);
+    this.velocity.y = -this.jumpForce;
+    this.isGrounded = false;
+    this.lastGroundedTime = this.coyoteTime + 0.1; // Ensure coyote time is exceeded
 
-  destroy() {
-    Debug.log(`Destroying scene: ${this.name}`);
-    this.gameObjects.forEach((gameObject) => gameObject.destroy());
-    this.gameObjects = [];
-    this.timers.clear();
-    this.eventBus.clear();
-    this.started = false;
+    if (this.onJump) this.onJump();
   }
 
-  setBackgroundColor(color) {
-    this.backgroundColor = color;
-  }
-}
+  takeDamage(amount) {
+    if (this.isInvulnerable || !this.isAlive) return false;
 
-// QUALITY OF LIFE IMPROVEMENT #2: Fluent API Builder
-class GameObjectBuilder {
-  constructor(gameObject, scene) {
-    this.gameObject = gameObject;
-    this.scene = scene;
-  }
+    this.health = Math.max(0, this.health - amount);
 
-  at(x, y) {
-    this.gameObject.transform.position = new Vector2(x, y);
-    return this;
-  }
+    if (this.onHealthChanged) this.onHealthChanged(this.health, this.maxHealth);
 
-  withSprite(imageSrc, width = 32, height = 32, layer = 0) {
-    const sprite = new SpriteRenderer(imageSrc, width, height, layer);
-    this.gameObject.addComponent(sprite);
-    return this;
+    if (this.health <= 0) {
+      this.die();
+    } else {
+      this.makeInvulnerable(1.0);
+    }
+
+    return true;
   }
 
-  asset(name, width = null, height = null, layer = 0) {
-    const engine = this.scene && this.scene.engine;
-    if (!engine || !engine.assetManager) {
-      Debug.warn("Engine or AssetManager not available for asset() call");
-      return this;
-    }
-    const img = engine.assetManager.getNamedImage(name);
-    if (!img) {
-      Debug.warn(`Asset '${name}' not found. Did you call engine.assetManagement(...) before starting?`);
-      return this;
-    }
-    let sprite = this.gameObject.getComponent(SpriteRenderer);
-    if (!sprite) {
-      sprite = new SpriteRenderer(null, width || img.naturalWidth || 32, height || img.naturalHeight || 32, layer);
-      this.gameObject.addComponent(sprite);
+  heal(amount) {
+    if (!this.isAlive) return false;
+
+    const oldHealth = this.health;
+    this.health = Math.min(this.maxHealth, this.health + amount);
+
+    if (this.onHealthChanged && oldHealth !== this.health) {
+      this.onHealthChanged(this.health, this.maxHealth);
     }
-    if (width) sprite.width = width;
-    if (height) sprite.height = height;
-    sprite.setImage(img);
-    return this;
-  }
 
-  withColor(color, width = 32, height = 32, layer = 0) {
-    const sprite = new SpriteRenderer(null, width, height, layer);
-    sprite.setColor(color);
-    this.gameObject.addComponent(sprite);
-    return this;
+    return oldHealth !== this.health;
   }
 
-  withCollider(
-    shape = "box",
-    width = 32,
-    height = 32,
-    isTrigger = false,
-    layer = "Default"
-  ) {
-    const collider = new Collider(shape, width, height, isTrigger, layer);
-    this.gameObject.addComponent(collider);
-    return this;
-  }
+  makeInvulnerable(duration) {
+    this.isInvulnerable = true;
+    this.invulnerabilityTime = duration;
 
-  withComponent(component) {
-    this.gameObject.addComponent(component);
-    return this;
+    const spriteRenderer = this.gameObject.getComponent(SpriteRenderer);
+    if (spriteRenderer) {
+      spriteRenderer.alpha = 0.5;
+      setTimeout(() => {
+        if (spriteRenderer.gameObject) spriteRenderer.alpha = 1.0;
+      }, duration * 1000);
+    }
   }
 
-  withPlayer(config = {}) {
-    const player = new Player(config);
-    this.gameObject.addComponent(player);
-    return this;
+  die() {
+    this.isAlive = false;
+    this.velocity = Vector2.zero();
+    this.lives--;
+
+    if (this.onDeath) this.onDeath();
   }
 
-  withPlatformerPlayer(config = {}) {
-    const player = new PlatformerPlayer(config);
-    this.gameObject.addComponent(player);
-    return this;
+  respawn(position = null) {
+    this.isAlive = true;
+    this.health = this.maxHealth;
+    this.velocity = Vector2.zero();
+    this.state = "idle";
+    this.makeInvulnerable(2.0);
+
+    if (position) {
+      this.gameObject.transform.position = position.copy();
+    }
   }
 
-  withRacingPlayer(config = {}) {
-    const player = new RacingPlayer(config);
-    this.gameObject.addComponent(player);
-    return this;
+  addScore(points) {
+    this.score += points;
   }
 
-  withTopDownPlayer(config = {}) {
-    const player = new TopDownPlayer(config);
-    this.gameObject.addComponent(player);
-    return this;
+  setGrounded(grounded) {
+    const wasGrounded = this.isGrounded;
+    this.isGrounded = grounded;
+
+    if (grounded && !wasGrounded) {
+      this.lastGroundedTime = 0;
+      if (this.onLanding) this.onLanding();
+    } else if (!grounded && wasGrounded) {
+      // Player just left the ground
+      this.lastGroundedTime = 0;
+    }
   }
 
-  withFlyingPlayer(config = {}) {
-    const player = new FlyingPlayer(config);
-    this.gameObject.addComponent(player);
-    return this;
+  setMovementType(type) {
+    this.movementType = type;
+    this.velocity = Vector2.zero();
   }
 
-  withStateMachine(initialState = null) {
-    const stateMachine = new StateMachine(initialState);
-    this.gameObject.addComponent(stateMachine);
-    return this;
+  setBoundaries(left, top, right, bottom) {
+    this.boundaries = { left, top, right, bottom };
   }
 
-  withTilemap(tileWidth = 32, tileHeight = 32) {
-    const tilemap = new Tilemap(tileWidth, tileHeight);
-    this.gameObject.addComponent(tilemap);
-    return this;
+  setInputConfig(config) {
+    this.inputConfig = { ...this.inputConfig, ...config };
   }
+}
 
-  withAudio(audioSrc, volume = 1.0, loop = false) {
-    const audio = new AudioSource(audioSrc, volume, loop);
-    this.gameObject.addComponent(audio);
-    return this;
+// ==================== SPECIALIZED PLAYER CLASSES ====================
+
+class PlatformerPlayer extends Player {
+  constructor(config = {}) {
+    super({
+      movementType: "platformer",
+      speed: 200,
+      jumpForce: 400,
+      gravity: 980,
+      ...config,
+    });
   }
+}
 
-  withRigidbody(mass = 1.0, gravityScale = 1.0, bodyType = 'dynamic') {
-    const rigidbody = new Rigidbody(mass, gravityScale, bodyType);
-    this.gameObject.addComponent(rigidbody);
-    return this;
+class RacingPlayer extends Player {
+  constructor(config = {}) {
+    super({
+      movementType: "racing",
+      speed: 300,
+      maxSpeed: 500,
+      steeringSpeed: 180,
+      acceleration: 600,
+      friction: 0.95,
+      ...config,
+    });
+    
+    // Racing-specific properties
+    this.currentSpeed = 0;
+    this.targetSpeed = 0;
+    this.steeringAngle = 0;
+    this.driftFactor = 0.8;
+    this.boostMultiplier = 1.0;
+    this.isDrifting = false;
+    this.driftIntensity = 0;
+    
+    // Callbacks
+    this.onDrift = config.onDrift || null;
   }
 
-  withStaticBody() {
-    return this.withRigidbody(Infinity, 0, 'static');
+  getSpeed() {
+    return this.currentSpeed;
   }
 
-  withKinematicBody(mass = 1.0) {
-    return this.withRigidbody(mass, 0, 'kinematic');
+  getSpeedKmh() {
+    return this.currentSpeed * 3.6; // Convert m/s to km/h
   }
 
-  withDynamicBody(mass = 1.0, gravityScale = 1.0) {
-    return this.withRigidbody(mass, gravityScale, 'dynamic');
+  accelerate(amount = 1.0) {
+    this.targetSpeed = Math.min(this.maxSpeed, this.targetSpeed + this.acceleration * amount);
   }
 
-  build() {
-    this.scene.addGameObject(this.gameObject);
-    return this.gameObject;
+  brake(amount = 1.0) {
+    this.targetSpeed = Math.max(0, this.targetSpeed - this.acceleration * amount);
   }
-}
 
-class SceneManager {
-  constructor() {
-    this.scenes = new Map();
-    this.activeScene = null;
-    this.eventBus = new EventBus();
+  steer(direction) {
+    this.steeringAngle += direction * this.steeringSpeed * 0.016; // Assuming 60 FPS
+    this.steeringAngle = Math.max(-Math.PI/4, Math.min(Math.PI/4, this.steeringAngle));
   }
 
-  add(name, scene) {
-    if (this.scenes.has(name)) {
-      Debug.warn(`Scene with name '${name}' already exists`);
-      return;
-    }
+  startDrift() {
+    this.isDrifting = true;
+    this.driftIntensity = 0;
+  }
 
-    this.scenes.set(name, scene);
-    this.eventBus.emit("scene_added", { name, scene });
-    Debug.log(`Added scene: ${name}`);
+  stopDrift() {
+    this.isDrifting = false;
+    this.driftIntensity = 0;
   }
 
-  remove(name) {
-    const scene = this.scenes.get(name);
-    if (scene) {
-      if (scene === this.activeScene) {
-        this.activeScene = null;
+  update(deltaTime) {
+    super.update(deltaTime);
+    
+    // Update speed
+    if (this.targetSpeed > this.currentSpeed) {
+      this.currentSpeed = Math.min(this.targetSpeed, this.currentSpeed + this.acceleration * deltaTime);
+    } else if (this.targetSpeed < this.currentSpeed) {
+      this.currentSpeed = Math.max(this.targetSpeed, this.currentSpeed - this.acceleration * deltaTime);
+    }
+    
+    // Apply friction
+    this.currentSpeed *= this.friction;
+    
+    // Apply boost
+    this.currentSpeed *= this.boostMultiplier;
+    
+    // Update drift
+    if (this.isDrifting) {
+      this.driftIntensity += deltaTime;
+      if (this.onDrift) {
+        this.onDrift(this.driftIntensity);
       }
-      scene.destroy();
-      this.scenes.delete(name);
-      this.eventBus.emit("scene_removed", { name, scene });
-      Debug.log(`Removed scene: ${name}`);
+    }
+    
+    // Update position based on speed and steering
+    if (this.gameObject && this.gameObject.transform) {
+      const direction = new Vector2(
+        Math.cos(this.gameObject.transform.rotation + this.steeringAngle),
+        Math.sin(this.gameObject.transform.rotation + this.steeringAngle)
+      );
+      
+      this.gameObject.transform.position.x += direction.x * this.currentSpeed * deltaTime;
+      this.gameObject.transform.position.y += direction.y * this.currentSpeed * deltaTime;
     }
   }
 
-  load(name) {
-    const scene = this.scenes.get(name);
-    if (!scene) {
-      Debug.error(`Scene '${name}' not found`);
-      return false;
+  setBoost(multiplier, duration = 0) {
+    this.boostMultiplier = multiplier;
+    if (duration > 0) {
+      setTimeout(() => {
+        this.boostMultiplier = 1.0;
+      }, duration * 1000);
     }
+  }
+}
 
-    if (this.activeScene) {
-      this.eventBus.emit("scene_unloaded", {
-        name: this.activeScene.name,
-        scene: this.activeScene,
-      });
+class TopDownPlayer extends Player {
+  constructor(config = {}) {
+    super({
+      movementType: "topdown",
+      speed: 250,
+      friction: 0.85,
+      ...config,
+    });
+  }
+}
+
+class FlyingPlayer extends Player {
+  constructor(config = {}) {
+    super({
+      movementType: "flying",
+      speed: 200,
+      liftForce: 300,
+      airDrag: 0.98,
+      gravity: 98,
+      ...config,
+    });
+  }
+}
+
+// ==================== GAME OBJECT SYSTEM ====================
+
+class GameObject {
+  constructor(name = "GameObject") {
+    this.id = generateUniqueId();
+    this.name = name;
+    this.transform = new Transform();
+    this.transform.gameObject = this;
+    this.components = [];
+    this.componentCache = new Map();
+    this.scene = null;
+    this.activeSelf = true;
+    this.started = false;
+  }
+
+  // An object is only active while all of its parents are
+  get active() {
+    const parent = this.parent;
+    return this.activeSelf && (!parent || parent.active);
+  }
+
+  set active(active) {
+    this.activeSelf = active;
+  }
+
+  get parent() {
+    return this.transform.parent ? this.transform.parent.gameObject : null;
+  }
+
+  get children() {
+    return this.transform.children.map((transform) => transform.gameObject);
+  }
+
+  // Children join the parent's scene and follow it when it moves, is
+  // deactivated or is destroyed
+  addChild(child, worldPositionStays = true) {
+    child.transform.setParent(this.transform, worldPositionStays);
+    if (child.parent !== this) return null;
+
+    if (this.scene && child.scene !== this.scene) {
+      if (child.scene) child.scene.removeGameObject(child);
+      this.scene.addGameObject(child);
     }
+    return child;
+  }
 
-    this.activeScene = scene;
-    scene.init();
-    scene.start();
-    this.eventBus.emit("scene_loaded", { name, scene });
-    Debug.log(`Loaded scene: ${name}`);
-    return true;
+  removeChild(child, worldPositionStays = true) {
+    if (child.parent !== this) return;
+    child.transform.setParent(null, worldPositionStays);
   }
 
-  getActiveScene() {
-    return this.activeScene;
+  setParent(parent, worldPositionStays = true) {
+    if (parent) {
+      parent.addChild(this, worldPositionStays);
+    } else if (this.parent) {
+      this.parent.removeChild(this, worldPositionStays);
+    }
   }
 
-  getScene(name) {
-    return this.scenes.get(name);
+  findChild(name) {
+    return this.children.find((child) => child.name === name) || null;
   }
 
-  update(deltaTime) {
-    if (this.activeScene) {
-      this.activeScene.update(deltaTime);
+  addComponent(component) {
+    if (component.gameObject) {
+      Debug.warn("Component already belongs to another GameObject");
+      return null;
+    }
+
+    component.gameObject = this;
+    this.components.push(component);
+
+    const className = component.constructor.name;
+    if (!this.componentCache.has(className)) {
+      this.componentCache.set(className, []);
+    }
+    this.componentCache.get(className).push(component);
+
+    component.awake();
+
+    if (this.started && this.scene) {
+      component.start();
     }
+
+    Debug.log(`Added component ${className} to ${this.name}`);
+    return component;
   }
-  
-  // Scene serialization methods
-  serializeScene(sceneName) {
-    const scene = this.scenes.get(sceneName);
-    if (!scene) return null;
-    
-    try {
-      const sceneData = {
-        name: scene.name,
-        gameObjects: [],
-        camera: {
-          position: scene.camera.transform.position,
-          scale: scene.camera.transform.scale,
-          rotation: scene.camera.transform.rotation,
-          width: scene.camera.width,
-          height: scene.camera.height
-        },
-        backgroundColor: scene.backgroundColor,
-        timestamp: Date.now()
-      };
-      
-      // Serialize all game objects
-      for (const gameObject of scene.gameObjects) {
-        if (gameObject.serialize) {
-          sceneData.gameObjects.push(gameObject.serialize());
+
+  // QUALITY OF LIFE IMPROVEMENT #1: Enhanced getComponent with inheritance support
+  getComponent(ComponentClass) {
+    // First try exact match for performance
+    const className = ComponentClass.name;
+    const cached = this.componentCache.get(className);
+    if (cached && cached.length > 0) {
+      return cached[0];
+    }
+
+    // If no exact match, search through all components using instanceof
+    for (const component of this.components) {
+      if (component instanceof ComponentClass) {
+        // Cache for future lookups
+        if (!this.componentCache.has(className)) {
+          this.componentCache.set(className, []);
         }
+        this.componentCache.get(className).push(component);
+        return component;
       }
-      
-      return JSON.stringify(sceneData, null, 2);
-    } catch (error) {
-      Debug.error(`Failed to serialize scene ${sceneName}:`, error);
-      return null;
     }
+
+    return null;
   }
-  
-  deserializeScene(sceneData) {
-    try {
-      const data = typeof sceneData === 'string' ? JSON.parse(sceneData) : sceneData;
-      
-      // Create new scene
-      const scene = new Scene(data.name, data.backgroundColor);
-      
-      // Restore camera
-      if (data.camera) {
-        scene.camera.transform.position = new Vector2(data.camera.position.x, data.camera.position.y);
-        scene.camera.transform.scale = new Vector2(data.camera.scale.x, data.camera.scale.y);
-        scene.camera.transform.rotation = data.camera.rotation;
-        scene.camera.width = data.camera.width;
-        scene.camera.height = data.camera.height;
+
+  getComponents(ComponentClass) {
+    const result = [];
+    for (const component of this.components) {
+      if (component instanceof ComponentClass) {
+        result.push(component);
       }
-      
-      // Restore game objects
-      for (const objData of data.gameObjects) {
+    }
+    return result;
+  }
+
+  removeComponent(ComponentClass) {
+    const component = this.getComponent(ComponentClass);
+    if (component) {
+      component.onDestroy();
+      const index = this.components.indexOf(component);
+      this.components.splice(index, 1);
+
+      // Clear all cache entries that might contain this component
+      this.componentCache.forEach((cachedComponents, key) => {
+        const cacheIndex = cachedComponents.indexOf(component);
+        if (cacheIndex > -1) {
+          cachedComponents.splice(cacheIndex, 1);
+        }
+      });
+
+      component.gameObject = null;
+      Debug.log(
+        `Removed component ${component.constructor.name} from ${this.name}`
+      );
+    }
+  }
+
+  sendMessage(message, data = null) {
+    this.components.forEach((component) => {
+      if (component.enabled && component.onMessage) {
         try {
-          const gameObject = this.deserializeGameObject(objData, scene);
-          if (gameObject) {
-            scene.addGameObject(gameObject);
-          }
+          component.onMessage(message, data);
         } catch (error) {
-          Debug.warn(`Failed to deserialize game object:`, error);
+          Debug.error(
+            `Error in component ${component.constructor.name} handling message ${message}:`,
+            error
+          );
         }
       }
-      
-      return scene;
-    } catch (error) {
-      Debug.error(`Failed to deserialize scene:`, error);
-      return null;
-    }
+    });
   }
-  
-  deserializeGameObject(objData, scene) {
-    try {
-      const gameObject = new GameObject(objData.name || 'DeserializedObject');
-      
-      // Restore transform
-      if (objData.transform) {
-        gameObject.transform.position = new Vector2(objData.transform.position.x, objData.transform.position.y);
-        gameObject.transform.scale = new Vector2(objData.transform.scale.x, objData.transform.scale.y);
-        gameObject.transform.rotation = objData.transform.rotation || 0;
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.components.forEach((component) => {
+      if (!component.started) {
+        component.start();
       }
-      
-      // Restore components
-      if (objData.components) {
-        for (const compData of objData.components) {
-          try {
-            const component = this.deserializeComponent(compData, gameObject);
-            if (component) {
-              gameObject.addComponent(component);
-            }
-          } catch (error) {
-            Debug.warn(`Failed to deserialize component ${compData.type}:`, error);
-          }
+    });
+  }
+
+  update(deltaTime) {
+    if (!this.active) return;
+
+    this.components.forEach((component) => {
+      if (component.enabled) {
+        try {
+          component.update(deltaTime);
+        } catch (error) {
+          Debug.error(
+            `Error updating component ${component.constructor.name}:`,
+            error
+          );
         }
       }
-      
-      return gameObject;
-    } catch (error) {
-      Debug.error(`Failed to deserialize game object:`, error);
-      return null;
-    }
+    });
   }
-  
-  deserializeComponent(compData, gameObject) {
-    try {
-      let component;
-      
-      switch (compData.type) {
-        case 'SpriteRenderer':
-          component = new SpriteRenderer(compData.imageSrc, compData.width, compData.height, compData.layer);
-          if (compData.color) component.setColor(compData.color);
-          if (compData.alpha !== undefined) component.alpha = compData.alpha;
-          if (compData.flipX !== undefined) component.flipX = compData.flipX;
-          if (compData.flipY !== undefined) component.flipY = compData.flipY;
-          break;
-          
-        case 'Collider':
-          component = new Collider(compData.shape, compData.width, compData.height, compData.isTrigger, compData.layer);
-          break;
-          
-        case 'Rigidbody':
-          component = new Rigidbody(compData.mass, compData.gravityScale);
-          if (compData.velocity) {
-            component.velocity = new Vector2(compData.velocity.x, compData.velocity.y);
-          }
-          break;
-          
-        default:
-          Debug.warn(`Unknown component type: ${compData.type}`);
-          return null;
-      }
-      
-      // Restore custom properties
-      if (compData.properties) {
-        for (const [key, value] of Object.entries(compData.properties)) {
-          if (component[key] !== undefined) {
-            component[key] = value;
-          }
+
+  lateUpdate(deltaTime) {
+    if (!this.active) return;
+
+    this.components.forEach((component) => {
+      if (component.enabled && component.lateUpdate) {
+        try {
+          component.lateUpdate(deltaTime);
+        } catch (error) {
+          Debug.error(
+            `Error in lateUpdate for component ${component.constructor.name}:`,
+            error
+          );
         }
       }
-      
-      return component;
-    } catch (error) {
-      Debug.error(`Failed to deserialize component ${compData.type}:`, error);
-      return null;
-    }
+    });
   }
-  
-  // Save/load scene to/from localStorage
-  saveSceneToStorage(sceneName, storageKey = null) {
-    const serialized = this.serializeScene(sceneName);
-    if (!serialized) return false;
-    
-    const key = storageKey || `scene_${sceneName}`;
-    try {
-      localStorage.setItem(key, serialized);
-      Debug.log(`Scene ${sceneName} saved to localStorage`);
-      return true;
-    } catch (error) {
-      Debug.error(`Failed to save scene to localStorage:`, error);
-      return false;
+
+  destroy() {
+    for (const child of this.children) {
+      child.destroy();
     }
-  }
-  
-  loadSceneFromStorage(storageKey) {
-    try {
-      const serialized = localStorage.getItem(storageKey);
-      if (!serialized) return null;
-      
-      const scene = this.deserializeScene(serialized);
-      if (scene) {
-        Debug.log(`Scene loaded from localStorage: ${storageKey}`);
+    this.transform.setParent(null, false);
+
+    this.components.forEach((component) => {
+      try {
+        component.onDestroy();
+      } catch (error) {
+        Debug.error(
+          `Error destroying component ${component.constructor.name}:`,
+          error
+        );
       }
-      return scene;
-    } catch (error) {
-      Debug.error(`Failed to load scene from localStorage:`, error);
-      return null;
+    });
+
+    if (this.scene) {
+      this.scene.removeGameObject(this);
     }
+
+    this.components = [];
+    this.componentCache.clear();
+    Debug.log(`Destroyed GameObject: ${this.name}`);
   }
-  
-  // Export scene to file
-  exportSceneToFile(sceneName, filename = null) {
-    const serialized = this.serializeScene(sceneName);
-    if (!serialized) return false;
-    
-    const blob = new Blob([serialized], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename || `${sceneName}_scene.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
-    Debug.log(`Scene ${sceneName} exported to file`);
-    return true;
+
+  serialize() {
+    const { position, rotation, scale } = this.transform;
+    return {
+      id: this.id,
+      name: this.name,
+      active: this.activeSelf,
+      parent: this.parent ? this.parent.id : null,
+      transform: {
+        position: { x: position.x, y: position.y },
+        rotation,
+        scale: { x: scale.x, y: scale.y },
+      },
+      components: this.components
+        .map((component) => component.serialize())
+        .filter((data) => data),
+    };
+  }
+
+  setActive(active) {
+    this.active = active;
   }
 }
 
-// ==================== MANAGER CLASSES ====================
+// ==================== SCENE SYSTEM ====================
 
-class InputManager {
-  constructor() {
-    this.keys = new Map();
-    this.previousKeys = new Map();
-    this.mousePosition = new Vector2(0, 0);
-    this.mouseButtons = new Map();
-    this.previousMouseButtons = new Map();
-    this.canvas = null;
-    
-    // Touch support
-    this.touches = new Map();
-    this.previousTouches = new Map();
-    this.touchStartPositions = new Map();
-    
-    // Gamepad support
-    this.gamepads = new Map();
-    this.gamepadAxes = new Map();
-    this.gamepadButtons = new Map();
-    this.gamepadConnected = false;
-    
-    // Virtual joystick for touch
-    this.virtualJoystick = {
-      active: false,
-      center: new Vector2(0, 0),
-      current: new Vector2(0, 0),
-      deadzone: 0.1
+class Camera {
+  constructor(options = {}) {
+    this.name = options.name || "Main Camera";
+    this.position = new Vector2(0, 0);
+    this.zoom = options.zoom ?? 1;
+    // Radians; the world turns the other way on screen
+    this.rotation = options.rotation ?? 0;
+    this.target = null;
+    this.followSpeed = 2;
+    this.bounds = null;
+    this.enabled = true;
+
+    // Follow window, in world units around the camera centre. The target
+    // moves freely inside the deadzone, the camera eases after it through
+    // the soft zone, and never lets it leave the soft zone.
+    this.deadzone = null; // { width, height }
+    this.softZone = null; // { width, height }
+
+    // Leads the target by its velocity times lookAheadTime
+    this.lookAheadTime = 0;
+    this.maxLookAhead = 100;
+    this.lookAheadSmoothing = 3;
+    this.lookAhead = new Vector2(0, 0);
+    this.lastTargetPosition = null;
+
+    // Trauma-based shake: addTrauma() raises trauma up to 1, it decays each
+    // second, and the shake grows with trauma squared
+    this.trauma = 0;
+    this.traumaDecay = 1;
+    this.maxShakeOffset = 20;
+    this.maxShakeAngle = 0.1;
+    this.shakeFrequency = 25;
+    this.shakeTime = 0;
+    this.shakeOffset = new Vector2(0, 0);
+    this.shakeAngle = 0;
+
+    // zoomTo() / panTo() tweens, run from update()
+    this.tweens = new TweenManager();
+    this.zoomTween = null;
+    this.panTween = null;
+
+    // Part of the canvas drawn to, as fractions of its size
+    this.viewport = { x: 0, y: 0, width: 1, height: 1, ...options.viewport };
+    // Cameras draw in increasing depth order, so higher ones end up on top
+    this.depth = options.depth ?? 0;
+    // null clears to the scene background; "transparent" keeps what cameras
+    // below drew, for overlays
+    this.clearColor = options.clearColor ?? null;
+    // Sorting layers this camera draws, from SortingLayers.getMask()
+    this.cullingMask = options.cullingMask ?? -1;
+    // Effects over this camera's viewport only
+    this.postProcessing = new PostProcessStack();
+  }
+
+  setViewport(x, y, width, height) {
+    this.viewport = { x, y, width, height };
+    return this;
+  }
+
+  // Viewport in canvas pixels
+  getViewportRect(canvasWidth, canvasHeight) {
+    return {
+      x: this.viewport.x * canvasWidth,
+      y: this.viewport.y * canvasHeight,
+      width: this.viewport.width * canvasWidth,
+      height: this.viewport.height * canvasHeight,
     };
-    
-    // Event listener references for cleanup
-    this.eventListeners = new Map();
-    
-    this.setupEventListeners();
-    this.setupGamepadSupport();
   }
 
-  setCanvas(canvas) {
-    this.canvas = canvas;
+  containsScreenPoint(screenPoint, canvasWidth, canvasHeight) {
+    const rect = this.getViewportRect(canvasWidth, canvasHeight);
+    return (
+      screenPoint.x >= rect.x &&
+      screenPoint.x < rect.x + rect.width &&
+      screenPoint.y >= rect.y &&
+      screenPoint.y < rect.y + rect.height
+    );
   }
-  
-  cleanup() {
-    // Remove all event listeners to prevent memory leaks
-    this.eventListeners.forEach((listener, event) => {
-      if (event.startsWith('canvas:')) {
-        const canvasEvent = event.replace('canvas:', '');
-        this.canvas?.removeEventListener(canvasEvent, listener);
-      } else {
-        window.removeEventListener(event, listener);
-      }
-    });
-    
-    this.eventListeners.clear();
-    this.keys.clear();
-    this.previousKeys.clear();
-    this.mouseButtons.clear();
-    this.previousMouseButtons.clear();
-    this.touches.clear();
-    this.previousTouches.clear();
-    this.touchStartPositions.clear();
-    this.gamepads.clear();
-    this.gamepadAxes.clear();
-    this.gamepadButtons.clear();
+
+  // Whether a sprite or tilemap is in one of the culling mask's layers
+  canSee(renderer) {
+    return (this.cullingMask & (1 << SortingLayers.getIndex(renderer.sortingLayer))) !== 0;
   }
 
-  setupEventListeners() {
-    const keydownHandler = (e) => {
-      this.keys.set(e.code, true);
-      e.preventDefault();
-    };
-    
-    const keyupHandler = (e) => {
-      this.keys.set(e.code, false);
-    };
-    
-    const mousemoveHandler = (e) => {
+  follow(gameObject, speed = 2) {
+    this.target = gameObject;
+    this.followSpeed = speed;
+    this.lastTargetPosition = null;
+    this.lookAhead = new Vector2(0, 0);
+  }
+
+  setBounds(left, top, right, bottom) {
+    this.bounds = { left, top, right, bottom };
+  }
+
+  setDeadzone(width, height, softWidth = null, softHeight = null) {
+    this.deadzone = { width, height };
+    this.softZone = softWidth === null ? null : { width: softWidth, height: softHeight ?? softWidth };
+    return this;
+  }
+
+  setLookAhead(time, maxDistance = 100, smoothing = 3) {
+    this.lookAheadTime = time;
+    this.maxLookAhead = maxDistance;
+    this.lookAheadSmoothing = smoothing;
+    return this;
+  }
+
+  addTrauma(amount) {
+    this.trauma = Math.min(1, this.trauma + amount);
+  }
+
+  // Shorthand for a single shake; intensity is the trauma added
+  shake(intensity = 0.5) {
+    this.addTrauma(intensity);
+  }
+
+  // Tweens zoom or position over duration seconds. Following pauses while
+  // a pan runs. The tween resolves false if another zoomTo() / panTo()
+  // replaces it.
+  zoomTo(zoom, duration = 0.5, easing = "easeInOutQuad") {
+    if (this.zoomTween) this.zoomTween.stop();
+    this.zoomTween = this.tweens.add(new Tween(this).to({ zoom }, duration, easing));
+    return this.zoomTween;
+  }
+
+  panTo(position, duration = 0.5, easing = "easeInOutQuad") {
+    if (this.panTween) this.panTween.stop();
+    this.panTween = this.tweens.add(
+      new Tween(this).to({ "position.x": position.x, "position.y": position.y }, duration, easing)
+    );
+    return this.panTween;
+  }
+
+  update(deltaTime) {
+    this.tweens.update(deltaTime);
+    this.postProcessing.update(deltaTime);
+
+    if (this.target && !(this.panTween && this.panTween.isPlaying())) {
+      this.followTarget(deltaTime);
+    }
+
+    if (this.bounds) {
+      this.position.x = Math.max(
+        this.bounds.left,
+        Math.min(this.bounds.right, this.position.x)
+      );
+      this.position.y = Math.max(
+        this.bounds.top,
+        Math.min(this.bounds.bottom, this.position.y)
+      );
+    }
+
+    this.updateShake(deltaTime);
+  }
+
+  followTarget(deltaTime) {
+    const targetPos = this.target.transform.worldPosition;
+
+    if (this.lookAheadTime > 0 && deltaTime > 0) {
+      const velocity = this.lastTargetPosition
+        ? targetPos.subtract(this.lastTargetPosition).multiplyByScalar(1 / deltaTime)
+        : new Vector2(0, 0);
+      const clamp = (value) => Math.max(-this.maxLookAhead, Math.min(this.maxLookAhead, value));
+      const desired = new Vector2(
+        clamp(velocity.x * this.lookAheadTime),
+        clamp(velocity.y * this.lookAheadTime)
+      );
+      const blend = Math.min(1, this.lookAheadSmoothing * deltaTime);
+      this.lookAhead = this.lookAhead.add(desired.subtract(this.lookAhead).multiplyByScalar(blend));
+    }
+    this.lastTargetPosition = targetPos;
+
+    const goal = targetPos.add(this.lookAhead);
+    const step = Math.min(1, this.followSpeed * deltaTime);
+
+    for (const axis of ["x", "y"]) {
+      const size = axis === "x" ? "width" : "height";
+      const diff = goal[axis] - this.position[axis];
+
+      // Only the part of the offset outside the deadzone is chased
+      const dead = this.deadzone ? this.deadzone[size] / 2 : 0;
+      const excess = Math.sign(diff) * Math.max(0, Math.abs(diff) - dead);
+      this.position[axis] += excess * step;
+
+      if (this.softZone) {
+        const soft = this.softZone[size] / 2;
+        const offset = goal[axis] - this.position[axis];
+        if (Math.abs(offset) > soft) {
+          this.position[axis] = goal[axis] - Math.sign(offset) * soft;
+        }
+      }
+    }
+  }
+
+  updateShake(deltaTime) {
+    this.trauma = Math.max(0, this.trauma - this.traumaDecay * deltaTime);
+    if (this.trauma === 0) {
+      this.shakeOffset = new Vector2(0, 0);
+      this.shakeAngle = 0;
+      return;
+    }
+
+    // Layered sines stand in for smooth noise, one seed per channel
+    this.shakeTime += deltaTime * this.shakeFrequency;
+    const noise = (seed) =>
+      (Math.sin(this.shakeTime + seed) + Math.sin(this.shakeTime * 2.3 + seed * 1.7)) / 2;
+    const amount = this.trauma * this.trauma;
+    this.shakeOffset = new Vector2(
+      this.maxShakeOffset * amount * noise(1),
+      this.maxShakeOffset * amount * noise(17)
+    );
+    this.shakeAngle = this.maxShakeAngle * amount * noise(41);
+  }
+
+  // Where the camera draws from this frame, including shake. Input mapping
+  // leaves shake out so picking stays steady.
+  getViewPosition() {
+    return this.position.add(this.shakeOffset);
+  }
+
+  getViewRotation() {
+    return this.rotation + this.shakeAngle;
+  }
+
+  // Screen points are canvas pixels; the camera's view is centred in its viewport
+  worldToScreenPoint(worldPoint, canvasWidth, canvasHeight) {
+    const rect = this.getViewportRect(canvasWidth, canvasHeight);
+    const view = new Vector2(worldPoint.x, worldPoint.y)
+      .subtract(this.position)
+      .rotate(-this.rotation)
+      .multiplyByScalar(this.zoom);
+    return new Vector2(view.x + rect.x + rect.width / 2, view.y + rect.y + rect.height / 2);
+  }
+
+  screenToWorldPoint(screenPoint, canvasWidth, canvasHeight) {
+    const rect = this.getViewportRect(canvasWidth, canvasHeight);
+    return new Vector2(
+      (screenPoint.x - rect.x - rect.width / 2) / this.zoom,
+      (screenPoint.y - rect.y - rect.height / 2) / this.zoom
+    )
+      .rotate(this.rotation)
+      .add(this.position);
+  }
+
+  // World box around everything visible this frame, shake and rotation included
+  getViewBounds(canvasWidth, canvasHeight) {
+    const rect = this.getViewportRect(canvasWidth, canvasHeight);
+    const position = this.getViewPosition();
+    const rotation = this.getViewRotation();
+    const cos = Math.abs(Math.cos(rotation));
+    const sin = Math.abs(Math.sin(rotation));
+    const width = rect.width / 2 / this.zoom;
+    const height = rect.height / 2 / this.zoom;
+    const halfWidth = width * cos + height * sin;
+    const halfHeight = width * sin + height * cos;
+
+    return {
+      left: position.x - halfWidth,
+      right: position.x + halfWidth,
+      top: position.y - halfHeight,
+      bottom: position.y + halfHeight,
+    };
+  }
+
+  serialize() {
+    return {
+      name: this.name,
+      position: { x: this.position.x, y: this.position.y },
+      zoom: this.zoom,
+      rotation: this.rotation,
+      viewport: { ...this.viewport },
+      depth: this.depth,
+      clearColor: this.clearColor,
+      cullingMask: this.cullingMask,
+      enabled: this.enabled,
+    };
+  }
+
+  static deserialize(data) {
+    const camera = new Camera(data);
+    camera.position = new Vector2(data.position.x, data.position.y);
+    camera.enabled = data.enabled ?? true;
+    return camera;
+  }
+}
+
+class Scene {
+  constructor(name = "Scene") {
+    this.name = name;
+    this.gameObjects = [];
+    // The main camera; addCamera() adds more for split-screen or minimaps
+    this.camera = new Camera();
+    this.cameras = [this.camera];
+    this.engine = null;
+    this.started = false;
+    this.eventBus = new EventBus();
+    this.backgroundColor = null;
+    // Lighting pass, off until enableLighting()
+    this.lighting = null;
+    // Effects over the whole frame while this scene is shown
+    this.postProcessing = new PostProcessStack();
+
+    // Collision broadphase, created by the physics engine on first use
+    this.broadphaseType = null; // null: the physics engine's default
+    this.broadphaseOptions = {};
+    this.broadphase = null;
+
+    // QUALITY OF LIFE IMPROVEMENT #3: Timer system
+    this.timers = new TimerManager();
+    this.tweens = new TweenManager();
+  }
+
+  init() {
+    Debug.log(`Initializing scene: ${this.name}`);
+  }
+
+  // Takes a Camera or Camera options ({ name, viewport, zoom, depth,
+  // clearColor, cullingMask })
+  addCamera(camera = {}) {
+    if (!(camera instanceof Camera)) camera = new Camera(camera);
+    this.cameras.push(camera);
+    return camera;
+  }
+
+  removeCamera(camera) {
+    if (camera === this.camera) {
+      Debug.warn("The main camera cannot be removed");
+      return;
+    }
+    const index = this.cameras.indexOf(camera);
+    if (index !== -1) this.cameras.splice(index, 1);
+  }
+
+  getCamera(name) {
+    return this.cameras.find((camera) => camera.name === name) || null;
+  }
+
+  // Enabled cameras in draw order; equal depths keep the order they were added
+  getCameras() {
+    return this.cameras
+      .filter((camera) => camera.enabled)
+      .sort((a, b) => a.depth - b.depth);
+  }
+
+  // Topmost camera whose viewport contains a canvas point, or null
+  getCameraAt(screenPoint, canvasWidth, canvasHeight) {
+    const cameras = this.getCameras();
+    for (let i = cameras.length - 1; i >= 0; i--) {
+      if (cameras[i].containsScreenPoint(screenPoint, canvasWidth, canvasHeight)) {
+        return cameras[i];
+      }
+    }
+    return null;
+  }
+
+  // "quadtree", "aabbtree" or "spatialhash", with options such as margin,
+  // cellSize (spatial hash) or bounds, maxObjects and maxDepth (quadtree)
+  setBroadphase(type, options = {}) {
+    this.broadphaseType = type;
+    this.broadphaseOptions = options;
+    this.broadphase = null;
+    return this;
+  }
+
+  // QUALITY OF LIFE IMPROVEMENT #2: Fluent API for GameObject creation
+  createGameObject(name) {
+    const gameObject = new GameObject(name);
+    return new GameObjectBuilder(gameObject, this);
+  }
+
+  addGameObject(gameObject) {
+    if (gameObject.scene) {
+      Debug.warn("GameObject already belongs to a scene");
+      return;
+    }
+
+    gameObject.scene = this;
+    this.gameObjects.push(gameObject);
+
+    if (this.started) {
+      gameObject.start();
+    }
+
+    this.eventBus.emit("gameobject_added", gameObject);
+    Debug.log(`Added GameObject ${gameObject.name} to scene ${this.name}`);
+
+    // Children built before their parent joined the scene come along
+    for (const child of gameObject.children) {
+      if (!child.scene) this.addGameObject(child);
+    }
+    return gameObject;
+  }
+
+  removeGameObject(gameObject) {
+    const index = this.gameObjects.indexOf(gameObject);
+    if (index > -1) {
+      for (const child of gameObject.children) {
+        this.removeGameObject(child);
+      }
+      this.gameObjects.splice(index, 1);
+      gameObject.scene = null;
+      this.eventBus.emit("gameobject_removed", gameObject);
+      Debug.log(
+        `Removed GameObject ${gameObject.name} from scene ${this.name}`
+      );
+    }
+  }
+
+  findGameObject(name) {
+    return this.gameObjects.find((obj) => obj.name === name);
+  }
+
+  findGameObjects(name) {
+    return this.gameObjects.filter((obj) => obj.name === name);
+  }
+
+  findGameObjectWithComponent(ComponentClass) {
+    return this.gameObjects.find(
+      (obj) => obj.getComponent(ComponentClass) !== null
+    );
+  }
+
+  findGameObjectsWithComponent(ComponentClass) {
+    return this.gameObjects.filter(
+      (obj) => obj.getComponent(ComponentClass) !== null
+    );
+  }
+
+  // QUALITY OF LIFE IMPROVEMENT #3: Timer methods
+  setTimeout(callback, delay) {
+    return this.timers.setTimeout(callback, delay);
+  }
+
+  setInterval(callback, delay) {
+    return this.timers.setInterval(callback, delay);
+  }
+
+  clearTimer(timer) {
+    this.timers.clearTimer(timer);
+  }
+
+  // scene.tween(sprite).to({ alpha: 0 }, 0.5, "easeOutQuad")
+  // A transform's position or scale is animated through the transform,
+  // since moving objects, e.g. by physics, replaces those vectors
+  tween(target) {
+    for (const gameObject of this.gameObjects) {
+      const transform = gameObject.transform;
+      if (target === transform.position) return this.tweens.add(new Tween(transform, "position"));
+      if (target === transform.scale) return this.tweens.add(new Tween(transform, "scale"));
+    }
+    return this.tweens.add(new Tween(target));
+  }
+
+  sequence(...tweens) {
+    return this.tweens.add(new TweenSequence(tweens));
+  }
+
+  parallel(...tweens) {
+    return this.tweens.add(new TweenParallel(tweens));
+  }
+
+  killTweensOf(target) {
+    this.tweens.killTweensOf(target);
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.gameObjects.forEach((gameObject) => gameObject.start());
+    this.eventBus.emit("scene_started", this);
+    Debug.log(`Started scene: ${this.name}`);
+  }
+
+  update(deltaTime) {
+    this.timers.update(deltaTime);
+    this.tweens.update(deltaTime);
+    this.postProcessing.update(deltaTime);
+    this.cameras.forEach((camera) => camera.update(deltaTime));
+    this.gameObjects.forEach((gameObject) => gameObject.update(deltaTime));
+    this.gameObjects.forEach((gameObject) => gameObject.lateUpdate(deltaTime));
+  }
+
+  destroy() {
+    Debug.log(`Destroying scene: ${this.name}`);
+    this.gameObjects.forEach((gameObject) => gameObject.destroy());
+    this.gameObjects = [];
+    this.timers.clear();
+    this.tweens.clear();
+    this.eventBus.clear();
+    this.started = false;
+  }
+
+  setBackgroundColor(color) {
+    this.backgroundColor = color;
+  }
+
+  // Options as for Lighting: ambientColor, unlitFrom, resolution
+  enableLighting(options = {}) {
+    this.lighting = new Lighting(options);
+    return this.lighting;
+  }
+
+  disableLighting() {
+    this.lighting = null;
+  }
+}
+
+// QUALITY OF LIFE IMPROVEMENT #2: Fluent API Builder
+class GameObjectBuilder {
+  constructor(gameObject, scene) {
+    this.gameObject = gameObject;
+    this.scene = scene;
+  }
+
+  at(x, y) {
+    this.gameObject.transform.position = new Vector2(x, y);
+    return this;
+  }
+
+  // at() then places the object relative to its parent
+  withParent(parent) {
+    this.gameObject.transform.setParent(parent.transform, false);
+    return this;
+  }
+
+  withSprite(imageSrc, width = 32, height = 32, layer = 0) {
+    const sprite = new SpriteRenderer(imageSrc, width, height, layer);
+    this.gameObject.addComponent(sprite);
+    return this;
+  }
+
+  asset(name, width = null, height = null, layer = 0) {
+    const engine = this.scene && this.scene.engine;
+    if (!engine || !engine.assetManager) {
+      Debug.warn("Engine or AssetManager not available for asset() call");
+      return this;
+    }
+    // Atlas frames by name ("hero/run_03"), or a whole atlas ("hero"), which
+    // shows its first frame and adds the atlas's tags as animations
+    const assets = engine.assetManager;
+    const atlas = assets.getAtlas(name);
+    const found = atlas ? { atlas, frame: atlas.frameList[0] } : assets.getFrame(name);
+    if (found && found.frame) {
+      let sprite = this.gameObject.getComponent(SpriteRenderer);
+      if (!sprite) {
+        sprite = new SpriteRenderer(null, 32, 32, layer);
+        this.gameObject.addComponent(sprite);
+      }
+      sprite.setFrame(found.frame, width, height);
+      found.atlas.addAnimationsTo(sprite);
+      return this;
+    }
+
+    const img = assets.getNamedImage(name);
+    if (!img) {
+      Debug.warn(`Asset '${name}' not found. Did you call engine.assetManagement(...) before starting?`);
+      return this;
+    }
+    let sprite = this.gameObject.getComponent(SpriteRenderer);
+    if (!sprite) {
+      sprite = new SpriteRenderer(null, width || img.naturalWidth || 32, height || img.naturalHeight || 32, layer);
+      this.gameObject.addComponent(sprite);
+    }
+    if (width) sprite.width = width;
+    if (height) sprite.height = height;
+    sprite.setImage(img);
+    return this;
+  }
+
+  withColor(color, width = 32, height = 32, layer = 0) {
+    const sprite = new SpriteRenderer(null, width, height, layer);
+    sprite.setColor(color);
+    this.gameObject.addComponent(sprite);
+    return this;
+  }
+
+  // Sets the pivot of the sprite added by withSprite, withColor or asset
+  withPivot(x, y) {
+    const sprite = this.gameObject.getComponent(SpriteRenderer);
+    if (sprite) {
+      sprite.setPivot(x, y);
+    } else {
+      Debug.warn("withPivot() needs a sprite; add one first");
+    }
+    return this;
+  }
+
+  withCollider(
+    shape = "box",
+    width = 32,
+    height = 32,
+    isTrigger = false,
+    layer = "Default",
+    options = {}
+  ) {
+    const collider = new Collider(shape, width, height, isTrigger, layer, options);
+    this.gameObject.addComponent(collider);
+    return this;
+  }
+
+  withComponent(component) {
+    this.gameObject.addComponent(component);
+    return this;
+  }
+
+  withPlayer(config = {}) {
+    const player = new Player(config);
+    this.gameObject.addComponent(player);
+    return this;
+  }
+
+  withPlatformerPlayer(config = {}) {
+    const player = new PlatformerPlayer(config);
+    this.gameObject.addComponent(player);
+    return this;
+  }
+
+  withRacingPlayer(config = {}) {
+    const player = new RacingPlayer(config);
+    this.gameObject.addComponent(player);
+    return this;
+  }
+
+  withTopDownPlayer(config = {}) {
+    const player = new TopDownPlayer(config);
+    this.gameObject.addComponent(player);
+    return this;
+  }
+
+  withFlyingPlayer(config = {}) {
+    const player = new FlyingPlayer(config);
+    this.gameObject.addComponent(player);
+    return this;
+  }
+
+  withStateMachine(initialState = null) {
+    const stateMachine = new StateMachine(initialState);
+    this.gameObject.addComponent(stateMachine);
+    return this;
+  }
+
+  // setup receives the Animator to add clips, parameters, states and
+  // transitions; add the sprite first
+  withAnimator(setup = null) {
+    const animator = new Animator();
+    this.gameObject.addComponent(animator);
+    if (setup) setup(animator);
+    return this;
+  }
+
+  // Options: solidEdges walls the level in at the edges of the grid
+  withTilemap(tileWidth = 32, tileHeight = 32, options = {}) {
+    const tilemap = new Tilemap(tileWidth, tileHeight);
+    tilemap.solidEdges = !!options.solidEdges;
+    this.gameObject.addComponent(tilemap);
+    return this;
+  }
+
+  // "sliced" or "tiled" with border insets in image pixels; add the sprite first
+  withDrawMode(mode, border = 0, tileScale = 1, fillCenter = true) {
+    const sprite = this.gameObject.getComponent(SpriteRenderer);
+    if (!sprite) {
+      Debug.warn("withDrawMode() needs a sprite; add one first");
+      return this;
+    }
+    sprite.setDrawMode(mode, border, tileScale, fillCenter);
+    return this;
+  }
+
+  // Options as for TextRenderer. Fonts and icons can be names registered
+  // with engine.assetManagement().
+  withText(text, options = {}) {
+    this.gameObject.addComponent(new TextRenderer(text, options));
+    return this;
+  }
+
+  // build receives the ShapeRenderer to add shapes to, e.g.
+  // .withShapes((shapes) => shapes.circle(0, 0, 120, { stroke: "red", dash: [6, 4] }))
+  withShapes(build = null, options = {}) {
+    const shapes = new ShapeRenderer(options);
+    this.gameObject.addComponent(shapes);
+    if (build) build(shapes);
+    return this;
+  }
+
+  // Sets where the object's sprite or tilemap draws
+  withSortingLayer(name, orderInLayer = 0) {
+    const renderers = [
+      this.gameObject.getComponent(SpriteRenderer),
+      this.gameObject.getComponent(Tilemap),
+      this.gameObject.getComponent(ParallaxBackground),
+      this.gameObject.getComponent(TextRenderer),
+      this.gameObject.getComponent(ShapeRenderer),
+    ].filter(Boolean);
+    if (renderers.length === 0) {
+      Debug.warn("withSortingLayer() needs a sprite, tilemap, background, text or shapes; add one first");
+    }
+    renderers.forEach((renderer) => renderer.setSortingLayer(name, orderInLayer));
+    return this;
+  }
+
+  // Layers as for ParallaxBackground.addLayer, back to front. Images can
+  // be names registered with engine.assetManagement().
+  withParallax(layers) {
+    const engine = this.scene && this.scene.engine;
+    const assets = engine && engine.assetManager;
+    const resolved = layers.map((layer) => {
+      const named = assets && typeof layer.image === "string" && assets.getNamedImage(layer.image);
+      return named ? { ...layer, image: named } : layer;
+    });
+    this.gameObject.addComponent(new ParallaxBackground(resolved));
+    return this;
+  }
+
+  // Options as for Light2D, e.g. { type: 'spot', radius: 300, color: '#ffcc88' }
+  withLight(options = {}) {
+    this.gameObject.addComponent(new Light2D(options));
+    return this;
+  }
+
+  // Makes the object's colliders block light
+  withShadowCaster() {
+    this.gameObject.getComponents(Collider).forEach((collider) => (collider.castShadows = true));
+    return this;
+  }
+
+  withAudio(audioSrc, volume = 1.0, loop = false) {
+    const audio = new AudioSource(audioSrc, volume, loop);
+    this.gameObject.addComponent(audio);
+    return this;
+  }
+
+  withRigidbody(mass = 1.0, gravityScale = 1.0, bodyType = 'dynamic') {
+    const rigidbody = new Rigidbody(mass, gravityScale, bodyType);
+    this.gameObject.addComponent(rigidbody);
+    return this;
+  }
+
+  withStaticBody() {
+    return this.withRigidbody(Infinity, 0, 'static');
+  }
+
+  withKinematicBody(mass = 1.0) {
+    return this.withRigidbody(mass, 0, 'kinematic');
+  }
+
+  withDynamicBody(mass = 1.0, gravityScale = 1.0) {
+    return this.withRigidbody(mass, gravityScale, 'dynamic');
+  }
+
+  withDistanceJoint(connectedBody = null, config = {}) {
+    this.gameObject.addComponent(new DistanceJoint(connectedBody, config));
+    return this;
+  }
+
+  withRopeJoint(connectedBody = null, config = {}) {
+    this.gameObject.addComponent(new RopeJoint(connectedBody, config));
+    return this;
+  }
+
+  withSpringJoint(connectedBody = null, config = {}) {
+    this.gameObject.addComponent(new SpringJoint(connectedBody, config));
+    return this;
+  }
+
+  withHingeJoint(connectedBody = null, config = {}) {
+    this.gameObject.addComponent(new HingeJoint(connectedBody, config));
+    return this;
+  }
+
+  build() {
+    this.scene.addGameObject(this.gameObject);
+    return this.gameObject;
+  }
+}
+
+class SceneManager {
+  constructor() {
+    this.scenes = new Map();
+    this.activeScene = null;
+    this.eventBus = new EventBus();
+  }
+
+  add(name, scene) {
+    if (this.scenes.has(name)) {
+      Debug.warn(`Scene with name '${name}' already exists`);
+      return;
+    }
+
+    this.scenes.set(name, scene);
+    this.eventBus.emit("scene_added", { name, scene });
+    Debug.log(`Added scene: ${name}`);
+  }
+
+  remove(name) {
+    const scene = this.scenes.get(name);
+    if (scene) {
+      if (scene === this.activeScene) {
+        this.activeScene = null;
+      }
+      scene.destroy();
+      this.scenes.delete(name);
+      this.eventBus.emit("scene_removed", { name, scene });
+      Debug.log(`Removed scene: ${name}`);
+    }
+  }
+
+  load(name) {
+    const scene = this.scenes.get(name);
+    if (!scene) {
+      Debug.error(`Scene '${name}' not found`);
+      return false;
+    }
+
+    if (this.activeScene) {
+      this.eventBus.emit("scene_unloaded", {
+        name: this.activeScene.name,
+        scene: this.activeScene,
+      });
+    }
+
+    this.activeScene = scene;
+    scene.init();
+    scene.start();
+    this.eventBus.emit("scene_loaded", { name, scene });
+    Debug.log(`Loaded scene: ${name}`);
+    return true;
+  }
+
+  getActiveScene() {
+    return this.activeScene;
+  }
+
+  getScene(name) {
+    return this.scenes.get(name);
+  }
+
+  update(deltaTime) {
+    if (this.activeScene) {
+      this.activeScene.update(deltaTime);
+    }
+  }
+  
+  // Scene serialization methods
+  serializeScene(sceneName) {
+    const scene = this.scenes.get(sceneName);
+    if (!scene) return null;
+    
+    try {
+      const sceneData = {
+        name: scene.name,
+        gameObjects: [],
+        camera: scene.camera.serialize(),
+        cameras: scene.cameras.filter((camera) => camera !== scene.camera).map((camera) => camera.serialize()),
+        backgroundColor: scene.backgroundColor,
+        lighting: scene.lighting
+          ? { ambientColor: scene.lighting.ambientColor, unlitFrom: scene.lighting.unlitFrom, resolution: scene.lighting.resolution, enabled: scene.lighting.enabled }
+          : null,
+        broadphase: scene.broadphaseType
+          ? { type: scene.broadphaseType, options: scene.broadphaseOptions }
+          : null,
+        timestamp: Date.now()
+      };
+      
+      // Serialize all game objects
+      for (const gameObject of scene.gameObjects) {
+        if (gameObject.serialize) {
+          sceneData.gameObjects.push(gameObject.serialize());
+        }
+      }
+      
+      return JSON.stringify(sceneData, null, 2);
+    } catch (error) {
+      Debug.error(`Failed to serialize scene ${sceneName}:`, error);
+      return null;
+    }
+  }
+  
+  deserializeScene(sceneData) {
+    try {
+      const data = typeof sceneData === 'string' ? JSON.parse(sceneData) : sceneData;
+      
+      // Create new scene
+      const scene = new Scene(data.name, data.backgroundColor);
+      
+      // Restore camera
+      if (data.camera) {
+        scene.camera = Camera.deserialize(data.camera);
+        scene.cameras = [scene.camera];
+      }
+      (data.cameras || []).forEach((cameraData) => scene.addCamera(Camera.deserialize(cameraData)));
+
+      if (data.broadphase) {
+        scene.setBroadphase(data.broadphase.type, data.broadphase.options);
+      }
+      if (data.lighting) {
+        scene.enableLighting(data.lighting);
+      }
+      
+      // Restore game objects
+      const objectsById = new Map();
+      for (const objData of data.gameObjects) {
+        try {
+          const gameObject = this.deserializeGameObject(objData, scene);
+          if (gameObject) {
+            scene.addGameObject(gameObject);
+            if (objData.id) objectsById.set(objData.id, gameObject);
+          }
+        } catch (error) {
+          Debug.warn(`Failed to deserialize game object:`, error);
+        }
+      }
+      
+      // Rebuild the hierarchy; transforms were saved relative to the parent
+      for (const objData of data.gameObjects) {
+        const child = objectsById.get(objData.id);
+        const parent = objData.parent ? objectsById.get(objData.parent) : null;
+        if (child && parent) parent.addChild(child, false);
+      }
+
+      // Reconnect references between objects, e.g. joint bodies
+      for (const gameObject of objectsById.values()) {
+        for (const component of gameObject.components) {
+          if (component.resolveReferences) {
+            component.resolveReferences(objectsById);
+          }
+        }
+      }
+      
+      return scene;
+    } catch (error) {
+      Debug.error(`Failed to deserialize scene:`, error);
+      return null;
+    }
+  }
+  
+  deserializeGameObject(objData, scene) {
+    try {
+      const gameObject = new GameObject(objData.name || 'DeserializedObject');
+      
+      // Restore transform
+      if (objData.transform) {
+        gameObject.transform.position = new Vector2(objData.transform.position.x, objData.transform.position.y);
+        gameObject.transform.scale = new Vector2(objData.transform.scale.x, objData.transform.scale.y);
+        gameObject.transform.rotation = objData.transform.rotation || 0;
+      }
+      if (objData.active !== undefined) gameObject.active = objData.active;
+      
+      // Restore components
+      if (objData.components) {
+        for (const compData of objData.components) {
+          try {
+            const component = this.deserializeComponent(compData, gameObject);
+            if (component) {
+              gameObject.addComponent(component);
+            }
+          } catch (error) {
+            Debug.warn(`Failed to deserialize component ${compData.type}:`, error);
+          }
+        }
+      }
+      
+      return gameObject;
+    } catch (error) {
+      Debug.error(`Failed to deserialize game object:`, error);
+      return null;
+    }
+  }
+  
+  deserializeComponent(compData, gameObject) {
+    try {
+      let component;
+      
+      switch (compData.type) {
+        case 'SpriteRenderer':
+          component = new SpriteRenderer(compData.imageSrc, compData.width, compData.height, compData.layer);
+          if (compData.color) component.setColor(compData.color);
+          if (compData.alpha !== undefined) component.alpha = compData.alpha;
+          if (compData.flipX !== undefined) component.flipX = compData.flipX;
+          if (compData.flipY !== undefined) component.flipY = compData.flipY;
+          if (compData.pivot) component.setPivot(compData.pivot.x, compData.pivot.y);
+          if (compData.tint) component.tint = compData.tint;
+          if (compData.sortingLayer) component.sortingLayer = compData.sortingLayer;
+          if (compData.drawMode) {
+            component.setDrawMode(compData.drawMode, compData.border, compData.tileScale, compData.fillCenter);
+          }
+          break;
+          
+        case 'Collider':
+          component = new Collider(compData.shape, compData.width, compData.height, compData.isTrigger, compData.layer, {
+            radius: compData.radius,
+            direction: compData.direction,
+            vertices: compData.vertices,
+            material: compData.material ? new PhysicsMaterial(compData.material.name, compData.material) : null
+          });
+          break;
+          
+        case 'Rigidbody':
+          // JSON turns the Infinity mass of static bodies into null
+          component = new Rigidbody(compData.mass ?? Infinity, compData.gravityScale, compData.bodyType);
+          if (compData.velocity) {
+            component.velocity = new Vector2(compData.velocity.x, compData.velocity.y);
+          }
+          if (compData.gravity) {
+            component.gravity = new Vector2(compData.gravity.x, compData.gravity.y);
+          }
+          component.canSleep = compData.canSleep ?? true;
+          break;
+          
+        case 'Light2D':
+          component = new Light2D({ ...compData, type: compData.lightType });
+          break;
+
+        case 'TextRenderer':
+          component = new TextRenderer(compData.text, compData);
+          break;
+
+        case 'ShapeRenderer':
+          component = new ShapeRenderer(compData);
+          component.shapes = (compData.shapes || []).map(ShapeRenderer.restoreShape);
+          break;
+
+        case 'ParallaxBackground':
+          component = new ParallaxBackground(compData.layers);
+          component.sortingLayer = compData.sortingLayer ?? component.sortingLayer;
+          component.orderInLayer = compData.orderInLayer ?? component.orderInLayer;
+          break;
+
+        case 'DistanceJoint':
+        case 'RopeJoint':
+        case 'SpringJoint':
+        case 'HingeJoint': {
+          const JointType = { DistanceJoint, RopeJoint, SpringJoint, HingeJoint }[compData.type];
+          component = new JointType(null, compData);
+          component.enabled = compData.enabled ?? true;
+          component.connectedBodyId = compData.connectedBody;
+          break;
+        }
+          
+        default:
+          Debug.warn(`Unknown component type: ${compData.type}`);
+          return null;
+      }
+      
+      // Restore custom properties
+      if (compData.properties) {
+        for (const [key, value] of Object.entries(compData.properties)) {
+          if (component[key] !== undefined) {
+            component[key] = value;
+          }
+        }
+      }
+      
+      return component;
+    } catch (error) {
+      Debug.error(`Failed to deserialize component ${compData.type}:`, error);
+      return null;
+    }
+  }
+  
+  // Save/load scene to/from localStorage
+  saveSceneToStorage(sceneName, storageKey = null) {
+    const serialized = this.serializeScene(sceneName);
+    if (!serialized) return false;
+    
+    const key = storageKey || `scene_${sceneName}`;
+    try {
+      localStorage.setItem(key, serialized);
+      Debug.log(`Scene ${sceneName} saved to localStorage`);
+      return true;
+    } catch (error) {
+      Debug.error(`Failed to save scene to localStorage:`, error);
+      return false;
+    }
+  }
+  
+  loadSceneFromStorage(storageKey) {
+    try {
+      const serialized = localStorage.getItem(storageKey);
+      if (!serialized) return null;
+      
+      const scene = this.deserializeScene(serialized);
+      if (scene) {
+        Debug.log(`Scene loaded from localStorage: ${storageKey}`);
+      }
+      return scene;
+    } catch (error) {
+      Debug.error(`Failed to load scene from localStorage:`, error);
+      return null;
+    }
+  }
+  
+  // Export scene to file
+  exportSceneToFile(sceneName, filename = null) {
+    const serialized = this.serializeScene(sceneName);
+    if (!serialized) return false;
+    
+    const blob = new Blob([serialized], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename || `${sceneName}_scene.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    
+    Debug.log(`Scene ${sceneName} exported to file`);
+    return true;
+  }
+}
+
+// ==================== MANAGER CLASSES ====================
+
+class InputManager {
+  constructor() {
+    this.keys = new Map();
+    this.previousKeys = new Map();
+    this.mousePosition = new Vector2(0, 0);
+    this.mouseButtons = new Map();
+    this.previousMouseButtons = new Map();
+    this.canvas = null;
+    
+    // Touch support
+    this.touches = new Map();
+    this.previousTouches = new Map();
+    this.touchStartPositions = new Map();
+    
+    // Gamepad support
+    this.gamepads = new Map();
+    this.gamepadAxes = new Map();
+    this.gamepadButtons = new Map();
+    this.gamepadConnected = false;
+    
+    // Virtual joystick for touch
+    this.virtualJoystick = {
+      active: false,
+      center: new Vector2(0, 0),
+      current: new Vector2(0, 0),
+      deadzone: 0.1
+    };
+    
+    // Event listener references for cleanup
+    this.eventListeners = new Map();
+    
+    this.setupEventListeners();
+    this.setupGamepadSupport();
+  }
+
+  setCanvas(canvas) {
+    this.canvas = canvas;
+  }
+  
+  cleanup() {
+    // Remove all event listeners to prevent memory leaks
+    this.eventListeners.forEach((listener, event) => {
+      if (event.startsWith('canvas:')) {
+        const canvasEvent = event.replace('canvas:', '');
+        this.canvas?.removeEventListener(canvasEvent, listener);
+      } else {
+        window.removeEventListener(event, listener);
+      }
+    });
+    
+    this.eventListeners.clear();
+    this.keys.clear();
+    this.previousKeys.clear();
+    this.mouseButtons.clear();
+    this.previousMouseButtons.clear();
+    this.touches.clear();
+    this.previousTouches.clear();
+    this.touchStartPositions.clear();
+    this.gamepads.clear();
+    this.gamepadAxes.clear();
+    this.gamepadButtons.clear();
+  }
+
+  setupEventListeners() {
+    const keydownHandler = (e) => {
+      this.keys.set(e.code, true);
+      e.preventDefault();
+    };
+    
+    const keyupHandler = (e) => {
+      this.keys.set(e.code, false);
+    };
+    
+    const mousemoveHandler = (e) => {
       if (this.canvas) {
         const rect = this.canvas.getBoundingClientRect();
         this.mousePosition.x = e.clientX - rect.left;
         this.mousePosition.y = e.clientY - rect.top;
       } else {
-        this.mousePosition.x = e.clientX;
-        this.mousePosition.y = e.clientY;
+        this.mousePosition.x = e.clientX;
+        this.mousePosition.y = e.clientY;
+      }
+    };
+    
+    const mousedownHandler = (e) => {
+      this.mouseButtons.set(e.button, true);
+      e.preventDefault();
+    };
+    
+    const mouseupHandler = (e) => {
+      this.mouseButtons.set(e.button, false);
+    };
+    
+    const contextmenuHandler = (e) => e.preventDefault();
+    
+    // Store references for cleanup
+    this.eventListeners.set('keydown', keydownHandler);
+    this.eventListeners.set('keyup', keyupHandler);
+    this.eventListeners.set('mousemove', mousemoveHandler);
+    this.eventListeners.set('mousedown', mousedownHandler);
+    this.eventListeners.set('mouseup', mouseupHandler);
+    this.eventListeners.set('contextmenu', contextmenuHandler);
+    
+    // Add event listeners
+    window.addEventListener("keydown", keydownHandler);
+    window.addEventListener("keyup", keyupHandler);
+    window.addEventListener("mousemove", mousemoveHandler);
+    window.addEventListener("mousedown", mousedownHandler);
+    window.addEventListener("mouseup", mouseupHandler);
+    window.addEventListener("contextmenu", contextmenuHandler);
+    
+    // Touch events
+    if (this.canvas) {
+      this.canvas.addEventListener("touchstart", (e) => {
+        e.preventDefault();
+        for (let i = 0; i < e.changedTouches.length; i++) {
+          const touch = e.changedTouches[i];
+          const rect = this.canvas.getBoundingClientRect();
+          const pos = new Vector2(
+            touch.clientX - rect.left,
+            touch.clientY - rect.top
+          );
+          
+          this.touches.set(touch.identifier, pos);
+          this.touchStartPositions.set(touch.identifier, pos.copy());
+          
+          // Handle virtual joystick
+          if (touch.identifier === 0) {
+            this.virtualJoystick.active = true;
+            this.virtualJoystick.center = pos.copy();
+            this.virtualJoystick.current = pos.copy();
+          }
+        }
+      });
+      
+      this.canvas.addEventListener("touchmove", (e) => {
+        e.preventDefault();
+        for (let i = 0; i < e.changedTouches.length; i++) {
+          const touch = e.changedTouches[i];
+          const rect = this.canvas.getBoundingClientRect();
+          const pos = new Vector2(
+            touch.clientX - rect.left,
+            touch.clientY - rect.top
+          );
+          
+          this.touches.set(touch.identifier, pos);
+          
+          // Update virtual joystick
+          if (touch.identifier === 0) {
+            this.virtualJoystick.current = pos.copy();
+          }
+        }
+      });
+      
+      this.canvas.addEventListener("touchend", (e) => {
+        e.preventDefault();
+        for (let i = 0; i < e.changedTouches.length; i++) {
+          const touch = e.changedTouches[i];
+          this.touches.delete(touch.identifier);
+          this.touchStartPositions.delete(touch.identifier);
+          
+          // Reset virtual joystick
+          if (touch.identifier === 0) {
+            this.virtualJoystick.active = false;
+          }
+        }
+      });
+    }
+  }
+  
+  setupGamepadSupport() {
+    window.addEventListener("gamepadconnected", (e) => {
+      const gamepad = e.gamepad;
+      this.gamepads.set(gamepad.index, gamepad);
+      this.gamepadConnected = true;
+      this.gamepadAxes.set(gamepad.index, new Array(gamepad.axes.length).fill(0));
+      this.gamepadButtons.set(gamepad.index, new Array(gamepad.buttons.length).fill(false));
+      console.log(`Gamepad connected: ${gamepad.id}`);
+    });
+    
+    window.addEventListener("gamepaddisconnected", (e) => {
+      this.gamepads.delete(e.gamepad.index);
+      this.gamepadAxes.delete(e.gamepad.index);
+      this.gamepadButtons.delete(e.gamepad.index);
+      this.gamepadConnected = this.gamepads.size > 0;
+      console.log(`Gamepad disconnected: ${e.gamepad.id}`);
+    });
+  }
+  
+  updateGamepadState() {
+    const gamepads = navigator.getGamepads();
+    
+    for (let i = 0; i < gamepads.length; i++) {
+      const gamepad = gamepads[i];
+      if (!gamepad) continue;
+      
+      // Update axes
+      if (this.gamepadAxes.has(i)) {
+        const axes = this.gamepadAxes.get(i);
+        for (let j = 0; j < gamepad.axes.length; j++) {
+          axes[j] = Math.abs(gamepad.axes[j]) > 0.1 ? gamepad.axes[j] : 0;
+        }
+      }
+      
+      // Update buttons
+      if (this.gamepadButtons.has(i)) {
+        const buttons = this.gamepadButtons.get(i);
+        for (let j = 0; j < gamepad.buttons.length; j++) {
+          buttons[j] = gamepad.buttons[j].pressed;
+        }
+      }
+    }
+  }
+
+  isKeyDown(keyCode) {
+    return this.keys.get(keyCode) || false;
+  }
+
+  isKeyUp(keyCode) {
+    return !this.keys.get(keyCode);
+  }
+
+  isKeyPressed(keyCode) {
+    return (
+      (this.keys.get(keyCode) || false) &&
+      !(this.previousKeys.get(keyCode) || false)
+    );
+  }
+
+  isKeyReleased(keyCode) {
+    return (
+      !(this.keys.get(keyCode) || false) &&
+      (this.previousKeys.get(keyCode) || false)
+    );
+  }
+
+  isMouseButtonDown(button) {
+    return this.mouseButtons.get(button) || false;
+  }
+
+  isMouseButtonPressed(button) {
+    return (
+      (this.mouseButtons.get(button) || false) &&
+      !(this.previousMouseButtons.get(button) || false)
+    );
+  }
+
+  isMouseButtonReleased(button) {
+    return (
+      !(this.mouseButtons.get(button) || false) &&
+      (this.previousMouseButtons.get(button) || false)
+    );
+  }
+
+  getMousePosition() {
+    return this.mousePosition.copy();
+  }
+
+  // Pass a scene instead of a camera to use the camera under the cursor;
+  // returns null when the cursor is outside every viewport
+  getMouseWorldPosition(camera, canvasWidth = this.canvas.width, canvasHeight = this.canvas.height) {
+    if (camera instanceof Scene) {
+      camera = this.getMouseCamera(camera, canvasWidth, canvasHeight);
+      if (!camera) return null;
+    }
+    return camera.screenToWorldPoint(
+      this.mousePosition,
+      canvasWidth,
+      canvasHeight
+    );
+  }
+
+  getMouseCamera(scene, canvasWidth = this.canvas.width, canvasHeight = this.canvas.height) {
+    return scene.getCameraAt(this.mousePosition, canvasWidth, canvasHeight);
+  }
+  
+  // Touch methods
+  getTouchCount() {
+    return this.touches.size;
+  }
+  
+  getTouchPosition(identifier = 0) {
+    return this.touches.get(identifier)?.copy() || new Vector2(0, 0);
+  }
+  
+  isTouchActive(identifier = 0) {
+    return this.touches.has(identifier);
+  }
+  
+  getTouchStartPosition(identifier = 0) {
+    return this.touchStartPositions.get(identifier)?.copy() || new Vector2(0, 0);
+  }
+  
+  // Virtual joystick methods
+  getVirtualJoystickVector() {
+    if (!this.virtualJoystick.active) return new Vector2(0, 0);
+    
+    const delta = this.virtualJoystick.current.subtract(this.virtualJoystick.center);
+    const magnitude = delta.magnitude();
+    
+    if (magnitude < this.virtualJoystick.deadzone * 50) {
+      return new Vector2(0, 0);
+    }
+    
+    return delta.normalize().multiplyByScalar(Math.min(magnitude / 50, 1.0));
+  }
+  
+  // Gamepad methods
+  isGamepadConnected() {
+    return this.gamepadConnected;
+  }
+  
+  getGamepadCount() {
+    return this.gamepads.size;
+  }
+  
+  getGamepadAxis(gamepadIndex = 0, axisIndex) {
+    const axes = this.gamepadAxes.get(gamepadIndex);
+    return axes ? axes[axisIndex] || 0 : 0;
+  }
+  
+  isGamepadButtonDown(gamepadIndex = 0, buttonIndex) {
+    const buttons = this.gamepadButtons.get(gamepadIndex);
+    return buttons ? buttons[buttonIndex] || false : false;
+  }
+  
+  isGamepadButtonPressed(gamepadIndex = 0, buttonIndex) {
+    // This would need to track previous state for proper pressed detection
+    return this.isGamepadButtonDown(gamepadIndex, buttonIndex);
+  }
+  
+  // Update method to be called each frame
+  update() {
+    this.updateGamepadState();
+    
+    // Update previous states for proper pressed/released detection
+    // Store current states as previous for next frame
+    const newPreviousKeys = new Map();
+    this.keys.forEach((value, key) => newPreviousKeys.set(key, value));
+    this.previousKeys = newPreviousKeys;
+
+    const newPreviousMouseButtons = new Map();
+    this.mouseButtons.forEach((value, key) => newPreviousMouseButtons.set(key, value));
+    this.previousMouseButtons = newPreviousMouseButtons;
+    
+    const newPreviousTouches = new Map();
+    this.touches.forEach((value, key) => newPreviousTouches.set(key, value));
+    this.previousTouches = newPreviousTouches;
+  }
+}
+
+// ==================== UI SYSTEM ====================
+
+class UISystem {
+  constructor() {
+    this.elements = [];
+    this.focusedElement = null;
+    this.hoveredElement = null;
+    this.eventBus = new EventBus();
+  }
+  
+  addElement(element) {
+    this.elements.push(element);
+    return element;
+  }
+  
+  removeElement(element) {
+    const index = this.elements.indexOf(element);
+    if (index > -1) {
+      this.elements.splice(index, 1);
+    }
+  }
+  
+  update(deltaTime) {
+    for (const element of this.elements) {
+      if (element.update) {
+        element.update(deltaTime);
+      }
+    }
+  }
+  
+  draw(ctx) {
+    // Sort elements by layer (higher layer = drawn on top)
+    const sortedElements = [...this.elements].sort((a, b) => (a.layer || 0) - (b.layer || 0));
+    
+    for (const element of sortedElements) {
+      if (element.visible !== false) {
+        element.draw(ctx);
+      }
+    }
+  }
+  
+  handleInput(inputManager) {
+    const mousePos = inputManager.getMousePosition();
+    
+    // Find hovered element
+    let newHovered = null;
+    for (let i = this.elements.length - 1; i >= 0; i--) {
+      const element = this.elements[i];
+      if (element.visible !== false && element.containsPoint(mousePos)) {
+        newHovered = element;
+        break;
+      }
+    }
+    
+    // Handle hover events
+    if (newHovered !== this.hoveredElement) {
+      if (this.hoveredElement && this.hoveredElement.onMouseLeave) {
+        this.hoveredElement.onMouseLeave();
+      }
+      if (newHovered && newHovered.onMouseEnter) {
+        newHovered.onMouseEnter();
+      }
+      this.hoveredElement = newHovered;
+    }
+    
+    // Handle click events
+    if (inputManager.isMouseButtonPressed(0)) {
+      if (this.hoveredElement && this.hoveredElement.onClick) {
+        this.hoveredElement.onClick();
+        this.focusedElement = this.hoveredElement;
+      } else {
+        this.focusedElement = null;
+      }
+    }
+  }
+}
+
+class UIElement {
+  constructor(x = 0, y = 0, width = 100, height = 50) {
+    this.x = x;
+    this.y = y;
+    this.width = width;
+    this.height = height;
+    this.visible = true;
+    this.layer = 0;
+    this.onClick = null;
+    this.onMouseEnter = null;
+    this.onMouseLeave = null;
+    // Image or atlas frame drawn behind the element, see setBackground()
+    this.background = null;
+    this.drawMode = "sliced";
+    this.border = { left: 0, top: 0, right: 0, bottom: 0 };
+    this.tileScale = 1;
+    this.fillCenter = true;
+  }
+  
+  containsPoint(point) {
+    return point.x >= this.x && point.x <= this.x + this.width &&
+           point.y >= this.y && point.y <= this.y + this.height;
+  }
+  
+  // drawMode as for SpriteRenderer: "simple", "sliced" or "tiled"
+  setBackground(image, drawMode = this.drawMode, border = this.border, tileScale = this.tileScale, fillCenter = this.fillCenter) {
+    this.background = image;
+    this.drawMode = drawMode;
+    this.border = NineSlice.normalizeBorder(border);
+    this.tileScale = tileScale;
+    this.fillCenter = fillCenter;
+    return this;
+  }
+  
+  // Draws the background image, or fills with color until it has loaded.
+  // Returns whether an image was drawn.
+  drawBackground(ctx, color = null, image = this.background) {
+    const source = SpriteRenderer.getRegionSource(image);
+    const rect = { x: this.x, y: this.y, width: this.width, height: this.height };
+    if (source && !source.rotated) {
+      if (this.drawMode === "simple") {
+        ctx.drawImage(source.image, source.x, source.y, source.width, source.height, rect.x, rect.y, rect.width, rect.height);
+      } else {
+        NineSlice.draw(ctx, source.image, source, rect, this);
+      }
+      return true;
+    }
+    if (source) {
+      SpriteRenderer.drawSource(ctx, source.image, source, rect);
+      return true;
+    }
+    if (color) {
+      ctx.fillStyle = color;
+      ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    }
+    return false;
+  }
+  
+  draw(ctx) {
+    // Override in subclasses
+  }
+  
+  update(deltaTime) {
+    // Override in subclasses
+  }
+}
+
+class UIButton extends UIElement {
+  constructor(x = 0, y = 0, width = 100, height = 50, text = "Button") {
+    super(x, y, width, height);
+    this.text = text;
+    this.backgroundColor = "#4a90e2";
+    this.hoverColor = "#357abd";
+    this.textColor = "#ffffff";
+    this.fontSize = 16;
+    this.isHovered = false;
+    this.isPressed = false;
+    // Shown instead of background while hovered, if set
+    this.hoverBackground = null;
+  }
+  
+  draw(ctx) {
+    ctx.save();
+    
+    // Background
+    const image = (this.isHovered && this.hoverBackground) || this.background;
+    const drewImage = this.drawBackground(ctx, this.isHovered ? this.hoverColor : this.backgroundColor, image);
+    
+    // Border, for plain colour buttons
+    if (!drewImage) {
+      ctx.strokeStyle = "#2c5aa0";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(this.x, this.y, this.width, this.height);
+    }
+    
+    // Text
+    ctx.fillStyle = this.textColor;
+    ctx.font = `${this.fontSize}px Arial`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(this.text, this.x + this.width / 2, this.y + this.height / 2);
+    
+    ctx.restore();
+  }
+  
+  onMouseEnter() {
+    this.isHovered = true;
+  }
+  
+  onMouseLeave() {
+    this.isHovered = false;
+  }
+}
+
+// A box for grouping UI, usually with a nine-slice background
+class UIPanel extends UIElement {
+  constructor(x = 0, y = 0, width = 200, height = 150, background = null, border = 0) {
+    super(x, y, width, height);
+    this.backgroundColor = "rgba(0, 0, 0, 0.6)";
+    if (background) this.setBackground(background, "sliced", border);
+  }
+  
+  draw(ctx) {
+    ctx.save();
+    this.drawBackground(ctx, this.backgroundColor);
+    ctx.restore();
+  }
+}
+
+class UIText extends UIElement {
+  constructor(x = 0, y = 0, text = "Text", fontSize = 16) {
+    super(x, y, 0, 0);
+    this.text = text;
+    this.fontSize = fontSize;
+    this.color = "#ffffff";
+    this.fontFamily = "Arial";
+    this.textAlign = "left";
+    this.textBaseline = "top";
+    this.maxWidth = null;
+    // A BitmapFont, or markup (see RichText) in a system font when richText is set
+    this.font = null;
+    this.richText = false;
+    this.icons = null;
+    this.lineSpacing = 1;
+    this.layout = null;
+    this.time = 0;
+    // Characters shown, for typewriter reveals
+    this.visibleCharacters = Infinity;
+    
+    // Calculate dimensions
+    this.updateDimensions();
+  }
+  
+  isRich() {
+    return !!this.font || this.richText;
+  }
+  
+  setFont(font, fontSize = font instanceof BitmapFont ? font.size : this.fontSize) {
+    this.font = font;
+    this.fontSize = fontSize;
+    this.updateDimensions();
+    return this;
+  }
+  
+  setRichText(enabled = true, icons = this.icons) {
+    this.richText = enabled;
+    this.icons = icons;
+    this.updateDimensions();
+    return this;
+  }
+  
+  updateDimensions() {
+    if (this.isRich()) {
+      // Wraps without changing text, so markup survives
+      this.layout = RichText.layout(this.text, {
+        font: this.font || this.fontFamily,
+        fontSize: this.fontSize,
+        color: this.color,
+        maxWidth: this.maxWidth,
+        align: this.textAlign,
+        lineSpacing: this.lineSpacing,
+        icons: this.icons,
+        markup: this.richText,
+      });
+      this.width = this.layout.width;
+      this.height = this.layout.height;
+      return;
+    }
+    
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = `${this.fontSize}px ${this.fontFamily}`;
+    
+    if (this.maxWidth) {
+      // Handle text wrapping
+      const words = this.text.split(' ');
+      let line = '';
+      let lines = [];
+      
+      for (let word of words) {
+        const testLine = line + word + ' ';
+        const metrics = ctx.measureText(testLine);
+        if (metrics.width > this.maxWidth && line !== '') {
+          lines.push(line);
+          line = word + ' ';
+        } else {
+          line = testLine;
+        }
+      }
+      lines.push(line);
+      
+      this.text = lines.join('\n');
+      this.height = lines.length * this.fontSize;
+      this.width = this.maxWidth;
+    } else {
+      const metrics = ctx.measureText(this.text);
+      this.width = metrics.width;
+      this.height = this.fontSize;
+    }
+  }
+  
+  update(deltaTime) {
+    this.time += deltaTime;
+  }
+  
+  draw(ctx) {
+    if (this.isRich()) {
+      // x is the left, centre or right edge as with fillText
+      const anchor = { center: 0.5, right: 1, end: 1 }[this.textAlign] || 0;
+      RichText.draw(ctx, this.layout, this.x - this.width * anchor, this.y, {
+        time: this.time,
+        visibleCharacters: this.visibleCharacters,
+      });
+      return;
+    }
+    
+    ctx.save();
+    
+    ctx.fillStyle = this.color;
+    ctx.font = `${this.fontSize}px ${this.fontFamily}`;
+    ctx.textAlign = this.textAlign;
+    ctx.textBaseline = this.textBaseline;
+    
+    if (this.text.includes('\n')) {
+      // Multi-line text
+      const lines = this.text.split('\n');
+      for (let i = 0; i < lines.length; i++) {
+        const y = this.y + i * this.fontSize;
+        ctx.fillText(lines[i], this.x, y);
+      }
+    } else {
+      ctx.fillText(this.text, this.x, this.y);
+    }
+    
+    ctx.restore();
+  }
+  
+  setText(text) {
+    this.text = text;
+    this.updateDimensions();
+  }
+}
+
+class UISlider extends UIElement {
+  constructor(x = 0, y = 0, width = 200, height = 20, minValue = 0, maxValue = 100, initialValue = 50) {
+    super(x, y, width, height);
+    this.minValue = minValue;
+    this.maxValue = maxValue;
+    this.value = initialValue;
+    this.isDragging = false;
+    this.onValueChange = null;
+    
+    this.backgroundColor = "#444444";
+    this.fillColor = "#4a90e2";
+    this.handleColor = "#ffffff";
+    this.handleSize = 20;
+  }
+  
+  draw(ctx) {
+    ctx.save();
+    
+    // Background track
+    ctx.fillStyle = this.backgroundColor;
+    ctx.fillRect(this.x, this.y + this.height / 2 - 2, this.width, 4);
+    
+    // Fill
+    const fillWidth = ((this.value - this.minValue) / (this.maxValue - this.minValue)) * this.width;
+    ctx.fillStyle = this.fillColor;
+    ctx.fillRect(this.x, this.y + this.height / 2 - 2, fillWidth, 4);
+    
+    // Handle
+    const handleX = this.x + fillWidth - this.handleSize / 2;
+    ctx.fillStyle = this.handleColor;
+    ctx.fillRect(handleX, this.y, this.handleSize, this.height);
+    
+    ctx.restore();
+  }
+  
+  handleInput(inputManager) {
+    if (inputManager.isMouseButtonDown(0)) {
+      const mousePos = inputManager.getMousePosition();
+      if (this.containsPoint(mousePos)) {
+        this.isDragging = true;
+      }
+    }
+    
+    if (this.isDragging) {
+      if (inputManager.isMouseButtonDown(0)) {
+        const mousePos = inputManager.getMousePosition();
+        const newValue = this.minValue + ((mousePos.x - this.x) / this.width) * (this.maxValue - this.minValue);
+        this.setValue(Math.max(this.minValue, Math.min(this.maxValue, newValue)));
+      } else {
+        this.isDragging = false;
+      }
+    }
+  }
+  
+  setValue(value) {
+    const oldValue = this.value;
+    this.value = Math.max(this.minValue, Math.min(this.maxValue, value));
+    
+    if (this.value !== oldValue && this.onValueChange) {
+      this.onValueChange(this.value);
+    }
+  }
+}
+
+// ==================== TEXT RENDERING ====================
+
+// An AngelCode BMFont: glyph rectangles on one or more page images. Load
+// with assetManager.registerFont() from the text, XML or JSON format.
+class BitmapFont {
+  constructor(name, data, pages) {
+    const parsed = BitmapFont.parse(data);
+    this.name = name;
+    this.pages = pages;
+    this.face = parsed.info.face || name;
+    // Negative sizes in BMFont mean the size matches character height
+    this.size = Math.abs(parsed.info.size) || parsed.common.lineHeight;
+    this.lineHeight = parsed.common.lineHeight || this.size;
+    this.base = parsed.common.base || this.lineHeight;
+    this.glyphs = new Map();
+    this.kernings = new Map();
+
+    for (const char of parsed.chars) {
+      this.glyphs.set(char.id, {
+        x: char.x,
+        y: char.y,
+        width: char.width,
+        height: char.height,
+        xoffset: char.xoffset || 0,
+        yoffset: char.yoffset || 0,
+        xadvance: char.xadvance || 0,
+        page: char.page || 0,
+      });
+    }
+    for (const kerning of parsed.kernings) {
+      this.kernings.set(`${kerning.first},${kerning.second}`, kerning.amount);
+    }
+  }
+
+  // Plain { info, common, pages, chars, kernings } from .fnt text or XML,
+  // or from BMFont JSON (as written by msdf-bmfont and similar tools)
+  static parse(data) {
+    const parsed = typeof data === "string" ? BitmapFont.parseText(data) : data;
+    return {
+      info: parsed.info || {},
+      common: parsed.common || {},
+      pages: parsed.pages || [],
+      chars: parsed.chars || [],
+      kernings: parsed.kernings || [],
+    };
+  }
+
+  // Both formats are tags with key=value attributes: one per line as
+  // `char id=65 x=2 ...`, or as XML elements `<char id="65" x="2"/>`
+  static parseText(text) {
+    const data = { info: {}, common: {}, pages: [], chars: [], kernings: [] };
+    const tags = text.trim().startsWith("<") ? /<(\w+)([^>]*)>/g : /^\s*(\w+)(.*)$/gm;
+
+    for (const match of text.matchAll(tags)) {
+      const attributes = {};
+      for (const [, key, quoted, bare] of match[2].matchAll(/(\w+)=(?:"([^"]*)"|([^\s"/]+))/g)) {
+        const value = quoted !== undefined ? quoted : bare;
+        attributes[key] = /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+      }
+
+      switch (match[1]) {
+        case "info":
+        case "common":
+          Object.assign(data[match[1]], attributes);
+          break;
+        case "page":
+          data.pages[attributes.id] = attributes.file;
+          break;
+        case "char":
+          data.chars.push(attributes);
+          break;
+        case "kerning":
+          data.kernings.push(attributes);
+          break;
+      }
+    }
+    return data;
+  }
+
+  // Missing characters fall back to "?"
+  getGlyph(char) {
+    return this.glyphs.get(char.codePointAt(0)) || this.glyphs.get(63) || null;
+  }
+
+  getKerning(first, second) {
+    return this.kernings.get(`${first.codePointAt(0)},${second.codePointAt(0)}`) || 0;
+  }
+
+  // Width of one line of plain text at the given pixel size
+  measure(text, size = this.size) {
+    const scale = size / this.size;
+    let width = 0;
+    let previous = null;
+    for (const char of text) {
+      const glyph = this.getGlyph(char);
+      if (previous) width += this.getKerning(previous, char);
+      if (glyph) width += glyph.xadvance;
+      previous = char;
+    }
+    return width * scale;
+  }
+}
+
+// Lays out and draws text with inline markup, in a bitmap font or a system
+// font. Markup tags:
+//   [color=#ff0]gold[/color]  [size=24]big[/size]  [icon=coin]
+//   [wave]floaty[/wave]  [shake=3]angry[/shake]  [[ for a literal [
+// [/] closes the last open tag. Unknown tags are left in the text.
+class RichText {
+  // Each tag returns the style for the text it wraps. Add entries to
+  // support new tags, e.g. RichText.tags.red = (style) => ({ ...style, color: "red" })
+  static tags = {
+    color: (style, value) => ({ ...style, color: value }),
+    size: (style, value) => ({ ...style, size: Number(value) || style.size }),
+    wave: (style, value) => ({ ...style, wave: value ? Number(value) : 4 }),
+    shake: (style, value) => ({ ...style, shake: value ? Number(value) : 2 }),
+  };
+
+  static measureContext = null;
+
+  static getMeasureContext() {
+    if (!RichText.measureContext) {
+      RichText.measureContext = document.createElement("canvas").getContext("2d");
+    }
+    return RichText.measureContext;
+  }
+
+  // Text and icon runs, each with the style in effect
+  static parse(markup, style) {
+    const tokens = [];
+    const stack = [{ tag: null, style }];
+    const current = () => stack[stack.length - 1].style;
+    let text = "";
+    let last = 0;
+
+    const flush = () => {
+      if (text) tokens.push({ type: "text", text, style: current() });
+      text = "";
+    };
+
+    for (const match of markup.matchAll(/\[\[|\[(\/?)(\w*)(?:=([^\]]*))?\]/g)) {
+      const [tag, closing, name, value] = match;
+      text += markup.slice(last, match.index);
+      last = match.index + tag.length;
+
+      if (tag === "[[") {
+        text += "[";
+      } else if (closing) {
+        const index = name ? stack.map((entry) => entry.tag).lastIndexOf(name) : stack.length - 1;
+        if (index > 0) {
+          flush();
+          stack.length = index;
+        } else {
+          text += tag;
+        }
+      } else if (name === "icon" && value) {
+        flush();
+        tokens.push({ type: "icon", name: value, style: current() });
+      } else if (RichText.tags[name]) {
+        flush();
+        stack.push({ tag: name, style: RichText.tags[name](current(), value) });
+      } else {
+        text += tag;
+      }
+    }
+    text += markup.slice(last);
+    flush();
+    return tokens;
+  }
+
+  // Options:
+  //   font         BitmapFont or a CSS font family (default "Arial")
+  //   fontSize     pixels (default: the bitmap font's size, or 16)
+  //   color        default "#ffffff"
+  //   maxWidth     wraps at spaces when set
+  //   align        "left", "center" or "right"
+  //   lineSpacing  multiplies the line height
+  //   icons        object, Map or function from icon names to images or atlas frames
+  //   markup       false to draw brackets as typed
+  // Returns { glyphs, lines, width, height, characterCount }. Glyph
+  // positions are relative to the top-left of the text box.
+  static layout(text, options = {}) {
+    const font = options.font || "Arial";
+    const bitmap = font instanceof BitmapFont ? font : null;
+    const style = {
+      color: options.color || "#ffffff",
+      size: options.fontSize || (bitmap ? bitmap.size : 16),
+      wave: 0,
+      shake: 0,
+    };
+    const tokens =
+      options.markup === false ? [{ type: "text", text: String(text), style }] : RichText.parse(String(text), style);
+    const items = RichText.measure(tokens, font, options);
+    const lines = RichText.wrap(items, options.maxWidth || 0);
+    const spacing = options.lineSpacing || 1;
+    const base = RichText.getMetrics(font, style.size);
+
+    let y = 0;
+    for (const line of lines) {
+      line.ascent = Math.max(base.ascent, ...line.items.map((item) => item.ascent));
+      line.height = Math.max(base.lineHeight, ...line.items.map((item) => item.lineHeight)) * spacing;
+      line.y = y;
+      y += line.height;
+    }
+
+    const width = options.maxWidth || Math.max(0, ...lines.map((line) => line.width));
+    const alignment = { left: 0, center: 0.5, right: 1 }[options.align] || 0;
+    const glyphs = [];
+
+    for (const line of lines) {
+      line.x = (width - line.width) * alignment;
+      for (const item of line.items) {
+        const glyph = RichText.placeItem(item, line, bitmap);
+        if (glyph) glyphs.push(glyph);
+      }
+    }
+
+    return {
+      glyphs,
+      lines: lines.map(({ x, y, width, height }) => ({ x, y, width, height })),
+      width,
+      height: y,
+      characterCount: items.filter((item) => item.char !== "\n").length,
+    };
+  }
+
+  // Ascent and line height at a size; system fonts are approximated
+  static getMetrics(font, size) {
+    if (font instanceof BitmapFont) {
+      const scale = size / font.size;
+      return { ascent: font.base * scale, lineHeight: font.lineHeight * scale };
+    }
+    return { ascent: size * 0.95, lineHeight: size * 1.2 };
+  }
+
+  // One item per character or icon, with its advance
+  static measure(tokens, font, options) {
+    const bitmap = font instanceof BitmapFont ? font : null;
+    const items = [];
+    let index = 0;
+    let previous = null;
+
+    for (const token of tokens) {
+      const { size } = token.style;
+      const metrics = RichText.getMetrics(font, size);
+
+      if (token.type === "icon") {
+        const region = RichText.resolveIcon(options.icons, token.name);
+        const source = SpriteRenderer.getRegionSource(region);
+        const height = size;
+        const width = source ? (height * source.width) / source.height : height;
+        items.push({ icon: region, style: token.style, index: index++, advance: width, kerning: 0, width, height, ascent: height * 0.85, lineHeight: metrics.lineHeight });
+        previous = null;
+        continue;
+      }
+
+      const css = `${size}px ${font}`;
+      if (!bitmap) RichText.getMeasureContext().font = css;
+
+      for (const char of token.text) {
+        const item = { char, style: token.style, index: char === "\n" ? -1 : index++, ascent: metrics.ascent, lineHeight: metrics.lineHeight, kerning: 0 };
+        if (bitmap) {
+          const scale = size / bitmap.size;
+          const glyph = bitmap.getGlyph(char);
+          item.glyph = glyph;
+          item.scale = scale;
+          item.advance = glyph ? glyph.xadvance * scale : 0;
+          if (previous && previous.style.size === size) {
+            item.kerning = bitmap.getKerning(previous.char, char) * scale;
+          }
+        } else {
+          item.css = css;
+          item.advance = char === "\n" ? 0 : RichText.getMeasureContext().measureText(char).width;
+        }
+        items.push(item);
+        previous = item;
+      }
+    }
+    return items;
+  }
+
+  static resolveIcon(icons, name) {
+    if (!icons) return null;
+    if (typeof icons === "function") return icons(name) || null;
+    if (icons instanceof Map) return icons.get(name) || null;
+    return icons[name] || null;
+  }
+
+  // Greedy word wrap. Words break at spaces and explicit newlines; a word
+  // longer than maxWidth gets a line to itself.
+  static wrap(items, maxWidth) {
+    const lines = [];
+    let line = { items: [], width: 0 };
+    let spaces = [];
+    let word = [];
+    // Spaces at the start of a wrapped line are dropped
+    let wrapped = false;
+
+    const advance = (item, first) => item.advance + (first ? 0 : item.kerning);
+    const place = (item) => {
+      item.x = line.width + (line.items.length === 0 ? 0 : item.kerning);
+      line.width = item.x + item.advance;
+      line.items.push(item);
+    };
+    const flushWord = () => {
+      if (word.length === 0) return;
+      const gap = spaces.reduce((sum, item) => sum + advance(item, false), 0);
+      const width = word.reduce((sum, item, i) => sum + advance(item, i === 0), 0);
+      if (maxWidth > 0 && line.items.length > 0 && line.width + gap + width > maxWidth) {
+        lines.push(line);
+        line = { items: [], width: 0 };
+        wrapped = true;
+      } else {
+        spaces.forEach(place);
+      }
+      word.forEach(place);
+      spaces = [];
+      word = [];
+    };
+
+    for (const item of items) {
+      if (item.char === "\n") {
+        flushWord();
+        lines.push(line);
+        line = { items: [], width: 0 };
+        spaces = [];
+        wrapped = false;
+      } else if (item.char === " " || item.char === "\t") {
+        flushWord();
+        if (line.items.length > 0) spaces.push(item);
+        else if (!wrapped) place(item);
+      } else {
+        word.push(item);
+      }
+    }
+    flushWord();
+    lines.push(line);
+    return lines;
+  }
+
+  static placeItem(item, line, bitmap) {
+    const x = line.x + item.x;
+    const top = line.y + line.ascent - item.ascent;
+
+    if (item.icon) {
+      return { index: item.index, style: item.style, icon: item.icon, x, y: top, width: item.width, height: item.height };
+    }
+    if (item.char === " " || item.char === "\t") return null;
+
+    if (bitmap) {
+      const glyph = item.glyph;
+      if (!glyph || glyph.width === 0 || glyph.height === 0) return null;
+      return {
+        index: item.index,
+        style: item.style,
+        char: item.char,
+        image: bitmap.pages[glyph.page],
+        source: { x: glyph.x, y: glyph.y, width: glyph.width, height: glyph.height },
+        x: x + glyph.xoffset * item.scale,
+        y: top + glyph.yoffset * item.scale,
+        width: glyph.width * item.scale,
+        height: glyph.height * item.scale,
+      };
+    }
+    // System text is drawn from its baseline
+    return { index: item.index, style: item.style, char: item.char, css: item.css, x, y: line.y + line.ascent, width: item.advance, height: item.ascent };
+  }
+
+  // Draws a layout with its top-left at (x, y). time drives wave and shake;
+  // characters from visibleCharacters on are hidden, for typewriter reveals.
+  static draw(ctx, layout, x = 0, y = 0, { time = 0, visibleCharacters = Infinity } = {}) {
+    ctx.save();
+    ctx.textAlign = "left";
+    ctx.textBaseline = "alphabetic";
+
+    for (const glyph of layout.glyphs) {
+      if (glyph.index >= visibleCharacters) break;
+
+      const offset = RichText.getEffectOffset(glyph, time);
+      const gx = x + glyph.x + offset.x;
+      const gy = y + glyph.y + offset.y;
+
+      if (glyph.icon) {
+        const source = SpriteRenderer.getRegionSource(glyph.icon);
+        if (source) SpriteRenderer.drawSource(ctx, source.image, source, { x: gx, y: gy, width: glyph.width, height: glyph.height });
+      } else if (glyph.image) {
+        // Bitmap glyphs are usually white, so colour tints them
+        const color = glyph.style.color;
+        const white = /^(#fff(fff)?|white)$/i.test(color);
+        const image = white ? glyph.image : SpriteRenderer.getTintedImage(glyph.image, color);
+        const { source } = glyph;
+        ctx.drawImage(image, source.x, source.y, source.width, source.height, gx, gy, glyph.width, glyph.height);
+      } else {
+        ctx.font = glyph.css;
+        ctx.fillStyle = glyph.style.color;
+        ctx.fillText(glyph.char, gx, gy);
+      }
+    }
+    ctx.restore();
+  }
+
+  static getEffectOffset(glyph, time) {
+    const { wave, shake } = glyph.style;
+    let x = 0;
+    let y = 0;
+    if (wave) {
+      y += Math.sin(time * 8 - glyph.index * 0.6) * wave;
+    }
+    if (shake) {
+      // Jumps 30 times a second, differently for each character
+      const step = Math.floor(time * 30);
+      x += RichText.noise(glyph.index * 13 + step) * shake;
+      y += RichText.noise(glyph.index * 7 + step + 101) * shake;
+    }
+    return { x, y };
+  }
+
+  // Repeatable pseudo-random number in -1..1
+  static noise(n) {
+    const value = Math.sin(n * 12.9898) * 43758.5453;
+    return (value - Math.floor(value)) * 2 - 1;
+  }
+}
+
+// Text in world space, e.g. damage numbers and speech bubbles. font is a
+// BitmapFont, the name of one registered with the AssetManager, or a CSS
+// font family. Options as for RichText.layout, plus pivot.
+class TextRenderer extends Component {
+  constructor(text = "", options = {}) {
+    super();
+    this.text = String(text);
+    this.font = options.font || "Arial";
+    this.fontSize = options.fontSize || null;
+    this.color = options.color || "#ffffff";
+    this.align = options.align || "left";
+    this.maxWidth = options.maxWidth || null;
+    this.lineSpacing = options.lineSpacing || 1;
+    this.markup = options.markup !== false;
+    // Names for [icon=...]; null looks them up in the AssetManager
+    this.icons = options.icons || null;
+    // Fraction of the text box placed at the object's position
+    this.pivot = options.pivot ? new Vector2(options.pivot.x, options.pivot.y) : new Vector2(0.5, 0.5);
+    this.alpha = options.alpha ?? 1;
+    this.sortingLayer = options.sortingLayer || "World";
+    this.orderInLayer = options.orderInLayer || 0;
+
+    // Typewriter reveal, see reveal()
+    this.visibleCharacters = Infinity;
+    this.charactersPerSecond = 0;
+    this.time = 0;
+    this.layout = null;
+    this.layoutKey = null;
+    this.layoutFont = null;
+  }
+
+  setText(text) {
+    this.text = String(text);
+    if (this.charactersPerSecond > 0) this.visibleCharacters = 0;
+    return this;
+  }
+
+  setSortingLayer(name, orderInLayer = this.orderInLayer) {
+    this.sortingLayer = name;
+    this.orderInLayer = orderInLayer;
+    return this;
+  }
+
+  // Shows the text a few characters at a time. Sends "textRevealed" when done.
+  reveal(charactersPerSecond = 30) {
+    this.charactersPerSecond = charactersPerSecond;
+    this.visibleCharacters = 0;
+    return this;
+  }
+
+  isRevealing() {
+    return this.visibleCharacters < this.getLayout().characterCount;
+  }
+
+  skipReveal() {
+    this.visibleCharacters = Infinity;
+  }
+
+  getAssets() {
+    const scene = this.gameObject && this.gameObject.scene;
+    return scene && scene.engine ? scene.engine.assetManager : null;
+  }
+
+  getFont() {
+    if (typeof this.font !== "string") return this.font;
+    const assets = this.getAssets();
+    return (assets && assets.getFont(this.font)) || this.font;
+  }
+
+  getIcons() {
+    if (this.icons) return this.icons;
+    const assets = this.getAssets();
+    if (!assets) return null;
+    return (name) => {
+      const found = assets.getFrame(name);
+      return found ? found.frame : assets.getNamedImage(name);
+    };
+  }
+
+  // Laid out again only when the text or its settings change
+  getLayout() {
+    const font = this.getFont();
+    const key = [this.text, this.fontSize, this.color, this.align, this.maxWidth, this.lineSpacing, this.markup].join("|");
+    if (!this.layout || key !== this.layoutKey || font !== this.layoutFont) {
+      this.layout = RichText.layout(this.text, {
+        font,
+        fontSize: this.fontSize,
+        color: this.color,
+        align: this.align,
+        maxWidth: this.maxWidth,
+        lineSpacing: this.lineSpacing,
+        markup: this.markup,
+        icons: this.getIcons(),
+      });
+      this.layoutKey = key;
+      this.layoutFont = font;
+    }
+    return this.layout;
+  }
+
+  getLocalRect() {
+    const layout = this.getLayout();
+    return {
+      x: -this.pivot.x * layout.width,
+      y: -this.pivot.y * layout.height,
+      width: layout.width,
+      height: layout.height,
+    };
+  }
+
+  // Corners of a local rect in world space, in texture order
+  getWorldCorners(rect = this.getLocalRect()) {
+    const transform = this.gameObject.transform;
+    const pos = transform.worldPosition;
+    const scale = transform.worldScale;
+    return SpriteRenderer.rectCorners(rect).map((corner) =>
+      new Vector2(corner.x * scale.x, corner.y * scale.y).rotate(transform.worldRotation).add(pos)
+    );
+  }
+
+  getWorldBounds() {
+    const corners = this.getWorldCorners();
+    const xs = corners.map((corner) => corner.x);
+    const ys = corners.map((corner) => corner.y);
+    return {
+      left: Math.min(...xs),
+      right: Math.max(...xs),
+      top: Math.min(...ys),
+      bottom: Math.max(...ys),
+    };
+  }
+
+  update(deltaTime) {
+    this.time += deltaTime;
+
+    if (this.charactersPerSecond > 0 && this.visibleCharacters !== Infinity) {
+      const count = this.getLayout().characterCount;
+      this.visibleCharacters = Math.min(count, this.visibleCharacters + this.charactersPerSecond * deltaTime);
+      if (this.visibleCharacters >= count) {
+        this.visibleCharacters = Infinity;
+        this.sendMessage("textRevealed", { text: this.text });
+      }
+    }
+  }
+
+  draw(ctx, camera) {
+    if (!this.gameObject) return;
+
+    const transform = this.gameObject.transform;
+    const pos = transform.worldPosition;
+    const scale = transform.worldScale;
+    const rect = this.getLocalRect();
+
+    ctx.save();
+    ctx.globalAlpha = this.alpha;
+    ctx.translate(pos.x, pos.y);
+    ctx.rotate(transform.worldRotation);
+    ctx.scale(scale.x, scale.y);
+    RichText.draw(ctx, this.getLayout(), rect.x, rect.y, {
+      time: this.time,
+      visibleCharacters: this.visibleCharacters,
+    });
+    ctx.restore();
+  }
+
+  serialize() {
+    return {
+      type: "TextRenderer",
+      text: this.text,
+      font: typeof this.font === "string" ? this.font : this.font.name,
+      fontSize: this.fontSize,
+      color: this.color,
+      align: this.align,
+      maxWidth: this.maxWidth,
+      lineSpacing: this.lineSpacing,
+      markup: this.markup,
+      pivot: { x: this.pivot.x, y: this.pivot.y },
+      alpha: this.alpha,
+      sortingLayer: this.sortingLayer,
+      orderInLayer: this.orderInLayer,
+      properties: { enabled: this.enabled },
+    };
+  }
+}
+
+// ==================== SHAPES AND GIZMOS ====================
+
+// Lines, circles, arcs, rectangles, polylines, polygons and bezier paths,
+// drawn without images. Each shape method takes a style as its last argument:
+//   stroke      line colour; the default when neither stroke nor fill is given
+//   fill        fill colour for closed shapes
+//   lineWidth   in world units (default 1)
+//   dash        e.g. [8, 4] for dashes, with dashOffset to march them
+//   lineCap     "butt", "round" or "square"
+//   alpha       multiplies the shape's opacity
+// Shapes are plain objects, so they can be changed after they're added,
+// e.g. moving a laser's end point every frame.
+class ShapeRenderer extends Component {
+  // Longest side of the canvas getFillRaster() draws a shape into
+  static maxRasterSize = 2048;
+  // Most sides a curve is split into by getOutlines()
+  static maxCurveSegments = 256;
+
+  constructor(options = {}) {
+    super();
+    this.shapes = [];
+    this.alpha = options.alpha ?? 1;
+    this.sortingLayer = options.sortingLayer || "World";
+    this.orderInLayer = options.orderInLayer || 0;
+
+    // See getFillRaster()
+    this.rasters = new WeakMap();
+  }
+
+  setSortingLayer(name, orderInLayer = this.orderInLayer) {
+    this.sortingLayer = name;
+    this.orderInLayer = orderInLayer;
+    return this;
+  }
+
+  add(shape) {
+    this.shapes.push(shape);
+    return shape;
+  }
+
+  remove(shape) {
+    const index = this.shapes.indexOf(shape);
+    if (index > -1) this.shapes.splice(index, 1);
+  }
+
+  clear() {
+    this.shapes = [];
+  }
+
+  // Coordinates are relative to the object, before its transform applies
+  line(x1, y1, x2, y2, style = {}) {
+    return this.add(ShapeRenderer.createLine(new Vector2(x1, y1), new Vector2(x2, y2), style));
+  }
+
+  circle(x, y, radius, style = {}) {
+    return this.add(ShapeRenderer.createCircle(new Vector2(x, y), radius, style));
+  }
+
+  arc(x, y, radius, startAngle, endAngle, style = {}) {
+    return this.add(ShapeRenderer.createArc(new Vector2(x, y), radius, startAngle, endAngle, style));
+  }
+
+  rect(x, y, width, height, style = {}) {
+    return this.add(ShapeRenderer.createRect(x, y, width, height, style));
+  }
+
+  polyline(points, style = {}) {
+    return this.add(ShapeRenderer.createPolyline(points, false, style));
+  }
+
+  polygon(points, style = {}) {
+    return this.add(ShapeRenderer.createPolyline(points, true, style));
+  }
+
+  bezier(start, control1, control2, end, style = {}) {
+    return this.add(ShapeRenderer.createBezier(start, control1, control2, end, style));
+  }
+
+  path(commands, style = {}) {
+    return this.add(ShapeRenderer.createPath(commands, style));
+  }
+
+  // Copies points so later changes to the caller's vectors don't move the shape
+  static toVector(point) {
+    return new Vector2(point.x, point.y);
+  }
+
+  static createStyle(style) {
+    const filled = style.fill !== undefined && style.fill !== null;
+    return {
+      stroke: style.stroke !== undefined ? style.stroke : filled ? null : "#ffffff",
+      fill: filled ? style.fill : null,
+      lineWidth: style.lineWidth ?? 1,
+      dash: style.dash || null,
+      dashOffset: style.dashOffset || 0,
+      lineCap: style.lineCap || "butt",
+      alpha: style.alpha ?? 1,
+    };
+  }
+
+  static createLine(from, to, style) {
+    return { type: "line", from: ShapeRenderer.toVector(from), to: ShapeRenderer.toVector(to), ...ShapeRenderer.createStyle(style) };
+  }
+
+  static createCircle(center, radius, style) {
+    return { type: "circle", center: ShapeRenderer.toVector(center), radius, ...ShapeRenderer.createStyle(style) };
+  }
+
+  // Angles in radians, clockwise from +x. closed draws a pie slice, e.g. a
+  // cone of vision.
+  static createArc(center, radius, startAngle, endAngle, style) {
+    return {
+      type: "arc",
+      center: ShapeRenderer.toVector(center),
+      radius,
+      startAngle,
+      endAngle,
+      closed: !!style.closed,
+      ...ShapeRenderer.createStyle(style),
+    };
+  }
+
+  static createRect(x, y, width, height, style) {
+    return { type: "rect", x, y, width, height, ...ShapeRenderer.createStyle(style) };
+  }
+
+  static createPolyline(points, closed, style) {
+    return { type: "polyline", points: points.map((point) => ShapeRenderer.toVector(point)), closed, ...ShapeRenderer.createStyle(style) };
+  }
+
+  static createBezier(start, control1, control2, end, style) {
+    return ShapeRenderer.createPath(
+      [
+        ["M", start.x, start.y],
+        ["C", control1.x, control1.y, control2.x, control2.y, end.x, end.y],
+      ],
+      style
+    );
+  }
+
+  // Commands as in SVG, with absolute coordinates: ["M", x, y], ["L", x, y],
+  // ["Q", cx, cy, x, y], ["C", c1x, c1y, c2x, c2y, x, y] and ["Z"]
+  static createPath(commands, style) {
+    return { type: "path", commands: commands.map((command) => [...command]), ...ShapeRenderer.createStyle(style) };
+  }
+
+  // Points the shape stays inside. Curves stay inside their control points.
+  static getShapePoints(shape) {
+    switch (shape.type) {
+      case "line":
+        return [shape.from, shape.to];
+      case "circle":
+      case "arc":
+        return [
+          shape.center.subtract(new Vector2(shape.radius, shape.radius)),
+          shape.center.add(new Vector2(shape.radius, shape.radius)),
+        ];
+      case "rect":
+        return [new Vector2(shape.x, shape.y), new Vector2(shape.x + shape.width, shape.y + shape.height)];
+      case "polyline":
+        return shape.points;
+      case "path": {
+        const points = [];
+        for (const command of shape.commands) {
+          for (let i = 1; i + 1 < command.length; i += 2) {
+            points.push(new Vector2(command[i], command[i + 1]));
+          }
+        }
+        return points;
+      }
+      default:
+        return [];
+    }
+  }
+
+  // Box around the shape and half its line width
+  static getShapeBounds(shape) {
+    const points = ShapeRenderer.getShapePoints(shape);
+    if (points.length === 0) return null;
+    const pad = shape.stroke ? shape.lineWidth / 2 : 0;
+    const xs = points.map((point) => point.x);
+    const ys = points.map((point) => point.y);
+    return {
+      left: Math.min(...xs) - pad,
+      right: Math.max(...xs) + pad,
+      top: Math.min(...ys) - pad,
+      bottom: Math.max(...ys) + pad,
+    };
+  }
+
+  static traceShape(ctx, shape) {
+    ctx.beginPath();
+    switch (shape.type) {
+      case "line":
+        ctx.moveTo(shape.from.x, shape.from.y);
+        ctx.lineTo(shape.to.x, shape.to.y);
+        break;
+      case "circle":
+        ctx.arc(shape.center.x, shape.center.y, shape.radius, 0, Math.PI * 2);
+        break;
+      case "arc":
+        if (shape.closed) ctx.moveTo(shape.center.x, shape.center.y);
+        ctx.arc(shape.center.x, shape.center.y, shape.radius, shape.startAngle, shape.endAngle);
+        if (shape.closed) ctx.closePath();
+        break;
+      case "rect":
+        ctx.rect(shape.x, shape.y, shape.width, shape.height);
+        break;
+      case "polyline":
+        shape.points.forEach((point, i) => {
+          if (i === 0) ctx.moveTo(point.x, point.y);
+          else ctx.lineTo(point.x, point.y);
+        });
+        if (shape.closed) ctx.closePath();
+        break;
+      case "path":
+        for (const [command, ...args] of shape.commands) {
+          switch (command) {
+            case "M":
+              ctx.moveTo(...args);
+              break;
+            case "L":
+              ctx.lineTo(...args);
+              break;
+            case "Q":
+              ctx.quadraticCurveTo(...args);
+              break;
+            case "C":
+              ctx.bezierCurveTo(...args);
+              break;
+            case "Z":
+              ctx.closePath();
+              break;
+          }
+        }
+        break;
+    }
+  }
+
+  static drawShape(ctx, shape) {
+    ctx.save();
+    ctx.globalAlpha *= shape.alpha;
+    ShapeRenderer.traceShape(ctx, shape);
+    if (shape.fill) {
+      ctx.fillStyle = shape.fill;
+      ctx.fill();
+    }
+    if (shape.stroke) {
+      ctx.strokeStyle = shape.stroke;
+      ctx.lineWidth = shape.lineWidth;
+      ctx.lineCap = shape.lineCap;
+      ctx.lineJoin = "round";
+      ctx.setLineDash(shape.dash || []);
+      ctx.lineDashOffset = shape.dashOffset;
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  getLocalBounds() {
+    const boxes = this.shapes.map(ShapeRenderer.getShapeBounds).filter(Boolean);
+    if (boxes.length === 0) return null;
+    return {
+      left: Math.min(...boxes.map((box) => box.left)),
+      right: Math.max(...boxes.map((box) => box.right)),
+      top: Math.min(...boxes.map((box) => box.top)),
+      bottom: Math.max(...boxes.map((box) => box.bottom)),
+    };
+  }
+
+  // Corners of a local rect in world space, in texture order
+  getWorldCorners(rect) {
+    const transform = this.gameObject.transform;
+    const pos = transform.worldPosition;
+    const scale = transform.worldScale;
+    return SpriteRenderer.rectCorners(rect).map((corner) =>
+      new Vector2(corner.x * scale.x, corner.y * scale.y).rotate(transform.worldRotation).add(pos)
+    );
+  }
+
+  // Axis-aligned box around every shape after the transform, used for culling
+  getWorldBounds() {
+    const local = this.getLocalBounds();
+    if (!local) {
+      const pos = this.gameObject.transform.worldPosition;
+      return { left: pos.x, right: pos.x, top: pos.y, bottom: pos.y };
+    }
+
+    const corners = this.getWorldCorners({
+      x: local.left,
+      y: local.top,
+      width: local.right - local.left,
+      height: local.bottom - local.top,
+    });
+    const xs = corners.map((corner) => corner.x);
+    const ys = corners.map((corner) => corner.y);
+    return {
+      left: Math.min(...xs),
+      right: Math.max(...xs),
+      top: Math.min(...ys),
+      bottom: Math.max(...ys),
+    };
+  }
+
+  draw(ctx, camera) {
+    if (!this.gameObject) return;
+
+    const transform = this.gameObject.transform;
+    const pos = transform.worldPosition;
+    const scale = transform.worldScale;
+
+    ctx.save();
+    ctx.globalAlpha = this.alpha;
+    ctx.translate(pos.x, pos.y);
+    ctx.rotate(transform.worldRotation);
+    ctx.scale(scale.x, scale.y);
+    for (const shape of this.shapes) {
+      ShapeRenderer.drawShape(ctx, shape);
+    }
+    ctx.restore();
+  }
+
+  // The shape's outline as runs of points, [{ points, closed }], with
+  // curves split finely enough to stay within tolerance of the real curve
+  static getOutlines(shape, tolerance) {
+    const curveSteps = (length) =>
+      Math.max(1, Math.min(ShapeRenderer.maxCurveSegments, Math.ceil(Math.sqrt(length / tolerance))));
+    const arcPoints = (center, radius, start, sweep) => {
+      const step = radius > tolerance ? 2 * Math.acos(1 - tolerance / radius) : Math.PI / 2;
+      const steps = Math.max(1, Math.min(ShapeRenderer.maxCurveSegments, Math.ceil(Math.abs(sweep) / step)));
+      const points = [];
+      for (let i = 0; i <= steps; i++) {
+        const angle = start + (sweep * i) / steps;
+        points.push(new Vector2(center.x + Math.cos(angle) * radius, center.y + Math.sin(angle) * radius));
+      }
+      return points;
+    };
+
+    switch (shape.type) {
+      case "line":
+        return [{ points: [shape.from, shape.to], closed: false }];
+      case "circle":
+        return [{ points: arcPoints(shape.center, shape.radius, 0, Math.PI * 2).slice(0, -1), closed: true }];
+      case "arc": {
+        // Clockwise from start to end, as canvas draws it
+        const turn = Math.PI * 2;
+        const delta = shape.endAngle - shape.startAngle;
+        const sweep = delta >= turn ? turn : ((delta % turn) + turn) % turn;
+        const points = arcPoints(shape.center, shape.radius, shape.startAngle, sweep);
+        if (shape.closed) points.unshift(shape.center);
+        return [{ points, closed: shape.closed }];
+      }
+      case "rect": {
+        const right = shape.x + shape.width;
+        const bottom = shape.y + shape.height;
+        const points = [new Vector2(shape.x, shape.y), new Vector2(right, shape.y), new Vector2(right, bottom), new Vector2(shape.x, bottom)];
+        return [{ points, closed: true }];
+      }
+      case "polyline":
+        return [{ points: shape.points, closed: shape.closed }];
+      case "path": {
+        const outlines = [];
+        let current = null;
+        let start = new Vector2(0, 0);
+        let pen = start;
+        const begin = () => {
+          if (!current) {
+            current = { points: [pen], closed: false };
+            outlines.push(current);
+          }
+        };
+        for (const [command, ...args] of shape.commands) {
+          if (command === "M") {
+            start = pen = new Vector2(args[0], args[1]);
+            current = null;
+          } else if (command === "L") {
+            begin();
+            pen = new Vector2(args[0], args[1]);
+            current.points.push(pen);
+          } else if (command === "Q" || command === "C") {
+            begin();
+            const controls = [pen];
+            for (let i = 0; i + 1 < args.length; i += 2) controls.push(new Vector2(args[i], args[i + 1]));
+            let length = 0;
+            for (let i = 1; i < controls.length; i++) length += controls[i].distance(controls[i - 1]);
+            const steps = curveSteps(length);
+            for (let i = 1; i <= steps; i++) current.points.push(ShapeRenderer.getCurvePoint(controls, i / steps));
+            pen = controls[controls.length - 1];
+          } else if (command === "Z" && current) {
+            current.closed = true;
+            current = null;
+            pen = start;
+          }
+        }
+        return outlines.filter((outline) => outline.points.length > 1);
+      }
+      default:
+        return [];
+    }
+  }
+
+  // Point at t along a bezier curve with any number of control points
+  static getCurvePoint(controls, t) {
+    let points = controls;
+    while (points.length > 1) {
+      const next = [];
+      for (let i = 1; i < points.length; i++) {
+        next.push(new Vector2(points[i - 1].x + (points[i].x - points[i - 1].x) * t, points[i - 1].y + (points[i].y - points[i - 1].y) * t));
+      }
+      points = next;
+    }
+    return points[0];
+  }
+
+  // Triangles covering a polygon, by ear clipping. Outlines that cross
+  // themselves run out of ears; what is left of them is drawn as a fan.
+  static triangulate(points) {
+    const cross = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+      const next = points[(i + 1) % points.length];
+      area += points[i].x * next.y - next.x * points[i].y;
+    }
+    const winding = area < 0 ? -1 : 1;
+
+    const triangles = [];
+    const remaining = points.slice();
+    while (remaining.length > 3) {
+      let clipped = false;
+      for (let i = 0; i < remaining.length && !clipped; i++) {
+        const a = remaining[(i + remaining.length - 1) % remaining.length];
+        const b = remaining[i];
+        const c = remaining[(i + 1) % remaining.length];
+        if (cross(a, b, c) * winding <= 0) continue;
+
+        const inside = remaining.some(
+          (p) =>
+            p !== a && p !== b && p !== c &&
+            cross(a, b, p) * winding >= 0 && cross(b, c, p) * winding >= 0 && cross(c, a, p) * winding >= 0
+        );
+        if (inside) continue;
+
+        triangles.push([a, b, c]);
+        remaining.splice(i, 1);
+        clipped = true;
+      }
+      if (!clipped) break;
+    }
+    for (let i = 1; i + 1 < remaining.length; i++) {
+      triangles.push([remaining[0], remaining[i], remaining[i + 1]]);
+    }
+    return triangles;
+  }
+
+  // Splits a run of points into the dashes of a canvas dash pattern
+  static getDashes(points, closed, dash, dashOffset) {
+    const pattern = dash.length % 2 === 1 ? [...dash, ...dash] : dash;
+    const total = pattern.reduce((sum, length) => sum + length, 0);
+    if (!(total > 0) || pattern.some((length) => length < 0)) return [points];
+
+    // Where in the pattern the line starts
+    let index = 0;
+    let left = pattern[0];
+    let offset = ((dashOffset % total) + total) % total;
+    while (offset > 0) {
+      if (offset < left) {
+        left -= offset;
+        break;
+      }
+      offset -= left;
+      index = (index + 1) % pattern.length;
+      left = pattern[index];
+    }
+
+    const run = closed ? [...points, points[0]] : points;
+    const dashes = [];
+    let current = index % 2 === 0 ? [run[0]] : null;
+    for (let i = 1; i < run.length; i++) {
+      let from = run[i - 1];
+      const to = run[i];
+      let length = from.distance(to);
+      const direction = to.subtract(from).normalize();
+      while (length > left) {
+        from = from.add(direction.multiplyByScalar(left));
+        length -= left;
+        if (current) {
+          current.push(from);
+          dashes.push(current);
+          current = null;
+        } else {
+          current = [from];
+        }
+        index = (index + 1) % pattern.length;
+        left = pattern[index];
+      }
+      left -= length;
+      if (current) current.push(to);
+    }
+    if (current && current.length > 1) dashes.push(current);
+    return dashes;
+  }
+
+  // Quads, as four corners, covering a stroke of width along points. Joins
+  // are mitred, with very sharp ones cut short.
+  static getStrokeQuads(points, closed, width, lineCap, tolerance) {
+    const run = points.filter((point, i) => i === 0 || point.distance(points[i - 1]) > 1e-9);
+    if (closed && run.length > 1 && run[0].distance(run[run.length - 1]) <= 1e-9) run.pop();
+    if (run.length < 2) return [];
+
+    const half = width / 2;
+    const count = run.length;
+    const segments = closed ? count : count - 1;
+    const normals = [];
+    for (let i = 0; i < segments; i++) {
+      normals.push(run[(i + 1) % count].subtract(run[i]).normalize().perpendicular());
+    }
+
+    // Square caps push the ends out by half the width
+    if (!closed && lineCap === "square") {
+      run[0] = run[0].add(normals[0].perpendicular().multiplyByScalar(half));
+      run[count - 1] = run[count - 1].subtract(normals[segments - 1].perpendicular().multiplyByScalar(half));
+    }
+
+    const offsets = run.map((point, i) => {
+      const before = closed ? normals[(i + segments - 1) % segments] : normals[Math.max(0, i - 1)];
+      const after = closed ? normals[i] : normals[Math.min(segments - 1, i)];
+      const miter = before.add(after).normalize();
+      const cos = miter.dot(after);
+      if (cos < 1e-3) return after.multiplyByScalar(half);
+      return miter.multiplyByScalar(half / Math.max(cos, 0.25));
+    });
+
+    const quads = [];
+    for (let i = 0; i < segments; i++) {
+      const j = (i + 1) % count;
+      quads.push([run[i].add(offsets[i]), run[j].add(offsets[j]), run[j].subtract(offsets[j]), run[i].subtract(offsets[i])]);
+    }
+
+    if (!closed && lineCap === "round") {
+      const cap = (center, normal) => {
+        const start = Math.atan2(normal.y, normal.x);
+        const step = half > tolerance ? 2 * Math.acos(1 - tolerance / half) : Math.PI / 2;
+        const steps = Math.max(2, Math.min(ShapeRenderer.maxCurveSegments, Math.ceil(Math.PI / step)));
+        for (let k = 0; k < steps; k++) {
+          const a = start + (Math.PI * k) / steps;
+          const b = start + (Math.PI * (k + 1)) / steps;
+          const p = new Vector2(center.x + Math.cos(a) * half, center.y + Math.sin(a) * half);
+          const q = new Vector2(center.x + Math.cos(b) * half, center.y + Math.sin(b) * half);
+          quads.push([center, p, q, q]);
+        }
+      };
+      cap(run[0], normals[0]);
+      cap(run[count - 1], normals[segments - 1].multiplyByScalar(-1));
+    }
+    return quads;
+  }
+
+  // The shape as quads for renderers that draw triangles, as
+  // { fill, stroke, strokeAlpha } in local space. Triangles are quads with
+  // the last corner repeated. pixelSize is the local size of a screen
+  // pixel: curves are split to a quarter of it, and strokes thinner than it
+  // are widened to it and faded instead. fill is null for paths with more
+  // than one subpath, which need getFillRaster() to keep their holes.
+  static getMesh(shape, pixelSize) {
+    const tolerance = pixelSize / 4;
+    const outlines = ShapeRenderer.getOutlines(shape, tolerance);
+    const mesh = { fill: [], stroke: [], strokeAlpha: 1 };
+
+    if (shape.fill) {
+      if (shape.type === "path" && outlines.length > 1) {
+        mesh.fill = null;
+      } else if (shape.type === "path" || shape.type === "polyline") {
+        for (const outline of outlines) {
+          for (const [a, b, c] of ShapeRenderer.triangulate(outline.points)) mesh.fill.push([a, b, c, c]);
+        }
+      } else {
+        // Circles, rects and arcs are fans around their first point
+        for (const { points } of outlines) {
+          for (let i = 1; i + 1 < points.length; i++) mesh.fill.push([points[0], points[i], points[i + 1], points[i + 1]]);
+        }
+      }
+    }
+
+    if (shape.stroke && shape.lineWidth > 0) {
+      const width = Math.max(shape.lineWidth, pixelSize);
+      mesh.strokeAlpha = shape.lineWidth / width;
+      for (const outline of outlines) {
+        const runs = shape.dash && shape.dash.length > 0
+          ? ShapeRenderer.getDashes(outline.points, outline.closed, shape.dash, shape.dashOffset)
+          : [outline.points];
+        const closed = runs.length === 1 && runs[0] === outline.points && outline.closed;
+        for (const run of runs) {
+          mesh.stroke.push(...ShapeRenderer.getStrokeQuads(run, closed, width, shape.lineCap, tolerance));
+        }
       }
+    }
+    return mesh;
+  }
+
+  // A shape's fill drawn into its own canvas, for renderers that can't fill
+  // it themselves, as { image, rect, version }: rect is the local area the
+  // image covers and version goes up each time it is redrawn. resolution is
+  // canvas pixels per local unit, lowered if the canvas would be larger
+  // than maxRasterSize. Redrawn only when the shape or resolution changes.
+  getFillRaster(shape, resolution = 1) {
+    const bounds = ShapeRenderer.getShapeBounds(shape);
+    if (!bounds) return null;
+
+    const previous = this.rasters.get(shape);
+    const key = `${resolution}|${shape.fill}|${JSON.stringify(shape.commands)}`;
+    if (previous && previous.key === key) return previous;
+
+    // A unit of margin keeps antialiased edges
+    const width = bounds.right - bounds.left + 2;
+    const height = bounds.bottom - bounds.top + 2;
+    const scale = Math.min(resolution, ShapeRenderer.maxRasterSize / Math.max(width, height));
+    const image = previous ? previous.image : document.createElement("canvas");
+    image.width = Math.max(1, Math.ceil(width * scale));
+    image.height = Math.max(1, Math.ceil(height * scale));
+
+    const rect = { x: bounds.left - 1, y: bounds.top - 1, width: image.width / scale, height: image.height / scale };
+    const ctx = image.getContext("2d");
+    ctx.scale(scale, scale);
+    ctx.translate(-rect.x, -rect.y);
+    ShapeRenderer.drawShape(ctx, { ...shape, stroke: null, alpha: 1 });
+
+    const raster = { image, rect, key, version: previous ? previous.version + 1 : 1 };
+    this.rasters.set(shape, raster);
+    return raster;
+  }
+
+  serialize() {
+    return {
+      type: "ShapeRenderer",
+      shapes: this.shapes,
+      alpha: this.alpha,
+      sortingLayer: this.sortingLayer,
+      orderInLayer: this.orderInLayer,
+      properties: { enabled: this.enabled },
     };
+  }
+
+  // Shapes from serialize(), with their points as Vector2s again
+  static restoreShape(data) {
+    const shape = { ...data };
+    for (const key of ["from", "to", "center"]) {
+      if (shape[key]) shape[key] = ShapeRenderer.toVector(shape[key]);
+    }
+    if (shape.points) shape.points = shape.points.map((point) => ShapeRenderer.toVector(point));
+    return shape;
+  }
+}
+
+// Immediate-mode shapes in world space, for debug views and one-off
+// effects. Call them from update(); each shape shows until the next update
+// step, or for duration seconds. Styles as for ShapeRenderer, plus
+// sortingLayer, which cameras use to decide whether to show the shape.
+// Gizmos draw over the scene, after lighting.
+class Gizmos {
+  static enabled = true;
+
+  static commands = [];
+
+  static add(shape, style) {
+    if (!Gizmos.enabled) return shape;
+    shape.remaining = style.duration || 0;
+    shape.sortingLayer = style.sortingLayer || "World";
+    Gizmos.commands.push(shape);
+    return shape;
+  }
+
+  static line(from, to, style = {}) {
+    return Gizmos.add(ShapeRenderer.createLine(from, to, style), style);
+  }
+
+  static ray(origin, direction, length = 100, style = {}) {
+    const end = ShapeRenderer.toVector(origin).add(ShapeRenderer.toVector(direction).normalize().multiplyByScalar(length));
+    return Gizmos.line(origin, end, style);
+  }
+
+  static circle(center, radius, style = {}) {
+    return Gizmos.add(ShapeRenderer.createCircle(center, radius, style), style);
+  }
+
+  static arc(center, radius, startAngle, endAngle, style = {}) {
+    return Gizmos.add(ShapeRenderer.createArc(center, radius, startAngle, endAngle, style), style);
+  }
+
+  static rect(x, y, width, height, style = {}) {
+    return Gizmos.add(ShapeRenderer.createRect(x, y, width, height, style), style);
+  }
+
+  // Bounds as returned by getWorldBounds()
+  static bounds(bounds, style = {}) {
+    return Gizmos.rect(bounds.left, bounds.top, bounds.right - bounds.left, bounds.bottom - bounds.top, style);
+  }
+
+  static polyline(points, style = {}) {
+    return Gizmos.add(ShapeRenderer.createPolyline(points, false, style), style);
+  }
+
+  static polygon(points, style = {}) {
+    return Gizmos.add(ShapeRenderer.createPolyline(points, true, style), style);
+  }
+
+  static bezier(start, control1, control2, end, style = {}) {
+    return Gizmos.add(ShapeRenderer.createBezier(start, control1, control2, end, style), style);
+  }
+
+  static path(commands, style = {}) {
+    return Gizmos.add(ShapeRenderer.createPath(commands, style), style);
+  }
+
+  // Called once per fixed step, before scenes update
+  static update(deltaTime) {
+    Gizmos.commands = Gizmos.commands.filter((shape) => (shape.remaining -= deltaTime) > 0);
+  }
+
+  static clear() {
+    Gizmos.commands = [];
+  }
+}
+
+// ==================== PARTICLE SYSTEM ====================
+
+class Particle {
+  constructor(x = 0, y = 0) {
+    this.position = new Vector2(x, y);
+    this.velocity = new Vector2(0, 0);
+    this.acceleration = new Vector2(0, 0);
+    this.life = 1.0;
+    this.maxLife = 1.0;
+    this.size = 4;
+    this.color = "#ffffff";
+    this.alpha = 1.0;
+    this.rotation = 0;
+    this.rotationSpeed = 0;
+    this.gravity = 0;
+    this.drag = 0.98;
+    this.active = true;
+  }
+  
+  update(deltaTime) {
+    if (!this.active) return;
     
-    const mousedownHandler = (e) => {
-      this.mouseButtons.set(e.button, true);
-      e.preventDefault();
+    // Update life
+    this.life -= deltaTime;
+    if (this.life <= 0) {
+      this.active = false;
+      return;
+    }
+    
+    // Update physics
+    this.velocity.add(this.acceleration.multiplyByScalar(deltaTime));
+    this.velocity.multiplyByScalar(this.drag);
+    this.position.add(this.velocity.multiplyByScalar(deltaTime));
+    
+    // Apply gravity
+    if (this.gravity !== 0) {
+      this.velocity.y += this.gravity * deltaTime;
+    }
+    
+    // Update rotation
+    this.rotation += this.rotationSpeed * deltaTime;
+    
+    // Update alpha based on life
+    this.alpha = this.life / this.maxLife;
+  }
+  
+  draw(ctx) {
+    if (!this.active) return;
+    
+    ctx.save();
+    ctx.globalAlpha = this.alpha;
+    ctx.translate(this.position.x, this.position.y);
+    ctx.rotate(this.rotation);
+    
+    ctx.fillStyle = this.color;
+    ctx.fillRect(-this.size / 2, -this.size / 2, this.size, this.size);
+    
+    ctx.restore();
+  }
+}
+
+class ParticleEmitter extends Component {
+  constructor() {
+    super();
+    this.particles = [];
+    this.maxParticles = 100;
+    this.emissionRate = 10; // particles per second
+    this.emissionTimer = 0;
+    this.emissionRadius = 0;
+    this.particleLife = { min: 1.0, max: 2.0 };
+    this.particleSize = { min: 2, max: 8 };
+    this.particleSpeed = { min: 50, max: 150 };
+    this.particleColor = "#ffffff";
+    this.gravity = 0;
+    this.drag = 0.98;
+    this.rotationSpeed = { min: -180, max: 180 };
+    this.emissionAngle = { min: 0, max: 360 };
+    this.active = true;
+    this.oneShot = false;
+    this.burstCount = 0;
+  }
+  
+  emitParticle() {
+    if (this.particles.length >= this.maxParticles) return;
+    
+    const particle = new Particle();
+    
+    // Set position
+    if (this.emissionRadius > 0) {
+      const angle = Math.random() * Math.PI * 2;
+      const radius = Math.random() * this.emissionRadius;
+      particle.position.x = Math.cos(angle) * radius;
+      particle.position.y = Math.sin(angle) * radius;
+    }
+    
+    // Set velocity
+    const speed = this.particleSpeed.min + Math.random() * (this.particleSpeed.max - this.particleSpeed.min);
+    const angle = (this.emissionAngle.min + Math.random() * (this.emissionAngle.max - this.emissionAngle.min)) * Math.PI / 180;
+    particle.velocity.x = Math.cos(angle) * speed;
+    particle.velocity.y = Math.sin(angle) * speed;
+    
+    // Set other properties
+    particle.life = this.particleLife.min + Math.random() * (this.particleLife.max - this.particleLife.min);
+    particle.maxLife = particle.life;
+    particle.size = this.particleSize.min + Math.random() * (this.particleSize.max - this.particleSize.min);
+    particle.color = this.particleColor;
+    particle.gravity = this.gravity;
+    particle.drag = this.drag;
+    particle.rotationSpeed = this.rotationSpeed.min + Math.random() * (this.rotationSpeed.max - this.rotationSpeed.min);
+    
+    this.particles.push(particle);
+  }
+  
+  emitBurst(count) {
+    for (let i = 0; i < count; i++) {
+      this.emitParticle();
+    }
+  }
+  
+  update(deltaTime) {
+    if (!this.active) return;
+    
+    // Emit particles
+    if (!this.oneShot) {
+      this.emissionTimer += deltaTime;
+      const emissionInterval = 1.0 / this.emissionRate;
+      
+      while (this.emissionTimer >= emissionInterval) {
+        this.emitParticle();
+        this.emissionTimer -= emissionInterval;
+      }
+    }
+    
+    // Update particles
+    for (let i = this.particles.length - 1; i >= 0; i--) {
+      const particle = this.particles[i];
+      particle.update(deltaTime);
+      
+      if (!particle.active) {
+        this.particles.splice(i, 1);
+      }
+    }
+  }
+  
+  draw(ctx) {
+    for (const particle of this.particles) {
+      particle.draw(ctx);
+    }
+  }
+  
+  // Preset configurations
+  setExplosionConfig() {
+    this.emissionRate = 50;
+    this.particleLife = { min: 0.5, max: 1.5 };
+    this.particleSpeed = { min: 100, max: 300 };
+    this.emissionAngle = { min: 0, max: 360 };
+    this.gravity = 200;
+    this.oneShot = true;
+    this.burstCount = 100;
+  }
+  
+  setSmokeConfig() {
+    this.emissionRate = 5;
+    this.particleLife = { min: 2.0, max: 4.0 };
+    this.particleSize = { min: 8, max: 20 };
+    this.particleSpeed = { min: 20, max: 60 };
+    this.particleColor = "#666666";
+    this.gravity = -50;
+    this.drag = 0.95;
+  }
+  
+  setMagicConfig() {
+    this.emissionRate = 15;
+    this.particleLife = { min: 1.5, max: 3.0 };
+    this.particleSize = { min: 3, max: 8 };
+    this.particleSpeed = { min: 30, max: 80 };
+    this.particleColor = "#00ffff";
+    this.gravity = 0;
+    this.rotationSpeed = { min: -360, max: 360 };
+  }
+}
+
+// Named frames packed into one image, read from TexturePacker (hash or
+// array) or Aseprite JSON. Frames use the spriteSheet frame layout that
+// SpriteRenderer animations already understand, plus trim and rotation.
+class TextureAtlas {
+  constructor(name, image, data) {
+    this.name = name;
+    this.image = image;
+    this.frames = new Map();
+    this.frameList = [];
+    this.animations = new Map();
+    this.parse(data);
+  }
+
+  parse(data) {
+    const entries = Array.isArray(data.frames)
+      ? data.frames.map((frame) => [frame.filename, frame])
+      : Object.entries(data.frames || {});
+
+    for (const [filename, entry] of entries) {
+      const frame = TextureAtlas.createFrame(TextureAtlas.frameName(filename), entry, this.image);
+      this.frames.set(frame.name, frame);
+      this.frameList.push(frame);
+    }
+
+    // Aseprite tags refer to frames by export order
+    const tags = (data.meta && data.meta.frameTags) || [];
+    for (const tag of tags) {
+      const frames = this.frameList.slice(tag.from, tag.to + 1);
+      if (frames.length === 0) continue;
+
+      let sequence = frames;
+      if (tag.direction === "reverse") {
+        sequence = [...frames].reverse();
+      } else if (tag.direction === "pingpong") {
+        sequence = frames.concat([...frames].reverse().slice(1, -1));
+      }
+      this.animations.set(tag.name, {
+        frames: sequence,
+        frameDurations: sequence.map((frame) => frame.duration),
+      });
+    }
+  }
+
+  // "hero/run_03.png" is looked up as "hero/run_03"
+  static frameName(filename) {
+    return String(filename).replace(/\.(png|jpe?g|gif|webp|bmp|aseprite|ase)$/i, "");
+  }
+
+  static createFrame(name, entry, image) {
+    const rect = entry.frame;
+    const sprite = entry.spriteSourceSize || { x: 0, y: 0, w: rect.w, h: rect.h };
+    const source = entry.sourceSize || { w: rect.w, h: rect.h };
+
+    return {
+      name,
+      spriteSheet: image,
+      // Packed rectangle, with width and height as the frame is shown. When
+      // rotated, the frame is stored turned 90° clockwise in the image.
+      x: rect.x,
+      y: rect.y,
+      width: rect.w,
+      height: rect.h,
+      rotated: !!entry.rotated,
+      // Trimmed frames sit at an offset inside their untrimmed size
+      offsetX: sprite.x,
+      offsetY: sprite.y,
+      sourceWidth: source.w,
+      sourceHeight: source.h,
+      pivot: entry.pivot ? new Vector2(entry.pivot.x, entry.pivot.y) : null,
+      duration: entry.duration !== undefined ? entry.duration / 1000 : null,
     };
+  }
+
+  getFrame(name) {
+    return this.frames.get(name) || this.frames.get(TextureAtlas.frameName(name)) || null;
+  }
+
+  // Frames whose names start with prefix, in name order ("hero/run_")
+  getFrames(prefix) {
+    return [...this.frames.values()]
+      .filter((frame) => frame.name.startsWith(prefix))
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  }
+
+  // Adds every Aseprite tag as an animation on the sprite
+  addAnimationsTo(sprite, frameDuration = 0.1, loop = true) {
+    for (const [name, animation] of this.animations) {
+      sprite.addAnimation(name, animation.frames, frameDuration, loop);
+      sprite.animations.get(name).frameDurations = animation.frameDurations;
+    }
+  }
+}
+
+class AssetManager {
+  constructor() {
+    this.imageCache = new Map();
+    this.audioCache = new Map();
+    this.loadedAssets = 0;
+    this.totalAssets = 0;
+    this.loadingPromises = new Map();
+    this.eventBus = new EventBus();
+    this.placeholderAssets = new Map();
+    this.retryAttempts = new Map();
+    this.maxRetries = 3;
     
-    const mouseupHandler = (e) => {
-      this.mouseButtons.set(e.button, false);
-    };
+    // Named assets
+    this.namedImages = new Map();
+    this.namedAudio = new Map();
+    this.atlases = new Map();
+    this.fonts = new Map();
     
-    const contextmenuHandler = (e) => e.preventDefault();
+    // Create placeholder assets
+    this.createPlaceholderAssets();
+  }
+  
+  createPlaceholderAssets() {
+    // Create a simple colored rectangle as placeholder image
+    const canvas = document.createElement('canvas');
+    canvas.width = 32;
+    canvas.height = 32;
+    const ctx = canvas.getContext('2d');
     
-    // Store references for cleanup
-    this.eventListeners.set('keydown', keydownHandler);
-    this.eventListeners.set('keyup', keyupHandler);
-    this.eventListeners.set('mousemove', mousemoveHandler);
-    this.eventListeners.set('mousedown', mousedownHandler);
-    this.eventListeners.set('mouseup', mouseupHandler);
-    this.eventListeners.set('contextmenu', contextmenuHandler);
+    // Create a magenta/pink placeholder
+    ctx.fillStyle = '#ff00ff';
+    ctx.fillRect(0, 0, 32, 32);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('?', 16, 20);
     
-    // Add event listeners
-    window.addEventListener("keydown", keydownHandler);
-    window.addEventListener("keyup", keyupHandler);
-    window.addEventListener("mousemove", mousemoveHandler);
-    window.addEventListener("mousedown", mousedownHandler);
-    window.addEventListener("mouseup", mouseupHandler);
-    window.addEventListener("contextmenu", contextmenuHandler);
+    const placeholderImage = new Image();
+    placeholderImage.src = canvas.toDataURL();
+    this.placeholderAssets.set('image', placeholderImage);
     
-    // Touch events
-    if (this.canvas) {
-      this.canvas.addEventListener("touchstart", (e) => {
-        e.preventDefault();
-        for (let i = 0; i < e.changedTouches.length; i++) {
-          const touch = e.changedTouches[i];
-          const rect = this.canvas.getBoundingClientRect();
-          const pos = new Vector2(
-            touch.clientX - rect.left,
-            touch.clientY - rect.top
-          );
+    // Create a silent audio placeholder
+    const audioContext = new (window.AudioContext || window.webkitAudioContext || function(){})();
+    if (audioContext.createBuffer) {
+      try {
+        const buffer = audioContext.createBuffer(1, 1, 22050);
+        const placeholderAudio = document.createElement('audio');
+        this.placeholderAssets.set('audio', placeholderAudio);
+      } catch (e) {
+        // Fallback for environments without audio support
+        const placeholderAudio = document.createElement('audio');
+        this.placeholderAssets.set('audio', placeholderAudio);
+      }
+    } else {
+      // Simple fallback
+      const placeholderAudio = document.createElement('audio');
+      this.placeholderAssets.set('audio', placeholderAudio);
+    }
+  }
+  
+  // Register a batch of assets by name
+  async registerAssets(assets = {}) {
+    const tasks = [];
+    for (const [name, value] of Object.entries(assets)) {
+      tasks.push(this.registerAsset(name, value));
+    }
+    return Promise.all(tasks);
+  }
+  
+  // Register a single asset by name
+  async registerAsset(name, value) {
+    if (!name) return;
+    // SVG helper object
+    if (value && typeof value === 'object' && value.__kind === 'svg' && typeof value.data === 'string') {
+      return this.registerSVG(name, value.data);
+    }
+    // Raw SVG string
+    if (typeof value === 'string' && value.trim().startsWith('<svg')) {
+      return this.registerSVG(name, value);
+    }
+    // Bitmap font by URL or data, with optional page images: { font, pages }
+    if (value && typeof value === 'object' && value.font) {
+      return this.registerFont(name, value.font, value.pages);
+    }
+    // BMFont JSON already in memory
+    if (value && typeof value === 'object' && value.chars && value.common) {
+      return this.registerFont(name, value);
+    }
+    // Atlas JSON already in memory: { frames, meta } or { data, image }
+    if (value && typeof value === 'object' && (value.frames || value.data)) {
+      return this.registerAtlas(name, value.data || value, value.image);
+    }
+    // Atlas JSON by URL, with an optional image URL: { atlas, image }
+    if (value && typeof value === 'object' && typeof value.atlas === 'string') {
+      return this.registerAtlas(name, value.atlas, value.image);
+    }
+    // URL strings: decide by extension
+    if (typeof value === 'string') {
+      if (/\.(mp3|wav|ogg)(\?.*)?$/i.test(value)) {
+        return this.registerAudio(name, value);
+      }
+      if (/\.json(\?.*)?$/i.test(value)) {
+        return this.registerJson(name, value);
+      }
+      if (/\.fnt(\?.*)?$/i.test(value)) {
+        return this.registerFont(name, value);
+      }
+      // Image (including external .svg)
+      return this.registerImage(name, value);
+    }
+    // Direct elements
+    if (value instanceof HTMLImageElement) {
+      this.namedImages.set(name, value);
+      this.imageCache.set(name, value);
+      this.loadedAssets++;
+      return value;
+    }
+    if (value instanceof HTMLAudioElement) {
+      this.namedAudio.set(name, value);
+      this.audioCache.set(name, value);
+      this.loadedAssets++;
+      return value;
+    }
+    // Unsupported type
+    Debug.warn(`Unsupported asset type for '${name}'`);
+    return null;
+  }
+  
+  async registerImage(name, src) {
+    const img = new Image();
+    return new Promise((resolve) => {
+      img.onload = () => {
+        this.namedImages.set(name, img);
+        this.imageCache.set(name, img);
+        this.loadedAssets++;
+        this.eventBus.emit('asset_loaded', { type: 'image', name, asset: img });
+        resolve(img);
+      };
+      img.onerror = () => {
+        Debug.error(`Failed to register image '${name}' from ${src}`);
+        const placeholder = this.placeholderAssets.get('image');
+        this.namedImages.set(name, placeholder);
+        resolve(placeholder);
+      };
+      img.src = src;
+    });
+  }
+  
+  async registerSVG(name, svgString) {
+    try {
+      const blob = new Blob([svgString], { type: 'image/svg+xml' });
+      const url = URL.createObjectURL(blob);
+      return this.registerImage(name, url).then((img) => {
+        // Keep URL for cleanup if needed
+        img.__objectUrl = url;
+        return img;
+      });
+    } catch (e) {
+      Debug.error(`Failed to register SVG '${name}':`, e);
+      const placeholder = this.placeholderAssets.get('image');
+      this.namedImages.set(name, placeholder);
+      return placeholder;
+    }
+  }
+  
+  async registerAudio(name, src) {
+    const audio = new Audio();
+    return new Promise((resolve) => {
+      audio.oncanplaythrough = () => {
+        this.namedAudio.set(name, audio);
+        this.audioCache.set(name, audio);
+        this.loadedAssets++;
+        this.eventBus.emit('asset_loaded', { type: 'audio', name, asset: audio });
+        resolve(audio);
+      };
+      audio.onerror = () => {
+        Debug.error(`Failed to register audio '${name}' from ${src}`);
+        const placeholder = this.placeholderAssets.get('audio');
+        this.namedAudio.set(name, placeholder);
+        resolve(placeholder);
+      };
+      audio.src = src;
+      audio.load();
+    });
+  }
+  
+  // Loads a JSON file that is either an atlas or a BMFont, telling them
+  // apart by the font's chars and common fields
+  async registerJson(name, url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      const baseUrl = new URL(url, document.baseURI).href;
+      if (data && data.chars && data.common) {
+        return this.registerFont(name, data, null, baseUrl);
+      }
+      return this.registerAtlas(name, data, null, baseUrl);
+    } catch (e) {
+      Debug.error(`Failed to register '${name}':`, e);
+      return null;
+    }
+  }
+
+  // Loads a TexturePacker or Aseprite atlas. source is the JSON URL or the
+  // parsed data; the image defaults to meta.image next to the JSON file.
+  // baseUrl is what image paths in parsed data are relative to.
+  async registerAtlas(name, source, imageSrc = null, baseUrl = document.baseURI) {
+    try {
+      let data = source;
+      if (typeof source === 'string') {
+        const response = await fetch(source);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        data = await response.json();
+        baseUrl = new URL(source, document.baseURI).href;
+      }
+
+      let image = imageSrc;
+      if (!image || typeof image === 'string') {
+        const src = image || (data.meta && data.meta.image);
+        if (!src) throw new Error('no image given and meta.image is missing');
+        image = await this.registerImage(name, new URL(src, baseUrl).href);
+      }
+
+      const atlas = new TextureAtlas(name, image, data);
+      this.atlases.set(name, atlas);
+      this.eventBus.emit('asset_loaded', { type: 'atlas', name, asset: atlas });
+      return atlas;
+    } catch (e) {
+      Debug.error(`Failed to register atlas '${name}':`, e);
+      return null;
+    }
+  }
+
+  getAtlas(name) {
+    return this.atlases.get(name);
+  }
+
+  // Loads an AngelCode BMFont. source is a .fnt (text or XML) or JSON URL,
+  // or the file's contents; page images default to the files it names.
+  // baseUrl is what page paths in the contents are relative to.
+  async registerFont(name, source, pages = null, baseUrl = document.baseURI) {
+    try {
+      let data = source;
+      // File contents span several lines; URLs don't
+      if (typeof source === 'string' && !source.includes('\n')) {
+        const response = await fetch(source);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const text = await response.text();
+        data = text.trim().startsWith('{') ? JSON.parse(text) : text;
+        baseUrl = new URL(source, document.baseURI).href;
+      }
+
+      const given = pages === null ? [] : [].concat(pages);
+      const images = await Promise.all(
+        BitmapFont.parse(data).pages.map((file, i) => {
+          const page = given[i] || file;
+          if (page && typeof page !== 'string') return page;
+          if (!page) throw new Error(`no image for page ${i}`);
+          return this.registerImage(i === 0 ? name : `${name}_${i}`, new URL(page, baseUrl).href);
+        })
+      );
+
+      const font = new BitmapFont(name, data, images);
+      this.fonts.set(name, font);
+      this.eventBus.emit('asset_loaded', { type: 'font', name, asset: font });
+      return font;
+    } catch (e) {
+      Debug.error(`Failed to register font '${name}':`, e);
+      return null;
+    }
+  }
+
+  getFont(name) {
+    return this.fonts.get(name);
+  }
+
+  // Finds an atlas frame by "atlas/frame" or by the frame name alone
+  getFrame(name) {
+    for (const [atlasName, atlas] of this.atlases) {
+      const frame =
+        atlas.getFrame(name) ||
+        (name.startsWith(`${atlasName}/`) ? atlas.getFrame(name.slice(atlasName.length + 1)) : null);
+      if (frame) return { atlas, frame };
+    }
+    return null;
+  }
+
+  getNamedImage(name) {
+    return this.namedImages.get(name);
+  }
+  
+  getNamedAudio(name) {
+    return this.namedAudio.get(name);
+  }
+
+  async loadImage(path) {
+    if (this.imageCache.has(path)) {
+      return this.imageCache.get(path);
+    }
+
+    if (this.loadingPromises.has(path)) {
+      return this.loadingPromises.get(path);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      const image = new Image();
+      
+      image.onload = () => {
+        this.imageCache.set(path, image);
+        this.loadedAssets++;
+        this.loadingPromises.delete(path);
+        this.retryAttempts.delete(path);
+        
+        Debug.log(`Loaded image: ${path}`);
+        this.eventBus.emit('asset_loaded', { type: 'image', path, asset: image });
+        resolve(image);
+      };
+      
+      image.onerror = (error) => {
+        this.loadingPromises.delete(path);
+        
+        const retryCount = this.retryAttempts.get(path) || 0;
+        
+        if (retryCount < this.maxRetries) {
+          // Retry loading
+          this.retryAttempts.set(path, retryCount + 1);
+          Debug.warn(`Retrying to load image: ${path} (attempt ${retryCount + 1}/${this.maxRetries})`);
           
-          this.touches.set(touch.identifier, pos);
-          this.touchStartPositions.set(touch.identifier, pos.copy());
+          setTimeout(() => {
+            image.src = path;
+          }, 1000 * (retryCount + 1)); // Exponential backoff
           
-          // Handle virtual joystick
-          if (touch.identifier === 0) {
-            this.virtualJoystick.active = true;
-            this.virtualJoystick.center = pos.copy();
-            this.virtualJoystick.current = pos.copy();
-          }
+          return;
         }
-      });
+        
+        // Max retries reached, use placeholder
+        Debug.error(`Failed to load image after ${this.maxRetries} attempts: ${path}`);
+        this.eventBus.emit('asset_failed', { type: 'image', path, error, attempts: retryCount });
+        
+        // Use placeholder asset
+        const placeholder = this.placeholderAssets.get('image');
+        this.imageCache.set(path, placeholder);
+        this.loadedAssets++;
+        
+        console.warn(`Asset '${path}' failed to load; using placeholder`);
+        resolve(placeholder);
+      };
       
-      this.canvas.addEventListener("touchmove", (e) => {
-        e.preventDefault();
-        for (let i = 0; i < e.changedTouches.length; i++) {
-          const touch = e.changedTouches[i];
-          const rect = this.canvas.getBoundingClientRect();
-          const pos = new Vector2(
-            touch.clientX - rect.left,
-            touch.clientY - rect.top
-          );
+      image.src = path;
+    });
+
+    this.loadingPromises.set(path, promise);
+    this.totalAssets++;
+    return promise;
+  }
+
+  async loadAudio(path) {
+    if (this.audioCache.has(path)) {
+      return this.audioCache.get(path);
+    }
+
+    if (this.loadingPromises.has(path)) {
+      return this.loadingPromises.get(path);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      const audio = new Audio();
+      
+      audio.oncanplaythrough = () => {
+        this.audioCache.set(path, audio);
+        this.loadedAssets++;
+        this.loadingPromises.delete(path);
+        this.retryAttempts.delete(path);
+        
+        Debug.log(`Loaded audio: ${path}`);
+        this.eventBus.emit('asset_loaded', { type: 'audio', path, asset: audio });
+        resolve(audio);
+      };
+      
+      audio.onerror = (error) => {
+        this.loadingPromises.delete(path);
+        
+        const retryCount = this.retryAttempts.get(path) || 0;
+        
+        if (retryCount < this.maxRetries) {
+          // Retry loading
+          this.retryAttempts.set(path, retryCount + 1);
+          Debug.warn(`Retrying to load audio: ${path} (attempt ${retryCount + 1}/${this.maxRetries})`);
           
-          this.touches.set(touch.identifier, pos);
+          setTimeout(() => {
+            audio.src = path;
+          }, 1000 * (retryCount + 1)); // Exponential backoff
           
-          // Update virtual joystick
-          if (touch.identifier === 0) {
-            this.virtualJoystick.current = pos.copy();
-          }
+          return;
         }
-      });
+        
+        // Max retries reached, use placeholder
+        Debug.error(`Failed to load audio after ${this.maxRetries} attempts: ${path}`);
+        this.eventBus.emit('asset_failed', { type: 'audio', path, error, attempts: retryCount });
+        
+        // Use placeholder asset
+        const placeholder = this.placeholderAssets.get('audio');
+        this.audioCache.set(path, placeholder);
+        this.loadedAssets++;
+        
+        console.warn(`Asset '${path}' failed to load; using placeholder`);
+        resolve(placeholder);
+      };
       
-      this.canvas.addEventListener("touchend", (e) => {
-        e.preventDefault();
-        for (let i = 0; i < e.changedTouches.length; i++) {
-          const touch = e.changedTouches[i];
-          this.touches.delete(touch.identifier);
-          this.touchStartPositions.delete(touch.identifier);
-          
-          // Reset virtual joystick
-          if (touch.identifier === 0) {
-            this.virtualJoystick.active = false;
-          }
-        }
-      });
+      audio.src = path;
+    });
+
+    this.loadingPromises.set(path, promise);
+    this.totalAssets++;
+    return promise;
+  }
+
+  async loadMultiple(assets) {
+    const promises = assets.map((asset) => {
+      if (asset.type === "image") {
+        return this.loadImage(asset.path);
+      } else if (asset.type === "audio") {
+        return this.loadAudio(asset.path);
+      }
+    });
+
+    return Promise.all(promises);
+  }
+
+  getLoadingProgress() {
+    return this.totalAssets === 0 ? 1 : this.loadedAssets / this.totalAssets;
+  }
+
+  isLoading() {
+    return this.loadingPromises.size > 0;
+  }
+
+  getImage(path) {
+    return this.imageCache.get(path);
+  }
+
+  getAudio(path) {
+    return this.audioCache.get(path);
+  }
+
+  clear() {
+    this.imageCache.clear();
+    this.audioCache.clear();
+    this.loadingPromises.clear();
+    this.loadedAssets = 0;
+    this.totalAssets = 0;
+    this.retryAttempts.clear();
+  }
+  
+  // Asset management methods
+  unloadAsset(path, type = 'auto') {
+    if (type === 'auto' || type === 'image') {
+      this.imageCache.delete(path);
+    }
+    if (type === 'auto' || type === 'audio') {
+      this.audioCache.delete(path);
+    }
+    this.retryAttempts.delete(path);
+    
+    Debug.log(`Unloaded asset: ${path}`);
+    this.eventBus.emit('asset_unloaded', { type, path });
+  }
+  
+  unloadUnusedAssets() {
+    // This would need to track asset usage to implement properly
+    // For now, just clear all assets
+    this.clear();
+    Debug.log('Unloaded all unused assets');
+  }
+  
+  getAssetInfo(path) {
+    const info = {
+      path,
+      image: this.imageCache.has(path),
+      audio: this.audioCache.has(path),
+      loading: this.loadingPromises.has(path),
+      retryAttempts: this.retryAttempts.get(path) || 0
+    };
+    return info;
+  }
+  
+  getMemoryUsage() {
+    // Rough estimation of memory usage
+    let imageMemory = 0;
+    for (const [path, image] of this.imageCache) {
+      imageMemory += (image.width * image.height * 4); // 4 bytes per pixel (RGBA)
+    }
+    
+    return {
+      images: this.imageCache.size,
+      audio: this.audioCache.size,
+      loading: this.loadingPromises.size,
+      estimatedMemoryBytes: imageMemory,
+      estimatedMemoryMB: (imageMemory / (1024 * 1024)).toFixed(2)
+    };
+  }
+  
+  // Event handling
+  onAssetLoaded(callback) {
+    return this.eventBus.on('asset_loaded', callback);
+  }
+  
+  onAssetFailed(callback) {
+    return this.eventBus.on('asset_failed', callback);
+  }
+  
+  onAssetUnloaded(callback) {
+    return this.eventBus.on('asset_unloaded', callback);
+  }
+}
+
+// ==================== SPATIAL PARTITIONING ====================
+
+class Quadtree {
+  constructor(bounds, maxObjects = 10, maxDepth = 8, depth = 0) {
+    this.bounds = bounds;
+    this.maxObjects = maxObjects;
+    this.maxDepth = maxDepth;
+    this.depth = depth;
+    this.objects = [];
+    this.nodes = [];
+    this.divided = false;
+  }
+  
+  insert(item) {
+    if (!this.bounds) return false;
+    
+    if (!this.intersects(this.bounds, item.bounds)) {
+      return false;
+    }
+    
+    if (!this.divided) {
+      if (this.objects.length < this.maxObjects || this.depth >= this.maxDepth) {
+        this.objects.push(item);
+        item.node = this;
+        return true;
+      }
+      this.subdivide();
+    }
+
+    // Only descend into a child that fully contains the item, otherwise
+    // searches over the sibling nodes it overlaps would miss it
+    for (const node of this.nodes) {
+      if (node.contains(item.bounds)) {
+        return node.insert(item);
+      }
     }
+
+    // Items straddling child boundaries stay in this node
+    this.objects.push(item);
+    item.node = this;
+    return true;
+  }
+
+  // Removes an item from the node it was inserted into
+  remove(item) {
+    const node = item.node;
+    if (!node) return false;
+
+    const index = node.objects.indexOf(item);
+    if (index > -1) node.objects.splice(index, 1);
+    item.node = null;
+    return index > -1;
+  }
+
+  contains(rect) {
+    return rect.x >= this.bounds.x &&
+           rect.y >= this.bounds.y &&
+           rect.x + rect.width <= this.bounds.x + this.bounds.width &&
+           rect.y + rect.height <= this.bounds.y + this.bounds.height;
   }
   
-  setupGamepadSupport() {
-    window.addEventListener("gamepadconnected", (e) => {
-      const gamepad = e.gamepad;
-      this.gamepads.set(gamepad.index, gamepad);
-      this.gamepadConnected = true;
-      this.gamepadAxes.set(gamepad.index, new Array(gamepad.axes.length).fill(0));
-      this.gamepadButtons.set(gamepad.index, new Array(gamepad.buttons.length).fill(false));
-      console.log(`Gamepad connected: ${gamepad.id}`);
-    });
+  subdivide() {
+    const x = this.bounds.x;
+    const y = this.bounds.y;
+    const w = this.bounds.width / 2;
+    const h = this.bounds.height / 2;
     
-    window.addEventListener("gamepaddisconnected", (e) => {
-      this.gamepads.delete(e.gamepad.index);
-      this.gamepadAxes.delete(e.gamepad.index);
-      this.gamepadButtons.delete(e.gamepad.index);
-      this.gamepadConnected = this.gamepads.size > 0;
-      console.log(`Gamepad disconnected: ${e.gamepad.id}`);
-    });
+    this.nodes = [
+      new Quadtree({ x: x, y: y, width: w, height: h }, this.maxObjects, this.maxDepth, this.depth + 1),
+      new Quadtree({ x: x + w, y: y, width: w, height: h }, this.maxObjects, this.maxDepth, this.depth + 1),
+      new Quadtree({ x: x, y: y + h, width: w, height: h }, this.maxObjects, this.maxDepth, this.depth + 1),
+      new Quadtree({ x: x + w, y: y + h, width: w, height: h }, this.maxObjects, this.maxDepth, this.depth + 1)
+    ];
+    
+    this.divided = true;
   }
   
-  updateGamepadState() {
-    const gamepads = navigator.getGamepads();
+  retrieve(searchArea) {
+    const returnObjects = [];
     
-    for (let i = 0; i < gamepads.length; i++) {
-      const gamepad = gamepads[i];
-      if (!gamepad) continue;
-      
-      // Update axes
-      if (this.gamepadAxes.has(i)) {
-        const axes = this.gamepadAxes.get(i);
-        for (let j = 0; j < gamepad.axes.length; j++) {
-          axes[j] = Math.abs(gamepad.axes[j]) > 0.1 ? gamepad.axes[j] : 0;
-        }
+    if (!this.intersects(this.bounds, searchArea)) {
+      return returnObjects;
+    }
+    
+    for (const item of this.objects) {
+      if (this.intersects(searchArea, item.bounds)) {
+        returnObjects.push(item);
       }
-      
-      // Update buttons
-      if (this.gamepadButtons.has(i)) {
-        const buttons = this.gamepadButtons.get(i);
-        for (let j = 0; j < gamepad.buttons.length; j++) {
-          buttons[j] = gamepad.buttons[j].pressed;
-        }
+    }
+    
+    if (this.divided) {
+      for (const node of this.nodes) {
+        returnObjects.push(...node.retrieve(searchArea));
+      }
+    }
+    
+    return returnObjects;
+  }
+  
+  intersects(boundsA, boundsB) {
+    return !(boundsA.x > boundsB.x + boundsB.width ||
+             boundsA.x + boundsA.width < boundsB.x ||
+             boundsA.y > boundsB.y + boundsB.height ||
+             boundsA.y + boundsA.height < boundsB.y);
+  }
+  
+  clear() {
+    this.objects = [];
+    this.nodes = [];
+    this.divided = false;
+  }
+  
+  getStats() {
+    let totalObjects = this.objects.length;
+    let totalNodes = 1;
+    
+    if (this.divided) {
+      for (const node of this.nodes) {
+        const stats = node.getStats();
+        totalObjects += stats.objects;
+        totalNodes += stats.nodes;
+      }
+    }
+    
+    return { objects: totalObjects, nodes: totalNodes };
+  }
+}
+
+// Broadphases keep one entry per collider, stored with a "fat" box grown by
+// `margin`. A moving object only touches the structure once it leaves its
+// fat box; queries return a superset that the narrow phase filters.
+class Broadphase {
+  constructor(options = {}) {
+    this.type = "none";
+    this.margin = options.margin ?? 8;
+    this.entries = new Map(); // GameObject -> { object, bounds }
+    this.stats = { updates: 0, reinserts: 0, queries: 0 };
+  }
+
+  // type is "quadtree", "aabbtree" or "spatialhash"; instances pass through
+  static create(type = "quadtree", options = {}) {
+    if (type instanceof Broadphase) return type;
+
+    switch (type) {
+      case "quadtree":
+        return new QuadtreeBroadphase(options);
+      case "aabbtree":
+        return new DynamicAABBTree(options);
+      case "spatialhash":
+        return new SpatialHash(options);
+      default:
+        Debug.warn(`Unknown broadphase "${type}", using quadtree`);
+        return new QuadtreeBroadphase(options);
+    }
+  }
+
+  has(object) {
+    return this.entries.has(object);
+  }
+
+  // Adds the object or refreshes its { x, y, width, height } bounds.
+  // Returns true when the structure had to change.
+  update(object, rect) {
+    this.stats.updates++;
+    const entry = this.entries.get(object);
+    if (entry && Broadphase.containsRect(entry.bounds, rect)) return false;
+
+    if (entry) this.removeEntry(entry);
+    const moved = { object, bounds: Broadphase.expand(rect, this.margin) };
+    this.entries.set(object, moved);
+    this.insertEntry(moved);
+    this.stats.reinserts++;
+    return true;
+  }
+
+  remove(object) {
+    const entry = this.entries.get(object);
+    if (!entry) return;
+    this.removeEntry(entry);
+    this.entries.delete(object);
+  }
+
+  // Drops every object that is not in the given set
+  retain(objects) {
+    for (const object of [...this.entries.keys()]) {
+      if (!objects.has(object)) this.remove(object);
+    }
+  }
+
+  // Objects whose fat bounds touch the area
+  query(area) {
+    this.stats.queries++;
+    return this.queryEntries(area).map((entry) => entry.object);
+  }
+
+  clear() {
+    this.entries.clear();
+    this.clearEntries();
+  }
+
+  resetStats() {
+    this.stats = { updates: 0, reinserts: 0, queries: 0 };
+  }
+
+  getStats() {
+    return {
+      type: this.type,
+      objects: this.entries.size,
+      ...this.stats,
+      ...this.getStructureStats(),
+    };
+  }
+
+  // Implemented by each broadphase
+  insertEntry(entry) {}
+  removeEntry(entry) {}
+  queryEntries(area) {
+    return [];
+  }
+  clearEntries() {}
+  getStructureStats() {
+    return {};
+  }
+  // Draws the structure in world space
+  drawDebug(ctx) {}
+
+  static intersects(a, b) {
+    return !(
+      a.x > b.x + b.width ||
+      a.x + a.width < b.x ||
+      a.y > b.y + b.height ||
+      a.y + a.height < b.y
+    );
+  }
+
+  static containsRect(outer, inner) {
+    return (
+      inner.x >= outer.x &&
+      inner.y >= outer.y &&
+      inner.x + inner.width <= outer.x + outer.width &&
+      inner.y + inner.height <= outer.y + outer.height
+    );
+  }
+
+  static expand(rect, margin) {
+    return {
+      x: rect.x - margin,
+      y: rect.y - margin,
+      width: rect.width + margin * 2,
+      height: rect.height + margin * 2,
+    };
+  }
+
+  static union(a, b) {
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return {
+      x,
+      y,
+      width: Math.max(a.x + a.width, b.x + b.width) - x,
+      height: Math.max(a.y + a.height, b.y + b.height) - y,
+    };
+  }
+
+  static perimeter(rect) {
+    return 2 * (rect.width + rect.height);
+  }
+}
+
+// Quadtree that grows its root when objects leave it
+class QuadtreeBroadphase extends Broadphase {
+  constructor(options = {}) {
+    super(options);
+    this.type = "quadtree";
+    this.maxObjects = options.maxObjects ?? 10;
+    this.maxDepth = options.maxDepth ?? 8;
+    this.padding = options.padding ?? 100;
+    this.setBounds(options.bounds ?? { x: 0, y: 0, width: 2000, height: 2000 });
+  }
+
+  // Rebuilds the tree over new root bounds
+  setBounds(bounds) {
+    this.root = new Quadtree({ ...bounds }, this.maxObjects, this.maxDepth);
+    for (const entry of this.entries.values()) {
+      this.root.insert(entry);
+    }
+  }
+
+  setSettings(maxObjects, maxDepth) {
+    this.maxObjects = maxObjects;
+    this.maxDepth = maxDepth;
+    this.setBounds(this.root.bounds);
+  }
+
+  insertEntry(entry) {
+    if (this.root.contains(entry.bounds)) {
+      this.root.insert(entry);
+      return;
+    }
+    // The new entry is already listed, so rebuilding inserts it too
+    this.setBounds(Broadphase.expand(Broadphase.union(this.root.bounds, entry.bounds), this.padding));
+  }
+
+  removeEntry(entry) {
+    this.root.remove(entry);
+  }
+
+  queryEntries(area) {
+    return this.root.retrieve(area);
+  }
+
+  clearEntries() {
+    this.root.clear();
+  }
+
+  getStructureStats() {
+    return { nodes: this.root.getStats().nodes };
+  }
+
+  drawDebug(ctx) {
+    ctx.save();
+    ctx.strokeStyle = "rgba(0, 255, 0, 0.3)";
+    const drawNode = (node) => {
+      ctx.strokeRect(node.bounds.x, node.bounds.y, node.bounds.width, node.bounds.height);
+      if (node.divided) node.nodes.forEach(drawNode);
+    };
+    drawNode(this.root);
+    ctx.restore();
+  }
+}
+
+// Binary tree of fat boxes. New leaves go where they grow the tree's total
+// perimeter least, which keeps queries cheap for scenes with a lot of
+// movement and no fixed world size.
+class DynamicAABBTree extends Broadphase {
+  constructor(options = {}) {
+    super(options);
+    this.type = "aabbtree";
+    this.root = null;
+    this.nodeCount = 0;
+  }
+
+  insertEntry(entry) {
+    const leaf = { bounds: entry.bounds, entry, parent: null, left: null, right: null, height: 0 };
+    entry.leaf = leaf;
+    this.nodeCount++;
+
+    if (!this.root) {
+      this.root = leaf;
+      return;
+    }
+
+    const sibling = this.findBestSibling(leaf.bounds);
+    const oldParent = sibling.parent;
+    const parent = {
+      bounds: Broadphase.union(sibling.bounds, leaf.bounds),
+      entry: null,
+      parent: oldParent,
+      left: sibling,
+      right: leaf,
+      height: sibling.height + 1,
+    };
+    this.nodeCount++;
+
+    if (oldParent) {
+      if (oldParent.left === sibling) oldParent.left = parent;
+      else oldParent.right = parent;
+    } else {
+      this.root = parent;
+    }
+    sibling.parent = parent;
+    leaf.parent = parent;
+
+    this.refit(oldParent);
+  }
+
+  findBestSibling(bounds) {
+    let node = this.root;
+
+    while (node.left) {
+      const combined = Broadphase.perimeter(Broadphase.union(node.bounds, bounds));
+      // Cost of pairing with this node, and what descending adds to it
+      const cost = 2 * combined;
+      const inherited = 2 * (combined - Broadphase.perimeter(node.bounds));
+
+      const descendCost = (child) => {
+        const merged = Broadphase.perimeter(Broadphase.union(child.bounds, bounds));
+        return (child.left ? merged - Broadphase.perimeter(child.bounds) : merged) + inherited;
+      };
+      const costLeft = descendCost(node.left);
+      const costRight = descendCost(node.right);
+
+      if (cost < costLeft && cost < costRight) break;
+      node = costLeft < costRight ? node.left : node.right;
+    }
+
+    return node;
+  }
+
+  removeEntry(entry) {
+    const leaf = entry.leaf;
+    entry.leaf = null;
+    this.nodeCount--;
+
+    if (leaf === this.root) {
+      this.root = null;
+      return;
+    }
+
+    const parent = leaf.parent;
+    const grandParent = parent.parent;
+    const sibling = parent.left === leaf ? parent.right : parent.left;
+    this.nodeCount--;
+
+    if (grandParent) {
+      if (grandParent.left === parent) grandParent.left = sibling;
+      else grandParent.right = sibling;
+      sibling.parent = grandParent;
+      this.refit(grandParent);
+    } else {
+      this.root = sibling;
+      sibling.parent = null;
+    }
+  }
+
+  // Recomputes bounds and heights from a node up to the root
+  refit(node) {
+    while (node) {
+      node.bounds = Broadphase.union(node.left.bounds, node.right.bounds);
+      node.height = 1 + Math.max(node.left.height, node.right.height);
+      node = node.parent;
+    }
+  }
+
+  queryEntries(area) {
+    const found = [];
+    const stack = this.root ? [this.root] : [];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!Broadphase.intersects(node.bounds, area)) continue;
+      if (node.entry) {
+        found.push(node.entry);
+      } else {
+        stack.push(node.left, node.right);
+      }
+    }
+
+    return found;
+  }
+
+  clearEntries() {
+    this.root = null;
+    this.nodeCount = 0;
+  }
+
+  getStructureStats() {
+    return { nodes: this.nodeCount, height: this.root ? this.root.height : 0 };
+  }
+
+  drawDebug(ctx) {
+    if (!this.root) return;
+    ctx.save();
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      ctx.strokeStyle = node.entry ? "rgba(0, 255, 0, 0.4)" : "rgba(0, 160, 255, 0.3)";
+      ctx.strokeRect(node.bounds.x, node.bounds.y, node.bounds.width, node.bounds.height);
+      if (!node.entry) stack.push(node.left, node.right);
+    }
+    ctx.restore();
+  }
+}
+
+// Uniform grid of cellSize squares. Cheapest to update when objects are of
+// similar size; an object spanning many cells is listed in each of them.
+class SpatialHash extends Broadphase {
+  constructor(options = {}) {
+    super(options);
+    this.type = "spatialhash";
+    this.cellSize = options.cellSize ?? 128;
+    this.cells = new Map(); // "x,y" -> Set of entries
+  }
+
+  getCellRange(rect) {
+    return {
+      minX: Math.floor(rect.x / this.cellSize),
+      minY: Math.floor(rect.y / this.cellSize),
+      maxX: Math.floor((rect.x + rect.width) / this.cellSize),
+      maxY: Math.floor((rect.y + rect.height) / this.cellSize),
+    };
+  }
+
+  forEachCell(range, callback) {
+    for (let x = range.minX; x <= range.maxX; x++) {
+      for (let y = range.minY; y <= range.maxY; y++) {
+        callback(`${x},${y}`);
       }
     }
   }
 
-  isKeyDown(keyCode) {
-    return this.keys.get(keyCode) || false;
+  insertEntry(entry) {
+    entry.cellRange = this.getCellRange(entry.bounds);
+    this.forEachCell(entry.cellRange, (key) => {
+      if (!this.cells.has(key)) this.cells.set(key, new Set());
+      this.cells.get(key).add(entry);
+    });
   }
 
-  isKeyUp(keyCode) {
-    return !this.keys.get(keyCode);
+  removeEntry(entry) {
+    this.forEachCell(entry.cellRange, (key) => {
+      const cell = this.cells.get(key);
+      if (!cell) return;
+      cell.delete(entry);
+      if (cell.size === 0) this.cells.delete(key);
+    });
   }
 
-  isKeyPressed(keyCode) {
-    return (
-      (this.keys.get(keyCode) || false) &&
-      !(this.previousKeys.get(keyCode) || false)
-    );
-  }
+  queryEntries(area) {
+    const found = new Set();
+    const collect = (cell) => {
+      for (const entry of cell) {
+        if (Broadphase.intersects(entry.bounds, area)) found.add(entry);
+      }
+    };
 
-  isKeyReleased(keyCode) {
-    return (
-      !(this.keys.get(keyCode) || false) &&
-      (this.previousKeys.get(keyCode) || false)
-    );
+    // Areas covering more cells than are occupied scan the occupied ones
+    const range = this.getCellRange(area);
+    const cellCount = (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+    if (cellCount > this.cells.size) {
+      for (const cell of this.cells.values()) collect(cell);
+    } else {
+      this.forEachCell(range, (key) => {
+        const cell = this.cells.get(key);
+        if (cell) collect(cell);
+      });
+    }
+
+    return [...found];
   }
 
-  isMouseButtonDown(button) {
-    return this.mouseButtons.get(button) || false;
+  clearEntries() {
+    this.cells.clear();
   }
 
-  isMouseButtonPressed(button) {
-    return (
-      (this.mouseButtons.get(button) || false) &&
-      !(this.previousMouseButtons.get(button) || false)
-    );
+  getStructureStats() {
+    let largestCell = 0;
+    for (const cell of this.cells.values()) {
+      largestCell = Math.max(largestCell, cell.size);
+    }
+    return { cells: this.cells.size, largestCell };
   }
 
-  isMouseButtonReleased(button) {
-    return (
-      !(this.mouseButtons.get(button) || false) &&
-      (this.previousMouseButtons.get(button) || false)
-    );
+  drawDebug(ctx) {
+    ctx.save();
+    ctx.strokeStyle = "rgba(0, 255, 0, 0.3)";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+    ctx.font = "10px monospace";
+    for (const [key, cell] of this.cells) {
+      const [x, y] = key.split(",").map(Number);
+      ctx.strokeRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
+      ctx.fillText(String(cell.size), x * this.cellSize + 4, y * this.cellSize + 12);
+    }
+    ctx.restore();
   }
+}
 
-  getMousePosition() {
-    return this.mousePosition.copy();
+// ==================== COLLISION DETECTION ====================
+
+// Narrow phase for box, circle, capsule and convex polygon colliders.
+// Every shape is reduced to a convex core (a point, a segment or a polygon)
+// inflated by a radius, so a single SAT routine handles all shape pairs.
+class CollisionDetection {
+  static getCore(shape) {
+    switch (shape.type) {
+      case "circle":
+        return { points: [shape.center], radius: shape.radius };
+      case "capsule":
+        return { points: [shape.a, shape.b], radius: shape.radius };
+      default:
+        return { points: shape.vertices, radius: 0 };
+    }
   }
 
-  getMouseWorldPosition(camera, canvasWidth, canvasHeight) {
-    return camera.screenToWorldPoint(
-      this.mousePosition,
-      canvasWidth,
-      canvasHeight
-    );
+  static translate(shape, offset) {
+    switch (shape.type) {
+      case "circle":
+        return { ...shape, center: shape.center.add(offset) };
+      case "capsule":
+        return { ...shape, a: shape.a.add(offset), b: shape.b.add(offset) };
+      default:
+        return { ...shape, vertices: shape.vertices.map((v) => v.add(offset)) };
+    }
   }
-  
-  // Touch methods
-  getTouchCount() {
-    return this.touches.size;
+
+  // Returns { distance, point, normal } for the first surface a ray enters,
+  // or null. Rays that start inside a shape do not hit it.
+  static raycast(shape, origin, direction, maxDistance) {
+    switch (shape.type) {
+      case "circle":
+        return this.raycastCircle(shape.center, shape.radius, origin, direction, maxDistance);
+      case "capsule":
+        return this.raycastCapsule(shape, origin, direction, maxDistance);
+      default:
+        return this.raycastPolygon(shape.vertices, origin, direction, maxDistance);
+    }
   }
-  
-  getTouchPosition(identifier = 0) {
-    return this.touches.get(identifier)?.copy() || new Vector2(0, 0);
+
+  static raycastCircle(center, radius, origin, direction, maxDistance) {
+    const offset = origin.subtract(center);
+    const b = offset.dot(direction);
+    const c = offset.dot(offset) - radius * radius;
+    const discriminant = b * b - c;
+    if (discriminant < 0) return null;
+
+    const distance = -b - Math.sqrt(discriminant);
+    if (distance < 0 || distance > maxDistance) return null;
+
+    const point = origin.add(direction.multiplyByScalar(distance));
+    return { distance, point, normal: point.subtract(center).normalize() };
   }
-  
-  isTouchActive(identifier = 0) {
-    return this.touches.has(identifier);
+
+  static raycastCapsule(shape, origin, direction, maxDistance) {
+    const closest = this.closestPointOnSegment(shape.a, shape.b, origin);
+    if (closest.distance(origin) < shape.radius - 1e-6) return null;
+
+    const hits = [
+      this.raycastCircle(shape.a, shape.radius, origin, direction, maxDistance),
+      this.raycastCircle(shape.b, shape.radius, origin, direction, maxDistance),
+    ];
+
+    const axis = shape.b.subtract(shape.a);
+    if (axis.magnitude() > 1e-9) {
+      const side = axis.perpendicular().normalize().multiplyByScalar(shape.radius);
+      const body = [
+        shape.a.add(side),
+        shape.b.add(side),
+        shape.b.subtract(side),
+        shape.a.subtract(side),
+      ];
+      hits.push(this.raycastPolygon(body, origin, direction, maxDistance));
+    }
+
+    return hits.reduce(
+      (best, hit) => (hit && (!best || hit.distance < best.distance) ? hit : best),
+      null
+    );
   }
-  
-  getTouchStartPosition(identifier = 0) {
-    return this.touchStartPositions.get(identifier)?.copy() || new Vector2(0, 0);
+
+  // Clips the ray against each edge's half-plane (Cyrus-Beck)
+  static raycastPolygon(vertices, origin, direction, maxDistance) {
+    let centroid = new Vector2(0, 0);
+    for (const vertex of vertices) {
+      centroid = centroid.add(vertex);
+    }
+    centroid = centroid.multiplyByScalar(1 / vertices.length);
+
+    let enter = -Infinity;
+    let exit = Infinity;
+    let normal = null;
+
+    for (let i = 0; i < vertices.length; i++) {
+      const a = vertices[i];
+      const b = vertices[(i + 1) % vertices.length];
+      let edgeNormal = b.subtract(a).perpendicular().normalize();
+      if (edgeNormal.dot(a.subtract(centroid)) < 0) {
+        edgeNormal = edgeNormal.multiplyByScalar(-1);
+      }
+
+      const denominator = edgeNormal.dot(direction);
+      const numerator = edgeNormal.dot(a.subtract(origin));
+
+      if (Math.abs(denominator) < 1e-9) {
+        if (numerator < 0) return null; // Parallel and outside this edge
+        continue;
+      }
+
+      const t = numerator / denominator;
+      if (denominator < 0) {
+        if (t > enter) {
+          enter = t;
+          normal = edgeNormal;
+        }
+      } else {
+        exit = Math.min(exit, t);
+      }
+    }
+
+    if (!normal || enter > exit || enter < 0 || enter > maxDistance) return null;
+
+    return {
+      distance: enter,
+      point: origin.add(direction.multiplyByScalar(enter)),
+      normal,
+    };
   }
-  
-  // Virtual joystick methods
-  getVirtualJoystickVector() {
-    if (!this.virtualJoystick.active) return new Vector2(0, 0);
-    
-    const delta = this.virtualJoystick.current.subtract(this.virtualJoystick.center);
-    const magnitude = delta.magnitude();
-    
-    if (magnitude < this.virtualJoystick.deadzone * 50) {
-      return new Vector2(0, 0);
+
+  // Returns { normal, depth, point } with the normal pointing from A to B,
+  // or null when the shapes do not overlap
+  static collide(shapeA, shapeB) {
+    const coreA = this.getCore(shapeA);
+    const coreB = this.getCore(shapeB);
+
+    const axes = [
+      ...this.getEdgeNormals(coreA.points),
+      ...this.getEdgeNormals(coreB.points),
+    ];
+
+    // Rounded shapes can also separate along the line between a vertex and
+    // the closest feature of the other core
+    if (coreA.radius > 0 || coreB.radius > 0) {
+      axes.push(...this.getFeatureAxes(coreA.points, coreB.points));
+      axes.push(...this.getFeatureAxes(coreB.points, coreA.points));
     }
-    
-    return delta.normalize().multiplyByScalar(Math.min(magnitude / 50, 1.0));
+
+    if (axes.length === 0) {
+      axes.push(new Vector2(0, 1));
+    }
+
+    let bestDepth = Infinity;
+    let bestNormal = null;
+
+    for (const axis of axes) {
+      const projA = this.project(coreA.points, axis);
+      const projB = this.project(coreB.points, axis);
+      const minA = projA.min - coreA.radius;
+      const maxA = projA.max + coreA.radius;
+      const minB = projB.min - coreB.radius;
+      const maxB = projB.max + coreB.radius;
+
+      const forward = maxA - minB; // B lies along +axis
+      const backward = maxB - minA; // B lies along -axis
+      const overlap = Math.min(forward, backward);
+
+      if (overlap < 0) return null;
+
+      if (overlap < bestDepth) {
+        bestDepth = overlap;
+        bestNormal = forward <= backward ? axis : axis.multiplyByScalar(-1);
+      }
+    }
+
+    // Deepest point of B inside A, moved halfway back along the normal
+    const reverse = bestNormal.multiplyByScalar(-1);
+    const deepestB = this.support(coreB.points, reverse).add(
+      reverse.multiplyByScalar(coreB.radius)
+    );
+
+    return {
+      normal: bestNormal,
+      depth: bestDepth,
+      point: deepestB.add(bestNormal.multiplyByScalar(bestDepth / 2)),
+    };
   }
-  
-  // Gamepad methods
-  isGamepadConnected() {
-    return this.gamepadConnected;
+
+  static getEdgeNormals(points) {
+    const normals = [];
+    if (points.length < 2) return normals;
+
+    const edgeCount = points.length === 2 ? 1 : points.length;
+    for (let i = 0; i < edgeCount; i++) {
+      const edge = points[(i + 1) % points.length].subtract(points[i]);
+      if (edge.magnitude() > 1e-9) {
+        normals.push(edge.perpendicular().normalize());
+      }
+    }
+    return normals;
   }
-  
-  getGamepadCount() {
-    return this.gamepads.size;
+
+  static getFeatureAxes(points, otherPoints) {
+    const axes = [];
+    for (const point of points) {
+      const closest = this.closestPointOnCore(otherPoints, point);
+      const axis = closest.subtract(point);
+      if (axis.magnitude() > 1e-9) {
+        axes.push(axis.normalize());
+      }
+    }
+    return axes;
   }
-  
-  getGamepadAxis(gamepadIndex = 0, axisIndex) {
-    const axes = this.gamepadAxes.get(gamepadIndex);
-    return axes ? axes[axisIndex] || 0 : 0;
+
+  static closestPointOnSegment(a, b, point) {
+    const ab = b.subtract(a);
+    const lengthSq = ab.dot(ab);
+    if (lengthSq === 0) return a.copy();
+
+    const t = Math.max(0, Math.min(1, point.subtract(a).dot(ab) / lengthSq));
+    return a.add(ab.multiplyByScalar(t));
   }
-  
-  isGamepadButtonDown(gamepadIndex = 0, buttonIndex) {
-    const buttons = this.gamepadButtons.get(gamepadIndex);
-    return buttons ? buttons[buttonIndex] || false : false;
+
+  static closestPointOnCore(points, point) {
+    if (points.length === 1) return points[0].copy();
+    if (points.length === 2) {
+      return this.closestPointOnSegment(points[0], points[1], point);
+    }
+
+    let closest = null;
+    let closestDistance = Infinity;
+    for (let i = 0; i < points.length; i++) {
+      const candidate = this.closestPointOnSegment(
+        points[i],
+        points[(i + 1) % points.length],
+        point
+      );
+      const distance = candidate.distance(point);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closest = candidate;
+      }
+    }
+    return closest;
   }
-  
-  isGamepadButtonPressed(gamepadIndex = 0, buttonIndex) {
-    // This would need to track previous state for proper pressed detection
-    return this.isGamepadButtonDown(gamepadIndex, buttonIndex);
+
+  static project(points, axis) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const point of points) {
+      const projection = point.dot(axis);
+      min = Math.min(min, projection);
+      max = Math.max(max, projection);
+    }
+    return { min, max };
   }
-  
-  // Update method to be called each frame
-  update() {
-    this.updateGamepadState();
-    
-    // Update previous states for proper pressed/released detection
-    // Store current states as previous for next frame
-    const newPreviousKeys = new Map();
-    this.keys.forEach((value, key) => newPreviousKeys.set(key, value));
-    this.previousKeys = newPreviousKeys;
 
-    const newPreviousMouseButtons = new Map();
-    this.mouseButtons.forEach((value, key) => newPreviousMouseButtons.set(key, value));
-    this.previousMouseButtons = newPreviousMouseButtons;
-    
-    const newPreviousTouches = new Map();
-    this.touches.forEach((value, key) => newPreviousTouches.set(key, value));
-    this.previousTouches = newPreviousTouches;
+  // Furthest point along a direction; flat faces return their midpoint
+  static support(points, direction) {
+    const { max } = this.project(points, direction);
+    const extremes = points.filter((p) => max - p.dot(direction) < 1e-4);
+
+    let sum = new Vector2(0, 0);
+    for (const point of extremes) {
+      sum = sum.add(point);
+    }
+    return sum.multiplyByScalar(1 / extremes.length);
   }
 }
 
-// ==================== UI SYSTEM ====================
-
-class UISystem {
+// QUALITY OF LIFE IMPROVEMENT #6: Enhanced Physics Engine with Layer System
+class PhysicsEngine {
   constructor() {
-    this.elements = [];
-    this.focusedElement = null;
-    this.hoveredElement = null;
-    this.eventBus = new EventBus();
-  }
-  
-  addElement(element) {
-    this.elements.push(element);
-    return element;
+    this.gravity = new Vector2(0, 980);
+    this.collisionPairs = new Map();
+    // Scenes without their own choice use this broadphase
+    this.broadphaseType = "quadtree";
+    this.broadphase = null; // The active scene's broadphase
+    this.quadtreeBounds = { x: 0, y: 0, width: 2000, height: 2000 };
+    this.maxObjectsPerNode = 10;
+    this.maxDepth = 8;
+
+    // Collision response tuning
+    this.positionCorrection = 0.8; // Fraction of penetration fixed per step
+    this.penetrationSlop = 0.05; // Allowed overlap before correcting
+    this.bounceThreshold = 30; // Slower impacts do not bounce
+    this.defaultFriction = 0.4; // Used for colliders without a Rigidbody
+    this.frictionCombine = "average"; // Rules for colliders without a material
+    this.restitutionCombine = "max";
+    this.groundNormalThreshold = 0.7; // How flat a surface must be to ground a Player
+    this.maxSweepSteps = 64; // Upper bound on samples per continuous sweep
+    this.queriesHitTriggers = true; // Whether raycasts and overlaps report triggers
+    this.tilemaps = []; // Colliding tilemaps, gathered each step
+    this.joints = []; // Enabled joints in the active scene, gathered each step
+    this.connectedPairs = new Set(); // Jointed pairs that don't collide
+    this.jointIterations = 16;
+    this.allowSleeping = true;
+    this.sleepVelocity = 5; // Speed below which a body counts as resting
+    this.sleepAngularVelocity = 0.05; // Radians per second
+    this.timeToSleep = 0.5; // Seconds at rest before an island sleeps
+    this.wakePenetration = 2; // Overlap with a non-dynamic object that wakes a sleeper
+    this.supportedBodies = new Set(); // Bodies touching something this step
+    this.previousPoses = new WeakMap(); // Body placement at the end of the last step
+    this.jointPositionCorrection = 1; // Share of joint drift removed per iteration
+    this.maxQueryDistance = 100000; // Stands in for Infinity in ray and shape casts
   }
-  
-  removeElement(element) {
-    const index = this.elements.indexOf(element);
-    if (index > -1) {
-      this.elements.splice(index, 1);
-    }
+
+  setCollisionRule(layerA, layerB, canCollide) {
+    PhysicsLayers.setCollisionRule(layerA, layerB, canCollide);
   }
-  
-  update(deltaTime) {
-    for (const element of this.elements) {
-      if (element.update) {
-        element.update(deltaTime);
+
+  update(scene, deltaTime = 1 / 60) {
+    if (!scene) return;
+
+    const collidableObjects = scene.findGameObjectsWithComponent(Collider);
+    this.tilemaps = scene
+      .findGameObjectsWithComponent(Tilemap)
+      .filter((obj) => obj.active)
+      .map((obj) => obj.getComponent(Tilemap))
+      .filter((tilemap) => tilemap.enabled);
+
+    this.updateJoints(scene);
+    this.solveJoints(deltaTime);
+
+    this.updateBroadphase(scene, collidableObjects);
+
+    const currentCollisions = new Set();
+    const checkedPairs = new Set();
+    this.supportedBodies.clear();
+    let narrowPhaseChecks = 0;
+
+    // Use the broadphase for optimized collision detection
+    for (let i = 0; i < collidableObjects.length; i++) {
+      const objA = collidableObjects[i];
+      if (!objA.active) continue;
+
+      const colliderA = objA.getComponent(Collider);
+      if (!colliderA.enabled) continue;
+
+      // Sleeping and static bodies never start a pair test; moving
+      // neighbours still find them from their side
+      if (this.isResting(objA)) continue;
+
+      // Get potential collision candidates from the broadphase
+      const candidates = this.getCollisionCandidates(objA);
+      
+      for (const objB of candidates) {
+        if (objA === objB || !objB.active) continue;
+
+        const colliderB = objB.getComponent(Collider);
+        if (!colliderB.enabled) continue;
+
+        // Check collision matrix
+        if (!PhysicsLayers.canCollide(colliderA.layer, colliderB.layer)) {
+          continue;
+        }
+
+        const pairKey = this.getPairKey(objA.id, objB.id);
+
+        // Each pair is found from both sides; handle it only once per step
+        if (checkedPairs.has(pairKey)) continue;
+        checkedPairs.add(pairKey);
+
+        if (this.connectedPairs.has(pairKey)) continue;
+
+        narrowPhaseChecks++;
+        const contact = this.getContact(objA, objB);
+
+        if (contact) {
+          currentCollisions.add(pairKey);
+          const isNewContact = !this.collisionPairs.has(pairKey);
+          const shouldResolve = this.updateSleepOnContact(objA, objB, contact, isNewContact);
+
+          if (isNewContact) {
+            try {
+              this.dispatchCollisionEvent(objA, "onCollisionEnter", objB);
+              this.dispatchCollisionEvent(objB, "onCollisionEnter", objA);
+              this.collisionPairs.set(pairKey, { objA, objB });
+            } catch (error) {
+              Debug.error("Error in collision enter:", error);
+            }
+          }
+
+          try {
+            colliderA.onCollision(objB);
+            colliderB.onCollision(objA);
+            if (shouldResolve) {
+              this.resolveCollision(objA, objB, contact);
+            }
+          } catch (error) {
+            Debug.error("Error in collision resolution:", error);
+          }
+        } else if (this.collisionPairs.has(pairKey)) {
+          const pair = this.collisionPairs.get(pairKey);
+          // Losing support wakes a sleeper, e.g. when a platform moves away
+          this.wakeObject(pair.objA);
+          this.wakeObject(pair.objB);
+          try {
+            this.dispatchCollisionEvent(pair.objA, "onCollisionExit", pair.objB);
+            this.dispatchCollisionEvent(pair.objB, "onCollisionExit", pair.objA);
+          } catch (error) {
+            Debug.error("Error in collision exit:", error);
+          }
+          this.collisionPairs.delete(pairKey);
+        }
       }
     }
-  }
-  
-  draw(ctx) {
-    // Sort elements by layer (higher layer = drawn on top)
-    const sortedElements = [...this.elements].sort((a, b) => (a.layer || 0) - (b.layer || 0));
-    
-    for (const element of sortedElements) {
-      if (element.visible !== false) {
-        element.draw(ctx);
+
+    // Clean up old collision pairs. Pairs between resting bodies are not
+    // re-tested, so their contact still stands.
+    for (const [key, pair] of this.collisionPairs) {
+      if (currentCollisions.has(key)) continue;
+      if (pair.objA.active && pair.objB.active && this.isResting(pair.objA) && this.isResting(pair.objB)) {
+        continue;
       }
+      this.wakeObject(pair.objA);
+      this.wakeObject(pair.objB);
+      this.collisionPairs.delete(key);
     }
+
+    this.updateSleep(scene, deltaTime);
+    Debug.collisionChecks = narrowPhaseChecks;
   }
-  
-  handleInput(inputManager) {
-    const mousePos = inputManager.getMousePosition();
-    
-    // Find hovered element
-    let newHovered = null;
-    for (let i = this.elements.length - 1; i >= 0; i--) {
-      const element = this.elements[i];
-      if (element.visible !== false && element.containsPoint(mousePos)) {
-        newHovered = element;
-        break;
+
+  // ==================== SLEEPING ====================
+
+  isResting(gameObject) {
+    const body = gameObject.getComponent(Rigidbody);
+    return !!body && body.enabled && (body.isSleeping || body.bodyType === "static");
+  }
+
+  isSimulated(body) {
+    return (
+      body &&
+      body.enabled &&
+      body.bodyType === "dynamic" &&
+      !body.isKinematic &&
+      body.gameObject.active
+    );
+  }
+
+  wakeObject(gameObject) {
+    const body = gameObject.getComponent(Rigidbody);
+    if (body && body.isSleeping) body.wakeUp();
+  }
+
+  // Wakes sleepers that are touched, marks both bodies as supported, and
+  // returns whether the contact needs resolving
+  updateSleepOnContact(objA, objB, contact, isNewContact) {
+    const colliderA = objA.getComponent(Collider);
+    const colliderB = objB.getComponent(Collider);
+    if (colliderA.isTrigger || colliderB.isTrigger) return true;
+
+    const bodyA = objA.getComponent(Rigidbody);
+    const bodyB = objB.getComponent(Rigidbody);
+    const dynamicA = this.isSimulated(bodyA);
+    const dynamicB = this.isSimulated(bodyB);
+
+    if (dynamicA) this.supportedBodies.add(bodyA);
+    if (dynamicB) this.supportedBodies.add(bodyB);
+
+    const sleeper = dynamicA && bodyA.isSleeping ? bodyA : dynamicB && bodyB.isSleeping ? bodyB : null;
+    if (!sleeper) return true;
+
+    const other = sleeper === bodyA ? bodyB : bodyA;
+    const otherDynamic = sleeper === bodyA ? dynamicB : dynamicA;
+
+    if (otherDynamic) {
+      // A body that is still moving wakes whatever it touches
+      if (!other.isSleeping && other.sleepTimer < this.timeToSleep) {
+        sleeper.wakeUp();
       }
+    } else if (isNewContact || contact.depth > this.wakePenetration) {
+      // Static ground never wakes a sleeper, but something new arriving
+      // or pushing into it does
+      sleeper.wakeUp();
     }
-    
-    // Handle hover events
-    if (newHovered !== this.hoveredElement) {
-      if (this.hoveredElement && this.hoveredElement.onMouseLeave) {
-        this.hoveredElement.onMouseLeave();
+
+    return !sleeper.isSleeping;
+  }
+
+  // Groups dynamic bodies linked by contacts or joints into islands. An
+  // island sleeps once every body in it has rested for timeToSleep, and any
+  // body that is still moving keeps its whole island awake.
+  updateSleep(scene, deltaTime) {
+    const bodies = scene
+      .findGameObjectsWithComponent(Rigidbody)
+      .map((obj) => obj.getComponent(Rigidbody))
+      .filter((body) => this.isSimulated(body));
+
+    const parent = new Map(bodies.map((body) => [body, body]));
+    const find = (body) => {
+      while (parent.get(body) !== body) {
+        parent.set(body, parent.get(parent.get(body)));
+        body = parent.get(body);
       }
-      if (newHovered && newHovered.onMouseEnter) {
-        newHovered.onMouseEnter();
+      return body;
+    };
+    const union = (a, b) => {
+      if (parent.has(a) && parent.has(b)) parent.set(find(a), find(b));
+    };
+
+    // Pairs between sleeping bodies are kept, so islands survive sleep
+    for (const { objA, objB } of this.collisionPairs.values()) {
+      if (objA.getComponent(Collider).isTrigger || objB.getComponent(Collider).isTrigger) continue;
+      union(objA.getComponent(Rigidbody), objB.getComponent(Rigidbody));
+    }
+    for (const joint of this.joints) {
+      const body = joint.gameObject.getComponent(Rigidbody);
+      this.supportedBodies.add(body);
+      if (joint.connectedBody) {
+        const connected = joint.connectedBody.getComponent(Rigidbody);
+        this.supportedBodies.add(connected);
+        union(body, connected);
       }
-      this.hoveredElement = newHovered;
     }
-    
-    // Handle click events
-    if (inputManager.isMouseButtonPressed(0)) {
-      if (this.hoveredElement && this.hoveredElement.onClick) {
-        this.hoveredElement.onClick();
-        this.focusedElement = this.hoveredElement;
-      } else {
-        this.focusedElement = null;
+
+    for (const body of bodies) {
+      const transform = body.gameObject.transform;
+      const position = transform.worldPosition;
+      const rotation = transform.worldRotation;
+      const previous = this.previousPoses.get(body);
+      this.previousPoses.set(body, { position, rotation });
+      if (body.isSleeping) continue;
+
+      // Measured from actual movement: in a resting stack the solver leaves
+      // some velocity behind that position correction cancels every step.
+      // Only supported bodies rest; a body starting to fall under weak
+      // gravity is slow but should not freeze in mid-air.
+      const resting =
+        previous &&
+        (this.supportedBodies.has(body) || body.tileGrounded) &&
+        position.subtract(previous.position).magnitude() / deltaTime < this.sleepVelocity &&
+        Math.abs(rotation - previous.rotation) / deltaTime < this.sleepAngularVelocity;
+      body.sleepTimer = resting ? body.sleepTimer + deltaTime : 0;
+    }
+
+    const islands = new Map();
+    for (const body of bodies) {
+      const root = find(body);
+      if (!islands.has(root)) islands.set(root, []);
+      islands.get(root).push(body);
+    }
+
+    let sleeping = 0;
+    for (const island of islands.values()) {
+      const canSleep =
+        this.allowSleeping &&
+        island.every(
+          (body) => body.canSleep && (body.isSleeping || body.sleepTimer >= this.timeToSleep)
+        );
+
+      for (const body of island) {
+        if (canSleep) body.sleep();
+        else if (body.isSleeping) body.wakeUp();
+        if (body.isSleeping) sleeping++;
       }
     }
-  }
-}
 
-class UIElement {
-  constructor(x = 0, y = 0, width = 100, height = 50) {
-    this.x = x;
-    this.y = y;
-    this.width = width;
-    this.height = height;
-    this.visible = true;
-    this.layer = 0;
-    this.onClick = null;
-    this.onMouseEnter = null;
-    this.onMouseLeave = null;
-  }
-  
-  containsPoint(point) {
-    return point.x >= this.x && point.x <= this.x + this.width &&
-           point.y >= this.y && point.y <= this.y + this.height;
+    Debug.sleepingBodies = sleeping;
+    Debug.awakeBodies = bodies.length - sleeping;
+    Debug.islands = islands.size;
   }
-  
-  draw(ctx) {
-    // Override in subclasses
-  }
-  
-  update(deltaTime) {
-    // Override in subclasses
-  }
-}
 
-class UIButton extends UIElement {
-  constructor(x = 0, y = 0, width = 100, height = 50, text = "Button") {
-    super(x, y, width, height);
-    this.text = text;
-    this.backgroundColor = "#4a90e2";
-    this.hoverColor = "#357abd";
-    this.textColor = "#ffffff";
-    this.fontSize = 16;
-    this.isHovered = false;
-    this.isPressed = false;
-  }
-  
-  draw(ctx) {
-    ctx.save();
-    
-    // Background
-    ctx.fillStyle = this.isHovered ? this.hoverColor : this.backgroundColor;
-    ctx.fillRect(this.x, this.y, this.width, this.height);
-    
-    // Border
-    ctx.strokeStyle = "#2c5aa0";
-    ctx.lineWidth = 2;
-    ctx.strokeRect(this.x, this.y, this.width, this.height);
-    
-    // Text
-    ctx.fillStyle = this.textColor;
-    ctx.font = `${this.fontSize}px Arial`;
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-    ctx.fillText(this.text, this.x + this.width / 2, this.y + this.height / 2);
-    
-    ctx.restore();
-  }
-  
-  onMouseEnter() {
-    this.isHovered = true;
-  }
-  
-  onMouseLeave() {
-    this.isHovered = false;
-  }
-}
+  updateJoints(scene) {
+    this.joints = [];
+    this.connectedPairs.clear();
 
-class UIText extends UIElement {
-  constructor(x = 0, y = 0, text = "Text", fontSize = 16) {
-    super(x, y, 0, 0);
-    this.text = text;
-    this.fontSize = fontSize;
-    this.color = "#ffffff";
-    this.fontFamily = "Arial";
-    this.textAlign = "left";
-    this.textBaseline = "top";
-    this.maxWidth = null;
-    
-    // Calculate dimensions
-    this.updateDimensions();
-  }
-  
-  updateDimensions() {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    ctx.font = `${this.fontSize}px ${this.fontFamily}`;
-    
-    if (this.maxWidth) {
-      // Handle text wrapping
-      const words = this.text.split(' ');
-      let line = '';
-      let lines = [];
-      
-      for (let word of words) {
-        const testLine = line + word + ' ';
-        const metrics = ctx.measureText(testLine);
-        if (metrics.width > this.maxWidth && line !== '') {
-          lines.push(line);
-          line = word + ' ';
-        } else {
-          line = testLine;
+    for (const gameObject of scene.findGameObjectsWithComponent(Joint)) {
+      for (const joint of gameObject.getComponents(Joint)) {
+        if (!joint.isValid()) continue;
+
+        if (joint.connectedBody && !joint.collideConnected) {
+          this.connectedPairs.add(this.getPairKey(gameObject.id, joint.connectedBody.id));
         }
+
+        const connectedResting = !joint.connectedBody || this.isResting(joint.connectedBody) ||
+          !joint.connectedBody.getComponent(Rigidbody);
+        if (this.isResting(gameObject) && connectedResting && joint.configured) continue;
+
+        this.joints.push(joint);
       }
-      lines.push(line);
-      
-      this.text = lines.join('\n');
-      this.height = lines.length * this.fontSize;
-      this.width = this.maxWidth;
-    } else {
-      const metrics = ctx.measureText(this.text);
-      this.width = metrics.width;
-      this.height = this.fontSize;
-    }
-  }
-  
-  draw(ctx) {
-    ctx.save();
-    
-    ctx.fillStyle = this.color;
-    ctx.font = `${this.fontSize}px ${this.fontFamily}`;
-    ctx.textAlign = this.textAlign;
-    ctx.textBaseline = this.textBaseline;
-    
-    if (this.text.includes('\n')) {
-      // Multi-line text
-      const lines = this.text.split('\n');
-      for (let i = 0; i < lines.length; i++) {
-        const y = this.y + i * this.fontSize;
-        ctx.fillText(lines[i], this.x, y);
-      }
-    } else {
-      ctx.fillText(this.text, this.x, this.y);
     }
-    
-    ctx.restore();
-  }
-  
-  setText(text) {
-    this.text = text;
-    this.updateDimensions();
   }
-}
 
-class UISlider extends UIElement {
-  constructor(x = 0, y = 0, width = 200, height = 20, minValue = 0, maxValue = 100, initialValue = 50) {
-    super(x, y, width, height);
-    this.minValue = minValue;
-    this.maxValue = maxValue;
-    this.value = initialValue;
-    this.isDragging = false;
-    this.onValueChange = null;
-    
-    this.backgroundColor = "#444444";
-    this.fillColor = "#4a90e2";
-    this.handleColor = "#ffffff";
-    this.handleSize = 20;
-  }
-  
-  draw(ctx) {
-    ctx.save();
-    
-    // Background track
-    ctx.fillStyle = this.backgroundColor;
-    ctx.fillRect(this.x, this.y + this.height / 2 - 2, this.width, 4);
-    
-    // Fill
-    const fillWidth = ((this.value - this.minValue) / (this.maxValue - this.minValue)) * this.width;
-    ctx.fillStyle = this.fillColor;
-    ctx.fillRect(this.x, this.y + this.height / 2 - 2, fillWidth, 4);
-    
-    // Handle
-    const handleX = this.x + fillWidth - this.handleSize / 2;
-    ctx.fillStyle = this.handleColor;
-    ctx.fillRect(handleX, this.y, this.handleSize, this.height);
-    
-    ctx.restore();
-  }
-  
-  handleInput(inputManager) {
-    if (inputManager.isMouseButtonDown(0)) {
-      const mousePos = inputManager.getMousePosition();
-      if (this.containsPoint(mousePos)) {
-        this.isDragging = true;
+  // Sequential impulses: velocities first, then positions to remove drift
+  solveJoints(deltaTime) {
+    if (this.joints.length === 0) return;
+
+    for (const joint of this.joints) {
+      joint.prepare(deltaTime);
+    }
+
+    for (let i = 0; i < this.jointIterations; i++) {
+      for (const joint of this.joints) {
+        joint.solveVelocity(deltaTime);
       }
     }
-    
-    if (this.isDragging) {
-      if (inputManager.isMouseButtonDown(0)) {
-        const mousePos = inputManager.getMousePosition();
-        const newValue = this.minValue + ((mousePos.x - this.x) / this.width) * (this.maxValue - this.minValue);
-        this.setValue(Math.max(this.minValue, Math.min(this.maxValue, newValue)));
-      } else {
-        this.isDragging = false;
+
+    for (let i = 0; i < this.jointIterations; i++) {
+      for (const joint of this.joints) {
+        joint.solvePosition(this.jointPositionCorrection);
       }
     }
   }
-  
-  setValue(value) {
-    const oldValue = this.value;
-    this.value = Math.max(this.minValue, Math.min(this.maxValue, value));
-    
-    if (this.value !== oldValue && this.onValueChange) {
-      this.onValueChange(this.value);
+
+  getPairKey(idA, idB) {
+    return idA < idB ? `${idA}-${idB}` : `${idB}-${idA}`;
+  }
+
+  // Collision callbacks reach every enabled component on the object
+  dispatchCollisionEvent(gameObject, callbackName, other) {
+    for (const component of gameObject.components) {
+      if (component.enabled && component[callbackName]) {
+        component[callbackName](other);
+      }
     }
   }
-}
 
-// ==================== PARTICLE SYSTEM ====================
+  // Sweeps a shape along a displacement and returns the earliest hit as
+  // { gameObject, collider, time, distance, normal, point }, where time is the
+  // fraction of the displacement travelled before touching and the normal
+  // points out of the surface that was hit. `filter` decides which colliders
+  // can be hit.
+  castShape(shape, displacement, filter = () => true) {
+    const length = displacement.magnitude();
+    if (length === 0) return null;
 
-class Particle {
-  constructor(x = 0, y = 0) {
-    this.position = new Vector2(x, y);
-    this.velocity = new Vector2(0, 0);
-    this.acceleration = new Vector2(0, 0);
-    this.life = 1.0;
-    this.maxLife = 1.0;
-    this.size = 4;
-    this.color = "#ffffff";
-    this.alpha = 1.0;
-    this.rotation = 0;
-    this.rotationSpeed = 0;
-    this.gravity = 0;
-    this.drag = 0.98;
-    this.active = true;
+    const startBounds = this.getShapeBounds(shape);
+    const sweptArea = {
+      x: Math.min(startBounds.left, startBounds.left + displacement.x),
+      y: Math.min(startBounds.top, startBounds.top + displacement.y),
+      width: startBounds.right - startBounds.left + Math.abs(displacement.x),
+      height: startBounds.bottom - startBounds.top + Math.abs(displacement.y)
+    };
+
+    let closest = null;
+    for (const object of this.queryArea(sweptArea)) {
+      const collider = object.getComponent(Collider);
+      if (!collider || !collider.enabled || !filter(collider)) continue;
+
+      const hit = this.castShapeAgainst(shape, displacement, collider, startBounds);
+      if (hit && (!closest || hit.time < closest.time)) {
+        closest = { gameObject: object, collider, ...hit, distance: hit.time * length };
+      }
+    }
+    return closest;
   }
-  
-  update(deltaTime) {
-    if (!this.active) return;
-    
-    // Update life
-    this.life -= deltaTime;
-    if (this.life <= 0) {
-      this.active = false;
-      return;
+
+  // Time of impact against one collider. Only the part of the path where
+  // the bounding boxes overlap can touch, so that part is sampled finely
+  // enough not to skip thin shapes, then bisected down to the first
+  // touching position.
+  castShapeAgainst(shape, displacement, collider, startBounds) {
+    const otherShape = collider.getWorldShape();
+    const otherBounds = collider.getBounds();
+    const overlapsAt = (t) =>
+      CollisionDetection.collide(
+        CollisionDetection.translate(shape, displacement.multiplyByScalar(t)),
+        otherShape
+      );
+
+    const interval = PhysicsEngine.getSweptInterval(startBounds, displacement, otherBounds);
+    if (!interval) return null;
+
+    // Already overlapping: the discrete pass handles this pair
+    if (overlapsAt(0)) return null;
+
+    const thinnest = Math.max(
+      1,
+      Math.min(
+        startBounds.right - startBounds.left,
+        startBounds.bottom - startBounds.top,
+        otherBounds.width,
+        otherBounds.height
+      )
+    );
+    const length = displacement.magnitude();
+    const span = interval.exit - interval.enter;
+    const steps = Math.max(1, Math.min(this.maxSweepSteps, Math.ceil((span * length) / (thinnest / 2))));
+
+    let previous = 0;
+    for (let i = 0; i <= steps; i++) {
+      const t = interval.enter + (span * i) / steps;
+      if (!overlapsAt(t)) {
+        previous = t;
+        continue;
+      }
+
+      // To within a thousandth of a unit
+      let low = previous;
+      let high = t;
+      while ((high - low) * length > 0.001) {
+        const mid = (low + high) / 2;
+        if (overlapsAt(mid)) high = mid;
+        else low = mid;
+      }
+
+      const contact = overlapsAt(high);
+      return {
+        time: high,
+        normal: contact.normal.multiplyByScalar(-1),
+        point: contact.point
+      };
     }
-    
-    // Update physics
-    this.velocity.add(this.acceleration.multiplyByScalar(deltaTime));
-    this.velocity.multiplyByScalar(this.drag);
-    this.position.add(this.velocity.multiplyByScalar(deltaTime));
-    
-    // Apply gravity
-    if (this.gravity !== 0) {
-      this.velocity.y += this.gravity * deltaTime;
+    return null;
+  }
+
+  // Fractions of a displacement { enter, exit } during which a box moving
+  // along it overlaps another, or null if it never does. Boxes are
+  // { left, right, top, bottom }.
+  static getSweptInterval(bounds, displacement, other) {
+    let enter = 0;
+    let exit = 1;
+    const axes = [
+      [bounds.left, bounds.right, other.left, other.right, displacement.x],
+      [bounds.top, bounds.bottom, other.top, other.bottom, displacement.y],
+    ];
+    for (const [min, max, otherMin, otherMax, delta] of axes) {
+      if (delta === 0) {
+        if (max < otherMin || min > otherMax) return null;
+        continue;
+      }
+      const t1 = (otherMin - max) / delta;
+      const t2 = (otherMax - min) / delta;
+      enter = Math.max(enter, Math.min(t1, t2));
+      exit = Math.min(exit, Math.max(t1, t2));
     }
-    
-    // Update rotation
-    this.rotation += this.rotationSpeed * deltaTime;
-    
-    // Update alpha based on life
-    this.alpha = this.life / this.maxLife;
+    return enter <= exit ? { enter, exit } : null;
   }
-  
-  draw(ctx) {
-    if (!this.active) return;
-    
-    ctx.save();
-    ctx.globalAlpha = this.alpha;
-    ctx.translate(this.position.x, this.position.y);
-    ctx.rotate(this.rotation);
-    
-    ctx.fillStyle = this.color;
-    ctx.fillRect(-this.size / 2, -this.size / 2, this.size, this.size);
-    
-    ctx.restore();
+
+  // Moves a continuous body's collider along its displacement and returns the
+  // hit that stops it first, ignoring triggers and layers it cannot touch
+  sweepCollider(gameObject, displacement) {
+    const collider = gameObject.getComponent(Collider);
+    if (!collider || !collider.enabled || collider.isTrigger) return null;
+
+    return this.castShape(collider.getWorldShape(), displacement, (other) =>
+      other !== collider &&
+      !other.isTrigger &&
+      PhysicsLayers.canCollide(collider.layer, other.layer)
+    );
   }
-}
 
-class ParticleEmitter extends Component {
-  constructor() {
-    super();
-    this.particles = [];
-    this.maxParticles = 100;
-    this.emissionRate = 10; // particles per second
-    this.emissionTimer = 0;
-    this.emissionRadius = 0;
-    this.particleLife = { min: 1.0, max: 2.0 };
-    this.particleSize = { min: 2, max: 8 };
-    this.particleSpeed = { min: 50, max: 150 };
-    this.particleColor = "#ffffff";
-    this.gravity = 0;
-    this.drag = 0.98;
-    this.rotationSpeed = { min: -180, max: 180 };
-    this.emissionAngle = { min: 0, max: 360 };
-    this.active = true;
-    this.oneShot = false;
-    this.burstCount = 0;
+  getShapeBounds(shape) {
+    const points =
+      shape.type === "circle" ? [shape.center] :
+      shape.type === "capsule" ? [shape.a, shape.b] :
+      shape.vertices;
+    const radius = shape.radius || 0;
+
+    return {
+      left: Math.min(...points.map((p) => p.x)) - radius,
+      right: Math.max(...points.map((p) => p.x)) + radius,
+      top: Math.min(...points.map((p) => p.y)) - radius,
+      bottom: Math.max(...points.map((p) => p.y)) + radius
+    };
   }
-  
-  emitParticle() {
-    if (this.particles.length >= this.maxParticles) return;
-    
-    const particle = new Particle();
-    
-    // Set position
-    if (this.emissionRadius > 0) {
-      const angle = Math.random() * Math.PI * 2;
-      const radius = Math.random() * this.emissionRadius;
-      particle.position.x = Math.cos(angle) * radius;
-      particle.position.y = Math.sin(angle) * radius;
-    }
-    
-    // Set velocity
-    const speed = this.particleSpeed.min + Math.random() * (this.particleSpeed.max - this.particleSpeed.min);
-    const angle = (this.emissionAngle.min + Math.random() * (this.emissionAngle.max - this.emissionAngle.min)) * Math.PI / 180;
-    particle.velocity.x = Math.cos(angle) * speed;
-    particle.velocity.y = Math.sin(angle) * speed;
-    
-    // Set other properties
-    particle.life = this.particleLife.min + Math.random() * (this.particleLife.max - this.particleLife.min);
-    particle.maxLife = particle.life;
-    particle.size = this.particleSize.min + Math.random() * (this.particleSize.max - this.particleSize.min);
-    particle.color = this.particleColor;
-    particle.gravity = this.gravity;
-    particle.drag = this.drag;
-    particle.rotationSpeed = this.rotationSpeed.min + Math.random() * (this.rotationSpeed.max - this.rotationSpeed.min);
-    
-    this.particles.push(particle);
+
+  // Objects whose collider bounds touch a { x, y, width, height } area
+  queryArea(area) {
+    if (!this.broadphase) return [];
+    return this.broadphase.query(area).filter((object) => object.active);
   }
-  
-  emitBurst(count) {
-    for (let i = 0; i < count; i++) {
-      this.emitParticle();
+
+  // Moves a collider's bounding box through every tilemap it can collide
+  // with. Returns the result of Tilemap.sweepBox, or null when no tilemap
+  // applies to the object.
+  moveThroughTilemaps(gameObject, displacement, options = {}) {
+    if (this.tilemaps.length === 0) return null;
+
+    const collider = gameObject.getComponent(Collider);
+    if (!collider || !collider.enabled || collider.isTrigger) return null;
+
+    let combined = null;
+    for (const tilemap of this.tilemaps) {
+      if (!PhysicsLayers.canCollide(collider.layer, tilemap.physicsLayer)) continue;
+
+      const bounds = collider.getBounds();
+      const result = tilemap.sweepBox(
+        bounds,
+        combined ? combined.delta : displacement,
+        options
+      );
+
+      combined = combined
+        ? {
+            delta: result.delta,
+            hitX: combined.hitX || result.hitX,
+            hitY: combined.hitY || result.hitY,
+            grounded: combined.grounded || result.grounded,
+            ceiling: combined.ceiling || result.ceiling,
+            normal: result.normal || combined.normal,
+          }
+        : result;
     }
+    return combined;
   }
-  
-  update(deltaTime) {
-    if (!this.active) return;
-    
-    // Emit particles
-    if (!this.oneShot) {
-      this.emissionTimer += deltaTime;
-      const emissionInterval = 1.0 / this.emissionRate;
-      
-      while (this.emissionTimer >= emissionInterval) {
-        this.emitParticle();
-        this.emissionTimer -= emissionInterval;
+
+  // ==================== PHYSICS QUERIES ====================
+  // Queries see the broadphase built by the last physics step. Hits are
+  // { gameObject, collider, point, normal, distance } with the normal
+  // pointing out of the surface that was hit. `layerMask` takes a bitmask,
+  // a layer name or an array of names (see PhysicsLayers.getMask).
+
+  raycast(origin, direction, maxDistance = Infinity, layerMask = null) {
+    return this.raycastAll(origin, direction, maxDistance, layerMask)[0] || null;
+  }
+
+  // Every collider along the ray, nearest first
+  raycastAll(origin, direction, maxDistance = Infinity, layerMask = null) {
+    const dir = direction.normalize();
+    if (dir.magnitude() === 0) return [];
+
+    const reach = Math.min(maxDistance, this.maxQueryDistance);
+    const end = origin.add(dir.multiplyByScalar(reach));
+    const area = {
+      x: Math.min(origin.x, end.x),
+      y: Math.min(origin.y, end.y),
+      width: Math.abs(end.x - origin.x),
+      height: Math.abs(end.y - origin.y)
+    };
+
+    const hits = [];
+    for (const gameObject of this.queryArea(area)) {
+      const collider = gameObject.getComponent(Collider);
+      if (!this.isQueryable(collider, layerMask)) continue;
+
+      const hit = CollisionDetection.raycast(collider.getWorldShape(), origin, dir, reach);
+      if (hit) {
+        hits.push({ gameObject, collider, ...hit });
       }
     }
-    
-    // Update particles
-    for (let i = this.particles.length - 1; i >= 0; i--) {
-      const particle = this.particles[i];
-      particle.update(deltaTime);
-      
-      if (!particle.active) {
-        this.particles.splice(i, 1);
+    return hits.sort((a, b) => a.distance - b.distance);
+  }
+
+  // Colliders overlapping a box centred on `center`, rotated by `angle` radians
+  overlapBox(center, size, angle = 0, layerMask = null) {
+    const halfWidth = size.x / 2;
+    const halfHeight = size.y / 2;
+    const vertices = [
+      new Vector2(-halfWidth, -halfHeight),
+      new Vector2(halfWidth, -halfHeight),
+      new Vector2(halfWidth, halfHeight),
+      new Vector2(-halfWidth, halfHeight),
+    ].map((v) => v.rotate(angle).add(center));
+
+    return this.overlapShape({ type: "polygon", vertices }, layerMask);
+  }
+
+  overlapCircle(center, radius, layerMask = null) {
+    return this.overlapShape({ type: "circle", center, radius }, layerMask);
+  }
+
+  // Overlap hits have a penetration `depth` instead of a distance
+  overlapShape(shape, layerMask = null) {
+    const bounds = this.getShapeBounds(shape);
+    const area = {
+      x: bounds.left,
+      y: bounds.top,
+      width: bounds.right - bounds.left,
+      height: bounds.bottom - bounds.top
+    };
+
+    const hits = [];
+    for (const gameObject of this.queryArea(area)) {
+      const collider = gameObject.getComponent(Collider);
+      if (!this.isQueryable(collider, layerMask)) continue;
+
+      const contact = CollisionDetection.collide(shape, collider.getWorldShape());
+      if (contact) {
+        hits.push({
+          gameObject,
+          collider,
+          point: contact.point,
+          normal: contact.normal.multiplyByScalar(-1),
+          depth: contact.depth
+        });
       }
     }
+    return hits;
   }
-  
-  draw(ctx) {
-    for (const particle of this.particles) {
-      particle.draw(ctx);
-    }
+
+  // Sweeps a shape (or a Collider's current shape) and returns the first hit.
+  // A collider never hits itself or anything it already overlaps.
+  shapeCast(shape, direction, maxDistance = Infinity, layerMask = null) {
+    const source = shape instanceof Collider ? shape : null;
+    const worldShape = source ? source.getWorldShape() : shape;
+    const displacement = direction
+      .normalize()
+      .multiplyByScalar(Math.min(maxDistance, this.maxQueryDistance));
+
+    const hit = this.castShape(worldShape, displacement, (collider) =>
+      collider !== source && this.isQueryable(collider, layerMask)
+    );
+    if (!hit) return null;
+
+    const { time, ...result } = hit;
+    return result;
   }
-  
-  // Preset configurations
-  setExplosionConfig() {
-    this.emissionRate = 50;
-    this.particleLife = { min: 0.5, max: 1.5 };
-    this.particleSpeed = { min: 100, max: 300 };
-    this.emissionAngle = { min: 0, max: 360 };
-    this.gravity = 200;
-    this.oneShot = true;
-    this.burstCount = 100;
+
+  isQueryable(collider, layerMask) {
+    return (
+      collider &&
+      collider.enabled &&
+      (this.queriesHitTriggers || !collider.isTrigger) &&
+      PhysicsLayers.maskContains(layerMask, collider.layer)
+    );
   }
   
-  setSmokeConfig() {
-    this.emissionRate = 5;
-    this.particleLife = { min: 2.0, max: 4.0 };
-    this.particleSize = { min: 8, max: 20 };
-    this.particleSpeed = { min: 20, max: 60 };
-    this.particleColor = "#666666";
-    this.gravity = -50;
-    this.drag = 0.95;
+  // ==================== BROADPHASE ====================
+
+  // Each scene keeps its own broadphase, created on first use from
+  // scene.broadphaseType or the engine default
+  getBroadphase(scene) {
+    if (!scene.broadphase) {
+      scene.broadphase = Broadphase.create(scene.broadphaseType ?? this.broadphaseType, {
+        bounds: this.quadtreeBounds,
+        maxObjects: this.maxObjectsPerNode,
+        maxDepth: this.maxDepth,
+        ...scene.broadphaseOptions,
+      });
+    }
+    return scene.broadphase;
   }
-  
-  setMagicConfig() {
-    this.emissionRate = 15;
-    this.particleLife = { min: 1.5, max: 3.0 };
-    this.particleSize = { min: 3, max: 8 };
-    this.particleSpeed = { min: 30, max: 80 };
-    this.particleColor = "#00ffff";
-    this.gravity = 0;
-    this.rotationSpeed = { min: -360, max: 360 };
+
+  // Refreshes entries for objects that moved and drops the ones that left
+  // the simulation. Sleeping bodies keep their entries untouched.
+  updateBroadphase(scene, objects) {
+    const broadphase = this.getBroadphase(scene);
+    this.broadphase = broadphase;
+    broadphase.resetStats();
+
+    const tracked = new Set();
+    for (const obj of objects) {
+      if (!obj.active) continue;
+      const collider = obj.getComponent(Collider);
+      if (!collider || !collider.enabled) continue;
+
+      tracked.add(obj);
+      if (obj.getComponent(Rigidbody)?.isSleeping && broadphase.has(obj)) continue;
+      broadphase.update(obj, this.boundsToRect(collider.getBounds()));
+    }
+    broadphase.retain(tracked);
+
+    Debug.broadphaseStats = broadphase.getStats();
   }
-}
 
-class AssetManager {
-  constructor() {
-    this.imageCache = new Map();
-    this.audioCache = new Map();
-    this.loadedAssets = 0;
-    this.totalAssets = 0;
-    this.loadingPromises = new Map();
-    this.eventBus = new EventBus();
-    this.placeholderAssets = new Map();
-    this.retryAttempts = new Map();
-    this.maxRetries = 3;
-    
-    // Named assets
-    this.namedImages = new Map();
-    this.namedAudio = new Map();
-    
-    // Create placeholder assets
-    this.createPlaceholderAssets();
+  // Broadphases work with { x, y, width, height } rectangles
+  boundsToRect(bounds) {
+    return {
+      x: bounds.left,
+      y: bounds.top,
+      width: bounds.right - bounds.left,
+      height: bounds.bottom - bounds.top
+    };
   }
-  
-  createPlaceholderAssets() {
-    // Create a simple colored rectangle as placeholder image
-    const canvas = document.createElement('canvas');
-    canvas.width = 32;
-    canvas.height = 32;
-    const ctx = canvas.getContext('2d');
-    
-    // Create a magenta/pink placeholder
-    ctx.fillStyle = '#ff00ff';
-    ctx.fillRect(0, 0, 32, 32);
-    ctx.fillStyle = '#ffffff';
-    ctx.font = '12px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText('?', 16, 20);
+
+  getCollisionCandidates(obj) {
+    if (!this.broadphase) return [];
     
-    const placeholderImage = new Image();
-    placeholderImage.src = canvas.toDataURL();
-    this.placeholderAssets.set('image', placeholderImage);
+    const collider = obj.getComponent(Collider);
+    if (!collider) return [];
     
-    // Create a silent audio placeholder
-    const audioContext = new (window.AudioContext || window.webkitAudioContext || function(){})();
-    if (audioContext.createBuffer) {
-      try {
-        const buffer = audioContext.createBuffer(1, 1, 22050);
-        const placeholderAudio = document.createElement('audio');
-        this.placeholderAssets.set('audio', placeholderAudio);
-      } catch (e) {
-        // Fallback for environments without audio support
-        const placeholderAudio = document.createElement('audio');
-        this.placeholderAssets.set('audio', placeholderAudio);
-      }
-    } else {
-      // Simple fallback
-      const placeholderAudio = document.createElement('audio');
-      this.placeholderAssets.set('audio', placeholderAudio);
-    }
+    return this.broadphase.query(this.boundsToRect(collider.getBounds()));
   }
   
-  // Register a batch of assets by name
-  async registerAssets(assets = {}) {
-    const tasks = [];
-    for (const [name, value] of Object.entries(assets)) {
-      tasks.push(this.registerAsset(name, value));
+  // Default root bounds for quadtree broadphases; the root still grows to
+  // fit objects outside it
+  setQuadtreeBounds(x, y, width, height) {
+    this.quadtreeBounds = { x, y, width, height };
+    if (this.broadphase instanceof QuadtreeBroadphase) {
+      this.broadphase.setBounds(this.quadtreeBounds);
     }
-    return Promise.all(tasks);
   }
   
-  // Register a single asset by name
-  async registerAsset(name, value) {
-    if (!name) return;
-    // SVG helper object
-    if (value && typeof value === 'object' && value.__kind === 'svg' && typeof value.data === 'string') {
-      return this.registerSVG(name, value.data);
+  setQuadtreeSettings(maxObjects, maxDepth) {
+    this.maxObjectsPerNode = maxObjects;
+    this.maxDepth = maxDepth;
+    if (this.broadphase instanceof QuadtreeBroadphase) {
+      this.broadphase.setSettings(maxObjects, maxDepth);
     }
-    // Raw SVG string
-    if (typeof value === 'string' && value.trim().startsWith('<svg')) {
-      return this.registerSVG(name, value);
+  }
+
+  // Impulse-based response for any two solid colliders. Mass, restitution,
+  // friction and body type decide how far and how fast each side moves.
+  resolveCollision(objA, objB, contact = this.getContact(objA, objB)) {
+    const colliderA = objA.getComponent(Collider);
+    const colliderB = objB.getComponent(Collider);
+
+    // Skip if either is a trigger
+    if (colliderA.isTrigger || colliderB.isTrigger || !contact) return;
+
+    const bodyA = objA.getComponent(Rigidbody);
+    const bodyB = objB.getComponent(Rigidbody);
+
+    // Without any Rigidbody both objects are simply pushed apart
+    if (!bodyA && !bodyB) {
+      this.resolveSimpleCollision(objA, objB, contact);
+      return;
     }
-    // URL strings: decide by extension
-    if (typeof value === 'string') {
-      if (/\.(mp3|wav|ogg)(\?.*)?$/i.test(value)) {
-        return this.registerAudio(name, value);
+
+    // Objects without a Rigidbody behave like static bodies
+    const invMassA = bodyA ? bodyA.getInverseMass() : 0;
+    const invMassB = bodyB ? bodyB.getInverseMass() : 0;
+    const totalInvMass = invMassA + invMassB;
+
+    if (totalInvMass > 0) {
+      const normal = contact.normal;
+
+      // Positional correction keeps bodies from sinking into each other
+      const correctionDepth =
+        (Math.max(contact.depth - this.penetrationSlop, 0) / totalInvMass) *
+        this.positionCorrection;
+      const correction = normal.multiplyByScalar(correctionDepth);
+      if (invMassA > 0) {
+        objA.transform.translate(correction.multiplyByScalar(-invMassA));
+      }
+      if (invMassB > 0) {
+        objB.transform.translate(correction.multiplyByScalar(invMassB));
+      }
+
+      const velocityA = bodyA ? bodyA.velocity : Vector2.zero();
+      const velocityB = bodyB ? bodyB.velocity : Vector2.zero();
+      const relativeVelocity = velocityB.subtract(velocityA);
+      const velocityAlongNormal = relativeVelocity.dot(normal);
+
+      // Only resolve bodies that are moving towards each other
+      if (velocityAlongNormal < 0) {
+        const surface = this.getSurfaceProperties(colliderA, bodyA, colliderB, bodyB);
+        const restitution =
+          -velocityAlongNormal > this.bounceThreshold ? surface.restitution : 0;
+
+        const normalImpulse =
+          (-(1 + restitution) * velocityAlongNormal) / totalInvMass;
+        this.applyImpulse(bodyA, bodyB, normal.multiplyByScalar(normalImpulse));
+
+        // Coulomb friction along the contact tangent
+        const newVelocityA = bodyA ? bodyA.velocity : Vector2.zero();
+        const newVelocityB = bodyB ? bodyB.velocity : Vector2.zero();
+        const newRelative = newVelocityB.subtract(newVelocityA);
+        const tangent = newRelative
+          .subtract(normal.multiplyByScalar(newRelative.dot(normal)))
+          .normalize();
+
+        if (tangent.magnitude() > 0) {
+          let tangentImpulse = -newRelative.dot(tangent) / totalInvMass;
+          const maxFriction = normalImpulse * surface.friction;
+          tangentImpulse = Math.max(-maxFriction, Math.min(maxFriction, tangentImpulse));
+          this.applyImpulse(bodyA, bodyB, tangent.multiplyByScalar(tangentImpulse));
+        }
       }
-      // Image (including external .svg)
-      return this.registerImage(name, value);
     }
-    // Direct elements
-    if (value instanceof HTMLImageElement) {
-      this.namedImages.set(name, value);
-      this.imageCache.set(name, value);
-      this.loadedAssets++;
-      return value;
+
+    // A surface below a Player grounds it
+    if (contact.normal.y > this.groundNormalThreshold) {
+      objA.getComponent(Player)?.setGrounded(true);
+    } else if (-contact.normal.y > this.groundNormalThreshold) {
+      objB.getComponent(Player)?.setGrounded(true);
     }
-    if (value instanceof HTMLAudioElement) {
-      this.namedAudio.set(name, value);
-      this.audioCache.set(name, value);
-      this.loadedAssets++;
-      return value;
+  }
+
+  // Applies an impulse pushing bodyB along it and bodyA against it
+  applyImpulse(bodyA, bodyB, impulse) {
+    if (bodyA && bodyA.getInverseMass() > 0) {
+      bodyA.velocity = bodyA.velocity.subtract(
+        impulse.multiplyByScalar(bodyA.getInverseMass())
+      );
+    }
+    if (bodyB && bodyB.getInverseMass() > 0) {
+      bodyB.velocity = bodyB.velocity.add(
+        impulse.multiplyByScalar(bodyB.getInverseMass())
+      );
     }
-    // Unsupported type
-    Debug.warn(`Unsupported asset type for '${name}'`);
-    return null;
   }
-  
-  async registerImage(name, src) {
-    const img = new Image();
-    return new Promise((resolve) => {
-      img.onload = () => {
-        this.namedImages.set(name, img);
-        this.imageCache.set(name, img);
-        this.loadedAssets++;
-        this.eventBus.emit('asset_loaded', { type: 'image', name, asset: img });
-        resolve(img);
-      };
-      img.onerror = () => {
-        Debug.error(`Failed to register image '${name}' from ${src}`);
-        const placeholder = this.placeholderAssets.get('image');
-        this.namedImages.set(name, placeholder);
-        resolve(placeholder);
-      };
-      img.src = src;
-    });
+
+  // Combines both sides' materials using their restitution/friction rules
+  getSurfaceProperties(colliderA, bodyA, colliderB, bodyB) {
+    const materialA = this.getMaterial(colliderA, bodyA);
+    const materialB = this.getMaterial(colliderB, bodyB);
+
+    return {
+      restitution: PhysicsMaterial.combine(
+        materialA.restitution,
+        materialB.restitution,
+        materialA.restitutionCombine,
+        materialB.restitutionCombine
+      ),
+      friction: PhysicsMaterial.combine(
+        materialA.friction,
+        materialB.friction,
+        materialA.frictionCombine,
+        materialB.frictionCombine
+      ),
+    };
   }
-  
-  async registerSVG(name, svgString) {
-    try {
-      const blob = new Blob([svgString], { type: 'image/svg+xml' });
-      const url = URL.createObjectURL(blob);
-      return this.registerImage(name, url).then((img) => {
-        // Keep URL for cleanup if needed
-        img.__objectUrl = url;
-        return img;
-      });
-    } catch (e) {
-      Debug.error(`Failed to register SVG '${name}':`, e);
-      const placeholder = this.placeholderAssets.get('image');
-      this.namedImages.set(name, placeholder);
-      return placeholder;
+
+  // Colliders without a material fall back to their Rigidbody's values
+  getMaterial(collider, body) {
+    if (collider.material) return collider.material;
+
+    return {
+      restitution: body ? body.restitution : 0,
+      friction: body ? body.friction : this.defaultFriction,
+      frictionCombine: this.frictionCombine,
+      restitutionCombine: this.restitutionCombine,
+    };
+  }
+
+  // Fallback for objects without a Rigidbody: push both apart equally
+  resolveSimpleCollision(objA, objB, contact = this.getContact(objA, objB)) {
+    const colliderA = objA.getComponent(Collider);
+    const colliderB = objB.getComponent(Collider);
+
+    if (colliderA.isTrigger || colliderB.isTrigger || !contact) return;
+
+    // Push both objects half the penetration depth apart along the normal
+    const correction = contact.normal.multiplyByScalar(contact.depth / 2);
+    objA.transform.translate(correction.multiplyByScalar(-1));
+    objB.transform.translate(correction);
+  }
+
+  // Contact information ({ normal, depth, point }) for two overlapping
+  // colliders, or null. The normal points from objA towards objB.
+  getContact(objA, objB) {
+    const colliderA = objA.getComponent(Collider);
+    const colliderB = objB.getComponent(Collider);
+
+    if (!colliderA || !colliderB) return null;
+
+    const boundsA = colliderA.getBounds();
+    const boundsB = colliderB.getBounds();
+
+    // Cheap AABB rejection before the shape test
+    if (
+      boundsA.right < boundsB.left ||
+      boundsA.left > boundsB.right ||
+      boundsA.bottom < boundsB.top ||
+      boundsA.top > boundsB.bottom
+    ) {
+      return null;
+    }
+
+    return CollisionDetection.collide(
+      colliderA.getWorldShape(),
+      colliderB.getWorldShape()
+    );
+  }
+
+  checkCollision(objA, objB) {
+    return this.getContact(objA, objB) !== null;
+  }
+
+
+}
+
+// Named draw layers, back to front. Sprites and tilemaps pick a layer by
+// name and an orderInLayer within it; y-sorted layers then draw lower
+// objects (larger y) in front so characters can walk behind trees.
+class SortingLayers {
+  static layers = ["Background", "World", "Foreground", "UI"];
+
+  static ySorted = new Set();
+
+  // Layer names not in the list are added in front of the others
+  static getIndex(name) {
+    let index = this.layers.indexOf(name);
+    if (index === -1) {
+      Debug.warn(`Sorting layer "${name}" is not defined; adding it on top`);
+      this.layers.push(name);
+      index = this.layers.length - 1;
     }
+    return index;
   }
-  
-  async registerAudio(name, src) {
-    const audio = new Audio();
-    return new Promise((resolve) => {
-      audio.oncanplaythrough = () => {
-        this.namedAudio.set(name, audio);
-        this.audioCache.set(name, audio);
-        this.loadedAssets++;
-        this.eventBus.emit('asset_loaded', { type: 'audio', name, asset: audio });
-        resolve(audio);
-      };
-      audio.onerror = () => {
-        Debug.error(`Failed to register audio '${name}' from ${src}`);
-        const placeholder = this.placeholderAssets.get('audio');
-        this.namedAudio.set(name, placeholder);
-        resolve(placeholder);
-      };
-      audio.src = src;
-      audio.load();
-    });
+
+  // Inserts a layer just behind another one, or on top
+  static addLayer(name, before = null) {
+    if (this.layers.includes(name)) return;
+    const index = before === null ? -1 : this.layers.indexOf(before);
+    if (index === -1) {
+      this.layers.push(name);
+    } else {
+      this.layers.splice(index, 0, name);
+    }
   }
-  
-  getNamedImage(name) {
-    return this.namedImages.get(name);
+
+  static setYSort(name, enabled = true) {
+    if (enabled) {
+      this.ySorted.add(name);
+    } else {
+      this.ySorted.delete(name);
+    }
   }
-  
-  getNamedAudio(name) {
-    return this.namedAudio.get(name);
+
+  static isYSorted(name) {
+    return this.ySorted.has(name);
+  }
+
+  // Bitmask of the given layers, for Camera.cullingMask
+  static getMask(...names) {
+    let mask = 0;
+    for (const name of names.flat()) {
+      mask |= 1 << this.getIndex(name);
+    }
+    return mask;
+  }
+
+  // Comparator for anything with sortingLayer, orderInLayer and a gameObject
+  static compare(a, b) {
+    const layerDiff = this.getIndex(a.sortingLayer) - this.getIndex(b.sortingLayer);
+    if (layerDiff !== 0) return layerDiff;
+
+    const orderDiff = a.orderInLayer - b.orderInLayer;
+    if (orderDiff !== 0 || !this.isYSorted(a.sortingLayer)) return orderDiff;
+
+    return a.gameObject.transform.worldPosition.y - b.gameObject.transform.worldPosition.y;
+  }
+}
+
+// Canvas 2D renderer, and the base for other backends. Culling, draw order,
+// stats and the debug view are shared; backends override beginFrame,
+// drawTilemap, drawSprite and endFrame.
+class Renderer {
+  constructor(canvas, ctx) {
+    this.type = "canvas";
+    this.canvas = canvas;
+    this.ctx = ctx;
+    this.backgroundColor = "#000000";
+    this.renderStats = {
+      objectsRendered: 0,
+      culledObjects: 0,
+      drawCalls: 0,
+    };
+    this.drawList = [];
+    // Effects over the whole frame, whatever the scene
+    this.postProcessing = new PostProcessStack();
   }
 
-  async loadImage(path) {
-    if (this.imageCache.has(path)) {
-      return this.imageCache.get(path);
+  render(scene) {
+    if (!scene) return;
+
+    this.renderStats.objectsRendered = 0;
+    this.renderStats.culledObjects = 0;
+    this.renderStats.drawCalls = 0;
+
+    const drawList = this.getDrawList(scene);
+    for (const camera of scene.getCameras()) {
+      this.renderCamera(scene, camera, drawList);
     }
 
-    if (this.loadingPromises.has(path)) {
-      return this.loadingPromises.get(path);
+    const screen = { x: 0, y: 0, width: this.canvas.width, height: this.canvas.height };
+    this.applyPostProcessing(scene.postProcessing, screen);
+    this.applyPostProcessing(this.postProcessing, screen);
+
+    if (Debug.enabled) {
+      this.renderDebugInfo(scene);
     }
+  }
 
-    const promise = new Promise((resolve, reject) => {
-      const image = new Image();
-      
-      image.onload = () => {
-        this.imageCache.set(path, image);
-        this.loadedAssets++;
-        this.loadingPromises.delete(path);
-        this.retryAttempts.delete(path);
-        
-        Debug.log(`Loaded image: ${path}`);
-        this.eventBus.emit('asset_loaded', { type: 'image', path, asset: image });
-        resolve(image);
-      };
-      
-      image.onerror = (error) => {
-        this.loadingPromises.delete(path);
-        
-        const retryCount = this.retryAttempts.get(path) || 0;
-        
-        if (retryCount < this.maxRetries) {
-          // Retry loading
-          this.retryAttempts.set(path, retryCount + 1);
-          Debug.warn(`Retrying to load image: ${path} (attempt ${retryCount + 1}/${this.maxRetries})`);
-          
-          setTimeout(() => {
-            image.src = path;
-          }, 1000 * (retryCount + 1)); // Exponential backoff
-          
-          return;
+  // Draws the scene through one camera, inside its viewport
+  renderCamera(scene, camera, drawList) {
+    const viewBounds = camera.getViewBounds(
+      this.canvas.width,
+      this.canvas.height
+    );
+
+    this.beginFrame(scene, camera);
+
+    const lighting = scene.lighting && scene.lighting.enabled ? scene.lighting : null;
+    let lit = !lighting;
+
+    for (const item of drawList) {
+      if (!camera.canSee(item)) continue;
+
+      // The draw list is in layer order, so unlit layers come last
+      if (!lit && lighting.isUnlit(item)) {
+        this.drawLighting(lighting, scene, camera, viewBounds);
+        lit = true;
+      }
+
+      // Tilemaps and backgrounds only draw what is in view, so they need no culling
+      if (item instanceof Tilemap) {
+        this.drawTilemap(item, camera, viewBounds);
+        continue;
+      }
+      if (item instanceof ParallaxBackground) {
+        this.drawParallax(item, camera, viewBounds);
+        continue;
+      }
+
+      const sprite = item;
+      const bounds = sprite.getWorldBounds();
+
+      if (
+        bounds.right < viewBounds.left ||
+        bounds.left > viewBounds.right ||
+        bounds.bottom < viewBounds.top ||
+        bounds.top > viewBounds.bottom
+      ) {
+        this.renderStats.culledObjects++;
+        continue;
+      }
+
+      try {
+        if (sprite instanceof TextRenderer) {
+          this.drawText(sprite, camera);
+        } else if (sprite instanceof ShapeRenderer) {
+          this.drawShapes(sprite, camera);
+        } else {
+          this.drawSprite(sprite, camera);
         }
-        
-        // Max retries reached, use placeholder
-        Debug.error(`Failed to load image after ${this.maxRetries} attempts: ${path}`);
-        this.eventBus.emit('asset_failed', { type: 'image', path, error, attempts: retryCount });
-        
-        // Use placeholder asset
-        const placeholder = this.placeholderAssets.get('image');
-        this.imageCache.set(path, placeholder);
-        this.loadedAssets++;
-        
-        console.warn(`Asset '${path}' failed to load; using placeholder`);
-        resolve(placeholder);
-      };
-      
-      image.src = path;
-    });
+        this.renderStats.objectsRendered++;
+      } catch (error) {
+        Debug.error(`Error rendering ${sprite.gameObject.name}:`, error);
+      }
+    }
 
-    this.loadingPromises.set(path, promise);
-    this.totalAssets++;
-    return promise;
-  }
+    if (!lit) {
+      this.drawLighting(lighting, scene, camera, viewBounds);
+    }
 
-  async loadAudio(path) {
-    if (this.audioCache.has(path)) {
-      return this.audioCache.get(path);
+    this.drawGizmos(camera, viewBounds);
+    this.endFrame(scene, camera);
+    this.applyCameraPostProcessing(camera);
+
+    if (Debug.enabled) {
+      this.renderDebugShapes(scene, camera);
+    }
+  }
+
+  // Enabled sprites, tilemaps, backgrounds, text and shapes in draw order. The order from the last
+  // frame is reused while it still holds, so a frame only sorts after
+  // something is added, removed, changes layer or moves past another
+  // object in a y-sorted layer.
+  getDrawList(scene) {
+    const items = [];
+    for (const obj of scene.gameObjects) {
+      if (!obj.active) continue;
+      const sprite = obj.getComponent(SpriteRenderer);
+      if (sprite && sprite.enabled) items.push(sprite);
+      const tilemap = obj.getComponent(Tilemap);
+      if (tilemap && tilemap.enabled) items.push(tilemap);
+      const background = obj.getComponent(ParallaxBackground);
+      if (background && background.enabled) items.push(background);
+      const text = obj.getComponent(TextRenderer);
+      if (text && text.enabled) items.push(text);
+      const shapes = obj.getComponent(ShapeRenderer);
+      if (shapes && shapes.enabled) items.push(shapes);
+    }
+
+    const previous = this.drawList;
+    let reusable = previous.length === items.length;
+    if (reusable) {
+      const current = new Set(items);
+      for (let i = 0; i < previous.length && reusable; i++) {
+        reusable =
+          current.has(previous[i]) &&
+          (i === 0 || this.compareSprites(previous[i - 1], previous[i]) <= 0);
+      }
     }
 
-    if (this.loadingPromises.has(path)) {
-      return this.loadingPromises.get(path);
+    if (!reusable) {
+      this.drawList = items.sort((a, b) => this.compareSprites(a, b));
     }
+    return this.drawList;
+  }
 
-    const promise = new Promise((resolve, reject) => {
-      const audio = new Audio();
-      
-      audio.oncanplaythrough = () => {
-        this.audioCache.set(path, audio);
-        this.loadedAssets++;
-        this.loadingPromises.delete(path);
-        this.retryAttempts.delete(path);
-        
-        Debug.log(`Loaded audio: ${path}`);
-        this.eventBus.emit('asset_loaded', { type: 'audio', path, asset: audio });
-        resolve(audio);
-      };
-      
-      audio.onerror = (error) => {
-        this.loadingPromises.delete(path);
-        
-        const retryCount = this.retryAttempts.get(path) || 0;
-        
-        if (retryCount < this.maxRetries) {
-          // Retry loading
-          this.retryAttempts.set(path, retryCount + 1);
-          Debug.warn(`Retrying to load audio: ${path} (attempt ${retryCount + 1}/${this.maxRetries})`);
-          
-          setTimeout(() => {
-            audio.src = path;
-          }, 1000 * (retryCount + 1)); // Exponential backoff
-          
-          return;
-        }
-        
-        // Max retries reached, use placeholder
-        Debug.error(`Failed to load audio after ${this.maxRetries} attempts: ${path}`);
-        this.eventBus.emit('asset_failed', { type: 'audio', path, error, attempts: retryCount });
-        
-        // Use placeholder asset
-        const placeholder = this.placeholderAssets.get('audio');
-        this.audioCache.set(path, placeholder);
-        this.loadedAssets++;
-        
-        console.warn(`Asset '${path}' failed to load; using placeholder`);
-        resolve(placeholder);
-      };
-      
-      audio.src = path;
-    });
+  compareSprites(a, b) {
+    return SortingLayers.compare(a, b);
+  }
 
-    this.loadingPromises.set(path, promise);
-    this.totalAssets++;
-    return promise;
+  // Clips to the camera's viewport and moves the origin to its view
+  applyCamera(ctx, camera) {
+    const rect = camera.getViewportRect(this.canvas.width, this.canvas.height);
+    ctx.beginPath();
+    ctx.rect(rect.x, rect.y, rect.width, rect.height);
+    ctx.clip();
+    const position = camera.getViewPosition();
+    ctx.translate(rect.x + rect.width / 2, rect.y + rect.height / 2);
+    ctx.rotate(-camera.getViewRotation());
+    ctx.scale(camera.zoom, camera.zoom);
+    ctx.translate(-position.x, -position.y);
   }
 
-  async loadMultiple(assets) {
-    const promises = assets.map((asset) => {
-      if (asset.type === "image") {
-        return this.loadImage(asset.path);
-      } else if (asset.type === "audio") {
-        return this.loadAudio(asset.path);
-      }
-    });
+  getClearColor(scene, camera) {
+    return camera.clearColor || scene.backgroundColor || this.backgroundColor;
+  }
 
-    return Promise.all(promises);
+  beginFrame(scene, camera) {
+    const rect = camera.getViewportRect(this.canvas.width, this.canvas.height);
+    this.ctx.fillStyle = this.getClearColor(scene, camera);
+    this.ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+
+    this.ctx.save();
+    this.applyCamera(this.ctx, camera);
   }
 
-  getLoadingProgress() {
-    return this.totalAssets === 0 ? 1 : this.loadedAssets / this.totalAssets;
+  drawTilemap(tilemap, camera, viewBounds) {
+    tilemap.draw(this.ctx, camera);
   }
 
-  isLoading() {
-    return this.loadingPromises.size > 0;
+  drawParallax(background, camera, viewBounds) {
+    background.draw(this.ctx, camera, viewBounds);
   }
 
-  getImage(path) {
-    return this.imageCache.get(path);
+  drawSprite(sprite, camera) {
+    sprite.draw(this.ctx, camera);
+    this.renderStats.drawCalls++;
   }
 
-  getAudio(path) {
-    return this.audioCache.get(path);
+  drawText(text, camera) {
+    text.draw(this.ctx, camera);
+    this.renderStats.drawCalls++;
   }
 
-  clear() {
-    this.imageCache.clear();
-    this.audioCache.clear();
-    this.loadingPromises.clear();
-    this.loadedAssets = 0;
-    this.totalAssets = 0;
-    this.retryAttempts.clear();
+  drawShapes(shapes, camera) {
+    shapes.draw(this.ctx, camera);
+    this.renderStats.drawCalls++;
   }
-  
-  // Asset management methods
-  unloadAsset(path, type = 'auto') {
-    if (type === 'auto' || type === 'image') {
-      this.imageCache.delete(path);
-    }
-    if (type === 'auto' || type === 'audio') {
-      this.audioCache.delete(path);
+
+  // Effects on one camera's view, once it has been drawn
+  applyCameraPostProcessing(camera) {
+    this.applyPostProcessing(camera.postProcessing, camera.getViewportRect(this.canvas.width, this.canvas.height));
+  }
+
+  applyPostProcessing(stack, rect) {
+    if (!stack || !stack.isActive()) return;
+
+    const ctx = this.getPostProcessContext(rect);
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.beginPath();
+    ctx.rect(rect.x, rect.y, rect.width, rect.height);
+    ctx.clip();
+    stack.apply(ctx, rect);
+    ctx.restore();
+  }
+
+  // 2D context holding the finished frame inside rect
+  getPostProcessContext(rect) {
+    return this.ctx;
+  }
+
+  // Gizmos the camera can see, in world space over the scene
+  drawGizmos(camera, viewBounds) {
+    for (const shape of Gizmos.commands) {
+      if (!camera.canSee(shape)) continue;
+      const bounds = ShapeRenderer.getShapeBounds(shape);
+      if (
+        bounds &&
+        (bounds.right < viewBounds.left ||
+          bounds.left > viewBounds.right ||
+          bounds.bottom < viewBounds.top ||
+          bounds.top > viewBounds.bottom)
+      ) {
+        continue;
+      }
+      ShapeRenderer.drawShape(this.ctx, shape);
+      this.renderStats.drawCalls++;
     }
-    this.retryAttempts.delete(path);
-    
-    Debug.log(`Unloaded asset: ${path}`);
-    this.eventBus.emit('asset_unloaded', { type, path });
   }
-  
-  unloadUnusedAssets() {
-    // This would need to track asset usage to implement properly
-    // For now, just clear all assets
-    this.clear();
-    Debug.log('Unloaded all unused assets');
+
+  // Multiplies the lightmap over the viewport
+  drawLighting(lighting, scene, camera, viewBounds) {
+    const rect = camera.getViewportRect(this.canvas.width, this.canvas.height);
+    const lightmap = lighting.renderLightmap(scene, camera, rect, viewBounds);
+
+    this.ctx.save();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.globalCompositeOperation = "multiply";
+    this.ctx.drawImage(lightmap, rect.x, rect.y, rect.width, rect.height);
+    this.ctx.restore();
+    this.renderStats.drawCalls++;
   }
-  
-  getAssetInfo(path) {
-    const info = {
-      path,
-      image: this.imageCache.has(path),
-      audio: this.audioCache.has(path),
-      loading: this.loadingPromises.has(path),
-      retryAttempts: this.retryAttempts.get(path) || 0
-    };
-    return info;
+
+  endFrame(scene, camera) {
+    this.ctx.restore();
   }
-  
-  getMemoryUsage() {
-    // Rough estimation of memory usage
-    let imageMemory = 0;
-    for (const [path, image] of this.imageCache) {
-      imageMemory += (image.width * image.height * 4); // 4 bytes per pixel (RGBA)
+
+  // Colliders, broadphase and joints, in world space through one camera
+  renderDebugShapes(scene, camera) {
+    const collidableObjects = scene.findGameObjectsWithComponent(Collider);
+
+    this.ctx.save();
+    this.applyCamera(this.ctx, camera);
+
+    collidableObjects.forEach((obj) => {
+      if (!obj.active) return;
+      const collider = obj.getComponent(Collider);
+      if (collider.enabled) {
+        this.ctx.strokeStyle = collider.isTrigger ? "yellow" : "red";
+        this.ctx.lineWidth = 1 / camera.zoom;
+        this.drawColliderShape(collider);
+      }
+    });
+
+    this.ctx.lineWidth = 1 / camera.zoom;
+    if (Debug.showBroadphase && scene.broadphase) {
+      scene.broadphase.drawDebug(this.ctx);
+    }
+
+    for (const obj of scene.findGameObjectsWithComponent(Joint)) {
+      for (const joint of obj.getComponents(Joint)) {
+        if (joint.configured && joint.isValid()) this.drawJoint(joint);
+      }
+    }
+
+    this.ctx.restore();
+  }
+
+  renderDebugInfo(scene) {
+    this.ctx.fillStyle = "white";
+    this.ctx.font = "12px Arial";
+    this.ctx.fillText(`Objects: ${this.renderStats.objectsRendered}`, 10, 20);
+    this.ctx.fillText(`Culled: ${this.renderStats.culledObjects}`, 10, 35);
+    this.ctx.fillText(`Draw calls: ${this.renderStats.drawCalls} (${this.type})`, 10, 50);
+  }
+
+  drawColliderShape(collider) {
+    const shape = collider.getWorldShape();
+    const ctx = this.ctx;
+
+    ctx.beginPath();
+    switch (shape.type) {
+      case "circle":
+        ctx.arc(shape.center.x, shape.center.y, shape.radius, 0, Math.PI * 2);
+        break;
+
+      case "capsule": {
+        const angle = Math.atan2(shape.b.y - shape.a.y, shape.b.x - shape.a.x);
+        ctx.arc(shape.b.x, shape.b.y, shape.radius, angle - Math.PI / 2, angle + Math.PI / 2);
+        ctx.arc(shape.a.x, shape.a.y, shape.radius, angle + Math.PI / 2, angle + (Math.PI * 3) / 2);
+        ctx.closePath();
+        break;
+      }
+
+      default:
+        shape.vertices.forEach((vertex, i) => {
+          if (i === 0) ctx.moveTo(vertex.x, vertex.y);
+          else ctx.lineTo(vertex.x, vertex.y);
+        });
+        ctx.closePath();
+    }
+    ctx.stroke();
+  }
+
+  drawJoint(joint) {
+    const ctx = this.ctx;
+    const start = joint.getWorldAnchor();
+    const end = joint.getConnectedWorldAnchor();
+
+    ctx.strokeStyle = joint instanceof SpringJoint ? "lime" : joint instanceof RopeJoint ? "orange" : "cyan";
+    ctx.setLineDash(joint instanceof RopeJoint ? [4, 3] : []);
+    ctx.beginPath();
+
+    if (joint instanceof SpringJoint) {
+      // Zigzag between the anchors
+      const coils = 8;
+      const side = end.subtract(start).perpendicular().normalize().multiplyByScalar(4);
+      ctx.moveTo(start.x, start.y);
+      for (let i = 1; i < coils * 2; i++) {
+        const point = start
+          .add(end.subtract(start).multiplyByScalar(i / (coils * 2)))
+          .add(side.multiplyByScalar(i % 2 === 0 ? -1 : 1));
+        ctx.lineTo(point.x, point.y);
+      }
+      ctx.lineTo(end.x, end.y);
+    } else {
+      ctx.moveTo(start.x, start.y);
+      ctx.lineTo(end.x, end.y);
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    for (const point of [start, end]) {
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, joint instanceof HingeJoint ? 4 : 2, 0, Math.PI * 2);
+      ctx.stroke();
     }
-    
-    return {
-      images: this.imageCache.size,
-      audio: this.audioCache.size,
-      loading: this.loadingPromises.size,
-      estimatedMemoryBytes: imageMemory,
-      estimatedMemoryMB: (imageMemory / (1024 * 1024)).toFixed(2)
-    };
   }
-  
-  // Event handling
-  onAssetLoaded(callback) {
-    return this.eventBus.on('asset_loaded', callback);
+
+  setBackgroundColor(color) {
+    this.backgroundColor = color;
   }
-  
-  onAssetFailed(callback) {
-    return this.eventBus.on('asset_failed', callback);
+
+  getCanvas() {
+    return this.canvas;
   }
-  
-  onAssetUnloaded(callback) {
-    return this.eventBus.on('asset_unloaded', callback);
+
+  getContext() {
+    return this.ctx;
   }
+
+  resize(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+  }
+
+  destroy() {}
 }
 
-// ==================== SPATIAL PARTITIONING ====================
+// Batched WebGL2 backend. Sprites and tiles are packed into one vertex
+// buffer and drawn with one call per run of the same texture. Debug drawing
+// and components with their own draw() go to a 2D overlay canvas on top.
+class WebGLRenderer extends Renderer {
+  static maxQuads = 4096;
+  // x, y, u, v as floats and a packed RGBA colour
+  static vertexSize = 20;
+  // System-font glyphs are cached in a texture this size, drawn at
+  // glyphScale times their size so they stay sharp when zoomed in
+  static glyphAtlasSize = 1024;
+  static glyphScale = 2;
+
+  static vertexShader = `#version 300 es
+    in vec2 a_position;
+    in vec2 a_uv;
+    in vec4 a_color;
+    uniform vec3 u_camera;
+    uniform vec2 u_rotation;
+    uniform vec2 u_resolution;
+    out vec2 v_uv;
+    out vec4 v_color;
+    void main() {
+      // u_rotation holds the cosine and sine of the camera's negated rotation
+      vec2 offset = a_position - u_camera.xy;
+      offset = vec2(
+        offset.x * u_rotation.x - offset.y * u_rotation.y,
+        offset.x * u_rotation.y + offset.y * u_rotation.x
+      );
+      vec2 view = offset * u_camera.z / (u_resolution * 0.5);
+      gl_Position = vec4(view.x, -view.y, 0.0, 1.0);
+      v_uv = a_uv;
+      v_color = a_color;
+    }`;
+
+  static fragmentShader = `#version 300 es
+    precision mediump float;
+    in vec2 v_uv;
+    in vec4 v_color;
+    uniform sampler2D u_texture;
+    out vec4 outColor;
+    void main() {
+      outColor = texture(u_texture, v_uv) * v_color;
+    }`;
+
+  // Returns null when the browser has no WebGL2
+  static create(canvas, overlay) {
+    const gl = canvas.getContext("webgl2", { premultipliedAlpha: false });
+    if (!gl) return null;
+    return new WebGLRenderer(canvas, overlay, gl);
+  }
+
+  constructor(canvas, overlay, gl) {
+    super(canvas, overlay.getContext("2d"));
+    this.type = "webgl";
+    this.overlay = overlay;
+    this.gl = gl;
+    this.textures = new WeakMap();
+    this.textureIds = new WeakMap();
+    this.nextTextureId = 1;
+    // System-font glyphs, see getSystemGlyph()
+    this.systemGlyphs = new Map();
+    this.glyphTexture = null;
+
+    const bytes = new ArrayBuffer(WebGLRenderer.maxQuads * 4 * WebGLRenderer.vertexSize);
+    this.floats = new Float32Array(bytes);
+    this.colors = new Uint32Array(bytes);
+    this.quadCount = 0;
+    this.currentTexture = null;
+    // Screen areas already copied to the overlay for post-processing this frame
+    this.copiedRects = [];
+
+    this.initGL();
+  }
+
+  initGL() {
+    const gl = this.gl;
+
+    this.program = gl.createProgram();
+    gl.attachShader(this.program, this.compileShader(gl.VERTEX_SHADER, WebGLRenderer.vertexShader));
+    gl.attachShader(this.program, this.compileShader(gl.FRAGMENT_SHADER, WebGLRenderer.fragmentShader));
+    gl.linkProgram(this.program);
+    if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
+      throw new Error(`Shader link failed: ${gl.getProgramInfoLog(this.program)}`);
+    }
+
+    this.uniforms = {
+      camera: gl.getUniformLocation(this.program, "u_camera"),
+      rotation: gl.getUniformLocation(this.program, "u_rotation"),
+      resolution: gl.getUniformLocation(this.program, "u_resolution"),
+      texture: gl.getUniformLocation(this.program, "u_texture"),
+    };
 
-class Quadtree {
-  constructor(bounds, maxObjects = 10, maxDepth = 8, depth = 0) {
-    this.bounds = bounds;
-    this.maxObjects = maxObjects;
-    this.maxDepth = maxDepth;
-    this.depth = depth;
-    this.objects = [];
-    this.nodes = [];
-    this.divided = false;
+    this.vao = gl.createVertexArray();
+    gl.bindVertexArray(this.vao);
+
+    this.vertexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, this.floats.byteLength, gl.DYNAMIC_DRAW);
+
+    const stride = WebGLRenderer.vertexSize;
+    const position = gl.getAttribLocation(this.program, "a_position");
+    const uv = gl.getAttribLocation(this.program, "a_uv");
+    const color = gl.getAttribLocation(this.program, "a_color");
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, stride, 0);
+    gl.enableVertexAttribArray(uv);
+    gl.vertexAttribPointer(uv, 2, gl.FLOAT, false, stride, 8);
+    gl.enableVertexAttribArray(color);
+    gl.vertexAttribPointer(color, 4, gl.UNSIGNED_BYTE, true, stride, 16);
+
+    // Every quad uses the same two triangles, so the indices never change
+    const indices = new Uint16Array(WebGLRenderer.maxQuads * 6);
+    for (let i = 0, v = 0; i < indices.length; i += 6, v += 4) {
+      indices.set([v, v + 1, v + 2, v, v + 2, v + 3], i);
+    }
+    this.indexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+
+    gl.bindVertexArray(null);
+
+    // Colour blocks sample this so they share the sprite shader
+    this.whiteTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.whiteTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([255, 255, 255, 255]));
   }
-  
-  insert(item) {
-    if (!this.bounds) return false;
-    
-    if (!this.intersects(this.bounds, item.bounds)) {
-      return false;
-    }
-    
-    if (this.objects.length < this.maxObjects && !this.divided) {
-      this.objects.push(item);
-      return true;
-    }
-    
-    if (!this.divided) {
-      this.subdivide();
-    }
-    
-    // Try to insert into child nodes
-    for (const node of this.nodes) {
-      if (node.insert(item)) {
-        return true;
-      }
+
+  compileShader(type, source) {
+    const gl = this.gl;
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`);
     }
-    
-    // If we can't insert into children, add to this node
-    this.objects.push(item);
-    return true;
+    return shader;
   }
-  
-  subdivide() {
-    const x = this.bounds.x;
-    const y = this.bounds.y;
-    const w = this.bounds.width / 2;
-    const h = this.bounds.height / 2;
-    
-    this.nodes = [
-      new Quadtree({ x: x, y: y, width: w, height: h }, this.maxObjects, this.maxDepth, this.depth + 1),
-      new Quadtree({ x: x + w, y: y, width: w, height: h }, this.maxObjects, this.maxDepth, this.depth + 1),
-      new Quadtree({ x: x, y: y + h, width: w, height: h }, this.maxObjects, this.maxDepth, this.depth + 1),
-      new Quadtree({ x: x + w, y: y + h, width: w, height: h }, this.maxObjects, this.maxDepth, this.depth + 1)
-    ];
-    
-    this.divided = true;
+
+  // Uploads an image the first time it is drawn. Returns null until it has loaded.
+  getTexture(image) {
+    if (this.textures.has(image)) return this.textures.get(image);
+    if (image.complete === false || !(image.naturalWidth || image.width)) return null;
+
+    const gl = this.gl;
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    texture.width = image.naturalWidth || image.width;
+    texture.height = image.naturalHeight || image.height;
+    this.textures.set(image, texture);
+    return texture;
   }
-  
-  retrieve(searchArea) {
-    const returnObjects = [];
-    
-    if (!this.intersects(this.bounds, searchArea)) {
-      return returnObjects;
-    }
-    
-    for (const item of this.objects) {
-      if (this.intersects(searchArea, item.bounds)) {
-        returnObjects.push(item);
-      }
-    }
-    
-    if (this.divided) {
-      for (const node of this.nodes) {
-        returnObjects.push(...node.retrieve(searchArea));
-      }
-    }
-    
-    return returnObjects;
+
+  // Uploads an image again after drawing to it, e.g. a canvas
+  updateTexture(image) {
+    const texture = this.textures.get(image);
+    if (!texture) return this.getTexture(image);
+
+    // Quads already batched with the old pixels draw first
+    if (texture === this.currentTexture) this.flush();
+    const gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+    texture.width = image.naturalWidth || image.width;
+    texture.height = image.naturalHeight || image.height;
+    return texture;
   }
-  
-  intersects(boundsA, boundsB) {
-    return !(boundsA.x > boundsB.x + boundsB.width ||
-             boundsA.x + boundsA.width < boundsB.x ||
-             boundsA.y > boundsB.y + boundsB.height ||
-             boundsA.y + boundsA.height < boundsB.y);
+
+  // Sprites at the same place in the draw order are grouped by texture so
+  // they batch together
+  compareSprites(a, b) {
+    return super.compareSprites(a, b) || this.getTextureId(a) - this.getTextureId(b);
   }
-  
-  clear() {
-    this.objects = [];
-    this.nodes = [];
-    this.divided = false;
+
+  getTextureId(sprite) {
+    const image = sprite.image;
+    if (!image) return 0;
+    if (!this.textureIds.has(image)) {
+      this.textureIds.set(image, this.nextTextureId++);
+    }
+    return this.textureIds.get(image);
   }
-  
-  getStats() {
-    let totalObjects = this.objects.length;
-    let totalNodes = 1;
-    
-    if (this.divided) {
-      for (const node of this.nodes) {
-        const stats = node.getStats();
-        totalObjects += stats.objects;
-        totalNodes += stats.nodes;
-      }
+
+  // corners and uvs (u, v pairs) run top-left, top-right, bottom-right,
+  // bottom-left
+  pushQuad(texture, corners, uvs, color) {
+    if (texture !== this.currentTexture || this.quadCount >= WebGLRenderer.maxQuads) {
+      this.flush();
+      this.currentTexture = texture;
     }
-    
-    return { objects: totalObjects, nodes: totalNodes };
+
+    let offset = this.quadCount * 4 * (WebGLRenderer.vertexSize / 4);
+    for (let i = 0; i < 4; i++) {
+      this.floats[offset] = corners[i].x;
+      this.floats[offset + 1] = corners[i].y;
+      this.floats[offset + 2] = uvs[i * 2];
+      this.floats[offset + 3] = uvs[i * 2 + 1];
+      this.colors[offset + 4] = color;
+      offset += WebGLRenderer.vertexSize / 4;
+    }
+    this.quadCount++;
   }
-}
 
-// QUALITY OF LIFE IMPROVEMENT #6: Enhanced Physics Engine with Layer System
-class PhysicsEngine {
-  constructor() {
-    this.gravity = new Vector2(0, 980);
-    this.collisionPairs = new Map();
-    this.quadtree = null;
-    this.quadtreeBounds = { x: 0, y: 0, width: 2000, height: 2000 };
-    this.maxObjectsPerNode = 10;
-    this.maxDepth = 8;
+  flush() {
+    if (this.quadCount === 0) return;
+
+    const gl = this.gl;
+    const length = this.quadCount * 4 * (WebGLRenderer.vertexSize / 4);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+    gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.floats.subarray(0, length));
+    gl.bindTexture(gl.TEXTURE_2D, this.currentTexture);
+    gl.drawElements(gl.TRIANGLES, this.quadCount * 6, gl.UNSIGNED_SHORT, 0);
+
+    this.quadCount = 0;
+    this.renderStats.drawCalls++;
   }
 
-  setCollisionRule(layerA, layerB, canCollide) {
-    PhysicsLayers.setCollisionRule(layerA, layerB, canCollide);
+  // Packs an RGBA colour into the byte order the vertex buffer expects
+  static packColor([r, g, b, a]) {
+    const byte = (channel) => Math.max(0, Math.min(255, Math.round(channel * 255)));
+    return ((byte(a) << 24) | (byte(b) << 16) | (byte(g) << 8) | byte(r)) >>> 0;
   }
 
-  update(scene) {
-    if (!scene) return;
+  render(scene) {
+    this.ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+    this.copiedRects = [];
+    super.render(scene);
+  }
+
+  beginFrame(scene, camera) {
+    const gl = this.gl;
+    const rect = camera.getViewportRect(this.canvas.width, this.canvas.height);
+    const [r, g, b, a] = Color.parse(this.getClearColor(scene, camera));
+
+    // GL counts viewport rows from the bottom
+    const x = Math.round(rect.x);
+    const y = Math.round(this.canvas.height - rect.y - rect.height);
+    const width = Math.round(rect.width);
+    const height = Math.round(rect.height);
+    gl.viewport(x, y, width, height);
+    gl.enable(gl.SCISSOR_TEST);
+    gl.scissor(x, y, width, height);
+    if (a > 0) {
+      gl.clearColor(r, g, b, a);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+
+    gl.useProgram(this.program);
+    gl.bindVertexArray(this.vao);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.uniform1i(this.uniforms.texture, 0);
+    const position = camera.getViewPosition();
+    const rotation = -camera.getViewRotation();
+    gl.uniform3f(this.uniforms.camera, position.x, position.y, camera.zoom);
+    gl.uniform2f(this.uniforms.rotation, Math.cos(rotation), Math.sin(rotation));
+    gl.uniform2f(this.uniforms.resolution, width, height);
+
+    this.currentTexture = null;
+    this.ctx.save();
+    this.applyCamera(this.ctx, camera);
+  }
 
-    const collidableObjects = scene.findGameObjectsWithComponent(Collider);
-    
-    // Only update quadtree if objects have changed significantly
-    if (this.shouldUpdateQuadtree(collidableObjects)) {
-      this.updateQuadtree(collidableObjects);
+  drawTilemap(tilemap, camera, viewBounds) {
+    const range = tilemap.getVisibleTileRange(viewBounds);
+    const white = WebGLRenderer.packColor([1, 1, 1, 1]);
+
+    for (let x = range.startX; x <= range.endX; x++) {
+      for (let y = range.startY; y <= range.endY; y++) {
+        const tileId = tilemap.getTileAt(x, y);
+        if (tileId === 0) continue;
+
+        const image = tilemap.tileSprites.get(tileId);
+        const texture = image && this.getTexture(image);
+        if (!texture) continue;
+
+        const pos = tilemap.tileToWorld(x, y);
+        const right = pos.x + tilemap.tileWidth;
+        const bottom = pos.y + tilemap.tileHeight;
+        this.pushQuad(
+          texture,
+          [pos, new Vector2(right, pos.y), new Vector2(right, bottom), new Vector2(pos.x, bottom)],
+          [0, 0, 1, 0, 1, 1, 0, 1],
+          white
+        );
+      }
     }
-    
-    const currentCollisions = new Set();
 
-    // Use quadtree for optimized collision detection
-    for (let i = 0; i < collidableObjects.length; i++) {
-      const objA = collidableObjects[i];
-      if (!objA.active) continue;
+    if (Debug.enabled) {
+      tilemap.drawCollisionDebug(this.ctx, range);
+    }
+  }
 
-      const colliderA = objA.getComponent(Collider);
-      if (!colliderA.enabled) continue;
+  drawParallax(background, camera, viewBounds) {
+    for (const rect of background.getDrawRects(camera, viewBounds)) {
+      const texture = rect.image ? this.getTexture(rect.image) : this.whiteTexture;
+      if (!texture) continue;
 
-      // Get potential collision candidates from quadtree
-      const candidates = this.getCollisionCandidates(objA);
-      
-      for (const objB of candidates) {
-        if (objA === objB || !objB.active) continue;
+      const color = rect.image ? [1, 1, 1, 1] : Color.parse(rect.color);
+      const right = rect.x + rect.width;
+      const bottom = rect.y + rect.height;
+      this.pushQuad(
+        texture,
+        [new Vector2(rect.x, rect.y), new Vector2(right, rect.y), new Vector2(right, bottom), new Vector2(rect.x, bottom)],
+        [0, 0, 1, 0, 1, 1, 0, 1],
+        WebGLRenderer.packColor([color[0], color[1], color[2], color[3] * rect.layer.alpha])
+      );
+    }
+  }
 
-        const colliderB = objB.getComponent(Collider);
-        if (!colliderB.enabled) continue;
+  drawSprite(sprite, camera) {
+    // Subclasses that draw themselves keep working on the overlay
+    if (sprite.draw !== SpriteRenderer.prototype.draw) {
+      sprite.draw(this.ctx, camera);
+      return;
+    }
 
-        // Check collision matrix
-        if (!PhysicsLayers.canCollide(colliderA.layer, colliderB.layer)) {
-          continue;
+    const tint = sprite.tint ? Color.parse(sprite.tint) : [1, 1, 1, 1];
+
+    if (sprite.hasSkeletonAttachments()) {
+      for (const quad of sprite.getSkeletonQuads()) {
+        const texture = this.getTexture(quad.source.image);
+        if (!texture) continue;
+        const color = [tint[0], tint[1], tint[2], tint[3] * sprite.alpha * quad.slot.alpha];
+        this.pushQuad(texture, quad.corners, WebGLRenderer.getSourceUVs(quad.source, texture), WebGLRenderer.packColor(color));
+      }
+    } else {
+      const source = sprite.getDrawSource();
+      const texture = source ? this.getTexture(source.image) : this.whiteTexture;
+      if (!texture) return;
+
+      let color = tint;
+      if (!source) {
+        color = Color.multiply(sprite.color || "#888888", color);
+      }
+      color = [color[0], color[1], color[2], color[3] * sprite.alpha];
+
+      const pieces = sprite.getSlicePieces(source);
+      if (pieces) {
+        for (const piece of pieces) {
+          const region = { x: piece.sx, y: piece.sy, width: piece.sw, height: piece.sh };
+          this.pushQuad(
+            texture,
+            sprite.getWorldCorners(piece),
+            WebGLRenderer.getSourceUVs(region, texture),
+            WebGLRenderer.packColor(color)
+          );
         }
+      } else {
+        const uvs = source ? WebGLRenderer.getSourceUVs(source, texture) : [0, 0, 1, 0, 1, 1, 0, 1];
+        const corners = sprite.getWorldCorners(sprite.getFrameRect(source));
+        this.pushQuad(texture, corners, uvs, WebGLRenderer.packColor(color));
+      }
+    }
 
-        const pairKey = this.getPairKey(objA.id, objB.id);
+    if (sprite.skeleton && Debug.enabled) {
+      const transform = sprite.gameObject.transform;
+      const pos = transform.worldPosition;
+      const scale = transform.worldScale;
+      this.ctx.save();
+      this.ctx.translate(pos.x, pos.y);
+      this.ctx.rotate(transform.worldRotation);
+      this.ctx.scale(scale.x * (sprite.flipX ? -1 : 1), scale.y * (sprite.flipY ? -1 : 1));
+      sprite.drawSkeleton(this.ctx);
+      this.ctx.restore();
+    }
+  }
+
+  // Glyphs and icons are quads in the batch, so text keeps its place in the
+  // draw order and is lit like sprites. Colours tint the white glyphs.
+  drawText(text, camera) {
+    const layout = text.getLayout();
+    const rect = text.getLocalRect();
+
+    for (const glyph of layout.glyphs) {
+      if (glyph.index >= text.visibleCharacters) break;
+
+      const offset = RichText.getEffectOffset(glyph, text.time);
+      const x = rect.x + glyph.x + offset.x;
+      const y = rect.y + glyph.y + offset.y;
+
+      let texture;
+      let source;
+      let quad = { x, y, width: glyph.width, height: glyph.height };
+      let color = Color.parse(glyph.style.color);
+      if (glyph.icon) {
+        source = SpriteRenderer.getRegionSource(glyph.icon);
+        texture = source && this.getTexture(source.image);
+        color = [1, 1, 1, 1];
+      } else if (glyph.image) {
+        source = glyph.source;
+        texture = this.getTexture(glyph.image);
+      } else {
+        const cell = this.getSystemGlyph(glyph.css, glyph.style.size, glyph.char);
+        source = cell.source;
+        texture = this.glyphTexture;
+        quad = { x: x + cell.left, y: y + cell.top, width: cell.width, height: cell.height };
+      }
+      if (!texture) continue;
 
-        if (this.checkCollision(objA, objB)) {
-          currentCollisions.add(pairKey);
+      this.pushQuad(
+        texture,
+        text.getWorldCorners(quad),
+        WebGLRenderer.getSourceUVs(source, texture),
+        WebGLRenderer.packColor([color[0], color[1], color[2], color[3] * text.alpha])
+      );
+    }
+  }
 
-          if (!this.collisionPairs.has(pairKey)) {
-            try {
-              colliderA.onCollisionEnter(objB);
-              colliderB.onCollisionEnter(objA);
-              this.collisionPairs.set(pairKey, { objA, objB });
-            } catch (error) {
-              Debug.error("Error in collision enter:", error);
-            }
-          }
+  // Shapes are split into quads at the on-screen resolution and batched
+  // with the white texture, so they keep their place in the draw order, are
+  // lit like sprites and stay sharp at any length or zoom. Only fills of
+  // paths with several subpaths are drawn into a canvas, one per shape.
+  drawShapes(shapes, camera) {
+    const transform = shapes.gameObject.transform;
+    const position = transform.worldPosition;
+    const scale = transform.worldScale;
+    const cos = Math.cos(transform.worldRotation);
+    const sin = Math.sin(transform.worldRotation);
+    const toWorld = (point) => {
+      const x = point.x * scale.x;
+      const y = point.y * scale.y;
+      return new Vector2(x * cos - y * sin + position.x, x * sin + y * cos + position.y);
+    };
+    const density = Math.max(Math.abs(scale.x), Math.abs(scale.y)) * camera.zoom;
+    if (!(density > 0)) return;
+
+    const uvs = [0, 0, 0, 0, 0, 0, 0, 0];
+    const pushQuads = (quads, css, alpha) => {
+      const [r, g, b, a] = Color.parse(css);
+      const color = WebGLRenderer.packColor([r, g, b, a * alpha]);
+      for (const quad of quads) {
+        this.pushQuad(this.whiteTexture, quad.map(toWorld), uvs, color);
+      }
+    };
 
-          try {
-            colliderA.onCollision(objB);
-            colliderB.onCollision(objA);
-            this.resolveCollision(objA, objB);
-          } catch (error) {
-            Debug.error("Error in collision resolution:", error);
-          }
-        } else if (this.collisionPairs.has(pairKey)) {
-          const pair = this.collisionPairs.get(pairKey);
-          try {
-            pair.objA.getComponent(Collider)?.onCollisionExit(pair.objB);
-            pair.objB.getComponent(Collider)?.onCollisionExit(pair.objA);
-          } catch (error) {
-            Debug.error("Error in collision exit:", error);
-          }
-          this.collisionPairs.delete(pairKey);
-        }
+    for (const shape of shapes.shapes) {
+      const alpha = shapes.alpha * shape.alpha;
+      const mesh = ShapeRenderer.getMesh(shape, 1 / density);
+      if (shape.fill) {
+        if (mesh.fill) pushQuads(mesh.fill, shape.fill, alpha);
+        else this.drawFillRaster(shapes, shape, density, alpha);
       }
+      if (mesh.stroke.length > 0) pushQuads(mesh.stroke, shape.stroke, alpha * mesh.strokeAlpha);
+    }
+  }
+
+  // The canvas matches the on-screen size, rounded up to a power of two so
+  // zooming doesn't redraw it every frame
+  drawFillRaster(shapes, shape, density, alpha) {
+    const raster = shapes.getFillRaster(shape, Math.pow(2, Math.ceil(Math.log2(Math.max(1, density)))));
+    if (!raster) return;
+
+    const uploaded = this.textures.get(raster.image);
+    const texture =
+      uploaded && uploaded.version !== raster.version ? this.updateTexture(raster.image) : this.getTexture(raster.image);
+    if (!texture) return;
+    texture.version = raster.version;
+
+    this.pushQuad(texture, shapes.getWorldCorners(raster.rect), [0, 0, 1, 0, 1, 1, 0, 1], WebGLRenderer.packColor([1, 1, 1, alpha]));
+  }
+
+  // System-font glyphs are drawn white, once each, into a shared texture.
+  // Returns the glyph's texture region and its rect around the pen position
+  // on the baseline.
+  getSystemGlyph(css, size, char) {
+    const key = `${css}|${char}`;
+    if (this.systemGlyphs.has(key)) return this.systemGlyphs.get(key);
+
+    const gl = this.gl;
+    const atlasSize = WebGLRenderer.glyphAtlasSize;
+    const scale = WebGLRenderer.glyphScale;
+    if (!this.glyphTexture) {
+      this.glyphTexture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, this.glyphTexture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, atlasSize, atlasSize, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      this.glyphTexture.width = atlasSize;
+      this.glyphTexture.height = atlasSize;
+      this.glyphCanvas = document.createElement("canvas");
+      this.glyphCursor = { x: 0, y: 0, rowHeight: 0 };
+    }
+
+    // Room around the advance for italics and descenders
+    const ctx = this.glyphCanvas.getContext("2d");
+    ctx.font = css;
+    const padding = Math.ceil(size * 0.25);
+    const ascent = Math.ceil(size);
+    const width = Math.ceil(ctx.measureText(char).width) + padding * 2;
+    const height = ascent + Math.ceil(size * 0.3) + padding * 2;
+    const pixelWidth = width * scale;
+    const pixelHeight = height * scale;
+
+    const cursor = this.glyphCursor;
+    if (cursor.x + pixelWidth > atlasSize) {
+      cursor.x = 0;
+      cursor.y += cursor.rowHeight;
+      cursor.rowHeight = 0;
+    }
+    if (cursor.y + pixelHeight > atlasSize) {
+      // Full: draw what uses the old glyphs, then start again
+      this.flush();
+      this.systemGlyphs.clear();
+      cursor.x = 0;
+      cursor.y = 0;
+      cursor.rowHeight = 0;
+    }
+
+    // Resizing clears the canvas and its settings
+    this.glyphCanvas.width = pixelWidth;
+    this.glyphCanvas.height = pixelHeight;
+    ctx.scale(scale, scale);
+    ctx.font = css;
+    ctx.fillStyle = "#ffffff";
+    ctx.textBaseline = "alphabetic";
+    ctx.fillText(char, padding, padding + ascent);
+    gl.bindTexture(gl.TEXTURE_2D, this.glyphTexture);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, cursor.x, cursor.y, gl.RGBA, gl.UNSIGNED_BYTE, this.glyphCanvas);
+
+    const glyph = {
+      source: { x: cursor.x, y: cursor.y, width: pixelWidth, height: pixelHeight },
+      left: -padding,
+      top: -(padding + ascent),
+      width,
+      height,
+    };
+    cursor.x += pixelWidth;
+    cursor.rowHeight = Math.max(cursor.rowHeight, pixelHeight);
+    this.systemGlyphs.set(key, glyph);
+    return glyph;
+  }
+
+  static getSourceUVs(source, texture) {
+    const left = source.x / texture.width;
+    const top = source.y / texture.height;
+    if (source.rotated) {
+      // Stored turned clockwise, so the sprite's top-left is the region's top-right
+      const right = (source.x + source.height) / texture.width;
+      const bottom = (source.y + source.width) / texture.height;
+      return [right, top, right, bottom, left, bottom, left, top];
+    }
+    const right = (source.x + source.width) / texture.width;
+    const bottom = (source.y + source.height) / texture.height;
+    return [left, top, right, top, right, bottom, left, bottom];
+  }
+
+  // Effects work in 2D, so the WebGL frame is copied under the overlay's
+  // drawing first. Only screen-wide effects, which run after every camera,
+  // come here; see applyCameraPostProcessing().
+  getPostProcessContext(rect) {
+    const copied = this.copiedRects.some(
+      (other) =>
+        other.x <= rect.x &&
+        other.y <= rect.y &&
+        other.x + other.width >= rect.x + rect.width &&
+        other.y + other.height >= rect.y + rect.height
+    );
+    if (copied) return this.ctx;
+    this.copiedRects.push(rect);
+
+    this.ctx.save();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.globalCompositeOperation = "destination-over";
+    this.ctx.drawImage(this.canvas, rect.x, rect.y, rect.width, rect.height, rect.x, rect.y, rect.width, rect.height);
+    this.ctx.restore();
+    return this.ctx;
+  }
+
+  // A camera's effects are applied to a 2D copy of its viewport, overlay
+  // drawing included, and the result replaces the viewport in the WebGL
+  // frame. Cameras drawn later, such as a minimap, still draw over it.
+  applyCameraPostProcessing(camera) {
+    const stack = camera.postProcessing;
+    if (!stack || !stack.isActive()) return;
+
+    // Same pixels as the viewport set in beginFrame
+    const rect = camera.getViewportRect(this.canvas.width, this.canvas.height);
+    const x = Math.round(rect.x);
+    const y = Math.round(rect.y);
+    const width = Math.round(rect.width);
+    const height = Math.round(rect.height);
+    if (width <= 0 || height <= 0) return;
+
+    if (!this.effectCanvas) {
+      this.effectCanvas = document.createElement("canvas");
+      this.effectCtx = this.effectCanvas.getContext("2d");
     }
+    if (this.effectCanvas.width !== width || this.effectCanvas.height !== height) {
+      this.effectCanvas.width = width;
+      this.effectCanvas.height = height;
+    }
+
+    const ctx = this.effectCtx;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(this.canvas, x, y, width, height, 0, 0, width, height);
+    ctx.drawImage(this.overlay, x, y, width, height, 0, 0, width, height);
+    this.ctx.save();
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.clearRect(x, y, width, height);
+    this.ctx.restore();
+
+    ctx.save();
+    stack.apply(ctx, { x: 0, y: 0, width, height });
+    ctx.restore();
 
-    // Clean up old collision pairs
-    for (const [key, pair] of this.collisionPairs) {
-      if (!currentCollisions.has(key)) {
-        this.collisionPairs.delete(key);
-      }
-    }
+    // The camera's viewport and view are still set from beginFrame
+    const gl = this.gl;
+    const texture = this.updateTexture(this.effectCanvas);
+    gl.bindVertexArray(this.vao);
+    gl.enable(gl.SCISSOR_TEST);
+    gl.disable(gl.BLEND);
+    this.pushQuad(
+      texture,
+      Lighting.getViewCorners(camera, { width, height }),
+      [0, 0, 1, 0, 1, 1, 0, 1],
+      WebGLRenderer.packColor([1, 1, 1, 1])
+    );
+    this.flush();
+    gl.enable(gl.BLEND);
+    gl.bindVertexArray(null);
+    gl.disable(gl.SCISSOR_TEST);
+  }
+
+  // Uploads the lightmap each frame and multiplies it over the view
+  drawLighting(lighting, scene, camera, viewBounds) {
+    const gl = this.gl;
+    const rect = camera.getViewportRect(this.canvas.width, this.canvas.height);
+    const lightmap = lighting.renderLightmap(scene, camera, rect, viewBounds);
+
+    this.flush();
+    if (!this.lightTexture) {
+      this.lightTexture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, this.lightTexture);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    }
+    gl.bindTexture(gl.TEXTURE_2D, this.lightTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, lightmap);
+
+    gl.blendFunc(gl.DST_COLOR, gl.ZERO);
+    this.pushQuad(
+      this.lightTexture,
+      Lighting.getViewCorners(camera, rect),
+      [0, 0, 1, 0, 1, 1, 0, 1],
+      WebGLRenderer.packColor([1, 1, 1, 1])
+    );
+    this.flush();
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
   }
 
-  getPairKey(idA, idB) {
-    return idA < idB ? `${idA}-${idB}` : `${idB}-${idA}`;
+  endFrame(scene, camera) {
+    this.flush();
+    this.gl.bindVertexArray(null);
+    this.gl.disable(this.gl.SCISSOR_TEST);
+    this.ctx.restore();
   }
-  
-  shouldUpdateQuadtree(objects) {
-    // Only update quadtree if number of objects changed significantly
-    if (!this.lastObjectCount) {
-      this.lastObjectCount = objects.length;
-      return true;
-    }
-    
-    const changeThreshold = Math.max(5, this.lastObjectCount * 0.1); // 10% change or 5 objects
-    const hasSignificantChange = Math.abs(objects.length - this.lastObjectCount) > changeThreshold;
-    
-    if (hasSignificantChange) {
-      this.lastObjectCount = objects.length;
-      return true;
-    }
-    
-    return false;
+
+  resize(width, height) {
+    super.resize(width, height);
+    this.overlay.width = width;
+    this.overlay.height = height;
   }
-  
-  // Quadtree methods
-  updateQuadtree(objects) {
-    // Dynamically adjust quadtree bounds based on object positions
-    this.updateQuadtreeBounds(objects);
-    
-    this.quadtree = new Quadtree(this.quadtreeBounds, this.maxObjectsPerNode, this.maxDepth);
-    
-    for (const obj of objects) {
-      if (obj.active) {
-        const collider = obj.getComponent(Collider);
-        if (collider && collider.enabled) {
-          const bounds = collider.getBounds();
-          this.quadtree.insert({
-            object: obj,
-            bounds: bounds
-          });
-        }
-      }
+
+  destroy() {
+    const gl = this.gl;
+    gl.deleteBuffer(this.vertexBuffer);
+    gl.deleteBuffer(this.indexBuffer);
+    gl.deleteVertexArray(this.vao);
+    gl.deleteTexture(this.whiteTexture);
+    gl.deleteProgram(this.program);
+
+    if (this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
     }
   }
-  
-  updateQuadtreeBounds(objects) {
-    if (objects.length === 0) return;
-    
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    
-    for (const obj of objects) {
-      if (obj.active) {
-        const collider = obj.getComponent(Collider);
-        if (collider && collider.enabled) {
-          const bounds = collider.getBounds();
-          minX = Math.min(minX, bounds.left);
-          minY = Math.min(minY, bounds.top);
-          maxX = Math.max(maxX, bounds.right);
-          maxY = Math.max(maxY, bounds.bottom);
-        }
-      }
-    }
-    
-    // Add padding to bounds
-    const padding = 100;
-    this.quadtreeBounds = {
-      x: minX - padding,
-      y: minY - padding,
-      width: (maxX - minX) + padding * 2,
-      height: (maxY - minY) + padding * 2
-    };
+}
+
+// ==================== POST-PROCESSING ====================
+
+// One step of a PostProcessStack. apply() draws over the finished frame
+// inside rect, with the transform reset; numeric options are plain fields,
+// so effects can be tweened. name, unless options give one, is what
+// PostProcessStack.get() finds the effect by.
+class PostEffect {
+  constructor(options = {}, name = "PostEffect") {
+    this.name = options.name || name;
+    this.enabled = options.enabled ?? true;
   }
-  
-  getCollisionCandidates(obj) {
-    if (!this.quadtree) return [];
-    
-    const collider = obj.getComponent(Collider);
-    if (!collider) return [];
-    
-    const bounds = collider.getBounds();
-    const searchArea = {
-      x: bounds.left,
-      y: bounds.top,
-      width: bounds.right - bounds.left,
-      height: bounds.bottom - bounds.top
-    };
-    
-    const candidates = this.quadtree.retrieve(searchArea);
-    return candidates.map(item => item.object);
+
+  // False when the effect would change nothing, so the stack can skip it
+  isActive() {
+    return true;
   }
-  
-  setQuadtreeBounds(x, y, width, height) {
-    this.quadtreeBounds = { x, y, width, height };
+
+  update(deltaTime) {}
+
+  apply(ctx, rect, stack) {}
+}
+
+class Vignette extends PostEffect {
+  constructor(options = {}) {
+    super(options, "Vignette");
+    this.color = options.color || "#000000";
+    this.intensity = options.intensity ?? 0.5;
+    // Fraction of the half-diagonal where the edge reaches full strength,
+    // and how much of that distance it fades in over
+    this.radius = options.radius ?? 1;
+    this.softness = options.softness ?? 0.6;
   }
-  
-  setQuadtreeSettings(maxObjects, maxDepth) {
-    this.maxObjectsPerNode = maxObjects;
-    this.maxDepth = maxDepth;
+
+  isActive() {
+    return this.intensity > 0;
   }
 
-  // Enhanced collision resolution for Player vs Platform interactions
-  resolveCollision(objA, objB) {
-    const colliderA = objA.getComponent(Collider);
-    const colliderB = objB.getComponent(Collider);
+  apply(ctx, rect) {
+    const centerX = rect.x + rect.width / 2;
+    const centerY = rect.y + rect.height / 2;
+    const outer = (Math.hypot(rect.width, rect.height) / 2) * this.radius;
+    const inner = outer * (1 - this.softness);
+    const [r, g, b, a] = Color.parse(this.color);
 
-    // Skip if either is a trigger
-    if (colliderA.isTrigger || colliderB.isTrigger) return;
-
-    // Handle Player vs Platform collisions specifically
-    let player, platform, playerCollider, platformCollider;
-    if (colliderA.layer === "Player" && colliderB.layer === "Platform") {
-      player = objA;
-      platform = objB;
-      playerCollider = colliderA;
-      platformCollider = colliderB;
-    } else if (colliderB.layer === "Player" && colliderA.layer === "Platform") {
-      player = objB;
-      platform = objA;
-      playerCollider = colliderB;
-      platformCollider = colliderA;
-    } else {
-      // For other collisions, use simple resolution
-      this.resolveSimpleCollision(objA, objB);
-      return;
+    const gradient = ctx.createRadialGradient(centerX, centerY, inner, centerX, centerY, outer);
+    gradient.addColorStop(0, Color.toCss([r, g, b, 0]));
+    gradient.addColorStop(1, Color.toCss([r, g, b, a * Math.min(1, this.intensity)]));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+  }
+}
+
+// Brightness, contrast and saturation are multipliers, hue is in degrees,
+// tint is multiplied in. A lookup table image (N slices of N×N laid out
+// in a row, as exported for Unity) remaps every colour; it is applied per
+// pixel on the CPU, so it costs more than the other settings.
+class ColorGrading extends PostEffect {
+  constructor(options = {}) {
+    super(options, "ColorGrading");
+    this.brightness = options.brightness ?? 1;
+    this.contrast = options.contrast ?? 1;
+    this.saturation = options.saturation ?? 1;
+    this.hue = options.hue ?? 0;
+    this.tint = options.tint || null;
+    this.lut = options.lut || null;
+    this.lutIntensity = options.lutIntensity ?? 1;
+    this.lutTable = null;
+    this.lutSource = null;
+  }
+
+  isActive() {
+    return (
+      this.brightness !== 1 ||
+      this.contrast !== 1 ||
+      this.saturation !== 1 ||
+      this.hue !== 0 ||
+      !!this.tint ||
+      (!!this.lut && this.lutIntensity > 0)
+    );
+  }
+
+  apply(ctx, rect, stack) {
+    if (this.brightness !== 1 || this.contrast !== 1 || this.saturation !== 1 || this.hue !== 0) {
+      const frame = stack.snapshot(ctx, rect);
+      ctx.filter =
+        `brightness(${this.brightness}) contrast(${this.contrast}) ` +
+        `saturate(${this.saturation}) hue-rotate(${this.hue}deg)`;
+      ctx.drawImage(frame, 0, 0, rect.width, rect.height, rect.x, rect.y, rect.width, rect.height);
+      ctx.filter = "none";
     }
 
-    const playerBounds = playerCollider.getBounds();
-    const platformBounds = platformCollider.getBounds();
+    if (this.tint) {
+      ctx.globalCompositeOperation = "multiply";
+      ctx.fillStyle = this.tint;
+      ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+      ctx.globalCompositeOperation = "source-over";
+    }
 
-    // Calculate overlap
-    const overlapX = Math.min(
-      playerBounds.right - platformBounds.left,
-      platformBounds.right - playerBounds.left
-    );
-    const overlapY = Math.min(
-      playerBounds.bottom - platformBounds.top,
-      platformBounds.bottom - playerBounds.top
-    );
+    if (this.lut && this.lutIntensity > 0) {
+      this.applyLut(ctx, rect);
+    }
+  }
 
-    // Only resolve if there's significant overlap
-    if (overlapX > 1 && overlapY > 1) {
-      if (overlapX < overlapY) {
-        // Horizontal collision - push player away
-        const moveX = overlapX * (playerBounds.centerX < platformBounds.centerX ? -1 : 1);
-        player.transform.position.x += moveX;
-        
-        // Stop horizontal velocity
-        const rigidbody = player.getComponent(Rigidbody);
-        if (rigidbody) {
-          rigidbody.velocity.x = 0;
-        }
-      } else {
-        // Vertical collision
-        if (playerBounds.centerY < platformBounds.centerY) {
-          // Player is above platform - land on it
-          player.transform.position.y = platformBounds.top - playerBounds.height / 2;
-          
-          // Stop downward velocity and set grounded
-          const rigidbody = player.getComponent(Rigidbody);
-          if (rigidbody && rigidbody.velocity.y > 0) {
-            rigidbody.velocity.y = 0;
-          }
-          
-          // Set player as grounded
-          const playerComponent = player.getComponent(Player);
-          if (playerComponent) {
-            playerComponent.setGrounded(true);
-          }
-        } else {
-          // Player is below platform - push down
-          const moveY = overlapY;
-          player.transform.position.y += moveY;
-          
-          // Stop upward velocity
-          const rigidbody = player.getComponent(Rigidbody);
-          if (rigidbody && rigidbody.velocity.y < 0) {
-            rigidbody.velocity.y = 0;
-          }
-        }
-      }
+  // Reads the LUT image into a flat RGB table, once per image
+  getLutTable() {
+    if (this.lutSource === this.lut) return this.lutTable;
+    const image = this.lut;
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    if (!width || !height || width !== height * height) {
+      if (width && height) Debug.warn(`LUT must be ${height * height}×${height}, got ${width}×${height}`);
+      return null;
     }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const lutCtx = canvas.getContext("2d");
+    lutCtx.drawImage(image, 0, 0);
+    this.lutTable = { size: height, data: lutCtx.getImageData(0, 0, width, height).data };
+    this.lutSource = image;
+    return this.lutTable;
+  }
+
+  applyLut(ctx, rect) {
+    const table = this.getLutTable();
+    if (!table) return;
+
+    const x = Math.round(rect.x);
+    const y = Math.round(rect.y);
+    const width = Math.round(rect.width);
+    const height = Math.round(rect.height);
+    const image = ctx.getImageData(x, y, width, height);
+    const pixels = image.data;
+    const size = table.size;
+    const scale = (size - 1) / 255;
+    const rowLength = size * size * 4;
+    const mix = Math.min(1, this.lutIntensity);
+
+    for (let i = 0; i < pixels.length; i += 4) {
+      const r = Math.round(pixels[i] * scale);
+      const g = Math.round(pixels[i + 1] * scale);
+      const b = Math.round(pixels[i + 2] * scale);
+      // Blue picks the slice, red the column in it, green the row
+      const index = g * rowLength + (b * size + r) * 4;
+      pixels[i] += (table.data[index] - pixels[i]) * mix;
+      pixels[i + 1] += (table.data[index + 1] - pixels[i + 1]) * mix;
+      pixels[i + 2] += (table.data[index + 2] - pixels[i + 2]) * mix;
+    }
+    ctx.putImageData(image, x, y);
   }
+}
 
-  // Simple collision resolution for non-player collisions
-  resolveSimpleCollision(objA, objB) {
-    const colliderA = objA.getComponent(Collider);
-    const colliderB = objB.getComponent(Collider);
+// Brightness above threshold (0-1), blurred and added back on top
+class Bloom extends PostEffect {
+  constructor(options = {}) {
+    super(options, "Bloom");
+    this.threshold = options.threshold ?? 0.6;
+    this.intensity = options.intensity ?? 0.8;
+    this.radius = options.radius ?? 8; // Blur, in screen pixels
+    this.downsample = options.downsample ?? 4; // Glow is worked out at 1/n size
+  }
 
-    if (colliderA.isTrigger || colliderB.isTrigger) return;
+  isActive() {
+    return this.intensity > 0;
+  }
 
-    const boundsA = colliderA.getBounds();
-    const boundsB = colliderB.getBounds();
+  apply(ctx, rect, stack) {
+    const scale = 1 / Math.max(1, this.downsample);
+    const width = Math.max(1, Math.round(rect.width * scale));
+    const height = Math.max(1, Math.round(rect.height * scale));
+    const glow = stack.getBuffer(1, width, height);
 
-    const overlapX = Math.min(
-      boundsA.right - boundsB.left,
-      boundsB.right - boundsA.left
-    );
-    const overlapY = Math.min(
-      boundsA.bottom - boundsB.top,
-      boundsB.bottom - boundsA.top
-    );
+    // brightness then contrast maps threshold..1 onto 0..1 and clips the rest
+    const t = Math.min(0.99, Math.max(0, this.threshold));
+    glow.ctx.clearRect(0, 0, width, height);
+    glow.ctx.filter = `brightness(${1 / (1 + t)}) contrast(${(1 + t) / (1 - t)}) blur(${this.radius * scale}px)`;
+    glow.ctx.drawImage(ctx.canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, width, height);
+    glow.ctx.filter = "none";
 
-    if (overlapX < overlapY) {
-      const moveX = (overlapX / 2) * (boundsA.centerX < boundsB.centerX ? -1 : 1);
-      objA.transform.position.x += moveX;
-      objB.transform.position.x -= moveX;
-    } else {
-      const moveY = (overlapY / 2) * (boundsA.centerY < boundsB.centerY ? -1 : 1);
-      objA.transform.position.y += moveY;
-      objB.transform.position.y -= moveY;
-    }
+    ctx.globalCompositeOperation = "lighter";
+    ctx.globalAlpha = Math.min(1, this.intensity);
+    ctx.drawImage(glow.canvas, 0, 0, width, height, rect.x, rect.y, rect.width, rect.height);
   }
+}
 
-  checkCollision(objA, objB) {
-    const colliderA = objA.getComponent(Collider);
-    const colliderB = objB.getComponent(Collider);
+// Dark horizontal lines every `spacing` pixels, optionally rolling down
+class Scanlines extends PostEffect {
+  constructor(options = {}) {
+    super(options, "Scanlines");
+    this.intensity = options.intensity ?? 0.25;
+    this.spacing = options.spacing ?? 3;
+    this.thickness = options.thickness ?? 1;
+    this.speed = options.speed ?? 0; // Pixels per second
+    this.offset = 0;
+  }
 
-    if (!colliderA || !colliderB) return false;
+  isActive() {
+    return this.intensity > 0 && this.spacing > 0;
+  }
 
-    const boundsA = colliderA.getBounds();
-    const boundsB = colliderB.getBounds();
+  update(deltaTime) {
+    this.offset = (this.offset + this.speed * deltaTime) % this.spacing;
+  }
 
-    return !(
-      boundsA.right < boundsB.left ||
-      boundsA.left > boundsB.right ||
-      boundsA.bottom < boundsB.top ||
-      boundsA.top > boundsB.bottom
-    );
+  apply(ctx, rect) {
+    ctx.fillStyle = `rgba(0, 0, 0, ${Math.min(1, this.intensity)})`;
+    for (let y = rect.y + this.offset - this.spacing; y < rect.y + rect.height; y += this.spacing) {
+      ctx.fillRect(rect.x, y, rect.width, this.thickness);
+    }
+  }
+}
+
+// Splits red from green and blue, offset pixels apart along angle
+class ChromaticAberration extends PostEffect {
+  constructor(options = {}) {
+    super(options, "ChromaticAberration");
+    this.offset = options.offset ?? 2;
+    this.angle = options.angle ?? 0;
   }
 
+  isActive() {
+    return this.offset !== 0;
+  }
+
+  apply(ctx, rect, stack) {
+    const frame = stack.snapshot(ctx, rect);
+    const red = stack.getBuffer(1, rect.width, rect.height);
+    const cyan = stack.getBuffer(2, rect.width, rect.height);
+    for (const [buffer, color] of [[red, "#ff0000"], [cyan, "#00ffff"]]) {
+      buffer.ctx.globalCompositeOperation = "source-over";
+      buffer.ctx.drawImage(frame, 0, 0);
+      buffer.ctx.globalCompositeOperation = "multiply";
+      buffer.ctx.fillStyle = color;
+      buffer.ctx.fillRect(0, 0, rect.width, rect.height);
+    }
 
+    const dx = Math.cos(this.angle) * this.offset;
+    const dy = Math.sin(this.angle) * this.offset;
+    ctx.fillStyle = "#000000";
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.globalCompositeOperation = "lighter";
+    ctx.drawImage(red.canvas, 0, 0, rect.width, rect.height, rect.x - dx, rect.y - dy, rect.width, rect.height);
+    ctx.drawImage(cyan.canvas, 0, 0, rect.width, rect.height, rect.x + dx, rect.y + dy, rect.width, rect.height);
+  }
 }
 
-class Renderer {
-  constructor(canvas, ctx) {
-    this.canvas = canvas;
-    this.ctx = ctx;
-    this.backgroundColor = "#000000";
-    this.renderStats = {
-      objectsRendered: 0,
-      culledObjects: 0,
-    };
+// Colour over the whole view that fades out after flash()
+class ScreenFlash extends PostEffect {
+  constructor(options = {}) {
+    super(options, "ScreenFlash");
+    this.color = options.color || "#ffffff";
+    this.amount = 0;
+    this.duration = 0.2;
   }
 
-  render(scene) {
-    if (!scene) return;
+  isActive() {
+    return this.amount > 0;
+  }
 
-    this.renderStats.objectsRendered = 0;
-    this.renderStats.culledObjects = 0;
+  flash(color = this.color, duration = 0.2) {
+    this.color = color;
+    this.duration = duration;
+    this.amount = 1;
+  }
 
-    this.ctx.fillStyle = scene.backgroundColor || this.backgroundColor;
-    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+  update(deltaTime) {
+    if (this.amount <= 0) return;
+    this.amount = this.duration > 0 ? Math.max(0, this.amount - deltaTime / this.duration) : 0;
+  }
 
-    this.ctx.save();
+  apply(ctx, rect) {
+    ctx.globalAlpha = this.amount;
+    ctx.fillStyle = this.color;
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+  }
+}
 
-    const camera = scene.camera;
-    this.ctx.translate(
-      this.canvas.width / 2 - camera.position.x * camera.zoom,
-      this.canvas.height / 2 - camera.position.y * camera.zoom
-    );
-    this.ctx.scale(camera.zoom, camera.zoom);
+// Covers the view with a colour; amount 1 is fully covered. fadeTo()
+// resolves when it gets there, or false if another fade replaces it.
+class ScreenFade extends PostEffect {
+  constructor(options = {}) {
+    super(options, "ScreenFade");
+    this.color = options.color || "#000000";
+    this.amount = options.amount ?? 0;
+    this.fade = null;
+  }
 
-    const viewBounds = camera.getViewBounds(
-      this.canvas.width,
-      this.canvas.height
-    );
+  isActive() {
+    return this.amount > 0;
+  }
 
-    // Render tilemaps first (background layer)
-    const tilemapObjects = scene.findGameObjectsWithComponent(Tilemap);
-    tilemapObjects.forEach((obj) => {
-      if (obj.active) {
-        const tilemap = obj.getComponent(Tilemap);
-        tilemap.draw(this.ctx, camera);
-      }
+  fadeTo(amount, duration = 0.5, color = this.color) {
+    this.color = color;
+    if (this.fade) this.fade.resolve(false);
+    if (duration <= 0) {
+      this.amount = amount;
+      this.fade = null;
+      return Promise.resolve(true);
+    }
+    return new Promise((resolve) => {
+      this.fade = { from: this.amount, to: amount, duration, elapsed: 0, resolve };
     });
+  }
 
-    // Then render sprite objects
-    const renderableObjects = scene
-      .findGameObjectsWithComponent(SpriteRenderer)
-      .map((obj) => ({
-        gameObject: obj,
-        renderer: obj.getComponent(SpriteRenderer),
-      }))
-      .filter((item) => item.gameObject.active && item.renderer.enabled)
-      .sort((a, b) => a.renderer.layer - b.renderer.layer);
-
-    renderableObjects.forEach(({ gameObject, renderer }) => {
-      const pos = gameObject.transform.position;
-      const halfWidth = renderer.width / 2;
-      const halfHeight = renderer.height / 2;
+  update(deltaTime) {
+    const fade = this.fade;
+    if (!fade) return;
+    fade.elapsed += deltaTime;
+    const t = Math.min(1, fade.elapsed / fade.duration);
+    this.amount = fade.from + (fade.to - fade.from) * t;
+    if (t >= 1) {
+      this.fade = null;
+      fade.resolve(true);
+    }
+  }
 
-      if (
-        pos.x + halfWidth < viewBounds.left ||
-        pos.x - halfWidth > viewBounds.right ||
-        pos.y + halfHeight < viewBounds.top ||
-        pos.y - halfHeight > viewBounds.bottom
-      ) {
-        this.renderStats.culledObjects++;
-        return;
-      }
+  apply(ctx, rect) {
+    ctx.globalAlpha = Math.min(1, this.amount);
+    ctx.fillStyle = this.color;
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+  }
+}
 
-      try {
-        renderer.draw(this.ctx, camera);
-        this.renderStats.objectsRendered++;
-      } catch (error) {
-        Debug.error(`Error rendering ${gameObject.name}:`, error);
-      }
-    });
+// Effects applied in order to a finished frame. The renderer has one for
+// the whole engine, and every scene and camera has its own.
+class PostProcessStack {
+  constructor() {
+    this.effects = [];
+    this.enabled = true;
+    this.buffers = [];
+  }
 
-    this.ctx.restore();
+  add(effect) {
+    this.effects.push(effect);
+    return effect;
+  }
 
-    if (Debug.enabled) {
-      this.renderDebugInfo(scene);
+  remove(effect) {
+    const index = this.effects.indexOf(effect);
+    if (index > -1) {
+      this.effects.splice(index, 1);
     }
   }
 
-  renderDebugInfo(scene) {
-    const collidableObjects = scene.findGameObjectsWithComponent(Collider);
-
-    this.ctx.save();
-    const camera = scene.camera;
-    this.ctx.translate(
-      this.canvas.width / 2 - camera.position.x * camera.zoom,
-      this.canvas.height / 2 - camera.position.y * camera.zoom
+  // By class or by name
+  get(type) {
+    return (
+      this.effects.find((effect) =>
+        typeof type === "string" ? effect.name === type : effect instanceof type
+      ) || null
     );
-    this.ctx.scale(camera.zoom, camera.zoom);
+  }
 
-    collidableObjects.forEach((obj) => {
-      if (!obj.active) return;
-      const collider = obj.getComponent(Collider);
-      if (collider.enabled) {
-        const bounds = collider.getBounds();
-        this.ctx.strokeStyle = collider.isTrigger ? "yellow" : "red";
-        this.ctx.lineWidth = 1 / camera.zoom;
-        this.ctx.strokeRect(
-          bounds.left,
-          bounds.top,
-          bounds.width,
-          bounds.height
-        );
-      }
-    });
+  // The stack's flash or fade effect, added at the end on first use
+  getOrAdd(Type) {
+    return this.get(Type) || this.add(new Type());
+  }
 
-    this.ctx.restore();
+  flash(color = "#ffffff", duration = 0.2) {
+    this.getOrAdd(ScreenFlash).flash(color, duration);
+  }
 
-    this.ctx.fillStyle = "white";
-    this.ctx.font = "12px Arial";
-    this.ctx.fillText(`Objects: ${this.renderStats.objectsRendered}`, 10, 20);
-    this.ctx.fillText(`Culled: ${this.renderStats.culledObjects}`, 10, 35);
+  fadeOut(duration = 0.5, color = "#000000") {
+    return this.getOrAdd(ScreenFade).fadeTo(1, duration, color);
   }
 
-  setBackgroundColor(color) {
-    this.backgroundColor = color;
+  fadeIn(duration = 0.5) {
+    return this.getOrAdd(ScreenFade).fadeTo(0, duration);
   }
 
-  getCanvas() {
-    return this.canvas;
+  isActive() {
+    return this.enabled && this.effects.some((effect) => effect.enabled && effect.isActive());
   }
 
-  getContext() {
-    return this.ctx;
+  update(deltaTime) {
+    this.effects.forEach((effect) => effect.update(deltaTime));
   }
 
-  resize(width, height) {
-    this.canvas.width = width;
-    this.canvas.height = height;
+  apply(ctx, rect) {
+    for (const effect of this.effects) {
+      if (!effect.enabled || !effect.isActive()) continue;
+      ctx.save();
+      effect.apply(ctx, rect, this);
+      ctx.restore();
+    }
+  }
+
+  // Scratch canvas kept between frames
+  getBuffer(index, width, height) {
+    if (!this.buffers[index]) {
+      const canvas = document.createElement("canvas");
+      this.buffers[index] = { canvas, ctx: canvas.getContext("2d") };
+    }
+    const buffer = this.buffers[index];
+    width = Math.max(1, Math.round(width));
+    height = Math.max(1, Math.round(height));
+    if (buffer.canvas.width !== width || buffer.canvas.height !== height) {
+      buffer.canvas.width = width;
+      buffer.canvas.height = height;
+    }
+    return buffer;
+  }
+
+  // Copy of the frame inside rect, for effects that redraw it
+  snapshot(ctx, rect) {
+    const buffer = this.getBuffer(0, rect.width, rect.height);
+    buffer.ctx.globalCompositeOperation = "copy";
+    buffer.ctx.drawImage(ctx.canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height);
+    buffer.ctx.globalCompositeOperation = "source-over";
+    return buffer.canvas;
   }
 }
 
@@ -4690,9 +13420,12 @@ class GameLoop {
       this.engine.inputManager.update();
 
       while (this.accumulator >= this.timeStep) {
+        Gizmos.update(this.timeStep / 1000);
         this.engine.sceneManager.update(this.timeStep / 1000);
+        this.engine.postProcessing.update(this.timeStep / 1000);
         this.engine.physicsEngine.update(
-          this.engine.sceneManager.getActiveScene()
+          this.engine.sceneManager.getActiveScene(),
+          this.timeStep / 1000
         );
         this.accumulator -= this.timeStep;
       }
@@ -4720,20 +13453,23 @@ class SeedFrameEngine {
       containerId: null,
       backgroundColor: "#000000",
       debug: false,
+      renderer: "canvas",
       ...config,
     };
 
     Debug.enabled = this.config.debug;
 
     this.canvas = this.createCanvas();
-    this.ctx = this.canvas.getContext("2d");
 
     this.inputManager = new InputManager();
     this.inputManager.setCanvas(this.canvas);
     this.assetManager = new AssetManager();
     this.sceneManager = new SceneManager();
     this.physicsEngine = new PhysicsEngine();
-    this.renderer = new Renderer(this.canvas, this.ctx);
+    this.renderer = this.createRenderer();
+    this.ctx = this.renderer.ctx;
+    // Kept across scene changes, e.g. for fade transitions
+    this.postProcessing = this.renderer.postProcessing;
     this.gameLoop = new GameLoop(this);
 
     this.eventBus = new EventBus();
@@ -4762,6 +13498,62 @@ class SeedFrameEngine {
     return canvas;
   }
 
+  // "webgl" draws through WebGLRenderer, with a 2D overlay canvas stacked on
+  // top for debug drawing. Falls back to Canvas 2D when WebGL2 is unavailable.
+  createRenderer() {
+    if (this.config.renderer === "webgl") {
+      const overlay = document.createElement("canvas");
+      overlay.width = this.canvas.width;
+      overlay.height = this.canvas.height;
+      overlay.style.position = "absolute";
+      overlay.style.left = "0";
+      overlay.style.top = "0";
+      overlay.style.pointerEvents = "none";
+
+      let renderer = null;
+      try {
+        renderer = WebGLRenderer.create(this.canvas, overlay);
+      } catch (error) {
+        Debug.error("WebGL renderer failed to start:", error);
+      }
+
+      if (renderer) {
+        const wrapper = document.createElement("div");
+        wrapper.style.position = "relative";
+        wrapper.style.display = "inline-block";
+        this.canvas.parentNode.insertBefore(wrapper, this.canvas);
+        wrapper.appendChild(this.canvas);
+        wrapper.appendChild(overlay);
+        return renderer;
+      }
+      Debug.warn("WebGL2 is not available, falling back to the canvas renderer");
+    } else if (this.config.renderer !== "canvas") {
+      Debug.warn(`Unknown renderer "${this.config.renderer}", using canvas`);
+    }
+
+    let ctx = this.canvas.getContext("2d");
+    if (!ctx) {
+      // WebGL failed after taking the canvas's context, and a canvas only
+      // ever gives out one kind
+      this.replaceCanvas();
+      ctx = this.canvas.getContext("2d");
+    }
+    return new Renderer(this.canvas, ctx);
+  }
+
+  // Swaps the canvas for a new one of the same size in the same place
+  replaceCanvas() {
+    const canvas = document.createElement("canvas");
+    canvas.width = this.canvas.width;
+    canvas.height = this.canvas.height;
+    canvas.style.cssText = this.canvas.style.cssText;
+    if (this.canvas.parentNode) {
+      this.canvas.parentNode.replaceChild(canvas, this.canvas);
+    }
+    this.canvas = canvas;
+    this.inputManager.setCanvas(canvas);
+  }
+
   start() {
     Debug.log("Starting enhanced game engine...");
     this.gameLoop.start();
@@ -4833,11 +13625,17 @@ class SeedFrameEngine {
     
     // Cleanup physics engine
     this.physicsEngine.collisionPairs.clear();
-    this.physicsEngine.quadtree = null;
+    this.physicsEngine.broadphase = null;
 
-    // Remove canvas
-    if (this.canvas.parentNode) {
-      this.canvas.parentNode.removeChild(this.canvas);
+    this.renderer.destroy();
+
+    // Remove canvas, and the wrapper the WebGL renderer added around it
+    const parent = this.canvas.parentNode;
+    if (parent) {
+      parent.removeChild(this.canvas);
+      if (this.renderer.type === "webgl" && parent.parentNode) {
+        parent.parentNode.removeChild(parent);
+      }
     }
 
     Debug.log("Enhanced engine destroyed");
@@ -4880,7 +13678,49 @@ if (typeof module !== "undefined" && module.exports) {
     Particle,
     ParticleEmitter,
     Timer,
-    TimerManager
+    TimerManager,
+    PhysicsMaterial,
+    Joint,
+    DistanceJoint,
+    RopeJoint,
+    SpringJoint,
+    HingeJoint,
+    Broadphase,
+    QuadtreeBroadphase,
+    DynamicAABBTree,
+    SpatialHash,
+    Color,
+    WebGLRenderer,
+    TextureAtlas,
+    SortingLayers,
+    ParallaxBackground,
+    Animator,
+    Bone,
+    Skeleton,
+    SkeletonAnimation,
+    Easing,
+    Tween,
+    TweenSequence,
+    TweenParallel,
+    TweenManager,
+    Light2D,
+    Lighting,
+    PostEffect,
+    PostProcessStack,
+    Vignette,
+    ColorGrading,
+    Bloom,
+    Scanlines,
+    ChromaticAberration,
+    ScreenFlash,
+    ScreenFade,
+    NineSlice,
+    UIPanel,
+    BitmapFont,
+    RichText,
+    TextRenderer,
+    ShapeRenderer,
+    Gizmos
   };
 }
 
@@ -4918,7 +13758,49 @@ if (typeof window !== "undefined") {
     Particle,
     ParticleEmitter,
     Timer,
-    TimerManager
+    TimerManager,
+    PhysicsMaterial,
+    Joint,
+    DistanceJoint,
+    RopeJoint,
+    SpringJoint,
+    HingeJoint,
+    Broadphase,
+    QuadtreeBroadphase,
+    DynamicAABBTree,
+    SpatialHash,
+    Color,
+    WebGLRenderer,
+    TextureAtlas,
+    SortingLayers,
+    ParallaxBackground,
+    Animator,
+    Bone,
+    Skeleton,
+    SkeletonAnimation,
+    Easing,
+    Tween,
+    TweenSequence,
+    TweenParallel,
+    TweenManager,
+    Light2D,
+    Lighting,
+    PostEffect,
+    PostProcessStack,
+    Vignette,
+    ColorGrading,
+    Bloom,
+    Scanlines,
+    ChromaticAberration,
+    ScreenFlash,
+    ScreenFade,
+    NineSlice,
+    UIPanel,
+    BitmapFont,
+    RichText,
+    TextRenderer,
+    ShapeRenderer,
+    Gizmos
   };
 }
 
@@ -5036,7 +13918,49 @@ if (typeof window !== "undefined" && !window.GameEngine) {
     Particle,
     ParticleEmitter,
     Timer,
-    TimerManager
+    TimerManager,
+    PhysicsMaterial,
+    Joint,
+    DistanceJoint,
+    RopeJoint,
+    SpringJoint,
+    HingeJoint,
+    Broadphase,
+    QuadtreeBroadphase,
+    DynamicAABBTree,
+    SpatialHash,
+    Color,
+    WebGLRenderer,
+    TextureAtlas,
+    SortingLayers,
+    ParallaxBackground,
+    Animator,
+    Bone,
+    Skeleton,
+    SkeletonAnimation,
+    Easing,
+    Tween,
+    TweenSequence,
+    TweenParallel,
+    TweenManager,
+    Light2D,
+    Lighting,
+    PostEffect,
+    PostProcessStack,
+    Vignette,
+    ColorGrading,
+    Bloom,
+    Scanlines,
+    ChromaticAberration,
+    ScreenFlash,
+    ScreenFade,
+    NineSlice,
+    UIPanel,
+    BitmapFont,
+    RichText,
+    TextRenderer,
+    ShapeRenderer,
+    Gizmos
   };
 }
 
@@ -5091,7 +14015,49 @@ if (typeof window !== "undefined") {
     Particle,
     ParticleEmitter,
     Timer,
-    TimerManager
+    TimerManager,
+    PhysicsMaterial,
+    Joint,
+    DistanceJoint,
+    RopeJoint,
+    SpringJoint,
+    HingeJoint,
+    Broadphase,
+    QuadtreeBroadphase,
+    DynamicAABBTree,
+    SpatialHash,
+    Color,
+    WebGLRenderer,
+    TextureAtlas,
+    SortingLayers,
+    ParallaxBackground,
+    Animator,
+    Bone,
+    Skeleton,
+    SkeletonAnimation,
+    Easing,
+    Tween,
+    TweenSequence,
+    TweenParallel,
+    TweenManager,
+    Light2D,
+    Lighting,
+    PostEffect,
+    PostProcessStack,
+    Vignette,
+    ColorGrading,
+    Bloom,
+    Scanlines,
+    ChromaticAberration,
+    ScreenFlash,
+    ScreenFade,
+    NineSlice,
+    UIPanel,
+    BitmapFont,
+    RichText,
+    TextRenderer,
+    ShapeRenderer,
+    Gizmos
   };
   
   // Merge with existing GameEngine
@@ -0,0 +1,21 @@
+// Shared setup for the tests, which run with: node --test test/
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+// The engine is loaded into the test's context, rather than required, so
+// classes that aren't exported are reachable. Its startup logging is muted.
+const log = console.log;
+console.log = () => {};
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, "..", "seedframes.js"), "utf8"));
+console.log = log;
+
+// Advances a scene and its physics by whole 60 Hz frames
+function step(scene, physicsEngine, frames) {
+  for (let i = 0; i < frames; i++) {
+    scene.update(1 / 60);
+    physicsEngine.update(scene, 1 / 60);
+  }
+}
+
+module.exports = { step };
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert");
+require("./helpers");
+
+test("joints save their type whatever their class is named", () => {
+  // As a minifier would rename them
+  const joints = [
+    [class a extends DistanceJoint {}, "DistanceJoint"],
+    [class b extends RopeJoint {}, "RopeJoint"],
+    [class c extends SpringJoint {}, "SpringJoint"],
+    [class d extends HingeJoint {}, "HingeJoint"],
+  ];
+  for (const [Type, type] of joints) {
+    assert.strictEqual(new Type(null, { distance: 40 }).serialize().type, type);
+  }
+});
+
+test("saved joints load as the same kind of joint", () => {
+  const rope = new RopeJoint(null, { maxDistance: 60 });
+  const data = JSON.parse(JSON.stringify(rope.serialize()));
+  const copy = new SceneManager().deserializeComponent(data, new GameObject("Copy"));
+
+  assert.ok(copy instanceof RopeJoint);
+  assert.strictEqual(copy.maxDistance, 60);
+});
+
+test("built-in effects are found by name", () => {
+  const stack = new PostProcessStack();
+  const bloom = stack.add(new (class e extends Bloom {})());
+  const vignette = stack.add(new Vignette({ name: "Edges" }));
+
+  assert.strictEqual(stack.get("Bloom"), bloom);
+  assert.strictEqual(stack.get("Edges"), vignette);
+  assert.strictEqual(stack.get("Vignette"), null);
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert");
+require("./helpers");
+
+// Farthest the light reaches past its occluders
+function getReach(scene, light) {
+  const position = light.getPosition();
+  const segments = new Lighting().getOccluderSegments(scene, light);
+  const polygon = Lighting.getVisibilityPolygon(position, light.radius, segments);
+  return Math.max(...polygon.map((point) => point.distance(position)));
+}
+
+test("a light isn't shadowed by the colliders on its own object", () => {
+  const scene = new Scene("Test");
+  const torch = scene.createGameObject("Torch").at(100, 100).withCollider("box", 32, 32).withShadowCaster().withLight({ radius: 200 }).build();
+  const light = torch.getComponent(Light2D);
+
+  assert.strictEqual(new Lighting().getOccluderSegments(scene, light).length, 0);
+  assert.ok(getReach(scene, light) >= 200);
+});
+
+test("a light inside another occluder isn't shut in by it", () => {
+  const scene = new Scene("Test");
+  scene.createGameObject("Crate").at(100, 100).withCollider("box", 32, 32).withShadowCaster().build();
+  scene.createGameObject("Wall").at(180, 100).withCollider("box", 20, 200).withShadowCaster().build();
+  const light = scene.createGameObject("Lamp").at(100, 100).withLight({ radius: 200 }).build().getComponent(Light2D);
+
+  // The wall still casts its shadow
+  assert.strictEqual(new Lighting().getOccluderSegments(scene, light).length, 4);
+  assert.ok(getReach(scene, light) >= 200);
+});
+
+test("a light inside an occluder tile isn't shut in by it", () => {
+  const scene = new Scene("Test");
+  const tilemap = new Tilemap(32, 32);
+  tilemap.loadFromArray(new Array(100).fill(0), 10, 10);
+  tilemap.castShadows = true;
+  tilemap.collisionLayer[3 * 10 + 3] = Tilemap.collisionTypes.SOLID;
+  tilemap.collisionLayer[3 * 10 + 4] = Tilemap.collisionTypes.SOLID;
+  scene.createGameObject("Level").build().addComponent(tilemap);
+  const light = scene.createGameObject("Lamp").at(112, 112).withLight({ radius: 100 }).build().getComponent(Light2D);
+
+  const segments = new Lighting().getOccluderSegments(scene, light);
+  // The neighbouring tile is still outlined, including the face toward the light
+  assert.strictEqual(segments.length, 4);
+  assert.ok(segments.some((segment) => segment.a.x === 128 && segment.b.x === 128));
+});
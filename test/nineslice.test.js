@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert");
+require("./helpers");
+
+test("borders on a trimmed frame are measured on the untrimmed frame", () => {
+  // 32×32 frame with 2px of transparent columns trimmed from each side
+  const source = { x: 100, y: 100, width: 28, height: 32, offsetX: 2, offsetY: 0, sourceWidth: 32, sourceHeight: 32 };
+  const pieces = NineSlice.getPieces(source, { x: 0, y: 0, width: 64, height: 64 }, { border: 8 });
+
+  const topRow = pieces.filter((piece) => piece.y === 0).map((piece) => [piece.sx, piece.sw, piece.x, piece.width]);
+  assert.deepStrictEqual(topRow, [
+    [100, 6, 2, 6],
+    [106, 16, 8, 48],
+    [122, 6, 56, 6],
+  ]);
+});
+
+test("fillCenter is set through the builder and kept when serialized", () => {
+  const scene = new Scene("Test");
+  const panel = scene
+    .createGameObject("Panel")
+    .withSprite(null, 64, 64)
+    .withDrawMode("sliced", 8, 1, false)
+    .build();
+  const sprite = panel.getComponent(SpriteRenderer);
+  assert.strictEqual(sprite.fillCenter, false);
+
+  const source = { x: 0, y: 0, width: 32, height: 32 };
+  assert.strictEqual(NineSlice.getPieces(source, sprite.getLocalRect(), sprite).length, 8);
+
+  const data = sprite.serialize();
+  assert.strictEqual(data.fillCenter, false);
+  const copy = new SceneManager().deserializeComponent(data, new GameObject("Copy"));
+  assert.strictEqual(copy.fillCenter, false);
+});
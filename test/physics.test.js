@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { step } = require("./helpers");
+
+function createWall(x) {
+  const scene = new Scene("Test");
+  const physicsEngine = new PhysicsEngine();
+  scene.engine = { physicsEngine };
+  scene.createGameObject("Wall").at(x, 0).withCollider("box", 20, 200, false, "Environment").build();
+  scene.start();
+  step(scene, physicsEngine, 1);
+  return physicsEngine;
+}
+
+test("shape casts hit thin walls far along a long cast", () => {
+  for (const x of [1000, 3070, 4000]) {
+    const physicsEngine = createWall(x);
+    const circle = { type: "circle", center: new Vector2(0, 0), radius: 5 };
+    const hit = physicsEngine.shapeCast(circle, new Vector2(1, 0), 10000);
+
+    assert.ok(hit, `missed the wall at ${x}`);
+    assert.ok(Math.abs(hit.distance - (x - 15)) < 0.01, `distance=${hit.distance}`);
+  }
+});
+
+test("shape casts with the default distance hit thin walls far away", () => {
+  const physicsEngine = createWall(5000);
+  const circle = { type: "circle", center: new Vector2(0, 0), radius: 5 };
+  const hit = physicsEngine.shapeCast(circle, new Vector2(1, 0));
+
+  assert.ok(hit);
+  assert.ok(Math.abs(hit.distance - 4985) < 0.01, `distance=${hit.distance}`);
+});
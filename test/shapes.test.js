@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert");
+require("./helpers");
+
+// Area of triangles stored as quads with the last corner repeated
+function getArea(quads) {
+  let area = 0;
+  for (const [a, b, c, d] of quads) {
+    area += Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) / 2;
+    if (d !== c) area += Math.abs((c.x - a.x) * (d.y - a.y) - (c.y - a.y) * (d.x - a.x)) / 2;
+  }
+  return area;
+}
+
+test("long lines become one quad of their width", () => {
+  const laser = ShapeRenderer.createLine(new Vector2(0, 0), new Vector2(5000, 0), { stroke: "#0ff", lineWidth: 3 });
+  const mesh = ShapeRenderer.getMesh(laser, 1);
+
+  assert.strictEqual(mesh.stroke.length, 1);
+  assert.deepStrictEqual(
+    mesh.stroke[0].map((corner) => [corner.x, corner.y]),
+    [[0, 1.5], [5000, 1.5], [5000, -1.5], [0, -1.5]]
+  );
+});
+
+test("strokes thinner than a pixel are widened and faded", () => {
+  const line = ShapeRenderer.createLine(new Vector2(0, 0), new Vector2(10, 0), { lineWidth: 0.25 });
+  const mesh = ShapeRenderer.getMesh(line, 1);
+
+  assert.strictEqual(mesh.strokeAlpha, 0.25);
+  assert.strictEqual(getArea(mesh.stroke), 10);
+});
+
+test("dash patterns split strokes as canvas does", () => {
+  const points = [new Vector2(0, 0), new Vector2(30, 0)];
+  const ends = (dashes) => dashes.map((dash) => [dash[0].x, dash[dash.length - 1].x]);
+
+  assert.deepStrictEqual(ends(ShapeRenderer.getDashes(points, false, [8, 4], 0)), [[0, 8], [12, 20], [24, 30]]);
+  assert.deepStrictEqual(ends(ShapeRenderer.getDashes(points, false, [8, 4], 4)), [[0, 4], [8, 16], [20, 28]]);
+});
+
+test("concave polygons fill exactly their area", () => {
+  const shape = ShapeRenderer.createPolyline(
+    [{ x: 0, y: 0 }, { x: 30, y: 0 }, { x: 30, y: 10 }, { x: 10, y: 10 }, { x: 10, y: 30 }, { x: 0, y: 30 }],
+    true,
+    { fill: "red" }
+  );
+  const mesh = ShapeRenderer.getMesh(shape, 1);
+
+  assert.strictEqual(getArea(mesh.fill), 500);
+  assert.strictEqual(mesh.stroke.length, 0);
+});
+
+test("arcs run clockwise from start to end, and closed arcs fill as slices", () => {
+  const arc = ShapeRenderer.createArc(new Vector2(0, 0), 100, 0.5, -0.5, { closed: true, fill: "yellow" });
+  const [outline] = ShapeRenderer.getOutlines(arc, 0.25);
+  const last = outline.points[outline.points.length - 1];
+
+  assert.strictEqual(outline.points[0], arc.center);
+  assert.ok(Math.abs(Math.atan2(last.y, last.x) + 0.5) < 1e-9);
+  const area = getArea(ShapeRenderer.getMesh(arc, 0.25).fill);
+  const sweep = Math.PI * 2 - 1;
+  assert.ok(Math.abs(area - (sweep / 2) * 100 * 100) / area < 0.001, `area=${area}`);
+});
+
+test("paths with several subpaths leave their fill to a raster", () => {
+  const square = (x, y, size) => [["M", x, y], ["L", x + size, y], ["L", x + size, y + size], ["L", x, y + size], ["Z"]];
+  const ring = ShapeRenderer.createPath([...square(0, 0, 30), ...square(10, 10, 10)], { fill: "red", stroke: "white" });
+  const mesh = ShapeRenderer.getMesh(ring, 1);
+
+  assert.strictEqual(mesh.fill, null);
+  assert.strictEqual(mesh.stroke.length, 8);
+});
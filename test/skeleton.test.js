@@ -0,0 +1,178 @@
+const test = require("node:test");
+const assert = require("node:assert");
+require("./helpers");
+
+function playEvents(loop, seconds, step = 1 / 60) {
+  const skeleton = new Skeleton();
+  const animation = new SkeletonAnimation("walk", 1);
+  animation.addEvent(0.5, "mid");
+  animation.addEvent(1, "end");
+  skeleton.addAnimation(animation);
+  skeleton.play("walk", { loop, mix: 0 });
+
+  const names = [];
+  const steps = Math.round(seconds / step);
+  for (let i = 0; i < steps; i++) {
+    names.push(...skeleton.update(step).map((event) => event.name));
+  }
+  return names;
+}
+
+test("a looping animation fires events keyed at its duration on every lap", () => {
+  assert.deepStrictEqual(playEvents(true, 2.17), ["mid", "end", "mid", "end"]);
+});
+
+test("a one-shot animation fires events keyed at its duration once", () => {
+  assert.deepStrictEqual(playEvents(false, 2.17), ["mid", "end"]);
+});
+
+const degrees = (radians) => Math.round((radians * 180) / Math.PI);
+
+test("keys interpolate linearly, hold when stepped and follow bezier curves", () => {
+  const skeleton = new Skeleton();
+  skeleton.addBone("root");
+  const animation = new SkeletonAnimation("move");
+  animation.addTimeline("translate", "root", [
+    { time: 0, values: [0, 0] },
+    { time: 1, values: [10, 20], curve: "stepped" },
+    { time: 2, values: [30, 20], curve: [0.42, 0, 0.58, 1] },
+    { time: 3, values: [0, 0] },
+  ]);
+  skeleton.addAnimation(animation);
+  skeleton.play("move", { loop: false, mix: 0 });
+  const root = skeleton.findBone("root");
+
+  skeleton.update(0.5);
+  assert.deepStrictEqual([root.x, root.y], [5, 10]);
+  skeleton.update(1);
+  assert.deepStrictEqual([root.x, root.y], [10, 20]);
+  skeleton.update(0.75);
+  const eased = 30 - 30 * SkeletonAnimation.bezier(0.42, 0, 0.58, 1, 0.25);
+  assert.ok(Math.abs(root.x - eased) < 1e-9, `x=${root.x}`);
+  assert.ok(root.x > 30 - 7.5, "ease-in starts slower than linear");
+});
+
+test("rotations blend the short way round", () => {
+  const skeleton = new Skeleton();
+  skeleton.addBone("root", null, { rotation: 0 });
+  const animation = new SkeletonAnimation("turn");
+  animation.addTimeline("rotate", "root", [
+    { time: 0, values: [(170 * Math.PI) / 180] },
+    { time: 1, values: [(-170 * Math.PI) / 180] },
+  ]);
+  skeleton.addAnimation(animation);
+  skeleton.play("turn", { loop: false, mix: 0 });
+
+  skeleton.update(0.5);
+  assert.strictEqual(Math.abs(degrees(skeleton.findBone("root").rotation)), 180);
+});
+
+test("play crossfades from the previous animation over mix seconds", () => {
+  const skeleton = new Skeleton();
+  skeleton.addBone("root");
+  skeleton.addAnimation(new SkeletonAnimation("left").addTimeline("translate", "root", [{ time: 0, values: [-10, 0] }]));
+  skeleton.addAnimation(new SkeletonAnimation("right").addTimeline("translate", "root", [{ time: 0, values: [10, 0] }]));
+  const root = skeleton.findBone("root");
+
+  skeleton.play("left", { mix: 0 });
+  skeleton.update(0.1);
+  assert.strictEqual(root.x, -10);
+
+  skeleton.play("right", { mix: 0.5 });
+  skeleton.update(0.25);
+  assert.strictEqual(root.x, 0);
+  assert.ok(skeleton.tracks[0].previous);
+
+  skeleton.update(0.25);
+  assert.strictEqual(root.x, 10);
+  assert.strictEqual(skeleton.tracks[0].previous, null);
+});
+
+test("Spine JSON imports bones y-up, slots, attachments, keys and events", () => {
+  const image = { width: 20, height: 10, naturalWidth: 20, naturalHeight: 10 };
+  const skeleton = Skeleton.fromSpine(
+    {
+      bones: [{ name: "root" }, { name: "arm", parent: "root", x: 10, y: 5, rotation: 90 }],
+      slots: [
+        { name: "body", bone: "root", attachment: "body" },
+        { name: "hand", bone: "arm", attachment: "hand", color: "ffffff80" },
+      ],
+      skins: [
+        {
+          name: "default",
+          attachments: {
+            body: { body: { width: 20, height: 10 } },
+            hand: { hand: { width: 20, height: 10 }, fist: { width: 20, height: 10 } },
+          },
+        },
+      ],
+      animations: {
+        wave: {
+          bones: { arm: { translate: [{ time: 0, x: 0, y: 0 }, { time: 1, x: 10, y: 10 }] } },
+          slots: { hand: { attachment: [{ time: 0.5, name: "fist" }] } },
+          events: [{ time: 0.25, name: "whoosh", int: 3 }],
+        },
+      },
+    },
+    { body: image, hand: image, fist: image }
+  );
+
+  const arm = skeleton.findBone("arm");
+  assert.deepStrictEqual([arm.x, arm.y, degrees(arm.rotation)], [10, -5, -90]);
+  assert.strictEqual(skeleton.slots.length, 2);
+  assert.ok(Math.abs(skeleton.findSlot("hand").alpha - 0.5) < 0.01);
+
+  skeleton.play("wave", { loop: false, mix: 0 });
+  const events = skeleton.update(0.5);
+  assert.deepStrictEqual([arm.x, arm.y], [15, -10]);
+  assert.strictEqual(skeleton.findSlot("hand").attachment, "fist");
+  assert.deepStrictEqual(events.map((event) => [event.name, event.data.int]), [["whoosh", 3]]);
+});
+
+test("DragonBones JSON imports frames in seconds, display switches and events", () => {
+  const image = { width: 20, height: 10, naturalWidth: 20, naturalHeight: 10 };
+  const skeleton = Skeleton.fromDragonBones(
+    {
+      frameRate: 10,
+      armature: [
+        {
+          name: "hero",
+          bone: [{ name: "root" }, { name: "leg", parent: "root", transform: { x: 0, y: 10 } }],
+          slot: [{ name: "leg", parent: "leg" }],
+          skin: [{ slot: [{ name: "leg", display: [{ name: "legA" }, { name: "legB" }] }] }],
+          animation: [
+            {
+              name: "walk",
+              duration: 10,
+              bone: [
+                {
+                  name: "leg",
+                  rotateFrame: [
+                    { duration: 5, tweenEasing: 0, rotate: 0 },
+                    { duration: 5, tweenEasing: 0, rotate: 40 },
+                    { duration: 0, rotate: 0 },
+                  ],
+                },
+              ],
+              slot: [{ name: "leg", displayFrame: [{ duration: 5, value: 0 }, { duration: 5, value: 1 }] }],
+              frame: [{ duration: 3 }, { duration: 7, events: [{ name: "step" }] }],
+            },
+          ],
+        },
+      ],
+    },
+    () => image
+  );
+
+  assert.strictEqual(skeleton.animations.get("walk").duration, 1);
+  skeleton.play("walk", { loop: false, mix: 0 });
+
+  const events = [];
+  for (let i = 0; i < 5; i++) events.push(...skeleton.update(0.05));
+  assert.strictEqual(degrees(skeleton.findBone("leg").rotation), 20);
+  assert.strictEqual(skeleton.findSlot("leg").attachment, "legA");
+
+  for (let i = 0; i < 6; i++) events.push(...skeleton.update(0.05));
+  assert.strictEqual(skeleton.findSlot("leg").attachment, "legB");
+  assert.deepStrictEqual(events.map((event) => event.name), ["step"]);
+});
@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { step } = require("./helpers");
+
+function createLevel(tilemapOptions = {}) {
+  const scene = new Scene("Test");
+  const physicsEngine = new PhysicsEngine();
+  scene.engine = { physicsEngine };
+
+  const level = scene.createGameObject("Level").withTilemap(32, 32, tilemapOptions).build();
+  const tilemap = level.getComponent(Tilemap);
+  tilemap.loadFromArray(new Array(100).fill(0), 10, 10);
+
+  return { scene, physicsEngine, tilemap };
+}
+
+function addBody(scene, x, y, velocity) {
+  const body = scene.createGameObject("Body").at(x, y).withCollider("box", 32, 32, false, "Player").withDynamicBody(1, 1).build();
+  const rigidbody = body.getComponent(Rigidbody);
+  rigidbody.useGravity = false;
+  rigidbody.drag = 1;
+  rigidbody.velocity = velocity;
+  return { body, rigidbody };
+}
+
+test("bodies above the grid fall into it", () => {
+  const { scene, physicsEngine } = createLevel();
+  const { body } = addBody(scene, 100, -200, new Vector2(0, 300));
+  scene.start();
+  step(scene, physicsEngine, 30);
+  assert.ok(body.transform.position.y > -100, `stopped at y=${body.transform.position.y}`);
+});
+
+test("bodies beside the grid move past its edge", () => {
+  const { scene, physicsEngine } = createLevel();
+  const { body } = addBody(scene, 1000, 100, new Vector2(-300, 0));
+  scene.start();
+  step(scene, physicsEngine, 30);
+  assert.ok(body.transform.position.x < 900, `stopped at x=${body.transform.position.x}`);
+});
+
+test("solidEdges walls the level in", () => {
+  const { scene, physicsEngine } = createLevel({ solidEdges: true });
+  const { body } = addBody(scene, 100, 100, new Vector2(-300, 0));
+  scene.start();
+  step(scene, physicsEngine, 30);
+  assert.ok(Math.abs(body.transform.position.x - 16) < 0.5, `x=${body.transform.position.x}`);
+});
+
+function createTiles(cells) {
+  const tilemap = new Tilemap(32, 32);
+  tilemap.loadFromArray(new Array(100).fill(0), 10, 10);
+  for (const [x, y, type] of cells) {
+    tilemap.collisionLayer[y * 10 + x] = type;
+  }
+  return tilemap;
+}
+
+function box(centerX, bottom, size = 16) {
+  return { left: centerX - size / 2, right: centerX + size / 2, top: bottom - size, bottom };
+}
+
+test("boxes land on a slope at its surface under their centre", () => {
+  const types = Tilemap.collisionTypes;
+  const tilemap = createTiles([[2, 5, types.SLOPE_45_RIGHT]]);
+
+  // A quarter of the way across the tile, the surface is a quarter up it
+  const result = tilemap.sweepBox(box(72, 150), new Vector2(0, 40));
+  assert.ok(result.grounded);
+  assert.strictEqual(150 + result.delta.y, 192 - 8);
+  assert.ok(result.normal.x < 0 && result.normal.y < 0, `normal=${result.normal.x},${result.normal.y}`);
+});
+
+test("walking right climbs a slope and grounded boxes follow it down", () => {
+  const types = Tilemap.collisionTypes;
+  const tilemap = createTiles([[2, 5, types.SLOPE_45_RIGHT], [3, 5, types.SLOPE_45_LEFT]]);
+
+  const up = tilemap.sweepBox(box(72, 184), new Vector2(8, 0), { grounded: true });
+  assert.strictEqual(up.delta.x, 8);
+  assert.strictEqual(184 + up.delta.y, 176);
+
+  const down = tilemap.sweepBox(box(104, 168), new Vector2(8, 0), { grounded: true });
+  assert.ok(down.grounded);
+  assert.strictEqual(168 + down.delta.y, 176);
+});
+
+test("one-way tiles hold boxes from above only", () => {
+  const tilemap = createTiles([[3, 5, Tilemap.collisionTypes.ONE_WAY]]);
+
+  const landing = tilemap.sweepBox(box(112, 150), new Vector2(0, 40));
+  assert.ok(landing.grounded);
+  assert.strictEqual(150 + landing.delta.y, 160);
+
+  const rising = tilemap.sweepBox(box(112, 200), new Vector2(0, -40));
+  assert.strictEqual(rising.delta.y, -40);
+
+  // Already partway through the tile, so it passes on down
+  const inside = tilemap.sweepBox(box(112, 190), new Vector2(0, 10));
+  assert.strictEqual(inside.delta.y, 10);
+});
+
+test("dropThrough falls through one-way tiles but not solid ones", () => {
+  const types = Tilemap.collisionTypes;
+  const tilemap = createTiles([[3, 5, types.ONE_WAY], [3, 7, types.SOLID]]);
+
+  const standing = tilemap.sweepBox(box(112, 160), new Vector2(0, 20), { dropThrough: true });
+  assert.strictEqual(standing.delta.y, 20);
+  assert.ok(!standing.grounded);
+
+  const falling = tilemap.sweepBox(box(112, 180), new Vector2(0, 60), { dropThrough: true });
+  assert.strictEqual(180 + falling.delta.y, 224);
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { step } = require("./helpers");
+
+test("tweening a transform's position moves bodies that physics keeps replacing it on", () => {
+  const scene = new Scene("Test");
+  const physicsEngine = new PhysicsEngine();
+  scene.engine = { physicsEngine };
+
+  const player = scene.createGameObject("Player").at(0, 0).withCollider("box", 32, 32).withDynamicBody(1, 0).build();
+  const rigidbody = player.getComponent(Rigidbody);
+  rigidbody.useGravity = false;
+  rigidbody.velocity = new Vector2(1, 0);
+  scene.start();
+
+  scene.tween(player.transform.position).to({ x: 300 }, 0.5, "easeOutBack");
+  step(scene, physicsEngine, 40);
+
+  assert.ok(Math.abs(player.transform.position.x - 300) < 1, `x=${player.transform.position.x}`);
+});
+
+test("a tweened scale follows the transform and killTweensOf finds it", () => {
+  const scene = new Scene("Test");
+  const chest = scene.createGameObject("Chest").build();
+  const tween = scene.tween(chest.transform.scale).to({ x: 2 }, 1);
+
+  scene.update(0.5);
+  chest.transform.scale = new Vector2(chest.transform.scale.x, 1);
+  scene.update(0.25);
+  assert.strictEqual(chest.transform.scale.x, 1.75);
+
+  scene.killTweensOf(chest.transform.scale);
+  assert.strictEqual(tween.state, "stopped");
+});
+
+test("path keys read their start values from the target", () => {
+  const target = { scale: { x: 2, y: 2 } };
+  const tween = new Tween(target).to({ "scale.x": 4 }, 1);
+  tween.update(0.5);
+  assert.strictEqual(target.scale.x, 3);
+  assert.strictEqual(target.scale.y, 2);
+});
+
+test("camera zoomTo and panTo finish on target and resolve false when replaced", async () => {
+  const camera = new Camera();
+  const first = camera.zoomTo(2, 1);
+  camera.update(0.5);
+  const second = camera.zoomTo(3, 1);
+  const pan = camera.panTo({ x: 100, y: 50 }, 1);
+  for (let i = 0; i < 60; i++) camera.update(1 / 60);
+
+  assert.strictEqual(await first, false);
+  assert.strictEqual(await second, true);
+  assert.strictEqual(await pan, true);
+  assert.strictEqual(camera.zoom, 3);
+  assert.deepStrictEqual([camera.position.x, camera.position.y], [100, 50]);
+});
+
+test("audio fades scale the volume and a fade-out stops playback", () => {
+  const source = new AudioSource(null, 0.8);
+  source.audio = { volume: 0.8, paused: false, currentTime: 3, pause() { this.paused = true; } };
+
+  source.fadeIn(1);
+  assert.strictEqual(source.audio.volume, 0);
+  source.update(0.5);
+  assert.ok(Math.abs(source.audio.volume - 0.4) < 1e-9, `volume=${source.audio.volume}`);
+  source.update(0.5);
+  assert.strictEqual(source.audio.volume, 0.8);
+  assert.strictEqual(source.volume, 0.8);
+
+  source.fadeOut(1);
+  source.update(1);
+  assert.strictEqual(source.audio.volume, 0);
+  assert.strictEqual(source.audio.paused, true);
+  assert.strictEqual(source.audio.currentTime, 0);
+});